@@ -17,23 +17,89 @@ try {
   console.error('⚠️ Service loading error:', error.message);
 }
 
-// Single session store
-const sessions = new Map();
-
-// Cleanup old sessions every hour
-setInterval(() => {
-  const oneHourAgo = Date.now() - (60 * 60 * 1000);
-  for (const [sessionId, sessionData] of sessions.entries()) {
-    if (new Date(sessionData.uploadedAt).getTime() < oneHourAgo) {
-      sessions.delete(sessionId);
-      console.log(`🗑️ Cleaned up expired session: ${sessionId}`);
-    }
+// Session store (memory or disk, configured via SESSION_STORE_* env vars)
+const sessionStore = require('../services/sessionStore');
+const storyGenerator = require('../services/storyGenerator');
+const insightsEngine = require('../services/insightsEngine');
+const timeSeries = require('../services/timeSeries');
+const filterModel = require('../services/filterModel');
+const hierarchies = require('../services/hierarchies');
+const { openEventStream } = require('../utils/sse');
+
+/**
+ * Remember which KPIs and charts the dashboard shows so the story can be grounded in them
+ */
+const saveDashboardDefinition = async (sessionId, sessionData, suggestions) => {
+  const definition = { kpis: suggestions.kpis || [], charts: suggestions.charts || [] };
+  if (JSON.stringify(definition) === JSON.stringify(sessionData.dashboardDefinition)) return;
+
+  sessionData.dashboardDefinition = definition;
+  storyGenerator.invalidate(sessionData);
+  await sessionStore.set(sessionId, sessionData);
+};
+
+/**
+ * KPI and chart definitions for the dashboard: a saved dashboard opened on the session pins its own,
+ * otherwise they are suggested by the AI
+ */
+const getDashboardSuggestions = async (sessionId, sessionData, sampleData, userContext) => {
+  if (sessionData.savedDashboard && sessionData.dashboardDefinition) {
+    return { ...sessionData.dashboardDefinition, insights: [] };
   }
-  
-  if (calculator) {
-    calculator.clearCache();
+
+  const suggestions = await aiService.getSuggestions(sessionData.schema, sampleData, userContext);
+  await saveDashboardDefinition(sessionId, sessionData, suggestions);
+  return suggestions;
+};
+
+/**
+ * Rows behind a chart (or one of its points): the active filters without the chart's own
+ * cross-filter selection - the rows the chart is drawn from - narrowed by its drill path and the point
+ */
+const findChartRecords = (sessionData, { chartConfig, point = null, activeFilters = {}, timeFilter = null, dataLimit, sort = null }) => {
+  const timeFilteredData = calculator.applyTimeFilter(sessionData.data, sessionData.schema, timeFilter);
+  const chartFilters = chartConfig.id ? filterModel.withoutSource(activeFilters, chartConfig.id) : activeFilters;
+  const filteredData = calculator.applyFilters(timeFilteredData, chartFilters, dataLimit);
+  const rows = calculator.getChartRecords(filteredData, sessionData.schema, chartConfig, point);
+  return calculator.sortRecords(rows, sort);
+};
+
+/**
+ * KPIs and charts (default, then custom) for the session's current filter state
+ * @returns {Promise<Object>} { kpis, charts, defaultCharts, customCharts, filteredData }
+ */
+const buildDashboard = async (sessionId, sessionData, {
+  filters = {},
+  dataLimit = null,
+  userContext = null,
+  timeFilter = null,
+  comparison = 'previous',
+  includeCustomCharts = true
+}) => {
+  // Use sample for AI suggestions
+  const sampleData = sessionData.sampleData || sessionData.data.slice(0, 100);
+
+  // Get AI suggestions for default charts
+  const suggestions = await getDashboardSuggestions(sessionId, sessionData, sampleData, userContext);
+
+  // Include custom charts if requested
+  const customCharts = includeCustomCharts ? sessionData.customCharts || [] : [];
+  if (customCharts.length > 0) {
+    console.log(`Including ${customCharts.length} custom charts`);
   }
-}, 60 * 60 * 1000);
+
+  return {
+    ...calculator.computeDashboard(sessionData, {
+      kpis: suggestions.kpis,
+      charts: suggestions.charts,
+      customCharts
+    }, { filters, dataLimit, timeFilter, comparison }),
+    insights: suggestions.insights || []
+  };
+};
+
+// Purge expired sessions periodically
+sessionStore.startCleanup();
 
 // Test route
 router.get('/test', (req, res) => {
@@ -82,7 +148,7 @@ if (upload && dataProcessor && dataValidator && helpers) {
       // Step 3: Generate session ID and store
       const sessionId = helpers.generateSessionId();
       
-      sessions.set(sessionId, {
+      await sessionStore.set(sessionId, {
         data: processedData.data,
         schema: processedData.schema,
         stats: processedData.stats,
@@ -93,10 +159,11 @@ if (upload && dataProcessor && dataValidator && helpers) {
         uploadTime: new Date().toISOString(),
         fileName: req.file.originalname,
         fileSize: req.file.size,
-        customCharts: []
+        customCharts: [],
+        chatHistory: []
       });
 
-      console.log(`💾 Session created: ${sessionId} (${sessions.size} total sessions)`);
+      console.log(`💾 Session created: ${sessionId} (${await sessionStore.count()} total sessions)`);
 
       // Step 4: Create preview
       const preview = {
@@ -150,17 +217,17 @@ if (upload && dataProcessor && dataValidator && helpers) {
 // ============================================
 // GET SESSION DATA
 // ============================================
-router.get('/session/:sessionId', (req, res) => {
+router.get('/session/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
     
     console.log(`📊 Fetching session: ${sessionId}`);
     
-    const sessionData = sessions.get(sessionId);
+    const sessionData = await sessionStore.get(sessionId);
 
     if (!sessionData) {
       console.error(`❌ Session not found: ${sessionId}`);
-      console.log(`Available sessions: ${Array.from(sessions.keys()).join(', ')}`);
+      console.log(`Available sessions: ${(await sessionStore.keys()).join(', ')}`);
       return res.status(404).json({
         success: false,
         message: 'Session not found or expired'
@@ -177,7 +244,9 @@ router.get('/session/:sessionId', (req, res) => {
         fileName: sessionData.fileName,
         uploadedAt: sessionData.uploadedAt,
         validationResult: sessionData.validationResult,
-        fullDataCount: sessionData.fullDataCount
+        fullDataCount: sessionData.fullDataCount,
+        savedDashboard: sessionData.savedDashboard || null,
+        layout: sessionData.layout || null
       }
     });
 
@@ -190,6 +259,45 @@ router.get('/session/:sessionId', (req, res) => {
   }
 });
 
+// ============================================
+// DASHBOARD LAYOUT (grid arrangement of KPIs and charts)
+// ============================================
+router.post('/session/:sessionId/layout', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { layout = null } = req.body;
+    const sessionData = await sessionStore.get(sessionId);
+
+    if (!sessionData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found or expired'
+      });
+    }
+
+    if (layout !== null && (typeof layout !== 'object' || Array.isArray(layout) || typeof layout.breakpoints !== 'object')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Layout must be an object with per-breakpoint items'
+      });
+    }
+
+    sessionData.layout = layout;
+    await sessionStore.set(sessionId, sessionData);
+
+    res.json({
+      success: true
+    });
+
+  } catch (error) {
+    console.error('❌ Save layout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving layout'
+    });
+  }
+});
+
 // ============================================
 // GENERATE DASHBOARD (Main route)
 // ============================================
@@ -197,7 +305,7 @@ if (aiService && calculator) {
   router.post('/generate-dashboard', async (req, res) => {
     try {
       // ✅ CHANGE 1: Extract userContext from request body
-      const { sessionId, filters = {}, dataLimit = null, userContext = null } = req.body;
+      const { sessionId, filters = {}, dataLimit = null, userContext = null, timeFilter = null, comparison = 'previous' } = req.body;
       
       // ✅ CHANGE 2: Add logging for context
       if (userContext) {
@@ -207,11 +315,11 @@ if (aiService && calculator) {
         console.log(`📊 Generating dashboard for session: ${sessionId} (automatic analysis)`);
       }
       
-      const sessionData = sessions.get(sessionId);
+      const sessionData = await sessionStore.get(sessionId);
   
       if (!sessionData) {
         console.error(`❌ Session not found: ${sessionId}`);
-        console.log(`Available sessions: ${Array.from(sessions.keys()).join(', ')}`);
+        console.log(`Available sessions: ${(await sessionStore.keys()).join(', ')}`);
         return res.status(404).json({
           success: false,
           message: 'Session not found or expired'
@@ -223,45 +331,18 @@ if (aiService && calculator) {
       // ✅ CHANGE 3: Store userContext in session data for future use
       if (userContext) {
         sessionData.userContext = userContext;
-        sessions.set(sessionId, sessionData);
-      }
-  
-      // Apply filters
-      let filteredData = sessionData.data;
-      if (Object.keys(filters).length > 0) {
-        filteredData = calculator.applyFilters(sessionData.data, filters, dataLimit);
-        console.log(`Filtered to ${filteredData.length} rows`);
+        await sessionStore.set(sessionId, sessionData);
       }
   
-      // Use sample for AI suggestions
-      const sampleData = sessionData.sampleData || filteredData.slice(0, 100);
-      
-      // Get AI suggestions
       console.log('🤖 Getting AI suggestions...');
-      // ✅ CHANGE 4: Pass userContext to AI service
-      const suggestions = await aiService.getSuggestions(
-        sessionData.schema, 
-        sampleData, 
-        userContext  // Pass user context to AI
-      );
-
-      // Calculate KPIs
-      console.log('📊 Calculating KPIs...');
-      const kpis = calculator.calculateKPIs(
-        filteredData, 
-        sessionData.schema, 
-        suggestions.kpis, 
-        dataLimit
-      );
-      
-      // Generate charts
-      console.log('📈 Generating charts...');
-      const charts = calculator.generateChartConfigs(
-        filteredData, 
-        sessionData.schema, 
-        suggestions.charts, 
-        dataLimit
+      const { kpis, charts, insights, filteredData } = await buildDashboard(
+        sessionId,
+        sessionData,
+        { filters, dataLimit, userContext, timeFilter, comparison, includeCustomCharts: false }
       );
+      if (filteredData.length !== sessionData.data.length) {
+        console.log(`Filtered to ${filteredData.length} rows`);
+      }
 
       console.log(`✅ Dashboard generated: ${kpis.length} KPIs, ${charts.length} charts`);
 
@@ -269,7 +350,7 @@ if (aiService && calculator) {
         success: true,
         kpis,
         charts,
-        insights: suggestions.insights || [],
+        insights,
         performanceInfo: {
           totalRecords: sessionData.data.length,
           filteredRecords: filteredData.length,
@@ -303,7 +384,15 @@ if (aiService && calculator) {
   router.post('/generate-dashboard-with-custom', async (req, res) => {
     try {
       // ✅ CHANGE 1: Extract userContext from request body
-      const { sessionId, filters = {}, includeCustomCharts = true, dataLimit, userContext = null } = req.body;
+      const {
+        sessionId,
+        filters = {},
+        includeCustomCharts = true,
+        dataLimit,
+        userContext = null,
+        timeFilter = null,
+        comparison = 'previous'
+      } = req.body;
       
       // ✅ CHANGE 2: Add logging for context
       if (userContext) {
@@ -313,7 +402,7 @@ if (aiService && calculator) {
         console.log(`📊 Generating dashboard with custom charts for session: ${sessionId} (automatic analysis)`);
       }
       
-      const sessionData = sessions.get(sessionId);
+      const sessionData = await sessionStore.get(sessionId);
   
       if (!sessionData) {
         console.error(`❌ Session not found: ${sessionId}`);
@@ -326,48 +415,21 @@ if (aiService && calculator) {
       // ✅ CHANGE 3: Store userContext in session data
       if (userContext) {
         sessionData.userContext = userContext;
-        sessions.set(sessionId, sessionData);
+        await sessionStore.set(sessionId, sessionData);
       }
   
-      // Apply filters with data limit
-      let filteredData = calculator.applyFilters(sessionData.data, filters, dataLimit);
-  
-      // Use sample for AI suggestions
-      const sampleData = sessionData.sampleData || filteredData.slice(0, 100);
-      
-      // Get AI suggestions for default charts
-      // ✅ CHANGE 4: Pass userContext to AI service
-      const suggestions = await aiService.getSuggestions(
-        sessionData.schema, 
-        sampleData, 
-        userContext  // Pass user context to AI
+      const { kpis, charts: allCharts, defaultCharts, customCharts, filteredData } = await buildDashboard(
+        sessionId,
+        sessionData,
+        { filters, dataLimit, userContext, timeFilter, comparison, includeCustomCharts }
       );
 
-      // Calculate KPIs with data limit
-      const kpis = calculator.calculateKPIs(filteredData, sessionData.schema, suggestions.kpis, dataLimit);
-
-      // Generate default charts with data limit
-      const defaultCharts = calculator.generateChartConfigs(filteredData, sessionData.schema, suggestions.charts, dataLimit);
-
-      // Include custom charts if requested
-      let customCharts = [];
-      if (includeCustomCharts && sessionData.customCharts && sessionData.customCharts.length > 0) {
-        console.log(`Including ${sessionData.customCharts.length} custom charts`);
-        customCharts = sessionData.customCharts.map(customChart => {
-          return calculator.generateSingleChartConfig(
-            filteredData,
-            sessionData.schema,
-            customChart,
-            dataLimit
-          );
-        });
-      }
-
-      // Combine all charts
-      const allCharts = [...defaultCharts, ...customCharts];
-
       // Get filter options
       const filterOptions = calculator.getFilterOptions(sessionData.data, sessionData.schema);
+      const timeFilters = timeSeries.getTimeFilterOptions(
+        sessionData.data,
+        calculator.getTimeColumn(sessionData.schema)
+      );
 
       console.log(`✅ Generated: ${kpis.length} KPIs, ${defaultCharts.length} default + ${customCharts.length} custom charts`);
 
@@ -379,7 +441,9 @@ if (aiService && calculator) {
           defaultChartsCount: defaultCharts.length,
           customChartsCount: customCharts.length,
           filterOptions,
+          timeFilters,
           activeFilters: filters,
+          activeTimeFilter: timeFilter,
           dataCount: filteredData.length,
           totalCount: sessionData.data.length,
           performance: {
@@ -413,10 +477,10 @@ if (aiService && calculator) {
 // GET FILTER OPTIONS
 // ============================================
 if (calculator) {
-  router.get('/filters/:sessionId', (req, res) => {
+  router.get('/filters/:sessionId', async (req, res) => {
     try {
       const { sessionId } = req.params;
-      const sessionData = sessions.get(sessionId);
+      const sessionData = await sessionStore.get(sessionId);
 
       if (!sessionData) {
         return res.status(404).json({
@@ -443,6 +507,45 @@ if (calculator) {
       });
     }
   });
+
+  // Distinct values of one column for type-ahead filters:
+  // GET /filters/:sessionId/values/:column?search=&match=prefix|contains&offset=0&limit=50
+  router.get('/filters/:sessionId/values/:column', async (req, res) => {
+    try {
+      const { sessionId, column } = req.params;
+      const { search = '', match = 'contains', offset = 0, limit = 50 } = req.query;
+      const sessionData = await sessionStore.get(sessionId);
+
+      if (!sessionData) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      if (!sessionData.schema.columns.some(c => c.name === column)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown column: ${column}`
+        });
+      }
+
+      const result = calculator.getColumnValues(sessionData.data, column, { search, match, offset, limit });
+
+      res.json({
+        success: true,
+        column,
+        ...result
+      });
+
+    } catch (error) {
+      console.error('❌ Filter values error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error getting filter values'
+      });
+    }
+  });
 } else {
   router.get('/filters/:sessionId', (req, res) => {
     res.status(501).json({
@@ -450,6 +553,13 @@ if (calculator) {
       message: 'Filter service not available'
     });
   });
+
+  router.get('/filters/:sessionId/values/:column', (req, res) => {
+    res.status(501).json({
+      success: false,
+      message: 'Filter service not available'
+    });
+  });
 }
 
 // ============================================
@@ -459,7 +569,7 @@ if (aiService && calculator) {
   router.post('/custom-chart-combinations', async (req, res) => {
     try {
       const { sessionId, selectedMeasures, selectedDimensions, activeFilters } = req.body;
-      const sessionData = sessions.get(sessionId);
+      const sessionData = await sessionStore.get(sessionId);
 
       if (!sessionData) {
         return res.status(404).json({
@@ -502,7 +612,7 @@ if (calculator) {
   router.post('/add-custom-chart', async (req, res) => {
     try {
       const { sessionId, chartCombination, activeFilters, dataLimit } = req.body;
-      const sessionData = sessions.get(sessionId);
+      const sessionData = await sessionStore.get(sessionId);
 
       if (!sessionData) {
         return res.status(404).json({
@@ -532,7 +642,8 @@ if (calculator) {
       chartConfig.isCustom = true;
       
       sessionData.customCharts.push(chartConfig);
-      sessions.set(sessionId, sessionData);
+      storyGenerator.invalidate(sessionData);
+      await sessionStore.set(sessionId, sessionData);
 
       console.log(`✅ Custom chart added. Total custom charts: ${sessionData.customCharts.length}`);
 
@@ -551,13 +662,175 @@ if (calculator) {
   });
 }
 
+// ============================================
+// CHART DATA (re-shape one chart, e.g. a new date grain or transform)
+// ============================================
+if (calculator) {
+  router.post('/chart-data', async (req, res) => {
+    try {
+      const { sessionId, chartConfig, activeFilters, dataLimit, timeFilter = null } = req.body;
+      const sessionData = await sessionStore.get(sessionId);
+
+      if (!sessionData) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      if (!chartConfig || !chartConfig.type || !Array.isArray(chartConfig.measures)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Chart configuration with a type and measures is required'
+        });
+      }
+
+      // A chart's own cross-filter selection is highlighted in it, not filtered out
+      const timeFilteredData = calculator.applyTimeFilter(sessionData.data, sessionData.schema, timeFilter);
+      const chartFilters = chartConfig.id ? filterModel.withoutSource(activeFilters, chartConfig.id) : activeFilters;
+      const filteredData = calculator.applyFilters(timeFilteredData, chartFilters, dataLimit);
+      const { data, config, ...chartDefinition } = chartConfig;
+
+      const chart = calculator.generateSingleChartConfig(
+        filteredData,
+        sessionData.schema,
+        chartDefinition,
+        dataLimit
+      );
+
+      res.json({
+        success: true,
+        chart
+      });
+
+    } catch (error) {
+      console.error('❌ Chart data error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error generating chart data: ' + error.message
+      });
+    }
+  });
+}
+
+// ============================================
+// CHART RECORDS (drill-through to the rows behind a chart point)
+// ============================================
+if (calculator && dataProcessor) {
+  router.post('/chart-records', async (req, res) => {
+    try {
+      const { sessionId, chartConfig, page = 0, pageSize = 50 } = req.body;
+      const sessionData = await sessionStore.get(sessionId);
+
+      if (!sessionData) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      if (!chartConfig || !Array.isArray(chartConfig.dimensions)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Chart configuration with dimensions is required'
+        });
+      }
+
+      const rows = findChartRecords(sessionData, req.body);
+      const size = Math.min(Math.max(parseInt(pageSize, 10) || 50, 1), 500);
+      const chunk = dataProcessor.getDataChunk(rows, Math.max(parseInt(page, 10) || 0, 0), size);
+
+      res.json({
+        success: true,
+        records: chunk.data,
+        columns: sessionData.schema.columns.map(column => ({ name: column.name, type: column.type })),
+        page: Math.floor(chunk.startIndex / size),
+        pageSize: size,
+        totalRows: chunk.totalRows,
+        hasMore: chunk.hasMore
+      });
+
+    } catch (error) {
+      console.error('❌ Chart records error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error loading chart records: ' + error.message
+      });
+    }
+  });
+
+  router.post('/chart-records/export', async (req, res) => {
+    try {
+      const { sessionId, chartConfig, format = 'csv', columns } = req.body;
+      const sessionData = await sessionStore.get(sessionId);
+
+      if (!sessionData) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      if (!chartConfig || !Array.isArray(chartConfig.dimensions)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Chart configuration with dimensions is required'
+        });
+      }
+
+      if (!['csv', 'xlsx'].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Format must be csv or xlsx'
+        });
+      }
+
+      const allColumns = sessionData.schema.columns.map(column => column.name);
+      const exportColumns = Array.isArray(columns) && columns.length > 0
+        ? columns.filter(column => allColumns.includes(column))
+        : allColumns;
+
+      const rows = findChartRecords(sessionData, req.body);
+      const file = dataProcessor.serializeRows(rows, exportColumns, format);
+      const fileName = `${String(chartConfig.title || 'chart').replace(/[^a-zA-Z0-9]+/g, '_')}_records.${file.extension}`;
+
+      console.log(`📤 Exporting ${rows.length} records as ${format} for session: ${sessionId}`);
+
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.send(file.content);
+
+    } catch (error) {
+      console.error('❌ Chart records export error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error exporting chart records: ' + error.message
+      });
+    }
+  });
+} else {
+  router.post('/chart-records', (req, res) => {
+    res.status(501).json({
+      success: false,
+      message: 'Chart records not available - Calculator missing'
+    });
+  });
+
+  router.post('/chart-records/export', (req, res) => {
+    res.status(501).json({
+      success: false,
+      message: 'Chart records not available - Calculator missing'
+    });
+  });
+}
+
 // ============================================
 // CHART INSIGHTS
 // ============================================
 router.post('/chart-insights', async (req, res) => {
   try {
-    const { sessionId, chartConfig } = req.body;
-    const sessionData = sessions.get(sessionId);
+    const { sessionId, chartConfig, activeFilters = {}, timeFilter = null, dataLimit } = req.body;
+    const sessionData = await sessionStore.get(sessionId);
 
     if (!sessionData) {
       return res.status(404).json({
@@ -566,24 +839,17 @@ router.post('/chart-insights', async (req, res) => {
       });
     }
 
-    const insights = {
-      story: `This ${chartConfig.type} chart shows ${chartConfig.measures.join(' and ')} across ${chartConfig.dimensions.join(' and ')}.`,
-      keyInsights: [
-        `Chart displays ${chartConfig.data?.length || 0} data points`,
-        `Primary measure: ${chartConfig.measures[0]}`,
-        `Grouped by: ${chartConfig.dimensions[0]}`
-      ],
-      dataAnalysis: {
-        chartType: chartConfig.type,
-        dataPoints: chartConfig.data?.length || 0,
-        measures: chartConfig.measures.length,
-        dimensions: chartConfig.dimensions.length
-      },
-      recommendations: [
-        'Consider filtering data for more focused insights',
-        'Try different chart types to explore various perspectives'
-      ]
-    };
+    if (!chartConfig || !Array.isArray(chartConfig.measures) || chartConfig.measures.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Chart configuration with at least one measure is required'
+      });
+    }
+
+    // Analyse the rows behind the chart, not the (possibly reduced) points it plotted, at its drill level
+    const rows = findChartRecords(sessionData, { chartConfig, activeFilters, timeFilter, dataLimit });
+    const { definition } = hierarchies.applyDrill(chartConfig, sessionData.schema);
+    const insights = await insightsEngine.analyzeChart(rows, sessionData.schema, definition);
 
     res.json({
       success: true,
@@ -605,7 +871,7 @@ router.post('/chart-insights', async (req, res) => {
 router.post('/dashboard-story', async (req, res) => {
   try {
     const { sessionId } = req.body;
-    const sessionData = sessions.get(sessionId);
+    const sessionData = await sessionStore.get(sessionId);
 
     if (!sessionData) {
       return res.status(404).json({
@@ -614,25 +880,26 @@ router.post('/dashboard-story', async (req, res) => {
       });
     }
 
-    const story = {
-      executiveSummary: `This dashboard provides comprehensive insights into your dataset with ${sessionData.data?.length || 0} total records.`,
-      keyFindings: [
-        `Dataset contains ${sessionData.schema?.measures?.length || 0} measurable metrics`,
-        `Data is categorized across ${sessionData.schema?.dimensions?.length || 0} different dimensions`
-      ],
-      trends: [
-        'Data patterns show consistent distribution across categories',
-        'Multiple correlation opportunities exist between measures'
-      ],
-      recommendations: [
-        'Focus on top-performing categories for strategic planning',
-        'Consider time-based analysis for trend identification'
-      ]
-    };
+    const { activeFilters = {}, timeFilter = null, dataLimit = null } = req.body;
+    const cacheKey = storyGenerator.getCacheKey(activeFilters, dataLimit, timeFilter);
+    const cached = storyGenerator.getCached(sessionData, cacheKey);
+
+    if (cached) {
+      return res.json({
+        success: true,
+        story: cached,
+        cached: true
+      });
+    }
+
+    const story = await storyGenerator.generate(sessionData, { activeFilters, timeFilter, dataLimit });
+    storyGenerator.cacheStory(sessionData, cacheKey, story);
+    await sessionStore.set(sessionId, sessionData);
 
     res.json({
       success: true,
-      story
+      story,
+      cached: false
     });
 
   } catch (error) {
@@ -644,39 +911,310 @@ router.post('/dashboard-story', async (req, res) => {
   }
 });
 
+// Streams the narrative as it is written (Server-Sent Events: token, done, error)
+router.post('/dashboard-story/stream', async (req, res) => {
+  const { sessionId, activeFilters = {}, timeFilter = null, dataLimit = null } = req.body;
+  let stream = null;
+
+  try {
+    const sessionData = await sessionStore.get(sessionId);
+
+    if (!sessionData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    stream = openEventStream(res);
+    const cacheKey = storyGenerator.getCacheKey(activeFilters, dataLimit, timeFilter);
+    const cached = storyGenerator.getCached(sessionData, cacheKey);
+
+    if (cached) {
+      stream.send('done', { success: true, story: cached, cached: true });
+      return;
+    }
+
+    const story = await storyGenerator.generate(sessionData, {
+      activeFilters,
+      timeFilter,
+      dataLimit,
+      signal: stream.signal,
+      onToken: (text) => stream.send('token', { text })
+    });
+
+    storyGenerator.cacheStory(sessionData, cacheKey, story);
+    await sessionStore.set(sessionId, sessionData);
+
+    stream.send('done', { success: true, story, cached: false });
+
+  } catch (error) {
+    if (stream?.signal.aborted) {
+      console.log(`🛑 Dashboard story stream cancelled for ${sessionId}`);
+    } else {
+      console.error('Dashboard story stream error:', error);
+      // Before the stream opens the error can still be a plain response
+      if (stream) {
+        stream.send('error', { message: 'Error generating dashboard story' });
+      } else {
+        res.status(500).json({
+          success: false,
+          message: 'Error generating dashboard story'
+        });
+      }
+    }
+  } finally {
+    if (stream) stream.close();
+  }
+});
+
 // ============================================
-// DEBUG ROUTES
+// DASHBOARD REPORT (PDF / POWERPOINT)
 // ============================================
-router.get('/sessions', (req, res) => {
-  const sessionList = Array.from(sessions.keys()).map(key => {
-    const sessionData = sessions.get(key);
-    return {
-      sessionId: key,
-      fileName: sessionData?.fileName,
-      uploadTime: sessionData?.uploadedAt,
-      rowCount: sessionData?.fullDataCount || 0
-    };
+if (calculator) {
+  const reportGenerator = require('../services/reportGenerator');
+
+  router.post('/dashboard-report', async (req, res) => {
+    try {
+      const {
+        sessionId,
+        format = 'pdf',
+        filters = {},
+        timeFilter = null,
+        comparison = 'previous',
+        dataLimit = null,
+        chartIds,
+        title
+      } = req.body;
+      const sessionData = await sessionStore.get(sessionId);
+
+      if (!sessionData) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      if (!reportGenerator.formats.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: `Format must be ${reportGenerator.formats.join(' or ')}`
+        });
+      }
+
+      const { kpis, charts, filteredData } = await buildDashboard(sessionId, sessionData, {
+        filters,
+        dataLimit,
+        timeFilter,
+        comparison
+      });
+
+      // Only the charts the user has open, in the order they are laid out
+      const reportCharts = Array.isArray(chartIds)
+        ? chartIds.map(id => charts.find(chart => chart.id === id)).filter(Boolean)
+        : charts;
+
+      const cacheKey = storyGenerator.getCacheKey(filters, dataLimit, timeFilter);
+      let story = storyGenerator.getCached(sessionData, cacheKey);
+      if (!story) {
+        story = await storyGenerator.generate(sessionData, { activeFilters: filters, timeFilter, dataLimit });
+        storyGenerator.cacheStory(sessionData, cacheKey, story);
+        await sessionStore.set(sessionId, sessionData);
+      }
+
+      // Speaker notes use the computed findings - one narrative request per chart would hold the export up.
+      // Each chart is analysed on the rows it is drawn from (without its own cross-filter selection).
+      const notedCharts = await Promise.all(reportCharts.map(async (chart) => {
+        try {
+          const rows = findChartRecords(sessionData, { chartConfig: chart, activeFilters: filters, timeFilter, dataLimit });
+          const insights = await insightsEngine.analyzeChart(rows, sessionData.schema, chart, { narrative: false });
+          return { chart, notes: [insights.story, ...insights.keyInsights, ...insights.recommendations].filter(Boolean) };
+        } catch (error) {
+          console.warn(`⚠️ No insights for chart "${chart.title}":`, error.message);
+          return { chart, notes: [] };
+        }
+      }));
+
+      const range = timeSeries.resolveRange(timeFilter);
+      const reportTitle = String(title || sessionData.savedDashboard?.name || sessionData.fileName || 'Dashboard').trim();
+
+      const file = await reportGenerator.render({
+        title: reportTitle,
+        fileName: sessionData.fileName,
+        generatedAt: new Date().toISOString(),
+        scope: { totalRecords: sessionData.data.length, filteredRecords: filteredData.length, dataLimit },
+        filters: filterModel.describe(filters),
+        period: range ? timeSeries.describeRange(range, timeFilter.type) : null,
+        kpis,
+        charts: notedCharts,
+        story
+      }, format);
+      const fileName = `${reportTitle.replace(/[^a-zA-Z0-9]+/g, '_')}_report.${file.extension}`;
+
+      console.log(`📑 Exporting ${format} report with ${notedCharts.length} charts for session: ${sessionId}`);
+
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.send(file.content);
+
+    } catch (error) {
+      console.error('❌ Dashboard report error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error generating dashboard report: ' + error.message
+      });
+    }
   });
+} else {
+  router.post('/dashboard-report', (req, res) => {
+    res.status(501).json({
+      success: false,
+      message: 'Dashboard report not available - Calculator missing'
+    });
+  });
+}
 
-  res.json({
-    success: true,
-    sessions: sessionList,
-    totalSessions: sessionList.length
+// ============================================
+// TALK TO DATA CHATBOT
+// ============================================
+try {
+  router.use('/chatbot', require('./chatbot'));
+  console.log('✅ Chatbot routes mounted');
+} catch (error) {
+  console.error('⚠️ Chatbot routes unavailable:', error.message);
+  router.use('/chatbot', (req, res) => {
+    res.status(501).json({
+      success: false,
+      message: 'Chatbot service not available'
+    });
   });
+}
+
+// ============================================
+// CALCULATED FIELDS
+// ============================================
+try {
+  router.use('/calculated-fields', require('./calculatedFields'));
+  console.log('✅ Calculated field routes mounted');
+} catch (error) {
+  console.error('⚠️ Calculated field routes unavailable:', error.message);
+  router.use('/calculated-fields', (req, res) => {
+    res.status(501).json({
+      success: false,
+      message: 'Calculated fields not available'
+    });
+  });
+}
+
+// ============================================
+// DIMENSION HIERARCHIES (drill-down)
+// ============================================
+try {
+  router.use('/hierarchies', require('./hierarchies'));
+  console.log('✅ Hierarchy routes mounted');
+} catch (error) {
+  console.error('⚠️ Hierarchy routes unavailable:', error.message);
+  router.use('/hierarchies', (req, res) => {
+    res.status(501).json({
+      success: false,
+      message: 'Hierarchies not available'
+    });
+  });
+}
+
+// ============================================
+// SAVED DASHBOARDS
+// ============================================
+try {
+  router.use('/dashboards', require('./dashboards'));
+  console.log('✅ Saved dashboard routes mounted');
+} catch (error) {
+  console.error('⚠️ Saved dashboard routes unavailable:', error.message);
+  router.use('/dashboards', (req, res) => {
+    res.status(501).json({
+      success: false,
+      message: 'Saved dashboards not available'
+    });
+  });
+}
+
+// ============================================
+// DATA EXPORTS
+// ============================================
+try {
+  router.use('/export', require('./exports'));
+  console.log('✅ Data export routes mounted');
+} catch (error) {
+  console.error('⚠️ Data export routes unavailable:', error.message);
+  router.use('/export', (req, res) => {
+    res.status(501).json({
+      success: false,
+      message: 'Data exports not available'
+    });
+  });
+}
+
+// ============================================
+// SHARE LINKS
+// ============================================
+try {
+  router.use('/shares', require('./shares'));
+  console.log('✅ Share link routes mounted');
+} catch (error) {
+  console.error('⚠️ Share link routes unavailable:', error.message);
+  router.use('/shares', (req, res) => {
+    res.status(501).json({
+      success: false,
+      message: 'Share links not available'
+    });
+  });
+}
+
+// ============================================
+// DEBUG ROUTES
+// ============================================
+router.get('/sessions', async (req, res) => {
+  try {
+    const sessionList = (await sessionStore.list()).map(session => ({
+      sessionId: session.sessionId,
+      fileName: session.fileName,
+      uploadTime: session.uploadedAt,
+      lastAccessedAt: session.lastAccessedAt,
+      rowCount: session.fullDataCount || 0
+    }));
+
+    res.json({
+      success: true,
+      sessions: sessionList,
+      totalSessions: sessionList.length,
+      driver: sessionStore.driver.name
+    });
+
+  } catch (error) {
+    console.error('❌ List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error listing sessions'
+    });
+  }
 });
 
-router.delete('/sessions', (req, res) => {
-  const count = sessions.size;
-  sessions.clear();
-  
-  if (calculator) {
-    calculator.clearCache();
+router.delete('/sessions', async (req, res) => {
+  try {
+    const count = await sessionStore.clear();
+
+    res.json({
+      success: true,
+      message: `Cleared ${count} sessions`
+    });
+
+  } catch (error) {
+    console.error('❌ Clear sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error clearing sessions'
+    });
   }
-  
-  res.json({
-    success: true,
-    message: `Cleared ${count} sessions`
-  });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
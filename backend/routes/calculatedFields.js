@@ -0,0 +1,146 @@
+// backend/routes/calculatedFields.js - Calculated field (formula measure) routes
+const express = require('express');
+const router = express.Router();
+
+const calculator = require('../services/calculator');
+const sessionStore = require('../services/sessionStore');
+const storyGenerator = require('../services/storyGenerator');
+const { ExpressionError } = require('../services/expression');
+
+const FORMATS = ['number', 'currency', 'percent'];
+
+const sessionNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Session not found or expired'
+});
+
+/**
+ * Invalid expressions are the user's to fix (400); anything else is a server error
+ */
+const sendError = (res, error, fallbackMessage) => {
+  if (error instanceof ExpressionError) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      position: error.position
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// ============================================
+// LIST CALCULATED FIELDS
+// ============================================
+router.get('/:sessionId', async (req, res) => {
+  try {
+    const sessionData = await sessionStore.get(req.params.sessionId);
+
+    if (!sessionData) {
+      return sessionNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      fields: sessionData.schema.calculatedFields || []
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error loading calculated fields');
+  }
+});
+
+// ============================================
+// VALIDATE EXPRESSION
+// ============================================
+router.post('/validate', async (req, res) => {
+  try {
+    const { sessionId, expression, name } = req.body;
+    const sessionData = await sessionStore.get(sessionId);
+
+    if (!sessionData) {
+      return sessionNotFound(res);
+    }
+
+    try {
+      const result = calculator.previewExpression(sessionData, expression, name || null);
+      res.json({ success: true, valid: true, ...result });
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) throw error;
+      res.json({ success: true, valid: false, error: error.message, position: error.position });
+    }
+
+  } catch (error) {
+    sendError(res, error, 'Error validating expression');
+  }
+});
+
+// ============================================
+// SAVE CALCULATED FIELD
+// ============================================
+router.post('/', async (req, res) => {
+  try {
+    const { sessionId, name, expression, format = 'number' } = req.body;
+    const sessionData = await sessionStore.get(sessionId);
+
+    if (!sessionData) {
+      return sessionNotFound(res);
+    }
+
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${FORMATS.join(', ')}`
+      });
+    }
+
+    const field = calculator.addCalculatedField(sessionData, { name, expression, format });
+    storyGenerator.invalidate(sessionData);
+    await sessionStore.set(sessionId, sessionData);
+
+    console.log(`🧮 Saved calculated field "${field.name}" for session: ${sessionId}`);
+
+    res.json({
+      success: true,
+      field,
+      schema: sessionData.schema
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error saving calculated field');
+  }
+});
+
+// ============================================
+// DELETE CALCULATED FIELD
+// ============================================
+router.delete('/:sessionId/:name', async (req, res) => {
+  try {
+    const { sessionId, name } = req.params;
+    const sessionData = await sessionStore.get(sessionId);
+
+    if (!sessionData) {
+      return sessionNotFound(res);
+    }
+
+    calculator.removeCalculatedField(sessionData, name);
+    storyGenerator.invalidate(sessionData);
+    await sessionStore.set(sessionId, sessionData);
+
+    console.log(`🗑️ Removed calculated field "${name}" for session: ${sessionId}`);
+
+    res.json({
+      success: true,
+      schema: sessionData.schema
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error removing calculated field');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,333 @@
+// backend/routes/chatbot.js - Talk to Data chatbot routes
+const express = require('express');
+const router = express.Router();
+
+const chatbotService = require('../services/chatbotService');
+const sessionStore = require('../services/sessionStore');
+const { openEventStream } = require('../utils/sse');
+
+// Keep server-side history bounded so sessions don't grow without limit
+const MAX_HISTORY_ENTRIES = parseInt(process.env.CHATBOT_HISTORY_LIMIT, 10) || 100;
+
+// Number of previous entries passed to the model as conversation context
+const CONTEXT_ENTRIES = 10;
+
+const VALID_ROLES = ['user', 'assistant'];
+
+/**
+ * Append entries to a session's chat history, trimming the oldest ones
+ */
+const appendHistory = (sessionData, entries) => {
+  if (!Array.isArray(sessionData.chatHistory)) {
+    sessionData.chatHistory = [];
+  }
+
+  sessionData.chatHistory.push(...entries);
+
+  if (sessionData.chatHistory.length > MAX_HISTORY_ENTRIES) {
+    sessionData.chatHistory = sessionData.chatHistory.slice(-MAX_HISTORY_ENTRIES);
+  }
+
+  return sessionData.chatHistory;
+};
+
+/**
+ * Previous turns passed to the model - context comes from the server-side history, not the client
+ */
+const getConversationContext = (sessionData) => (sessionData.chatHistory || [])
+  .slice(-CONTEXT_ENTRIES)
+  .map(entry => ({ role: entry.role, content: entry.content }));
+
+const createUserEntry = (message) => ({
+  role: 'user',
+  type: 'text',
+  content: String(message).trim(),
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Store a completed question/answer pair in the session history
+ */
+const recordExchange = async (sessionId, sessionData, userEntry, response) => {
+  appendHistory(sessionData, [userEntry, {
+    role: 'assistant',
+    type: response.type,
+    content: response.content,
+    table: response.table,
+    summary: response.summary,
+    timestamp: new Date().toISOString()
+  }]);
+  await sessionStore.set(sessionId, sessionData);
+};
+
+const sessionNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Session not found or expired'
+});
+
+// ============================================
+// GET SUGGESTED QUESTIONS
+// ============================================
+router.get('/questions/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const sessionData = await sessionStore.get(sessionId);
+
+    if (!sessionData) {
+      return sessionNotFound(res);
+    }
+
+    // Generate once per session, then serve the stored questions
+    if (!Array.isArray(sessionData.chatbotQuestions) || sessionData.chatbotQuestions.length === 0) {
+      sessionData.chatbotQuestions = await chatbotService.generateSuggestedQuestions(
+        sessionData.schema,
+        sessionData.validationResult,
+        sessionData.sampleData || []
+      );
+      await sessionStore.set(sessionId, sessionData);
+      console.log(`✅ Generated ${sessionData.chatbotQuestions.length} chatbot questions for ${sessionId}`);
+    }
+
+    res.json({
+      success: true,
+      questions: sessionData.chatbotQuestions
+    });
+
+  } catch (error) {
+    console.error('❌ Chatbot questions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving chatbot questions'
+    });
+  }
+});
+
+// ============================================
+// SEND MESSAGE
+// ============================================
+router.post('/message', async (req, res) => {
+  try {
+    const { sessionId, message } = req.body;
+
+    if (!message || !String(message).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message is required'
+      });
+    }
+
+    const sessionData = await sessionStore.get(sessionId);
+
+    if (!sessionData) {
+      return sessionNotFound(res);
+    }
+
+    console.log(`💬 Processing chatbot message for session: ${sessionId}`);
+
+    const userEntry = createUserEntry(message);
+    const response = await chatbotService.processMessage(
+      userEntry.content,
+      sessionData,
+      getConversationContext(sessionData)
+    );
+
+    await recordExchange(sessionId, sessionData, userEntry, response);
+
+    res.json({
+      success: true,
+      response,
+      historyLength: sessionData.chatHistory.length
+    });
+
+  } catch (error) {
+    console.error('❌ Chatbot message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing message: ' + error.message,
+      response: {
+        type: 'text',
+        content: "I'm sorry, I encountered an error. Please try rephrasing your question."
+      }
+    });
+  }
+});
+
+// ============================================
+// SEND MESSAGE (STREAMED)
+// ============================================
+// Server-Sent Events: `token` chunks while narrative answers are written,
+// then `done` with the full response (or `error`). Closing the connection
+// cancels the upstream AI request.
+router.post('/message/stream', async (req, res) => {
+  const { sessionId, message } = req.body;
+
+  if (!message || !String(message).trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Message is required'
+    });
+  }
+
+  let stream = null;
+
+  try {
+    const sessionData = await sessionStore.get(sessionId);
+
+    if (!sessionData) {
+      return sessionNotFound(res);
+    }
+
+    stream = openEventStream(res);
+    const userEntry = createUserEntry(message);
+
+    console.log(`💬 Streaming chatbot message for session: ${sessionId}`);
+
+    const response = await chatbotService.processMessage(
+      userEntry.content,
+      sessionData,
+      getConversationContext(sessionData),
+      {
+        signal: stream.signal,
+        onToken: (text) => stream.send('token', { text })
+      }
+    );
+
+    await recordExchange(sessionId, sessionData, userEntry, response);
+
+    stream.send('done', {
+      success: true,
+      response,
+      historyLength: sessionData.chatHistory.length
+    });
+
+  } catch (error) {
+    if (stream?.signal.aborted) {
+      console.log(`🛑 Chatbot stream cancelled for ${sessionId}`);
+    } else {
+      console.error('❌ Chatbot stream error:', error);
+      // Before the stream opens the error can still be a plain response
+      if (stream) {
+        stream.send('error', { message: 'Error processing message: ' + error.message });
+      } else {
+        res.status(500).json({
+          success: false,
+          message: 'Error processing message: ' + error.message
+        });
+      }
+    }
+  } finally {
+    if (stream) stream.close();
+  }
+});
+
+// ============================================
+// GET CONVERSATION HISTORY
+// ============================================
+router.get('/history/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const limit = parseInt(req.query.limit, 10);
+    const sessionData = await sessionStore.get(sessionId);
+
+    if (!sessionData) {
+      return sessionNotFound(res);
+    }
+
+    const history = sessionData.chatHistory || [];
+
+    res.json({
+      success: true,
+      history: limit > 0 ? history.slice(-limit) : history,
+      total: history.length
+    });
+
+  } catch (error) {
+    console.error('❌ Chatbot history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving chat history'
+    });
+  }
+});
+
+// ============================================
+// APPEND TO CONVERSATION HISTORY
+// ============================================
+router.post('/history/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const entries = Array.isArray(req.body.entries) ? req.body.entries : [req.body];
+
+    const invalid = entries.find(entry =>
+      !entry || !VALID_ROLES.includes(entry.role) || typeof entry.content !== 'string'
+    );
+
+    if (entries.length === 0 || invalid) {
+      return res.status(400).json({
+        success: false,
+        message: `Each history entry needs a role (${VALID_ROLES.join(' or ')}) and string content`
+      });
+    }
+
+    const sessionData = await sessionStore.get(sessionId);
+
+    if (!sessionData) {
+      return sessionNotFound(res);
+    }
+
+    const history = appendHistory(sessionData, entries.map(entry => ({
+      role: entry.role,
+      type: entry.type || 'text',
+      content: entry.content,
+      table: entry.table,
+      summary: entry.summary,
+      timestamp: entry.timestamp || new Date().toISOString()
+    })));
+
+    await sessionStore.set(sessionId, sessionData);
+
+    res.json({
+      success: true,
+      history,
+      total: history.length
+    });
+
+  } catch (error) {
+    console.error('❌ Append history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating chat history'
+    });
+  }
+});
+
+// ============================================
+// CLEAR CONVERSATION HISTORY
+// ============================================
+router.delete('/history/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const sessionData = await sessionStore.get(sessionId);
+
+    if (!sessionData) {
+      return sessionNotFound(res);
+    }
+
+    sessionData.chatHistory = [];
+    await sessionStore.set(sessionId, sessionData);
+
+    res.json({
+      success: true,
+      message: 'Chat history cleared'
+    });
+
+  } catch (error) {
+    console.error('❌ Clear history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error clearing chat history'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,270 @@
+// backend/routes/dashboards.js - Saved dashboard routes
+const express = require('express');
+const router = express.Router();
+
+const calculator = require('../services/calculator');
+const dashboardStore = require('../services/dashboardStore');
+const sessionStore = require('../services/sessionStore');
+const storyGenerator = require('../services/storyGenerator');
+const { DashboardError } = require('../services/dashboardStore');
+const { ExpressionError } = require('../services/expression');
+
+const sessionNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Session not found or expired'
+});
+
+const dashboardNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Saved dashboard not found'
+});
+
+/**
+ * Invalid requests are the user's to fix (400, or 409 when the file doesn't match); anything else is a server error
+ */
+const sendError = (res, error, fallbackMessage) => {
+  if (error instanceof DashboardError) {
+    return res.status(error.details ? 409 : 400).json({
+      success: false,
+      message: error.message,
+      ...(error.details && { mismatches: error.details })
+    });
+  }
+
+  if (error instanceof ExpressionError) {
+    return res.status(400).json({
+      success: false,
+      message: `A saved calculated field no longer works: ${error.message}`
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+/**
+ * Rebuild a saved dashboard on a session: calculated fields and custom hierarchies first (charts
+ * may use them), then pin its KPI and chart definitions so regenerating doesn't ask the AI again.
+ */
+const openOnSession = (dashboard, sessionData) => {
+  dashboardStore.assertCompatible(dashboard, sessionData.schema);
+
+  // Fields are added to a copy, so a field that no longer works leaves the session as it was
+  const draft = { ...sessionData, schema: { ...sessionData.schema } };
+  dashboard.calculatedFields.forEach(field => calculator.addCalculatedField(draft, field));
+  sessionData.schema = draft.schema;
+  sessionData.data = draft.data;
+  sessionData.sampleData = draft.sampleData;
+
+  const savedIds = new Set(dashboard.hierarchies.map(hierarchy => hierarchy.id));
+  sessionData.schema.hierarchies = [
+    ...(sessionData.schema.hierarchies || []).filter(hierarchy => !savedIds.has(hierarchy.id)),
+    ...dashboard.hierarchies
+  ];
+
+  sessionData.dashboardDefinition = { kpis: dashboard.kpis, charts: dashboard.charts };
+  sessionData.customCharts = dashboard.customCharts.map(chart => ({ ...chart }));
+  sessionData.savedDashboard = { id: dashboard.id, name: dashboard.name };
+  sessionData.layout = dashboard.display.layout || null;
+  storyGenerator.invalidate(sessionData);
+};
+
+// ============================================
+// LIST SAVED DASHBOARDS
+// ============================================
+router.get('/', async (req, res) => {
+  try {
+    const { sessionId } = req.query;
+    let schema = null;
+
+    // With a session, flag which dashboards can be opened on its file
+    if (sessionId) {
+      const sessionData = await sessionStore.get(sessionId);
+      if (!sessionData) {
+        return sessionNotFound(res);
+      }
+      schema = sessionData.schema;
+    }
+
+    res.json({
+      success: true,
+      dashboards: (await dashboardStore.list()).map(dashboard => dashboardStore.summarize(dashboard, schema))
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error loading saved dashboards');
+  }
+});
+
+// ============================================
+// LOAD SAVED DASHBOARD
+// ============================================
+router.get('/:id', async (req, res) => {
+  try {
+    const dashboard = await dashboardStore.get(req.params.id);
+
+    if (!dashboard) {
+      return dashboardNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      dashboard
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error loading saved dashboard');
+  }
+});
+
+// ============================================
+// SAVE CURRENT DASHBOARD
+// ============================================
+router.post('/', async (req, res) => {
+  try {
+    const { sessionId, name, description, state } = req.body;
+    const sessionData = await sessionStore.get(sessionId);
+
+    if (!sessionData) {
+      return sessionNotFound(res);
+    }
+
+    const dashboard = await dashboardStore.create(sessionData, { name, description, state });
+
+    sessionData.savedDashboard = { id: dashboard.id, name: dashboard.name };
+    await sessionStore.set(sessionId, sessionData);
+
+    console.log(`💾 Saved dashboard "${dashboard.name}" (${dashboard.id}) from session: ${sessionId}`);
+
+    res.json({
+      success: true,
+      dashboard
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error saving dashboard');
+  }
+});
+
+// ============================================
+// UPDATE SAVED DASHBOARD
+// ============================================
+router.put('/:id', async (req, res) => {
+  try {
+    const { sessionId, name, description, state } = req.body;
+    let sessionData = null;
+
+    // Without a session this is a rename; with one, the session's dashboard overwrites the saved one
+    if (sessionId) {
+      sessionData = await sessionStore.get(sessionId);
+      if (!sessionData) {
+        return sessionNotFound(res);
+      }
+    }
+
+    const dashboard = await dashboardStore.update(req.params.id, { name, description, sessionData, state });
+
+    if (!dashboard) {
+      return dashboardNotFound(res);
+    }
+
+    if (sessionData) {
+      sessionData.savedDashboard = { id: dashboard.id, name: dashboard.name };
+      await sessionStore.set(sessionId, sessionData);
+    }
+
+    console.log(`💾 Updated dashboard "${dashboard.name}" (${dashboard.id})`);
+
+    res.json({
+      success: true,
+      dashboard
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error updating dashboard');
+  }
+});
+
+// ============================================
+// DUPLICATE SAVED DASHBOARD
+// ============================================
+router.post('/:id/duplicate', async (req, res) => {
+  try {
+    const dashboard = await dashboardStore.duplicate(req.params.id, req.body.name);
+
+    if (!dashboard) {
+      return dashboardNotFound(res);
+    }
+
+    console.log(`📄 Duplicated dashboard ${req.params.id} as ${dashboard.id}`);
+
+    res.json({
+      success: true,
+      dashboard
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error duplicating dashboard');
+  }
+});
+
+// ============================================
+// OPEN SAVED DASHBOARD ON A SESSION
+// ============================================
+router.post('/:id/open', async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+    const [dashboard, sessionData] = await Promise.all([
+      dashboardStore.get(req.params.id),
+      sessionStore.get(sessionId)
+    ]);
+
+    if (!sessionData) {
+      return sessionNotFound(res);
+    }
+    if (!dashboard) {
+      return dashboardNotFound(res);
+    }
+
+    openOnSession(dashboard, sessionData);
+    await sessionStore.set(sessionId, sessionData);
+
+    console.log(`📂 Opened dashboard "${dashboard.name}" on session: ${sessionId}`);
+
+    res.json({
+      success: true,
+      dashboard,
+      schema: sessionData.schema
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error opening dashboard');
+  }
+});
+
+// ============================================
+// DELETE SAVED DASHBOARD
+// ============================================
+router.delete('/:id', async (req, res) => {
+  try {
+    const removed = await dashboardStore.remove(req.params.id);
+
+    if (!removed) {
+      return dashboardNotFound(res);
+    }
+
+    console.log(`🗑️ Deleted saved dashboard: ${req.params.id}`);
+
+    res.json({
+      success: true
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error deleting dashboard');
+  }
+});
+
+module.exports = router;
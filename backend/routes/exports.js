@@ -0,0 +1,157 @@
+// backend/routes/exports.js - Filtered data and chart data downloads (CSV, XLSX, Parquet)
+const express = require('express');
+const router = express.Router();
+
+const calculator = require('../services/calculator');
+const dataProcessor = require('../services/dataProcessor');
+const filterModel = require('../services/filterModel');
+const sessionStore = require('../services/sessionStore');
+
+const formats = ['csv', 'xlsx', 'parquet'];
+
+const toFileName = (name) => String(name || 'export').replace(/[^a-zA-Z0-9]+/g, '_');
+
+/**
+ * Columns of a chart's series: every key holding plain values, typed number when all its values are numbers
+ */
+const getSeriesColumns = (series) => {
+  const names = [];
+  series.forEach(point => Object.keys(point).forEach(key => {
+    if (!names.includes(key) && (point[key] === null || typeof point[key] !== 'object')) names.push(key);
+  }));
+
+  return names.map(name => ({
+    name,
+    type: series.every(point => point[name] === null || point[name] === undefined || typeof point[name] === 'number') ? 'number' : 'string'
+  }));
+};
+
+/**
+ * Once streaming has started the status is sent, so a failure can only cut the download short
+ */
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+
+  if (res.headersSent) {
+    res.destroy(error);
+    return;
+  }
+
+  res.status(500).json({
+    success: false,
+    message: `${fallbackMessage}: ${error.message}`
+  });
+};
+
+const startDownload = (res, format, baseName) => {
+  const { contentType, extension } = dataProcessor.getExportFormat(format);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${toFileName(baseName)}.${extension}"`);
+};
+
+// ============================================
+// FILTERED DATASET
+// ============================================
+router.post('/data', async (req, res) => {
+  try {
+    const { sessionId, format = 'csv', filters = {}, timeFilter = null, dataLimit = null, columns } = req.body;
+    const sessionData = await sessionStore.get(sessionId);
+
+    if (!sessionData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (!formats.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be ${formats.join(', ')}`
+      });
+    }
+
+    const timeFilteredData = calculator.applyTimeFilter(sessionData.data, sessionData.schema, timeFilter);
+    const rows = calculator.applyFilters(timeFilteredData, filters, dataLimit);
+    const exportColumns = Array.isArray(columns) && columns.length > 0
+      ? sessionData.schema.columns.filter(column => columns.includes(column.name))
+      : sessionData.schema.columns;
+
+    console.log(`📤 Exporting ${rows.length} filtered rows as ${format} for session: ${sessionId}`);
+
+    startDownload(res, format, `${String(sessionData.fileName || 'data').replace(/\.[^.]+$/, '')}_filtered`);
+    await dataProcessor.writeRows(rows, exportColumns, format, res);
+
+  } catch (error) {
+    sendError(res, error, 'Error exporting filtered data');
+  }
+});
+
+// ============================================
+// CHART DATA (AGGREGATED SERIES)
+// ============================================
+router.post('/charts', async (req, res) => {
+  try {
+    const { sessionId, format = 'xlsx', charts, filters = {}, timeFilter = null, dataLimit = null } = req.body;
+    const sessionData = await sessionStore.get(sessionId);
+
+    if (!sessionData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (!formats.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be ${formats.join(', ')}`
+      });
+    }
+
+    if (!Array.isArray(charts) || charts.length === 0 || charts.some(chart => !Array.isArray(chart?.measures))) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one chart configuration with measures is required'
+      });
+    }
+
+    if (format !== 'xlsx' && charts.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: `${format.toUpperCase()} holds a single chart - use xlsx to export several (one sheet per chart)`
+      });
+    }
+
+    // Each chart is computed the way it is drawn: without its own cross-filter selection
+    const timeFilteredData = calculator.applyTimeFilter(sessionData.data, sessionData.schema, timeFilter);
+    const tables = charts.map(chart => {
+      const chartFilters = chart.id ? filterModel.withoutSource(filters, chart.id) : filters;
+      const filteredData = calculator.applyFilters(timeFilteredData, chartFilters, dataLimit);
+      const series = calculator.getChartSeries(filteredData, sessionData.schema, chart, dataLimit);
+      return { title: chart.title || chart.id || 'Chart', series, columns: getSeriesColumns(series) };
+    });
+
+    console.log(`📤 Exporting ${tables.length} chart series as ${format} for session: ${sessionId}`);
+
+    if (format === 'xlsx') {
+      const file = dataProcessor.serializeWorkbook(tables.map(table => ({
+        name: table.title,
+        columns: table.columns.map(column => column.name),
+        table: table.series.map(point => table.columns.map(column => point[column.name] ?? ''))
+      })));
+      const baseName = tables.length === 1 ? `${tables[0].title}_data` : `${String(sessionData.fileName || 'dashboard').replace(/\.[^.]+$/, '')}_charts`;
+
+      startDownload(res, format, baseName);
+      return res.send(file.content);
+    }
+
+    startDownload(res, format, `${tables[0].title}_data`);
+    await dataProcessor.writeRows(tables[0].series, tables[0].columns, format, res);
+
+  } catch (error) {
+    sendError(res, error, 'Error exporting chart data');
+  }
+});
+
+module.exports = router;
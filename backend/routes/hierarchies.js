@@ -0,0 +1,108 @@
+// backend/routes/hierarchies.js - Dimension hierarchy (drill-down path) routes
+const express = require('express');
+const router = express.Router();
+
+const hierarchies = require('../services/hierarchies');
+const sessionStore = require('../services/sessionStore');
+const { HierarchyError } = require('../services/hierarchies');
+
+const sessionNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Session not found or expired'
+});
+
+/**
+ * Invalid hierarchies are the user's to fix (400); anything else is a server error
+ */
+const sendError = (res, error, fallbackMessage) => {
+  if (error instanceof HierarchyError) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// ============================================
+// LIST HIERARCHIES
+// ============================================
+router.get('/:sessionId', async (req, res) => {
+  try {
+    const sessionData = await sessionStore.get(req.params.sessionId);
+
+    if (!sessionData) {
+      return sessionNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      hierarchies: sessionData.schema.hierarchies || []
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error loading hierarchies');
+  }
+});
+
+// ============================================
+// SAVE HIERARCHY
+// ============================================
+router.post('/', async (req, res) => {
+  try {
+    const { sessionId, id, name, levels } = req.body;
+    const sessionData = await sessionStore.get(sessionId);
+
+    if (!sessionData) {
+      return sessionNotFound(res);
+    }
+
+    const hierarchy = hierarchies.save(sessionData.schema, { id, name, levels });
+    await sessionStore.set(sessionId, sessionData);
+
+    console.log(`🪜 Saved hierarchy "${hierarchy.name}" for session: ${sessionId}`);
+
+    res.json({
+      success: true,
+      hierarchy,
+      schema: sessionData.schema
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error saving hierarchy');
+  }
+});
+
+// ============================================
+// DELETE HIERARCHY
+// ============================================
+router.delete('/:sessionId/:id', async (req, res) => {
+  try {
+    const { sessionId, id } = req.params;
+    const sessionData = await sessionStore.get(sessionId);
+
+    if (!sessionData) {
+      return sessionNotFound(res);
+    }
+
+    hierarchies.remove(sessionData.schema, id);
+    await sessionStore.set(sessionId, sessionData);
+
+    console.log(`🗑️ Removed hierarchy "${id}" for session: ${sessionId}`);
+
+    res.json({
+      success: true,
+      schema: sessionData.schema
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error removing hierarchy');
+  }
+});
+
+module.exports = router;
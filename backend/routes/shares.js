@@ -0,0 +1,273 @@
+// backend/routes/shares.js - Shareable read-only dashboard links
+const express = require('express');
+const router = express.Router();
+
+const calculator = require('../services/calculator');
+const dashboardStore = require('../services/dashboardStore');
+const filterModel = require('../services/filterModel');
+const sessionStore = require('../services/sessionStore');
+const shareStore = require('../services/shareStore');
+const timeSeries = require('../services/timeSeries');
+const { DashboardError } = require('../services/dashboardStore');
+const { ShareError } = require('../services/shareStore');
+
+const sessionNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Session not found or expired'
+});
+
+const shareNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Shared link not found'
+});
+
+/**
+ * Invalid requests are the user's to fix (400, or 409 when the data no longer fits); anything else is a server error
+ */
+const sendError = (res, error, fallbackMessage) => {
+  if (error instanceof ShareError) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error instanceof DashboardError) {
+    return res.status(409).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+/**
+ * KPI and chart definitions as the session's dashboard stood when it was shared
+ */
+const snapshotSessionDefinition = (sessionData) => ({
+  kpis: sessionData.dashboardDefinition.kpis,
+  charts: sessionData.dashboardDefinition.charts,
+  customCharts: (sessionData.customCharts || []).map(chart => dashboardStore.toChartDefinition(chart))
+});
+
+/**
+ * KPI and chart definitions a share shows: its saved dashboard's, or the session's as it was shared
+ */
+const getShareDefinition = async (share, sessionData) => {
+  if (!share.dashboardId) {
+    if (share.state.definition) {
+      return share.state.definition;
+    }
+    // Links created before definitions were snapshotted show the session's current dashboard
+    if (!sessionData.dashboardDefinition) {
+      throw new DashboardError('The shared dashboard has not been generated');
+    }
+    return snapshotSessionDefinition(sessionData);
+  }
+
+  const dashboard = await dashboardStore.get(share.dashboardId);
+  if (!dashboard) {
+    throw new DashboardError('The shared dashboard has been deleted');
+  }
+
+  dashboardStore.assertCompatible(dashboard, sessionData.schema);
+
+  // Opening the dashboard on the session added its calculated fields; a share must not change the session
+  const fields = new Set((sessionData.schema.calculatedFields || []).map(field => field.name));
+  const missing = dashboard.calculatedFields.filter(field => !fields.has(field.name));
+  if (missing.length > 0) {
+    throw new DashboardError(`The shared dashboard's calculated fields are no longer on its data: ${missing.map(field => field.name).join(', ')}`);
+  }
+
+  return { kpis: dashboard.kpis, charts: dashboard.charts, customCharts: dashboard.customCharts };
+};
+
+/**
+ * Keep the session's data for as long as any of its links can be opened - until the latest
+ * expiry, or with no end while a link never expires
+ */
+const pinSessionForShares = async (sessionId) => {
+  const active = (await shareStore.listForSession(sessionId)).filter(share => shareStore.getStatus(share) === 'active');
+
+  if (active.length === 0) {
+    return sessionStore.unpin(sessionId);
+  }
+
+  const until = active.some(share => !share.expiresAt)
+    ? null
+    : active.map(share => share.expiresAt).sort().pop();
+  return sessionStore.pin(sessionId, until);
+};
+
+// ============================================
+// CREATE SHARE LINK
+// ============================================
+router.post('/', async (req, res) => {
+  try {
+    const { sessionId, name, dashboardId = null, state, expiresAt } = req.body;
+    const sessionData = await sessionStore.get(sessionId);
+
+    if (!sessionData) {
+      return sessionNotFound(res);
+    }
+
+    if (dashboardId) {
+      const dashboard = await dashboardStore.get(dashboardId);
+      if (!dashboard) {
+        return res.status(404).json({
+          success: false,
+          message: 'Saved dashboard not found'
+        });
+      }
+      dashboardStore.assertCompatible(dashboard, sessionData.schema);
+    } else if (!sessionData.dashboardDefinition) {
+      throw new ShareError('Generate the dashboard before sharing it');
+    }
+
+    if (!(await sessionStore.canPin(sessionId))) {
+      throw new ShareError(`At most ${sessionStore.maxPinned} datasets can be shared at once - revoke an older link first`);
+    }
+
+    const share = await shareStore.create(sessionId, {
+      name,
+      dashboardId,
+      state,
+      expiresAt,
+      definition: dashboardId ? null : snapshotSessionDefinition(sessionData)
+    });
+    await pinSessionForShares(sessionId);
+
+    console.log(`🔗 Created share link "${share.name}" for session: ${sessionId}`);
+
+    res.json({
+      success: true,
+      share: shareStore.summarize(share)
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error creating share link');
+  }
+});
+
+// ============================================
+// LIST A SESSION'S SHARE LINKS
+// ============================================
+router.get('/', async (req, res) => {
+  try {
+    const { sessionId } = req.query;
+    const sessionData = await sessionStore.get(sessionId);
+
+    if (!sessionData) {
+      return sessionNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      shares: (await shareStore.listForSession(sessionId)).map(share => shareStore.summarize(share))
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error loading share links');
+  }
+});
+
+// ============================================
+// REVOKE SHARE LINK
+// ============================================
+router.post('/:token/revoke', async (req, res) => {
+  try {
+    const share = await shareStore.get(req.params.token);
+
+    // Only the session that created a link can withdraw it
+    if (!share || share.sessionId !== req.body.sessionId) {
+      return shareNotFound(res);
+    }
+
+    const revoked = await shareStore.revoke(share.id);
+    await pinSessionForShares(share.sessionId);
+
+    console.log(`🚫 Revoked share link "${revoked.name}"`);
+
+    res.json({
+      success: true,
+      share: shareStore.summarize(revoked)
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error revoking share link');
+  }
+});
+
+// ============================================
+// VIEW SHARED DASHBOARD (READ-ONLY)
+// ============================================
+router.get('/:token', async (req, res) => {
+  try {
+    const share = await shareStore.get(req.params.token);
+
+    if (!share) {
+      return shareNotFound(res);
+    }
+
+    const status = shareStore.getStatus(share);
+    if (status !== 'active') {
+      return res.status(410).json({
+        success: false,
+        status,
+        message: status === 'revoked' ? 'This link has been revoked' : 'This link has expired'
+      });
+    }
+
+    const sessionData = await sessionStore.get(share.sessionId);
+    if (!sessionData) {
+      return res.status(410).json({
+        success: false,
+        status: 'unavailable',
+        message: 'The data behind this link is no longer available'
+      });
+    }
+
+    const { filters, timeFilter, comparison, dataLimit, closedCharts, kpiDirections, layout } = share.state;
+    const definition = await getShareDefinition(share, sessionData);
+    const { kpis, charts, filteredData } = calculator.computeDashboard(sessionData, definition, {
+      filters,
+      dataLimit,
+      timeFilter,
+      comparison
+    });
+    const range = timeSeries.resolveRange(timeFilter);
+
+    res.json({
+      success: true,
+      share: shareStore.summarize(share),
+      view: {
+        fileName: sessionData.fileName,
+        filters,
+        filterDescriptions: filterModel.describe(filters),
+        period: range ? timeSeries.describeRange(range, timeFilter.type) : null,
+        comparison,
+        dataLimit,
+        kpiDirections,
+        layout
+      },
+      dashboard: {
+        kpis,
+        charts: charts.filter(chart => !closedCharts.includes(chart.id)),
+        performance: {
+          totalRecords: sessionData.data.length,
+          filteredRecords: filteredData.length
+        }
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error loading shared dashboard');
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,9 @@
 // backend/services/aiService.js - Optimized for large datasets
+const llm = require('./llm');
+const calculator = require('./calculator');
 
 class AIService {
     constructor() {
-      this.apiKey = process.env.GEMINI_API_KEY;
-      // Using gemini-2.5-flash - stable model available in Google AI Studio free tier
-      this.baseUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent`;
-
       // Enhanced cache with size limits
       this.cache = new Map();
       this.maxCacheSize = 100; // Limit cache entries
@@ -87,55 +85,29 @@ class AIService {
     }
 
     async getAISuggestions(optimizedSchema, sampleData) {
-      if (!this.apiKey) {
+      if (!llm.isConfigured('suggestions')) {
         throw new Error('AI API key not configured');
       }
 
       const prompt = this.buildOptimizedPrompt(optimizedSchema, sampleData);
 
       // Validate prompt size
-      if (prompt.length > this.maxTokensPerRequest * 3) {
+      if (llm.estimateTokens(prompt) > this.maxTokensPerRequest) {
         console.warn('Prompt too large, using fallback');
         throw new Error('Dataset too large for AI analysis');
       }
 
       const systemPrompt = "You are a business intelligence consultant helping executives understand their data and make strategic decisions. Focus on business value, not just technical metrics.";
-      const fullPrompt = `${systemPrompt}\n\n${prompt}`;
-
-      const requestPayload = {
-        contents: [{
-          parts: [{
-            text: fullPrompt
-          }]
-        }],
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 1500
-        }
-      };
 
-      const response = await fetch(this.baseUrl, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-goog-api-key": this.apiKey
-        },
-        body: JSON.stringify(requestPayload),
-        timeout: 30000 // 30 second timeout
+      const content = await llm.complete({
+        feature: 'suggestions',
+        system: systemPrompt,
+        prompt,
+        temperature: 0.7,
+        maxTokens: 1500,
+        json: true
       });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`AI API error: ${response.status} - ${errorText}`);
-      }
-
-      const data = await response.json();
-      const content = data.candidates?.[0]?.content?.parts?.[0]?.text;
-
-      if (!content) {
-        throw new Error('No AI response received');
-      }
-
       return this.parseAIResponse(content, optimizedSchema);
     }
 
@@ -195,6 +167,7 @@ DIMENSIONS: ${dimensions || 'None'}
       "calculation": "sum",
       "column": "revenue",
       "format": "currency",
+      "higherIsBetter": true,
       "businessQuestion": "What is our total sales performance?",
       "strategicValue": "Primary growth indicator for investment decisions"
     }
@@ -221,6 +194,12 @@ DIMENSIONS: ${dimensions || 'None'}
 - Every chart must explain "What decision does this support?"
 - Insights must be strategic (growth/opportunity/risk), not technical (data quality/completeness)
 - Think: "What would a CEO/VP want to know?"
+- KPI "calculation" must be one of: sum, avg, count, countDistinct, min, max, median, p25, p75, p90, p99, stddev, variance, weightedAvg (add "weightColumn"), first, last (add "dateColumn")
+- KPI "higherIsBetter" is false when a rise is bad news (costs, claims, losses, churn, delays)
+- countDistinct can use a dimension column (e.g. unique customers); charts may set "aggregation" the same way (default sum)
+- Chart "type" must be one of: bar, line, area, pie, scatter, stacked-bar, grouped-bar, stacked-bar-100, multi-line, heatmap, treemap, histogram, box-plot, funnel, waterfall, combo
+- heatmap needs two dimensions; histogram bins its measure; box-plot shows the measure's spread per category; combo draws the first measure as bars and the second as a line
+- stacked-bar, grouped-bar, stacked-bar-100 and multi-line split the first measure into one series per value of a second dimension (e.g. "dimensions": ["quarter", "claim_type"])
 
 Keep response concise but business-focused.`;
 
@@ -267,7 +246,7 @@ Keep response concise but business-focused.`;
     }
 
     async getAICustomCombinations(schema, selectedMeasures, selectedDimensions, sampleData) {
-      if (!this.apiKey) {
+      if (!llm.isConfigured('customCharts')) {
         throw new Error('AI API key not configured');
       }
 
@@ -279,41 +258,16 @@ Keep response concise but business-focused.`;
       );
 
       const systemPrompt = "You are a data storytelling expert helping business users create dashboards that drive strategic decisions. Focus on business insights, not just technical performance.";
-      const fullPrompt = `${systemPrompt}\n\n${prompt}`;
-
-      const requestPayload = {
-        contents: [{
-          parts: [{
-            text: fullPrompt
-          }]
-        }],
-        generationConfig: {
-          temperature: 0.5,
-          maxOutputTokens: 1000
-        }
-      };
 
-      const response = await fetch(this.baseUrl, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-goog-api-key": this.apiKey
-        },
-        body: JSON.stringify(requestPayload)
+      const content = await llm.complete({
+        feature: 'customCharts',
+        system: systemPrompt,
+        prompt,
+        temperature: 0.5,
+        maxTokens: 1000,
+        json: true
       });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`AI API error: ${response.status} - ${errorText}`);
-      }
-
-      const data = await response.json();
-      const content = data.candidates?.[0]?.content?.parts?.[0]?.text;
-
-      if (!content) {
-        throw new Error('No AI response received');
-      }
-
       return this.parseAICustomCombinations(content, selectedMeasures, selectedDimensions);
     }
 
@@ -381,6 +335,9 @@ For each chart, you MUST explain:
 - "expectedInsight" must describe what pattern/trend it reveals
 - "actionableFor" must specify what action users can take
 - Think: "What would an executive want to know from this chart?"
+- Chart "type" must be one of: bar, line, area, pie, scatter, stacked-bar, grouped-bar, stacked-bar-100, multi-line, heatmap, treemap, histogram, box-plot, funnel, waterfall, combo
+- heatmap needs two dimensions; histogram bins its measure; box-plot shows the measure's spread per category; combo draws the first measure as bars and the second as a line
+- stacked-bar, grouped-bar, stacked-bar-100 and multi-line split the first measure into one series per value of a second dimension (e.g. "dimensions": ["quarter", "claim_type"])
 
 Return JSON only, no markdown.`;
 
@@ -407,7 +364,8 @@ Return JSON only, no markdown.`;
           name: `${this.getSmartKPIName(measure.name, calculation)}`,
           calculation,
           column: measure.name,
-          format: this.guessNumberFormat(measure.name)
+          format: this.guessNumberFormat(measure.name),
+          higherIsBetter: this.guessHigherIsBetter(measure.name)
         };
         kpis.push(kpi);
       });
@@ -485,8 +443,16 @@ Return JSON only, no markdown.`;
         avg: 'Average',
         max: 'Maximum',
         min: 'Minimum',
-        count: 'Count of'
+        count: 'Count of',
+        countDistinct: 'Unique',
+        median: 'Median',
+        stddev: 'Std Dev of',
+        variance: 'Variance of',
+        weightedAvg: 'Weighted Average',
+        first: 'First',
+        last: 'Latest'
       };
+      if (/^p\d+$/.test(calculation)) return `${calculation.toUpperCase()} ${formatted}`;
       return `${prefixes[calculation] || 'Total'} ${formatted}`;
     }
 
@@ -512,7 +478,10 @@ Return JSON only, no markdown.`;
       console.log('Generating optimized fallback combinations');
       
       const combinations = [];
-      const chartTypes = ['bar', 'line', 'pie', 'area'];
+      // With two dimensions, a stacked bar shows the second one as series
+      const chartTypes = selectedDimensions.length > 1
+        ? ['bar', 'stacked-bar', 'line', 'pie']
+        : ['bar', 'line', 'pie', 'area'];
       
       // Generate smart combinations based on data characteristics
       chartTypes.forEach((chartType, index) => {
@@ -553,13 +522,17 @@ Return JSON only, no markdown.`;
               selectedMeasure = selectedMeasures.slice(0, 2);
             }
             break;
+
+          case 'stacked-bar':
+            selectedDimension = selectedDimensions.slice(0, 2);
+            break;
         }
 
         const combination = {
           title: `${this.formatColumnName(selectedMeasure)} by ${this.formatColumnName(selectedDimension)}`,
           type: chartType,
           measures: Array.isArray(selectedMeasure) ? selectedMeasure : [selectedMeasure],
-          dimensions: [selectedDimension],
+          dimensions: Array.isArray(selectedDimension) ? selectedDimension : [selectedDimension],
           aiSuggestion: this.getOptimizedSuggestion(chartType, selectedMeasure, selectedDimension),
           insights: this.getPerformanceInsights(chartType, sampleData.length),
           isAiGenerated: false,
@@ -577,7 +550,8 @@ Return JSON only, no markdown.`;
         bar: `Optimized bar chart for comparing ${this.formatColumnName(measure)} across ${this.formatColumnName(dimension)} categories`,
         line: `Performance-optimized line chart showing ${this.formatColumnName(measure)} trends over ${this.formatColumnName(dimension)}`,
         pie: `Efficient pie chart displaying ${this.formatColumnName(measure)} distribution by ${this.formatColumnName(dimension)}`,
-        area: `Streamlined area chart visualizing ${this.formatColumnName(measure)} patterns across ${this.formatColumnName(dimension)}`
+        area: `Streamlined area chart visualizing ${this.formatColumnName(measure)} patterns across ${this.formatColumnName(dimension)}`,
+        'stacked-bar': `Stacked bar chart breaking down ${this.formatColumnName(measure)} by ${this.formatColumnName(dimension)}`
       };
       
       return suggestions[chartType] || 'Optimized chart for large dataset visualization';
@@ -588,7 +562,8 @@ Return JSON only, no markdown.`;
         bar: ['Category comparison', 'Performance ranking', 'Optimized rendering'],
         line: ['Trend analysis', 'Time-series data', 'Efficient line rendering'],
         pie: ['Proportion analysis', 'Limited categories', 'Fast pie rendering'],
-        area: ['Cumulative trends', 'Multiple measures', 'Smooth area charts']
+        area: ['Cumulative trends', 'Multiple measures', 'Smooth area charts'],
+        'stacked-bar': ['Composition by category', 'Series per segment', 'Long tail grouped as Others']
       };
       
       const insights = baseInsights[chartType] || ['Data visualization', 'Performance optimized'];
@@ -602,10 +577,10 @@ Return JSON only, no markdown.`;
 
     parseAIResponse(content, schema) {
       try {
-        const jsonMatch = content.match(/```json\n([\s\S]*?)\n```/) || content.match(/\{[\s\S]*\}/);
-        const jsonStr = jsonMatch ? (jsonMatch[1] || jsonMatch[0]) : content;
-        
-        const parsed = JSON.parse(jsonStr);
+        const parsed = llm.parseJSON(content);
+        if (!parsed) {
+          throw new Error('No JSON found in AI response');
+        }
         return this.validateSuggestions(parsed, schema);
         
       } catch (error) {
@@ -616,10 +591,10 @@ Return JSON only, no markdown.`;
 
     parseAICustomCombinations(content, selectedMeasures, selectedDimensions) {
       try {
-        const jsonMatch = content.match(/```json\n([\s\S]*?)\n```/) || content.match(/\{[\s\S]*\}/);
-        const jsonStr = jsonMatch ? (jsonMatch[1] || jsonMatch[0]) : content;
-        
-        const parsed = JSON.parse(jsonStr);
+        const parsed = llm.parseJSON(content);
+        if (!parsed) {
+          throw new Error('No JSON found in AI response');
+        }
         const validCombinations = this.validateCustomCombinations(
           parsed.combinations || [], 
           selectedMeasures, 
@@ -644,12 +619,15 @@ Return JSON only, no markdown.`;
       // Validate KPIs with performance considerations
       if (suggestions.kpis && Array.isArray(suggestions.kpis)) {
         suggestions.kpis.slice(0, 4).forEach((kpi) => { // Limit KPIs for performance
-          if (kpi.name && kpi.column && (schema.measures.find(m => m.name === kpi.column) || kpi.column === '*')) {
+          const calculation = calculator.normalizeAggregation(kpi.calculation || 'sum');
+          if (kpi.name && kpi.column && calculation && this.isValidKPIColumn(kpi, calculation, schema)) {
             validSuggestions.kpis.push({
               name: kpi.name,
-              calculation: kpi.calculation || 'sum',
+              calculation,
               column: kpi.column,
-              format: kpi.format || 'number'
+              format: kpi.format || 'number',
+              higherIsBetter: typeof kpi.higherIsBetter === 'boolean' ? kpi.higherIsBetter : this.guessHigherIsBetter(kpi.column),
+              ...calculator.getAggregationOptions({ ...kpi, calculation }, schema)
             });
           }
         });
@@ -667,12 +645,18 @@ Return JSON only, no markdown.`;
               schema.dimensions.find(dim => dim.name === d)
             ).slice(0, 2); // Limit dimensions per chart
             
-            if (validMeasures.length > 0 && validDimensions.length > 0) {
+            const aggregation = calculator.normalizeAggregation(chart.aggregation || 'sum');
+            const aggregationValid = aggregation && (aggregation !== 'weightedAvg' ||
+              schema.measures.some(m => m.name === chart.weightColumn));
+
+            if (validMeasures.length > 0 && validDimensions.length > 0 && aggregationValid) {
               validSuggestions.charts.push({
                 title: chart.title,
                 type: chart.type,
                 measures: validMeasures,
                 dimensions: validDimensions,
+                aggregation,
+                ...calculator.getAggregationOptions({ ...chart, aggregation }, schema),
                 optimizedForLargeData: true
               });
             }
@@ -688,6 +672,21 @@ Return JSON only, no markdown.`;
       return validSuggestions;
     }
 
+    /**
+     * Counts (and first/last) work on any column; numeric aggregations need a measure
+     */
+    isValidKPIColumn(kpi, calculation, schema) {
+      const isMeasure = (name) => schema.measures.some(m => m.name === name);
+      const isColumn = (name) => schema.columns.some(c => c.name === name);
+
+      if (kpi.column === '*') return calculation === 'count';
+      if (calculation === 'weightedAvg') return isMeasure(kpi.column) && isMeasure(kpi.weightColumn);
+      if (['count', 'countDistinct', 'first', 'last'].includes(calculation)) {
+        return isColumn(kpi.column) && (!kpi.dateColumn || isColumn(kpi.dateColumn));
+      }
+      return isMeasure(kpi.column);
+    }
+
     validateCustomCombinations(combinations, selectedMeasures, selectedDimensions) {
       const validCombinations = [];
       
@@ -733,6 +732,13 @@ Return JSON only, no markdown.`;
       }
       return 'number';
     }
+
+    // Whether a rise in this column is good news - used for KPI comparison colours
+    guessHigherIsBetter(columnName) {
+      const name = String(columnName).toLowerCase();
+      const lowerIsBetter = ['cost', 'expense', 'claim', 'loss', 'churn', 'delay', 'error', 'defect', 'complaint', 'return', 'refund', 'debt'];
+      return !lowerIsBetter.some(term => name.includes(term));
+    }
   }
   
   module.exports = new AIService();
\ No newline at end of file
@@ -1,10 +1,61 @@
 // backend/services/calculator.js - Optimized for large datasets
+const expression = require('./expression');
+const dataProcessor = require('./dataProcessor');
+const timeSeries = require('./timeSeries');
+const filterModel = require('./filterModel');
+const hierarchies = require('./hierarchies');
 
 class Calculator {
   
     constructor() {
       this.maxChartDataPoints = 1000; // Limit data points for performance
-      this.aggregationCache = new Map();
+
+      // Chart types that draw one series per measure, or per value of a second dimension
+      this.seriesChartTypes = ['stacked-bar', 'grouped-bar', 'stacked-bar-100', 'multi-line'];
+      this.maxSeries = 8;
+
+      // Chart types that plot a date dimension as a continuous, gap-filled period axis
+      this.timeSeriesChartTypes = ['line', 'area', 'bar', 'multi-line', 'stacked-bar', 'grouped-bar', 'stacked-bar-100'];
+      this.chartTransforms = ['none', 'rolling', 'cumulative', 'mom', 'yoy'];
+
+      // How long line/area series are thinned to maxChartDataPoints: shape-preserving by default
+      this.downsamplingMethods = ['lttb', 'minmax', 'stride'];
+
+      // Chart types whose data isn't one row per category - each has its own shaping method
+      this.chartShapers = {
+        heatmap: 'prepareHeatmapData',
+        treemap: 'prepareTreemapData',
+        histogram: 'prepareHistogramData',
+        'box-plot': 'prepareBoxPlotData',
+        funnel: 'prepareFunnelData',
+        waterfall: 'prepareWaterfallData',
+        combo: 'prepareComboData'
+      };
+
+      // Canonical aggregation names (pNN percentiles are also accepted, e.g. p90)
+      this.aggregations = [
+        'sum', 'avg', 'count', 'countDistinct', 'min', 'max', 'median',
+        'p25', 'p75', 'p90', 'p99', 'stddev', 'variance', 'weightedAvg', 'first', 'last'
+      ];
+      this.aggregationAliases = {
+        average: 'avg',
+        mean: 'avg',
+        countdistinct: 'countDistinct',
+        count_distinct: 'countDistinct',
+        distinct_count: 'countDistinct',
+        distinct: 'countDistinct',
+        unique: 'countDistinct',
+        p50: 'median',
+        std: 'stddev',
+        stdev: 'stddev',
+        std_dev: 'stddev',
+        standard_deviation: 'stddev',
+        var: 'variance',
+        weightedavg: 'weightedAvg',
+        weighted_avg: 'weightedAvg',
+        weighted_average: 'weightedAvg',
+        wavg: 'weightedAvg'
+      };
     }
   
     calculateKPIs(data, schema, kpiDefinitions, dataLimit = null) {
@@ -14,7 +65,7 @@ class Calculator {
       
       kpiDefinitions.forEach(def => {
         try {
-          const kpi = this.calculateSingleKPI(workingData, def);
+          const kpi = this.calculateSingleKPI(workingData, def, schema);
           if (kpi) {
             // Add metadata about data limitation
             kpi.dataPoints = workingData.length;
@@ -29,65 +80,543 @@ class Calculator {
       return kpis;
     }
     
-    calculateSingleKPI(data, definition) {
-      const cacheKey = `${definition.calculation}_${definition.column}_${data.length}`;
-      
-      // Check cache for expensive calculations
-      if (this.aggregationCache.has(cacheKey)) {
-        const cached = this.aggregationCache.get(cacheKey);
-        return {
-          ...cached,
-          name: definition.name,
-          format: definition.format
-        };
+    /**
+     * Date column time filters and KPI comparisons use: the filter's own column, else the schema's first date column
+     */
+    getTimeColumn(schema, timeFilter = null) {
+      return timeFilter?.column || (schema?.columns || []).find(column => column.type === 'date')?.name || null;
+    }
+
+    applyTimeFilter(data, schema, timeFilter) {
+      const column = this.getTimeColumn(schema, timeFilter);
+      const range = timeSeries.resolveRange(timeFilter);
+      return column && range ? timeSeries.filterByRange(data, column, range) : data;
+    }
+
+    /**
+     * Adds period context to KPI cards:
+     * - comparison: the same KPI over the previous period or the same period last year (needs a time filter)
+     *   with delta, percent change, direction and whether that direction is good (`higherIsBetter`, default true)
+     * - sparkline: the KPI per period across the current rows
+     * @param {Array} kpis - Result of calculateKPIs, updated in place
+     * @param {Array} currentData - Rows the KPIs were calculated from
+     * @param {Object} options - { allData, definitions, timeFilter, comparison: 'previous'|'lastYear'|'none', filters, dataLimit }
+     */
+    addKPIPeriodContext(kpis, currentData, schema, { allData, definitions, timeFilter, comparison = 'previous', filters, dataLimit }) {
+      const column = this.getTimeColumn(schema, timeFilter);
+      if (!column || kpis.length === 0) return kpis;
+
+      const definitionFor = (kpi) => definitions.find(def => def.name === kpi.name);
+      const range = timeSeries.resolveRange(timeFilter);
+
+      if (range && ['previous', 'lastYear'].includes(comparison)) {
+        const comparisonRange = timeSeries.shiftRange(range, timeFilter.type, comparison);
+        const comparisonData = this.applyFilters(
+          timeSeries.filterByRange(allData, column, comparisonRange), filters, dataLimit
+        );
+        const label = timeSeries.describeRange(comparisonRange, timeFilter.type);
+
+        kpis.forEach(kpi => {
+          const definition = definitionFor(kpi);
+          if (!definition) return;
+
+          const previousValue = comparisonData.length > 0 ? this.calculateKPIValue(comparisonData, definition, schema) : null;
+          kpi.comparison = this.compareKPIValues(kpi, previousValue, definition, comparison, label);
+        });
       }
-  
-      let value = 0;
-      
-      switch (definition.calculation.toLowerCase()) {
-        case 'sum':
-          value = this.calculateSum(data, definition.column);
-          break;
-          
-        case 'avg':
-        case 'average':
-          value = this.calculateAverage(data, definition.column);
-          break;
-          
-        case 'count':
-          value = this.calculateCount(data, definition.column);
-          break;
-          
-        case 'max':
-          value = this.calculateMax(data, definition.column);
-          break;
-          
-        case 'min':
-          value = this.calculateMin(data, definition.column);
-          break;
-          
-        default:
-          console.warn(`Unknown calculation type: ${definition.calculation}`);
-          return null;
+
+      const bucketer = timeSeries.createBucketer(currentData, column, 'auto', range);
+      if (bucketer) {
+        const grouped = this.optimizedGroupBy(currentData, column, bucketer.keyOf);
+        const periods = bucketer.periods.slice(-60);
+
+        kpis.forEach(kpi => {
+          const definition = definitionFor(kpi);
+          if (!definition) return;
+
+          kpi.sparkline = {
+            grain: bucketer.grain,
+            points: periods.map(period => ({
+              period,
+              value: this.calculateKPIValue(grouped[period] || [], definition, schema)
+            }))
+          };
+        });
       }
-      
-      const result = {
-        value: value,
-        formattedValue: this.formatValue(value, definition.format),
-        calculation: definition.calculation,
-        column: definition.column
+
+      return kpis;
+    }
+
+    /**
+     * KPI value without the aggregation cache, which is keyed by row count and would mix up periods
+     */
+    calculateKPIValue(data, definition, schema) {
+      const calculatedField = this.findCalculatedField(schema, definition.column);
+      if (definition.calculation?.toLowerCase() === 'expression' || calculatedField?.isAggregate) {
+        return this.calculateExpressionKPI(data, definition, schema, calculatedField)?.value ?? null;
+      }
+
+      const calculation = this.normalizeAggregation(definition.calculation);
+      if (!calculation) return null;
+
+      return this.aggregate(data, definition.column, calculation, this.getAggregationOptions(definition, schema));
+    }
+
+    compareKPIValues(kpi, previousValue, definition, mode, label) {
+      const { value, format } = kpi;
+      const higherIsBetter = definition.higherIsBetter !== false;
+
+      if (previousValue === null || previousValue === undefined || typeof value !== 'number') {
+        return { mode, label, previousValue: null, delta: null, percentChange: null, direction: null, higherIsBetter };
+      }
+
+      const delta = value - previousValue;
+      const direction = Math.abs(delta) < 1e-9 ? 'flat' : (delta > 0 ? 'up' : 'down');
+
+      return {
+        mode,
+        label,
+        previousValue,
+        formattedPreviousValue: this.formatValue(previousValue, format),
+        delta,
+        formattedDelta: `${delta >= 0 ? '+' : '-'}${this.formatValue(Math.abs(delta), format)}`,
+        percentChange: previousValue !== 0 ? (delta / Math.abs(previousValue)) * 100 : null,
+        direction,
+        higherIsBetter,
+        sentiment: direction === 'flat' ? 'neutral' : ((direction === 'up') === higherIsBetter ? 'positive' : 'negative')
       };
+    }
+
+    calculateSingleKPI(data, definition, schema = null) {
+      // Formula KPIs and aggregate calculated fields are evaluated as expressions
+      const calculatedField = this.findCalculatedField(schema, definition.column);
+      if (definition.calculation?.toLowerCase() === 'expression' || calculatedField?.isAggregate) {
+        return this.calculateExpressionKPI(data, definition, schema, calculatedField);
+      }
+
+      const calculation = this.normalizeAggregation(definition.calculation);
+      if (!calculation) {
+        console.warn(`Unknown calculation type: ${definition.calculation}`);
+        return null;
+      }
+
+      const options = this.getAggregationOptions(definition, schema);
+      const value = this.aggregate(data, definition.column, calculation, options);
   
-      // Cache result for performance
-      this.aggregationCache.set(cacheKey, result);
-      
       return {
         name: definition.name,
-        ...result,
+        value: value,
+        formattedValue: this.formatValue(value, definition.format),
+        calculation,
+        column: definition.column,
+        ...options,
         format: definition.format
       };
     }
   
+    /**
+     * KPI from `definition.expression` (or an aggregate calculated field). Row-level expressions
+     * are rolled up with `definition.aggregation` (default sum).
+     */
+    calculateExpressionKPI(data, definition, schema, calculatedField = null) {
+      const source = calculatedField?.isAggregate ? calculatedField.expression : definition.expression;
+      const compiled = this.compileExpression(source, schema);
+      const value = compiled.isAggregate
+        ? compiled.evaluateGroup(data)
+        : this.aggregateRowExpression(data, compiled, definition.aggregation || 'sum');
+
+      // No value (e.g. a ratio over no rows) stays null rather than reading as a real 0
+      const numericValue = typeof value === 'number' && isFinite(value) ? value : null;
+      const format = definition.format || calculatedField?.format;
+
+      return {
+        name: definition.name,
+        value: numericValue,
+        formattedValue: this.formatValue(numericValue, format),
+        calculation: definition.calculation,
+        column: definition.column,
+        expression: source,
+        format
+      };
+    }
+
+    aggregateRowExpression(data, compiled, aggregation) {
+      const name = String(aggregation).toLowerCase();
+      if (!['sum', 'avg', 'count', 'countdistinct', 'min', 'max'].includes(name)) {
+        throw new Error(`Unknown aggregation "${aggregation}"`);
+      }
+
+      const values = new Array(data.length);
+      for (let i = 0; i < data.length; i++) {
+        values[i] = { value: compiled.evaluateRow(data[i]) };
+      }
+
+      return expression.compile(`${name}(value)`, { columns: ['value'] }).evaluateGroup(values);
+    }
+
+    // ==================== CALCULATED FIELDS ====================
+
+    /**
+     * Compile an expression against the session schema's columns
+     * @throws {ExpressionError} When the expression is invalid
+     */
+    compileExpression(source, schema, columns = null) {
+      return expression.compile(source, {
+        columns: columns || (schema?.columns || []).map(column => column.name)
+      });
+    }
+
+    findCalculatedField(schema, name) {
+      if (!name || !schema?.calculatedFields) return null;
+      return schema.calculatedFields.find(field => field.name === name) || null;
+    }
+
+    /**
+     * Columns a calculated field may reference: raw columns plus calculated fields defined
+     * before it, which keeps row fields in evaluation order and rules out cycles.
+     */
+    getAvailableColumns(schema, fieldName = null) {
+      const fields = schema.calculatedFields || [];
+      const position = fields.findIndex(field => field.name === fieldName);
+      const blocked = new Set(fields.slice(position === -1 ? fields.length : position).map(field => field.name));
+
+      return (schema.columns || [])
+        .map(column => column.name)
+        .filter(name => !blocked.has(name));
+    }
+
+    /**
+     * Validate an expression and preview its result on the session data
+     * @returns {Object} { isAggregate, type, references, preview }
+     */
+    previewExpression(sessionData, source, fieldName = null) {
+      const { data = [], schema } = sessionData;
+      const compiled = this.compileExpression(source, schema, this.getAvailableColumns(schema, fieldName));
+
+      if (compiled.isAggregate) {
+        const value = compiled.evaluateGroup(data);
+        return { isAggregate: true, type: 'number', references: compiled.references, preview: [value] };
+      }
+
+      const preview = data.slice(0, 5).map(row => compiled.evaluateRow(row));
+      const sample = data.slice(0, 1000).map(row => compiled.evaluateRow(row));
+      return { isAggregate: false, type: this.inferExpressionType(sample), references: compiled.references, preview };
+    }
+
+    inferExpressionType(values) {
+      const present = values.filter(value => value !== null && value !== undefined);
+      if (present.length === 0) return 'number';
+      if (present.every(value => typeof value === 'number')) return 'number';
+      if (present.every(value => typeof value === 'boolean')) return 'boolean';
+      return 'string';
+    }
+
+    /**
+     * Add or replace a calculated field on the session. Row-level fields are written onto every
+     * row so they work anywhere a raw column does (charts, filters, chatbot); aggregate fields
+     * are evaluated per group wherever they are used as a measure.
+     * @param {Object} sessionData - Session to update in place (caller persists it)
+     * @param {Object} field - { name, expression, format }
+     * @returns {Object} Saved calculated field
+     */
+    addCalculatedField(sessionData, { name, expression: source, format = 'number' }) {
+      const schema = sessionData.schema;
+      const fieldName = String(name || '').trim();
+
+      if (!fieldName) {
+        throw new expression.ExpressionError('Field name is required');
+      }
+      if (fieldName.length > 64 || !/^[A-Za-z_][A-Za-z0-9_ ]*$/.test(fieldName)) {
+        throw new expression.ExpressionError('Field name must start with a letter and contain only letters, numbers, spaces and underscores');
+      }
+
+      const existing = this.findCalculatedField(schema, fieldName);
+      if (!existing && schema.columns.some(column => column.name.toLowerCase() === fieldName.toLowerCase())) {
+        throw new expression.ExpressionError(`A column named "${fieldName}" already exists`);
+      }
+
+      const result = this.previewExpression(sessionData, source, existing ? fieldName : null);
+      const field = {
+        name: fieldName,
+        expression: source.trim(),
+        isAggregate: result.isAggregate,
+        type: result.type,
+        format,
+        references: result.references,
+        createdAt: existing?.createdAt || new Date().toISOString()
+      };
+
+      const fields = schema.calculatedFields || [];
+      schema.calculatedFields = existing
+        ? fields.map(f => (f.name === fieldName ? field : f))
+        : [...fields, field];
+
+      this.rebuildCalculatedFields(sessionData);
+      return field;
+    }
+
+    /**
+     * Remove a calculated field. Refuses while other calculated fields reference it.
+     */
+    removeCalculatedField(sessionData, name) {
+      const schema = sessionData.schema;
+      const field = this.findCalculatedField(schema, name);
+      if (!field) {
+        throw new expression.ExpressionError(`Calculated field "${name}" not found`);
+      }
+
+      const dependents = schema.calculatedFields.filter(f => f.name !== name && (f.references || []).includes(name));
+      if (dependents.length > 0) {
+        throw new expression.ExpressionError(`"${name}" is used by ${dependents.map(f => `"${f.name}"`).join(', ')}`);
+      }
+
+      schema.calculatedFields = schema.calculatedFields.filter(f => f.name !== name);
+      this.rebuildCalculatedFields(sessionData, [name]);
+    }
+
+    /**
+     * Recompute row-level field values (in definition order) and the schema entries for all
+     * calculated fields. Assigns a new data array so the session store persists the rows.
+     */
+    rebuildCalculatedFields(sessionData, removedNames = []) {
+      const schema = sessionData.schema;
+      const fields = schema.calculatedFields || [];
+      const calculatedNames = new Set([...fields.map(f => f.name), ...removedNames]);
+      const rowFields = fields
+        .filter(field => !field.isAggregate)
+        .map(field => ({ field, compiled: this.compileExpression(field.expression, schema, this.getAvailableColumns(schema, field.name)) }));
+
+      sessionData.data = sessionData.data.map(row => {
+        const next = { ...row };
+        removedNames.forEach(name => delete next[name]);
+        rowFields.forEach(({ field, compiled }) => {
+          next[field.name] = compiled.evaluateRow(next);
+        });
+        return next;
+      });
+      sessionData.sampleData = sessionData.data.slice(0, (sessionData.sampleData || []).length || 50);
+
+      const isRaw = (column) => !calculatedNames.has(column.name);
+      schema.columns = schema.columns.filter(isRaw);
+      schema.measures = schema.measures.filter(isRaw);
+      schema.dimensions = schema.dimensions.filter(isRaw);
+
+      const sample = sessionData.data.slice(0, 5000);
+      fields.forEach(field => {
+        const columnInfo = field.isAggregate
+          ? this.describeAggregateField(sessionData.data, schema, field)
+          : this.describeRowField(sample, field);
+
+        if (!field.isAggregate) schema.columns.push(columnInfo);
+        if (columnInfo.type === 'number') {
+          schema.measures.push(columnInfo);
+        } else {
+          schema.dimensions.push(columnInfo);
+        }
+      });
+
+      return schema;
+    }
+
+    describeRowField(sample, field) {
+      const values = sample.map(row => row[field.name]).filter(val => val !== null && val !== undefined);
+      const type = field.type === 'number' ? 'number' : 'string';
+
+      return {
+        name: field.name,
+        type,
+        nullable: values.length < sample.length,
+        uniqueValues: new Set(values).size,
+        sampleValues: values.slice(0, 5),
+        stats: dataProcessor.calculateColumnStats(type === 'number' ? values : values.map(String), type),
+        calculated: true,
+        expression: field.expression
+      };
+    }
+
+    describeAggregateField(data, schema, field) {
+      const value = this.compileExpression(field.expression, schema).evaluateGroup(data);
+
+      return {
+        name: field.name,
+        type: 'number',
+        nullable: false,
+        uniqueValues: 1,
+        sampleValues: [value],
+        stats: { count: data.length, nullCount: 0, value },
+        calculated: true,
+        aggregate: true,
+        expression: field.expression
+      };
+    }
+
+    // ==================== AGGREGATIONS ====================
+
+    /**
+     * Map a calculation name or alias to its canonical name, or null if unsupported
+     */
+    normalizeAggregation(calculation) {
+      const name = String(calculation || '').trim().toLowerCase();
+      if (this.aggregationAliases[name]) return this.aggregationAliases[name];
+
+      const canonical = this.aggregations.find(agg => agg.toLowerCase() === name);
+      if (canonical) return canonical;
+
+      const percentile = name.match(/^p(\d{1,2})$/);
+      return percentile && parseInt(percentile[1], 10) > 0 ? `p${parseInt(percentile[1], 10)}` : null;
+    }
+
+    /**
+     * Extra columns an aggregation needs: weightedAvg weights by `weightColumn`,
+     * first/last order rows by `dateColumn` (defaults to the schema's first date column)
+     */
+    getAggregationOptions(definition, schema) {
+      const calculation = this.normalizeAggregation(definition.calculation || definition.aggregation);
+
+      if (calculation === 'weightedAvg') {
+        return { weightColumn: definition.weightColumn };
+      }
+
+      if (calculation === 'first' || calculation === 'last') {
+        const dateColumn = definition.dateColumn ||
+          (schema?.columns || []).find(column => column.type === 'date')?.name;
+        return dateColumn ? { dateColumn } : {};
+      }
+
+      return {};
+    }
+
+    /**
+     * Aggregate one column over a set of rows
+     * @param {Array} data - Rows
+     * @param {string} column - Column to aggregate ('*' counts rows)
+     * @param {string} calculation - Aggregation name or alias
+     * @param {Object} options - { weightColumn, dateColumn }
+     * @returns {number} Aggregated value (0 when there is nothing to aggregate)
+     */
+    aggregate(data, column, calculation, options = {}) {
+      const name = this.normalizeAggregation(calculation);
+
+      switch (name) {
+        case 'sum':
+          return this.calculateSum(data, column);
+        case 'avg':
+          return this.calculateAverage(data, column);
+        case 'count':
+          return this.calculateCount(data, column);
+        case 'countDistinct':
+          return this.calculateCountDistinct(data, column);
+        case 'max':
+          return this.calculateMax(data, column);
+        case 'min':
+          return this.calculateMin(data, column);
+        case 'median':
+          return this.calculatePercentile(data, column, 50);
+        case 'stddev':
+          return Math.sqrt(this.calculateVariance(data, column));
+        case 'variance':
+          return this.calculateVariance(data, column);
+        case 'weightedAvg':
+          return this.calculateWeightedAverage(data, column, options.weightColumn);
+        case 'first':
+        case 'last':
+          return this.calculateFirstLast(data, column, options.dateColumn, name === 'last');
+        default:
+          if (name && name.startsWith('p')) {
+            return this.calculatePercentile(data, column, parseInt(name.slice(1), 10));
+          }
+          throw new Error(`Unknown calculation type: ${calculation}`);
+      }
+    }
+
+    numericValues(data, column) {
+      const values = [];
+      for (let i = 0; i < data.length; i++) {
+        const val = parseFloat(data[i][column]);
+        if (!isNaN(val)) values.push(val);
+      }
+      return values;
+    }
+
+    calculateCountDistinct(data, column) {
+      const seen = new Set();
+      for (let i = 0; i < data.length; i++) {
+        const val = data[i][column];
+        if (val !== null && val !== undefined && val !== '') seen.add(String(val));
+      }
+      return seen.size;
+    }
+
+    // Linear interpolation between closest ranks
+    calculatePercentile(data, column, percentile) {
+      return this.percentileOfSorted(this.numericValues(data, column).sort((a, b) => a - b), percentile);
+    }
+
+    percentileOfSorted(sorted, percentile) {
+      if (sorted.length === 0) return 0;
+
+      const position = (sorted.length - 1) * (percentile / 100);
+      const base = Math.floor(position);
+      const next = sorted[base + 1];
+      return next === undefined ? sorted[base] : sorted[base] + (position - base) * (next - sorted[base]);
+    }
+
+    // Population variance, matching the column stats computed at upload
+    calculateVariance(data, column) {
+      const values = this.numericValues(data, column);
+      if (values.length === 0) return 0;
+
+      const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
+      return values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
+    }
+
+    calculateWeightedAverage(data, column, weightColumn) {
+      if (!weightColumn) {
+        throw new Error('Weighted average requires a weightColumn');
+      }
+
+      let weightedSum = 0;
+      let totalWeight = 0;
+      for (let i = 0; i < data.length; i++) {
+        const val = parseFloat(data[i][column]);
+        const weight = parseFloat(data[i][weightColumn]);
+        if (!isNaN(val) && !isNaN(weight)) {
+          weightedSum += val * weight;
+          totalWeight += weight;
+        }
+      }
+      return totalWeight !== 0 ? weightedSum / totalWeight : 0;
+    }
+
+    /**
+     * Value of the earliest (or latest) row by date. Without a date column, row order is used.
+     */
+    calculateFirstLast(data, column, dateColumn, last = false) {
+      let selected = null;
+      let selectedTime = null;
+
+      for (let i = 0; i < data.length; i++) {
+        const val = data[i][column];
+        if (val === null || val === undefined || val === '') continue;
+
+        if (!dateColumn) {
+          if (selected === null || last) selected = val;
+          continue;
+        }
+
+        const time = new Date(data[i][dateColumn]).getTime();
+        if (isNaN(time)) continue;
+        if (selectedTime === null || (last ? time >= selectedTime : time < selectedTime)) {
+          selected = val;
+          selectedTime = time;
+        }
+      }
+
+      if (selected === null) return 0;
+      const numeric = parseFloat(selected);
+      return isNaN(numeric) ? 0 : numeric;
+    }
+
     // Optimized calculation methods
     calculateSum(data, column) {
       let sum = 0;
@@ -145,6 +674,9 @@ class Calculator {
     }
     
     formatValue(value, format) {
+      if (value === null || value === undefined) {
+        return '—';
+      }
       if (isNaN(value) || !isFinite(value)) {
         return '0';
       }
@@ -184,7 +716,7 @@ class Calculator {
       
       chartDefinitions.forEach((def, index) => {
         try {
-          const chartData = this.prepareOptimizedChartData(workingData, def);
+          const chartData = this.prepareOptimizedChartData(workingData, def, schema);
           if (chartData && chartData.length > 0) {
             charts.push({
               id: `chart_${index}`,
@@ -192,7 +724,12 @@ class Calculator {
               type: def.type,
               data: chartData,
               measures: def.measures,
+              aggregation: this.normalizeAggregation(def.aggregation || 'sum'),
+              ...this.getAggregationOptions(def, schema),
               dimensions: def.dimensions,
+              ...(chartData.grain && { grain: chartData.grain, transform: chartData.transform, window: def.window }),
+              ...(def.downsampling && { downsampling: def.downsampling }),
+              ...(chartData.downsampled && { downsampled: chartData.downsampled }),
               config: this.generateChartOption(def.type, chartData, def.measures, def.dimensions),
               dataPoints: workingData.length,
               isLimited: dataLimit && data.length > dataLimit,
@@ -207,18 +744,36 @@ class Calculator {
       return charts;
     }
     
-    prepareOptimizedChartData(data, chartDef) {
+    /**
+     * @param {number} maxPoints - Longest series kept; exports pass Infinity for the full series
+     */
+    prepareOptimizedChartData(data, chartDef, schema = null, maxPoints = this.maxChartDataPoints) {
       const { measures, dimensions, type } = chartDef;
       
-      if (!measures || !dimensions || measures.length === 0 || dimensions.length === 0) {
+      // Histograms bin a measure on its own; every other chart needs a dimension
+      if (!measures || measures.length === 0 || (type !== 'histogram' && (!dimensions || dimensions.length === 0))) {
         return [];
       }
+
+      const evaluate = this.createMeasureEvaluator(chartDef, schema);
+
+      const shaper = this.chartShapers[String(type || '').toLowerCase()];
+      if (shaper) {
+        return this[shaper](data, { ...chartDef, dimensions: dimensions || [] }, evaluate);
+      }
+
+      const timeContext = this.getTimeSeriesContext(data, chartDef, schema);
+
+      // Two dimensions: x axis by the first, one series per value of the second
+      if (dimensions.length > 1 && this.isSeriesChart(type)) {
+        return this.prepareSeriesChartData(data, chartDef, evaluate, timeContext, maxPoints);
+      }
       
       const primaryDimension = dimensions[0];
       const primaryMeasure = measures[0];
       
       // Use efficient grouping for large datasets
-      const grouped = this.optimizedGroupBy(data, primaryDimension);
+      const grouped = this.optimizedGroupBy(data, primaryDimension, timeContext?.keyOf);
       
       // Calculate aggregated values with performance optimization
       const chartData = Object.keys(grouped).map(key => {
@@ -226,24 +781,452 @@ class Calculator {
         const dataPoint = { [primaryDimension]: key };
         
         measures.forEach(measure => {
-          dataPoint[measure] = this.calculateSum(group, measure);
+          dataPoint[measure] = evaluate(group, measure);
         });
         
         return dataPoint;
       });
+
+      if (timeContext) {
+        return this.finishTimeSeries(chartData, primaryDimension, measures, chartDef, timeContext, maxPoints);
+      }
       
       // Limit data points for chart performance
       const sortedData = this.sortChartData(chartData, primaryMeasure, type);
       
       // Apply intelligent data reduction for large datasets
-      return this.reduceDataForVisualization(sortedData, type);
+      return this.reduceDataForVisualization(sortedData, type, {
+        method: chartDef.downsampling,
+        valueOf: point => point[primaryMeasure] || 0,
+        maxPoints
+      });
     }
   
-    optimizedGroupBy(data, dimension) {
+    /**
+     * Returns (rows, measure) => value. Measures are summed per group unless the chart asks
+     * for another aggregation; aggregate calculated fields (e.g. sum(cost)/count()) are evaluated as-is.
+     */
+    createMeasureEvaluator(chartDef, schema) {
+      const aggregation = chartDef.aggregation || 'sum';
+      const aggregationOptions = this.getAggregationOptions(chartDef, schema);
+      const aggregateMeasures = {};
+
+      (chartDef.measures || []).forEach(measure => {
+        const field = this.findCalculatedField(schema, measure);
+        if (field?.isAggregate) {
+          aggregateMeasures[measure] = this.compileExpression(field.expression, schema);
+        }
+      });
+
+      return (rows, measure) => (aggregateMeasures[measure]
+        ? (aggregateMeasures[measure].evaluateGroup(rows) ?? 0)
+        : this.aggregate(rows, measure, aggregation, aggregationOptions));
+    }
+
+    isSeriesChart(type) {
+      return this.seriesChartTypes.includes(String(type || '').toLowerCase());
+    }
+
+    /**
+     * Series-per-category data for the primary measure, e.g. claim type x quarter:
+     * [{ quarter: 'Q1', Inpatient: 120, Outpatient: 80, Others: 15 }, ...]
+     * Like pie slices, only the largest series are kept and the rest are folded into "Others".
+     * Every row carries every series key (0 when empty) so stacks line up.
+     */
+    prepareSeriesChartData(data, chartDef, evaluate, timeContext = null, maxPoints = this.maxChartDataPoints) {
+      const { measures, dimensions, type } = chartDef;
+      const [primaryDimension, seriesDimension] = dimensions;
+      const measure = measures[0];
+      const seriesName = (value) => (value === primaryDimension ? `${value} (${seriesDimension})` : value);
+
+      const { categories, groups } = this.bucketCategories(
+        data, seriesDimension, rows => evaluate(rows, measure), this.maxSeries
+      );
+      const seriesKeys = categories.map(seriesName);
+      const emptyPoint = Object.fromEntries(seriesKeys.map(series => [series, 0]));
+
+      const points = {};
+      categories.forEach((category, index) => {
+        const byPrimary = this.optimizedGroupBy(groups[category], primaryDimension, timeContext?.keyOf);
+        Object.keys(byPrimary).forEach(key => {
+          points[key] = points[key] || { [primaryDimension]: key, ...emptyPoint };
+          points[key][seriesKeys[index]] = evaluate(byPrimary[key], measure);
+        });
+      });
+      const chartData = Object.values(points);
+
+      if (timeContext) {
+        return this.finishTimeSeries(chartData, primaryDimension, seriesKeys, chartDef, timeContext, maxPoints);
+      }
+
+      const total = (point) => seriesKeys.reduce((sum, series) => sum + (point[series] || 0), 0);
+      const sortedData = type === 'multi-line'
+        ? chartData.sort((a, b) => String(a[primaryDimension]).localeCompare(String(b[primaryDimension])))
+        : chartData.sort((a, b) => total(b) - total(a));
+
+      return this.reduceDataForVisualization(sortedData, type, {
+        method: chartDef.downsampling,
+        valueOf: total,
+        maxPoints
+      });
+    }
+
+    /**
+     * Keep the largest values of a dimension (ranked by `rank(rows)`) and fold the rest into
+     * "Others", like pie slices
+     * @returns {Object} { categories: kept keys in rank order, groups: { category: rows } }
+     */
+    bucketCategories(data, dimension, rank, maxCategories, includeOthers = true) {
+      const grouped = this.optimizedGroupBy(data, dimension);
+      const ranked = Object.keys(grouped)
+        .map(key => ({ key, score: rank(grouped[key]) }))
+        .sort((a, b) => b.score - a.score);
+
+      if (ranked.length <= maxCategories) {
+        return { categories: ranked.map(item => item.key), groups: grouped };
+      }
+
+      const kept = ranked.slice(0, includeOthers ? maxCategories - 1 : maxCategories);
+      const groups = {};
+      kept.forEach(({ key }) => { groups[key] = grouped[key]; });
+
+      if (!includeOthers) {
+        return { categories: kept.map(item => item.key), groups };
+      }
+
+      groups.Others = ranked.slice(maxCategories - 1).flatMap(({ key }) => grouped[key]);
+      return { categories: [...kept.map(item => item.key), 'Others'], groups };
+    }
+
+    // ==================== CHART SHAPES ====================
+
+    /**
+     * Cells of dimension x dimension: [{ [x]: 'East', [y]: 'Q1', [measure]: 120 }, ...]
+     */
+    prepareHeatmapData(data, chartDef, evaluate) {
+      const { measures, dimensions } = chartDef;
+      const [xDimension, yDimension] = dimensions;
+      const measure = measures[0];
+
+      if (!yDimension) {
+        throw new Error('Heatmap needs two dimensions');
+      }
+
+      const rank = rows => evaluate(rows, measure);
+      const columns = this.bucketCategories(data, xDimension, rank, 20);
+      const rowCategories = this.bucketCategories(data, yDimension, rank, 12);
+      const rowOf = new Map();
+      rowCategories.categories.forEach(category => {
+        rowCategories.groups[category].forEach(row => rowOf.set(row, category));
+      });
+
+      const cells = [];
+      columns.categories.forEach(column => {
+        const byRow = {};
+        columns.groups[column].forEach(row => {
+          const category = rowOf.get(row);
+          (byRow[category] = byRow[category] || []).push(row);
+        });
+
+        rowCategories.categories.forEach(category => {
+          if (byRow[category]) {
+            cells.push({ [xDimension]: column, [yDimension]: category, [measure]: evaluate(byRow[category], measure) });
+          }
+        });
+      });
+
+      return cells;
+    }
+
+    /**
+     * Hierarchy for a treemap: [{ name, value, children: [{ name, value }] }]
+     */
+    prepareTreemapData(data, chartDef, evaluate) {
+      const { measures, dimensions } = chartDef;
+      const [parentDimension, childDimension] = dimensions;
+      const measure = measures[0];
+      const rank = rows => evaluate(rows, measure);
+
+      const parents = this.bucketCategories(data, parentDimension, rank, 20);
+      return parents.categories
+        .map(parent => {
+          const rows = parents.groups[parent];
+          const node = { name: parent, value: evaluate(rows, measure) };
+
+          if (childDimension) {
+            const children = this.bucketCategories(rows, childDimension, rank, 10);
+            node.children = children.categories
+              .map(child => ({ name: child, value: evaluate(children.groups[child], measure) }))
+              .filter(child => child.value > 0);
+          }
+
+          return node;
+        })
+        .filter(node => node.value > 0);
+    }
+
+    /**
+     * Automatic binning of a measure (Sturges' rule, rounded to a readable bin width)
+     */
+    prepareHistogramData(data, chartDef) {
+      const measure = chartDef.measures[0];
+      const values = this.numericValues(data, measure);
+      if (values.length === 0) return [];
+
+      let min = Infinity;
+      let max = -Infinity;
+      values.forEach(value => {
+        if (value < min) min = value;
+        if (value > max) max = value;
+      });
+
+      if (min === max) {
+        return [{ bin: this.formatValue(min), binStart: min, binEnd: max, count: values.length }];
+      }
+
+      const binCount = Math.min(30, Math.ceil(Math.log2(values.length) + 1));
+      const width = this.niceStep((max - min) / binCount);
+      const start = Math.floor(min / width) * width;
+      const bins = Math.max(1, Math.ceil((max - start) / width + 1e-9));
+      const counts = new Array(bins).fill(0);
+
+      values.forEach(value => {
+        counts[Math.min(Math.floor((value - start) / width), bins - 1)]++;
+      });
+
+      return counts.map((count, index) => {
+        const binStart = start + index * width;
+        const binEnd = binStart + width;
+        return {
+          bin: `${this.formatValue(binStart)}–${this.formatValue(binEnd)}`,
+          binStart,
+          binEnd,
+          count
+        };
+      });
+    }
+
+    niceStep(rawStep) {
+      const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+      const fraction = rawStep / magnitude;
+      const nice = fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10;
+      return nice * magnitude;
+    }
+
+    /**
+     * Five-number summary per category. Whiskers stop at 1.5 x IQR; points beyond are counted as outliers.
+     */
+    prepareBoxPlotData(data, chartDef) {
+      const { measures, dimensions } = chartDef;
+      const [dimension] = dimensions;
+      const measure = measures[0];
+      const { categories, groups } = this.bucketCategories(data, dimension, rows => rows.length, 20);
+
+      return categories
+        .map(category => {
+          const sorted = this.numericValues(groups[category], measure).sort((a, b) => a - b);
+          if (sorted.length === 0) return null;
+
+          const q1 = this.percentileOfSorted(sorted, 25);
+          const median = this.percentileOfSorted(sorted, 50);
+          const q3 = this.percentileOfSorted(sorted, 75);
+          const lowerFence = q1 - 1.5 * (q3 - q1);
+          const upperFence = q3 + 1.5 * (q3 - q1);
+          const inside = sorted.filter(value => value >= lowerFence && value <= upperFence);
+          const min = inside[0];
+          const max = inside[inside.length - 1];
+
+          return {
+            [dimension]: category,
+            min,
+            q1,
+            median,
+            q3,
+            max,
+            range: [min, max],
+            outliers: sorted.length - inside.length,
+            count: sorted.length
+          };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.median - a.median);
+    }
+
+    /**
+     * Stages sorted from largest to smallest with conversion from the previous stage
+     */
+    prepareFunnelData(data, chartDef, evaluate) {
+      const { measures, dimensions } = chartDef;
+      const [dimension] = dimensions;
+      const measure = measures[0];
+      const { categories, groups } = this.bucketCategories(data, dimension, rows => evaluate(rows, measure), 10, false);
+
+      const stages = categories.map(category => ({
+        [dimension]: category,
+        [measure]: evaluate(groups[category], measure)
+      }));
+      const first = stages[0]?.[measure] || 0;
+
+      return stages.map((stage, index) => {
+        const previous = index > 0 ? stages[index - 1][measure] : stage[measure];
+        return {
+          ...stage,
+          conversionRate: previous ? (stage[measure] / previous) * 100 : 0,
+          shareOfFirst: first ? (stage[measure] / first) * 100 : 0
+        };
+      });
+    }
+
+    /**
+     * Contribution of each category to the total: floating bars from the running total, plus a total bar
+     */
+    prepareWaterfallData(data, chartDef, evaluate) {
+      const { measures, dimensions } = chartDef;
+      const [dimension] = dimensions;
+      const measure = measures[0];
+      const { categories, groups } = this.bucketCategories(data, dimension, rows => Math.abs(evaluate(rows, measure)), 12);
+
+      let running = 0;
+      const steps = categories.map(category => {
+        const value = evaluate(groups[category], measure);
+        const start = running;
+        running += value;
+        return { [dimension]: category, [measure]: value, range: [start, running], isTotal: false };
+      });
+
+      return [...steps, { [dimension]: 'Total', [measure]: running, range: [0, running], isTotal: true }];
+    }
+
+    /**
+     * Bar + line on two axes. With a single measure the line is its cumulative share (Pareto).
+     */
+    prepareComboData(data, chartDef, evaluate) {
+      const { measures, dimensions } = chartDef;
+      const [dimension] = dimensions;
+      const [barMeasure, lineMeasure] = measures;
+      const grouped = this.optimizedGroupBy(data, dimension);
+
+      const points = Object.keys(grouped).map(key => {
+        const point = { [dimension]: key, [barMeasure]: evaluate(grouped[key], barMeasure) };
+        if (lineMeasure) point[lineMeasure] = evaluate(grouped[key], lineMeasure);
+        return point;
+      });
+      points.sort((a, b) => (b[barMeasure] || 0) - (a[barMeasure] || 0));
+
+      if (!lineMeasure) {
+        const total = points.reduce((sum, point) => sum + (point[barMeasure] || 0), 0);
+        let cumulative = 0;
+        points.forEach(point => {
+          cumulative += point[barMeasure] || 0;
+          point.cumulativeShare = total ? (cumulative / total) * 100 : 0;
+        });
+      }
+
+      return this.reduceForBarChart(points);
+    }
+
+    /**
+     * Date bucketing for charts whose x axis is a date column, or null to group by raw value.
+     * `chartDef.grain` picks day/week/month/quarter/year; 'auto' (default) sizes it to the date span.
+     */
+    getTimeSeriesContext(data, chartDef, schema) {
+      const { dimensions, type } = chartDef;
+      if (!this.timeSeriesChartTypes.includes(String(type || '').toLowerCase())) return null;
+
+      const column = (schema?.columns || []).find(c => c.name === dimensions[0]);
+      if (column?.type !== 'date') return null;
+
+      return timeSeries.createBucketer(data, dimensions[0], chartDef.grain || 'auto');
+    }
+
+    /**
+     * Zero-fill missing periods in chronological order, apply the chart transform, then
+     * downsample very long series. Rows with unparseable dates are left out. The resolved grain and transform ride along on the array.
+     */
+    finishTimeSeries(points, dimension, keys, chartDef, timeContext, maxPoints = this.maxChartDataPoints) {
+      const byPeriod = {};
+      points.forEach(point => { byPeriod[point[dimension]] = point; });
+
+      const emptyPoint = Object.fromEntries(keys.map(key => [key, 0]));
+      const filled = timeContext.periods.map(period => byPeriod[period] || { [dimension]: period, ...emptyPoint });
+
+      const transform = this.chartTransforms.includes(chartDef.transform) ? chartDef.transform : 'none';
+      const transformed = this.applyTransform(filled, keys, transform, {
+        window: chartDef.window,
+        grain: timeContext.grain
+      });
+
+      const chartData = transformed.length > maxPoints
+        ? this.reduceForTimeSeries(transformed, {
+          method: chartDef.downsampling,
+          valueOf: point => keys.reduce((sum, key) => sum + (point[key] || 0), 0),
+          maxPoints
+        })
+        : transformed;
+      chartData.grain = timeContext.grain;
+      chartData.transform = transform;
+      return chartData;
+    }
+
+    /**
+     * Chart transforms over chronologically ordered points:
+     * - rolling: trailing mean over `window` periods (default 3)
+     * - cumulative: running total
+     * - mom: % change on the previous period
+     * - yoy: % change on the same period a year earlier (null where there is no prior year)
+     */
+    applyTransform(points, keys, transform, { window, grain } = {}) {
+      if (!transform || transform === 'none') return points;
+
+      const size = Math.max(1, parseInt(window, 10) || 3);
+      const lag = transform === 'yoy' ? timeSeries.periodsPerYear[grain] || 12 : 1;
+      const percentChange = (current, previous) => (previous ? ((current - previous) / Math.abs(previous)) * 100 : null);
+
+      const result = points.map(point => ({ ...point }));
+
+      keys.forEach(key => {
+        const values = points.map(point => point[key] ?? 0);
+        let runningTotal = 0;
+
+        result.forEach((point, index) => {
+          switch (transform) {
+            case 'rolling': {
+              const windowValues = values.slice(Math.max(0, index - size + 1), index + 1);
+              point[key] = windowValues.reduce((sum, value) => sum + value, 0) / windowValues.length;
+              break;
+            }
+            case 'cumulative':
+              runningTotal += values[index];
+              point[key] = runningTotal;
+              break;
+            case 'mom':
+            case 'yoy':
+              point[key] = index >= lag ? percentChange(values[index], values[index - lag]) : null;
+              break;
+            default:
+              break;
+          }
+        });
+      });
+
+      return result;
+    }
+
+    /**
+     * Keys drawn as separate series: second-dimension values for two-level data, else the measures
+     */
+    getSeriesKeys(data, measures, dimensions, type) {
+      if (dimensions.length > 1 && this.isSeriesChart(type) && data.length > 0) {
+        return Object.keys(data[0]).filter(key => key !== dimensions[0]);
+      }
+      return measures;
+    }
+
+    optimizedGroupBy(data, dimension, keyOf = null) {
       const groups = {};
       
       for (let i = 0; i < data.length; i++) {
-        const key = data[i][dimension] || 'Unknown';
+        const key = (keyOf ? keyOf(data[i]) : data[i][dimension]) || 'Unknown';
         if (!groups[key]) {
           groups[key] = [];
         }
@@ -253,13 +1236,15 @@ class Calculator {
       return groups;
     }
   
-    reduceDataForVisualization(data, chartType) {
+    reduceDataForVisualization(data, chartType, options = {}) {
+      const maxPoints = options.maxPoints ?? this.maxChartDataPoints;
+
       // Apply different reduction strategies based on chart type and data size
-      if (data.length <= this.maxChartDataPoints) {
+      if (data.length <= maxPoints) {
         return data;
       }
   
-      console.log(`Reducing ${data.length} data points to ${this.maxChartDataPoints} for ${chartType} chart`);
+      console.log(`Reducing ${data.length} data points to ${maxPoints} for ${chartType} chart`);
   
       switch (chartType) {
         case 'pie':
@@ -268,13 +1253,14 @@ class Calculator {
         
         case 'line':
         case 'area':
+        case 'multi-line':
           // For time series, use intelligent sampling
-          return this.reduceForTimeSeries(data);
+          return this.reduceForTimeSeries(data, options);
         
         case 'bar':
         default:
           // For bar charts, keep top values
-          return this.reduceForBarChart(data);
+          return this.reduceForBarChart(data, maxPoints);
       }
     }
   
@@ -314,22 +1300,134 @@ class Calculator {
       return topCategories;
     }
   
-    reduceForTimeSeries(data) {
-      // Intelligent sampling for time series data
-      const targetPoints = Math.min(this.maxChartDataPoints, data.length);
-      const step = Math.ceil(data.length / targetPoints);
-      
-      const reduced = [];
-      for (let i = 0; i < data.length; i += step) {
-        reduced.push(data[i]);
+    /**
+     * Thin a series to maxChartDataPoints, keeping its shape:
+     * - lttb: Largest-Triangle-Three-Buckets, keeps the visually significant points
+     * - minmax: the lowest and highest point of every bucket, so no spike or trough is lost
+     * - stride: every Nth point
+     * The result carries `downsampled` metadata: { method, originalPoints, keptPoints, droppedPoints }.
+     * @param {Array} data - Ordered points
+     * @param {Object} options - { method, valueOf(point) -> number used to rank points, maxPoints }
+     */
+    reduceForTimeSeries(data, { method = 'lttb', valueOf, maxPoints = this.maxChartDataPoints } = {}) {
+      const resolvedMethod = this.downsamplingMethods.includes(method) ? method : 'lttb';
+      const threshold = maxPoints;
+
+      if (data.length <= threshold) {
+        return data;
       }
-      
+
+      const measureKey = Object.keys(data[0]).find(k => typeof data[0][k] === 'number');
+      const value = valueOf || (point => point[measureKey] || 0);
+
+      let reduced;
+      switch (resolvedMethod) {
+        case 'minmax':
+          reduced = this.downsampleMinMax(data, threshold, value);
+          break;
+        case 'stride': {
+          const step = Math.ceil(data.length / threshold);
+          reduced = data.filter((point, index) => index % step === 0);
+          break;
+        }
+        case 'lttb':
+        default:
+          reduced = this.downsampleLTTB(data, threshold, value);
+      }
+
+      reduced.downsampled = {
+        method: resolvedMethod,
+        originalPoints: data.length,
+        keptPoints: reduced.length,
+        droppedPoints: data.length - reduced.length
+      };
+      return reduced;
+    }
+
+    /**
+     * Largest-Triangle-Three-Buckets (Steinarsson, 2013). Points are evenly spaced on x
+     * (periods or sorted categories), so the index is used as the x coordinate.
+     */
+    downsampleLTTB(data, threshold, value) {
+      if (threshold < 3) {
+        return [data[0], data[data.length - 1]].slice(0, threshold);
+      }
+
+      const reduced = [data[0]];
+      const bucketSize = (data.length - 2) / (threshold - 2);
+      let selected = 0;
+
+      for (let bucket = 0; bucket < threshold - 2; bucket++) {
+        // Average of the next bucket is the third triangle vertex
+        const nextStart = Math.floor((bucket + 1) * bucketSize) + 1;
+        const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, data.length);
+        let avgX = 0;
+        let avgY = 0;
+        for (let i = nextStart; i < nextEnd; i++) {
+          avgX += i;
+          avgY += value(data[i]);
+        }
+        const nextCount = Math.max(1, nextEnd - nextStart);
+        avgX /= nextCount;
+        avgY /= nextCount;
+
+        // Keep the point of this bucket forming the largest triangle with the last kept point
+        const start = Math.floor(bucket * bucketSize) + 1;
+        const end = Math.floor((bucket + 1) * bucketSize) + 1;
+        const selectedY = value(data[selected]);
+        let maxArea = -1;
+        let candidate = start;
+
+        for (let i = start; i < end; i++) {
+          const area = Math.abs(
+            (selected - avgX) * (value(data[i]) - selectedY) -
+            (selected - i) * (avgY - selectedY)
+          );
+          if (area > maxArea) {
+            maxArea = area;
+            candidate = i;
+          }
+        }
+
+        reduced.push(data[candidate]);
+        selected = candidate;
+      }
+
+      reduced.push(data[data.length - 1]);
+      return reduced;
+    }
+
+    /**
+     * Keep the minimum and maximum of each bucket (in their original order), plus the endpoints
+     */
+    downsampleMinMax(data, threshold, value) {
+      const bucketCount = Math.max(1, Math.floor((threshold - 2) / 2));
+      const bucketSize = (data.length - 2) / bucketCount;
+      const reduced = [data[0]];
+
+      for (let bucket = 0; bucket < bucketCount; bucket++) {
+        const start = Math.floor(bucket * bucketSize) + 1;
+        const end = Math.min(Math.floor((bucket + 1) * bucketSize) + 1, data.length - 1);
+        if (start >= end) continue;
+
+        let minIndex = start;
+        let maxIndex = start;
+        for (let i = start + 1; i < end; i++) {
+          if (value(data[i]) < value(data[minIndex])) minIndex = i;
+          if (value(data[i]) > value(data[maxIndex])) maxIndex = i;
+        }
+
+        reduced.push(data[Math.min(minIndex, maxIndex)]);
+        if (minIndex !== maxIndex) reduced.push(data[Math.max(minIndex, maxIndex)]);
+      }
+
+      reduced.push(data[data.length - 1]);
       return reduced;
     }
   
-    reduceForBarChart(data) {
+    reduceForBarChart(data, maxPoints = this.maxChartDataPoints) {
       // Keep top N categories for bar charts
-      const maxBars = Math.min(50, this.maxChartDataPoints);
+      const maxBars = Math.min(50, maxPoints);
       
       if (data.length <= maxBars) {
         return data;
@@ -345,6 +1443,7 @@ class Calculator {
           
         case 'line':
         case 'area':
+        case 'multi-line':
           return data.sort((a, b) => {
             const aKey = Object.keys(a).find(k => k !== primaryMeasure);
             const bKey = Object.keys(b).find(k => k !== primaryMeasure);
@@ -360,6 +1459,8 @@ class Calculator {
     generateChartOption(type, data, measures, dimensions) {
       const primaryMeasure = measures[0];
       const primaryDimension = dimensions[0];
+      const series = this.getSeriesKeys(data, measures, dimensions, type);
+      const seriesDimension = series === measures ? null : dimensions[1];
       
       const baseConfig = {
         data: data,
@@ -406,14 +1507,113 @@ class Calculator {
             dataKey: primaryMeasure,
             xAxisKey: primaryDimension
           };
+
+        case 'stacked-bar':
+        case 'grouped-bar':
+        case 'stacked-bar-100':
+          return {
+            ...baseConfig,
+            type: 'BarChart',
+            dataKey: primaryMeasure,
+            xAxisKey: primaryDimension,
+            series,
+            seriesDimension,
+            stacked: type !== 'grouped-bar',
+            percent: type === 'stacked-bar-100'
+          };
+
+        case 'multi-line':
+          return {
+            ...baseConfig,
+            type: 'LineChart',
+            dataKey: primaryMeasure,
+            xAxisKey: primaryDimension,
+            series,
+            seriesDimension
+          };
+
+        case 'heatmap': {
+          const yAxisKey = dimensions[1];
+          const values = data.map(cell => cell[primaryMeasure]).filter(value => typeof value === 'number');
+          return {
+            ...baseConfig,
+            type: 'Heatmap',
+            dataKey: primaryMeasure,
+            xAxisKey: primaryDimension,
+            yAxisKey,
+            xCategories: [...new Set(data.map(cell => cell[primaryDimension]))],
+            yCategories: [...new Set(data.map(cell => cell[yAxisKey]))],
+            min: values.length > 0 ? Math.min(...values) : 0,
+            max: values.length > 0 ? Math.max(...values) : 0
+          };
+        }
+
+        case 'treemap':
+          return {
+            ...baseConfig,
+            type: 'Treemap',
+            dataKey: 'value',
+            nameKey: 'name',
+            measure: primaryMeasure
+          };
+
+        case 'histogram':
+          return {
+            ...baseConfig,
+            type: 'Histogram',
+            dataKey: 'count',
+            xAxisKey: 'bin',
+            measure: primaryMeasure
+          };
+
+        case 'box-plot':
+          return {
+            ...baseConfig,
+            type: 'BoxPlot',
+            dataKey: 'range',
+            xAxisKey: primaryDimension,
+            measure: primaryMeasure
+          };
+
+        case 'funnel':
+          return {
+            ...baseConfig,
+            type: 'FunnelChart',
+            dataKey: primaryMeasure,
+            nameKey: primaryDimension
+          };
+
+        case 'waterfall':
+          return {
+            ...baseConfig,
+            type: 'Waterfall',
+            dataKey: 'range',
+            valueKey: primaryMeasure,
+            xAxisKey: primaryDimension
+          };
+
+        case 'combo':
+          return {
+            ...baseConfig,
+            type: 'ComposedChart',
+            xAxisKey: primaryDimension,
+            barKey: primaryMeasure,
+            lineKey: measures[1] || 'cumulativeShare',
+            lineIsShare: !measures[1]
+          };
           
         default:
           return baseConfig;
       }
     }
     
+    /**
+     * Keep rows matching a filter model ({ logic, conditions }) or a legacy { column: [values] } map
+     * (see filterModel for operators), then apply the data limit
+     */
     applyFilters(data, filters, dataLimit = null) {
-      if (!filters || Object.keys(filters).length === 0) {
+      const matches = filterModel.compile(filters);
+      if (!matches) {
         return dataLimit ? data.slice(0, dataLimit) : data;
       }
       
@@ -422,32 +1622,8 @@ class Calculator {
       
       for (let i = 0; i < data.length; i++) {
         const row = data[i];
-        let matchesAllFilters = true;
-        
-        // Check each filter
-        for (const filterKey in filters) {
-          const filterValues = filters[filterKey];
-          
-          if (!filterValues || filterValues.length === 0) {
-            continue;
-          }
-          
-          const rowValue = row[filterKey];
-          
-          if (rowValue === null || rowValue === undefined) {
-            if (!filterValues.includes('null') && !filterValues.includes('undefined')) {
-              matchesAllFilters = false;
-              break;
-            }
-          } else {
-            if (!filterValues.includes(String(rowValue))) {
-              matchesAllFilters = false;
-              break;
-            }
-          }
-        }
         
-        if (matchesAllFilters) {
+        if (matches(row)) {
           filtered.push(row);
           
           // Apply data limit during filtering for performance
@@ -460,11 +1636,17 @@ class Calculator {
       return filtered;
     }
     
+    /**
+     * Filter choices per column:
+     * - dimensions: up to 100 values (`highCardinality` when there are more - search the rest with getColumnValues)
+     * - date columns and numeric measures: min/max for range operators
+     */
     getFilterOptions(data, schema, sampleSize = 10000) {
       const filterOptions = {};
       
       // Use sample for large datasets to improve performance
       const sampleData = data.length > sampleSize ? data.slice(0, sampleSize) : data;
+      const isSampled = data.length > sampleSize;
       
       schema.dimensions.forEach(dimension => {
         const uniqueValues = new Set();
@@ -481,22 +1663,101 @@ class Calculator {
         }
         
         const values = Array.from(uniqueValues).sort();
+        const isDate = dimension.type === 'date';
         
-        // Only include dimensions with reasonable number of unique values
-        if (values.length > 1 && values.length <= 100) {
-          filterOptions[dimension.name] = {
-            label: this.formatColumnName(dimension.name),
-            options: values.map(value => ({
-              label: value,
-              value: value
-            })),
-            isSampled: data.length > sampleSize
-          };
-        }
+        // Single-value columns have nothing to filter on, unless they can still be ranged
+        if (values.length <= 1 && !isDate) return;
+        
+        filterOptions[dimension.name] = {
+          label: this.formatColumnName(dimension.name),
+          type: isDate ? 'date' : 'dimension',
+          options: values.slice(0, 100).map(value => ({
+            label: value,
+            value: value
+          })),
+          highCardinality: values.length > 100,
+          isSampled,
+          ...(isDate && this.getColumnRange(sampleData, dimension.name, true))
+        };
+      });
+      
+      schema.measures.forEach(measure => {
+        if (measure.type !== 'number') return;
+        const range = this.getColumnRange(sampleData, measure.name, false);
+        if (range.min === null || range.min === range.max) return;
+        
+        filterOptions[measure.name] = {
+          label: this.formatColumnName(measure.name),
+          type: 'number',
+          options: [],
+          isSampled,
+          ...range
+        };
       });
       
       return filterOptions;
     }
+    
+    /**
+     * Distinct values of one column over the full dataset, with row counts, most frequent first
+     * @param {Array} data - Rows
+     * @param {string} column - Column name
+     * @param {Object} options - { search, match: 'prefix'|'contains', offset, limit }
+     * @returns {Object} { values: [{ value, label, count }], total, totalDistinct, offset, limit, hasMore }
+     */
+    getColumnValues(data, column, { search = '', match = 'contains', offset = 0, limit = 50 } = {}) {
+      const counts = new Map();
+      
+      for (let i = 0; i < data.length; i++) {
+        const value = data[i][column];
+        // Empty cells share the 'null' value the "is any of" filter already understands
+        const key = value === null || value === undefined || value === '' ? 'null' : String(value);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+      
+      const needle = String(search || '').trim().toLowerCase();
+      const matches = needle
+        ? (value) => (match === 'prefix' ? value.toLowerCase().startsWith(needle) : value.toLowerCase().includes(needle))
+        : () => true;
+      
+      const values = [];
+      counts.forEach((count, value) => {
+        if (matches(value)) {
+          values.push({ value, label: value === 'null' ? '(empty)' : value, count });
+        }
+      });
+      
+      values.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value, undefined, { numeric: true }));
+      
+      const start = Math.max(0, parseInt(offset, 10) || 0);
+      const pageSize = Math.min(Math.max(1, parseInt(limit, 10) || 50), 200);
+      
+      return {
+        values: values.slice(start, start + pageSize),
+        total: values.length,
+        totalDistinct: counts.size,
+        offset: start,
+        limit: pageSize,
+        hasMore: start + pageSize < values.length
+      };
+    }
+    
+    getColumnRange(data, column, isDate) {
+      let min = Infinity;
+      let max = -Infinity;
+      
+      for (let i = 0; i < data.length; i++) {
+        const value = isDate ? timeSeries.parseTime(data[i][column]) : parseFloat(data[i][column]);
+        if (value === null || isNaN(value)) continue;
+        if (value < min) min = value;
+        if (value > max) max = value;
+      }
+      
+      if (min === Infinity) return { min: null, max: null };
+      return isDate
+        ? { min: new Date(min).toISOString().slice(0, 10), max: new Date(max).toISOString().slice(0, 10) }
+        : { min, max };
+    }
   
     // New method for data limit options
     getDataLimitOptions() {
@@ -528,18 +1789,90 @@ class Calculator {
       };
     }
   
-    // Clear cache periodically to prevent memory leaks
-    clearCache() {
-      this.aggregationCache.clear();
-      console.log('Calculator cache cleared for memory optimization');
+    /**
+     * Raw rows behind a chart, or behind one of its points (drill-through)
+     * @param {Array} data - Rows the chart is drawn from (filters already applied)
+     * @param {Object} chartDef - Chart definition: dimensions, grain and drill state
+     * @param {Object|null} point - { value } on the x axis; for "Others", `otherValues` lists the values shown on their own
+     * @returns {Array} Matching rows
+     */
+    getChartRecords(data, schema, chartDef, point = null) {
+      const { definition, filters: drillFilters } = hierarchies.applyDrill(chartDef, schema);
+      const conditions = [...(drillFilters?.conditions || [])];
+      const pointCondition = point ? this.getPointCondition(definition, point) : null;
+      if (pointCondition) conditions.push(pointCondition);
+
+      return conditions.length > 0 ? this.applyFilters(data, { logic: 'and', conditions }) : data;
+    }
+
+    getPointCondition(chartDef, { value, otherValues }) {
+      const column = chartDef.dimensions?.[0];
+      if (!column || value === undefined || value === null) return null;
+
+      if (String(value) === 'Others' && Array.isArray(otherValues)) {
+        return { column, operator: 'notIn', values: otherValues.map(String) };
+      }
+
+      // Time-series points are periods - match every date in them
+      const periodCondition = chartDef.grain && hierarchies.levelCondition({ column, grain: chartDef.grain }, value);
+      return periodCondition || { column, operator: 'in', values: [String(value)] };
+    }
+
+    /**
+     * Sort rows by one column without touching the original array; empty cells go last
+     * @param {Object} sort - { column, order: 'ascend' | 'descend' }
+     */
+    sortRecords(rows, sort) {
+      if (!sort?.column) return rows;
+
+      const direction = sort.order === 'descend' ? -1 : 1;
+      const isEmpty = (value) => value === null || value === undefined || value === '';
+
+      return [...rows].sort((a, b) => {
+        const x = a[sort.column];
+        const y = b[sort.column];
+        if (isEmpty(x) || isEmpty(y)) return isEmpty(x) - isEmpty(y);
+
+        const order = typeof x === 'number' && typeof y === 'number'
+          ? x - y
+          : String(x).localeCompare(String(y), undefined, { numeric: true });
+        return order * direction;
+      });
+    }
+  
+    /**
+     * Cross-filtering: redraw each chart that has a selection (condition.source = chart id)
+     * from the rows matching every filter except its own selection
+     * @param {Array} charts - Chart configs drawn from the fully filtered rows
+     * @param {Array} data - Rows before column filters (time filter already applied)
+     */
+    applySelectionSources(charts, data, schema, filters, dataLimit = null) {
+      const sources = filterModel.getSources(filters);
+      if (sources.size === 0) return charts;
+      
+      return charts.map(chart => {
+        if (!sources.has(chart.id)) return chart;
+        
+        try {
+          const { data: _data, config: _config, ...definition } = chart;
+          const sourceData = this.applyFilters(data, filterModel.withoutSource(filters, chart.id), dataLimit);
+          return this.generateSingleChartConfig(sourceData, schema, definition, dataLimit);
+        } catch (error) {
+          console.warn(`Warning redrawing selection chart ${chart.title}:`, error.message);
+          return chart;
+        }
+      });
     }
   
     // Method to generate single chart config for custom charts
-    generateSingleChartConfig(data, schema, chartCombination, dataLimit = null) {
+    generateSingleChartConfig(data, schema, chartDefinition, dataLimit = null, maxPoints = this.maxChartDataPoints) {
       try {
-        const workingData = dataLimit ? data.slice(0, dataLimit) : data;
+        // A drilled chart shows one hierarchy level, re-aggregated over the rows under the values picked above it
+        const { definition: chartCombination, filters: drillFilters } = hierarchies.applyDrill(chartDefinition, schema);
+        const drilledData = drillFilters ? this.applyFilters(data, drillFilters) : data;
+        const workingData = dataLimit ? drilledData.slice(0, dataLimit) : drilledData;
         
-        const chartData = this.prepareOptimizedChartData(workingData, chartCombination);
+        const chartData = this.prepareOptimizedChartData(workingData, chartCombination, schema, maxPoints);
         
         if (!chartData || chartData.length === 0) {
           throw new Error('No data available for chart generation');
@@ -551,14 +1884,24 @@ class Calculator {
           type: chartCombination.type,
           data: chartData,
           measures: chartCombination.measures,
+          aggregation: this.normalizeAggregation(chartCombination.aggregation || 'sum'),
+          ...this.getAggregationOptions(chartCombination, schema),
           dimensions: chartCombination.dimensions,
+          ...(chartData.grain && {
+            grain: chartData.grain,
+            transform: chartData.transform,
+            window: chartCombination.window
+          }),
+          ...(chartCombination.downsampling && { downsampling: chartCombination.downsampling }),
+          ...(chartData.downsampled && { downsampled: chartData.downsampled }),
+          ...(chartCombination.drill && { drill: chartCombination.drill }),
           config: this.generateChartOption(chartCombination.type, chartData, chartCombination.measures, chartCombination.dimensions),
           isCustom: chartCombination.isCustom || false,
           aiSuggestion: chartCombination.aiSuggestion,
           insights: chartCombination.insights || [],
           isAiGenerated: chartCombination.isAiGenerated || false,
           dataPoints: workingData.length,
-          isLimited: dataLimit && data.length > dataLimit,
+          isLimited: dataLimit && drilledData.length > dataLimit,
           optimizedForLargeData: true
         };
   
@@ -569,7 +1912,68 @@ class Calculator {
         throw error;
       }
     }
+
+    /**
+     * A chart's aggregated series in full, for exports - charts drawn on screen keep at most
+     * maxChartDataPoints points
+     */
+    getChartSeries(data, schema, chartDefinition, dataLimit = null) {
+      return this.generateSingleChartConfig(data, schema, chartDefinition, dataLimit, Infinity).data;
+    }
     
+    /**
+     * KPIs and charts (default, then custom) for a dashboard definition under a filter state
+     * @param {Object} sessionData - Session with data and schema
+     * @param {Object} definition - { kpis, charts, customCharts } definitions
+     * @param {Object} options - { filters, dataLimit, timeFilter, comparison }
+     * @returns {Object} { kpis, charts, defaultCharts, customCharts, filteredData }
+     */
+    computeDashboard(sessionData, definition, { filters = {}, dataLimit = null, timeFilter = null, comparison = 'previous' } = {}) {
+      // Apply time filter, then column filters with data limit
+      const timeFilteredData = this.applyTimeFilter(sessionData.data, sessionData.schema, timeFilter);
+      const filteredData = this.applyFilters(timeFilteredData, filters, dataLimit);
+
+      const kpis = this.calculateKPIs(filteredData, sessionData.schema, definition.kpis, dataLimit);
+      this.addKPIPeriodContext(kpis, filteredData, sessionData.schema, {
+        allData: sessionData.data,
+        definitions: definition.kpis,
+        timeFilter,
+        comparison,
+        filters,
+        dataLimit
+      });
+
+      const defaultCharts = this.generateChartConfigs(filteredData, sessionData.schema, definition.charts, dataLimit);
+
+      // A custom chart the filters leave empty is kept with no data, so its own selection can still redraw it below
+      const customCharts = (definition.customCharts || []).map(customChart => {
+        try {
+          return this.generateSingleChartConfig(filteredData, sessionData.schema, customChart, dataLimit);
+        } catch (error) {
+          console.warn(`Warning generating custom chart ${customChart.title}:`, error.message);
+          return { ...customChart, data: [] };
+        }
+      });
+
+      // Charts with a cross-filter selection are drawn without their own selection; charts still empty are left out
+      const drawn = this.applySelectionSources(
+        [...defaultCharts, ...customCharts],
+        timeFilteredData,
+        sessionData.schema,
+        filters,
+        dataLimit
+      );
+      const hasData = chart => chart.data && chart.data.length > 0;
+
+      return {
+        kpis,
+        charts: drawn.filter(hasData),
+        defaultCharts: drawn.slice(0, defaultCharts.length).filter(hasData),
+        customCharts: drawn.slice(defaultCharts.length).filter(hasData),
+        filteredData
+      };
+    }
+
     formatColumnName(name) {
       return name
         .replace(/[_-]/g, ' ')
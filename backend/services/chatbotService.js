@@ -1,11 +1,13 @@
 // backend/services/chatbotService.js
 // Talk to Data Chatbot Service
+const queryEngine = require('./queryEngine');
+const intentParser = require('./intentParser');
+const llm = require('./llm');
 
 class ChatbotService {
     constructor() {
-      this.apiKey = process.env.OPENROUTER_API_KEY;
-      this.baseUrl = process.env.OPENROUTER_BASE_URL;
-      this.model = process.env.AI_MODEL || 'openai/gpt-3.5-turbo';
+      // Provider is chosen by the shared LLM client (LLM_PROVIDER_CHATBOT / LLM_PROVIDER)
+      this.feature = 'chatbot';
     }
   
     /**
@@ -15,6 +17,10 @@ class ChatbotService {
     async generateSuggestedQuestions(schema, validationResult, sampleData) {
       console.log('🤖 Generating chatbot questions...');
       
+      if (!this.isAIConfigured()) {
+        return this.getFallbackQuestions(schema);
+      }
+      
       try {
         const measures = schema.measures.map(m => m.name).join(', ');
         const dimensions = schema.dimensions.map(d => d.name).join(', ');
@@ -56,13 +62,14 @@ class ChatbotService {
   
     /**
      * Process user chat message and generate response
+     * @param {Object} options - { onToken, signal } - stream narrative text and support cancellation
      */
-    async processMessage(userMessage, sessionData, conversationHistory = []) {
+    async processMessage(userMessage, sessionData, conversationHistory = [], options = {}) {
       console.log('💬 Processing chat message:', userMessage);
   
       try {
         // Step 1: Understand user intent
-        const intent = await this.classifyIntent(userMessage, sessionData.schema);
+        const intent = await this.classifyIntent(userMessage, sessionData.schema, sessionData.data, options.signal);
         console.log('🎯 Intent:', intent);
   
         // Step 2: Execute query based on intent
@@ -72,15 +79,18 @@ class ChatbotService {
           response = await this.generateTableResponse(userMessage, sessionData, intent);
         } else if (intent.type === 'aggregation') {
           response = await this.generateAggregationResponse(userMessage, sessionData, intent);
+        } else if (intent.type === 'clarification') {
+          response = { type: 'text', content: intent.message };
         } else if (intent.type === 'insight') {
-          response = await this.generateInsightResponse(userMessage, sessionData, conversationHistory);
+          response = await this.generateInsightResponse(userMessage, sessionData, conversationHistory, options);
         } else {
-          response = await this.generateGeneralResponse(userMessage, sessionData, conversationHistory);
+          response = await this.generateGeneralResponse(userMessage, sessionData, conversationHistory, options);
         }
   
         return response;
   
       } catch (error) {
+        if (options.signal?.aborted) throw error;
         console.error('Chat processing error:', error);
         return {
           type: 'text',
@@ -90,114 +100,129 @@ class ChatbotService {
     }
   
     /**
-     * Classify user intent using AI
+     * Classify user intent using AI - the model only fills in the query slots,
+     * execution happens locally in the query engine
      */
-    async classifyIntent(userMessage, schema) {
-      const measures = schema.measures.map(m => m.name).join(', ');
-      const dimensions = schema.dimensions.map(d => d.name).join(', ');
+    async classifyIntent(userMessage, schema, data = [], signal = null) {
+      // No provider configured (e.g. air-gapped installs) - parse locally
+      if (!this.isAIConfigured()) {
+        return intentParser.parse(userMessage, schema, data);
+      }
+  
+      const describeColumn = (column, withSamples = true) => {
+        const samples = withSamples ? (column.sampleValues || []).slice(0, 3).map(v => JSON.stringify(v)).join(', ') : '';
+        return `${column.name} (${column.type}${samples ? `; e.g. ${samples}` : ''})`;
+      };
   
-      const prompt = `Classify this user question about data:
+      const buildPrompt = (describe) => {
+        const measures = schema.measures.map(describe).join('\n    ');
+        const dimensions = schema.dimensions.map(describe).join('\n    ');
+        return `Classify this user question about data and translate it into a structured query:
   
   USER QUESTION: "${userMessage}"
   
   AVAILABLE DATA:
-  - Measures: ${measures}
-  - Dimensions: ${dimensions}
+  - Measures:
+    ${measures || 'None'}
+  - Dimensions:
+    ${dimensions || 'None'}
   
-  Classify the intent and extract query details. Return JSON:
+  Return JSON:
   
   {
     "type": "table" | "aggregation" | "insight" | "general",
-    "operation": "sum" | "avg" | "count" | "max" | "min" | "filter" | "sort" | "analyze",
-    "measure": "column name or null",
-    "dimension": "column name or null",
-    "filter": {"column": "value"} or null,
-    "limit": number or null
+    "query": {
+      "select": ["column", ...],
+      "measures": [{"column": "measure name or *", "agg": "sum" | "avg" | "count" | "countDistinct" | "min" | "max"}],
+      "groupBy": ["dimension", ...],
+      "where": [{"column": "name", "op": "eq" | "neq" | "in" | "nin" | "gt" | "gte" | "lt" | "lte" | "between" | "contains" | "startsWith" | "year", "value": value or [values]}],
+      "having": [{"column": "measure name", "op": "gt", "value": number}],
+      "orderBy": [{"column": "name", "direction": "asc" | "desc"}],
+      "limit": number or null
+    }
   }
   
   INTENT TYPES:
   - "table": User wants to see data rows (e.g., "show me", "list", "display")
-  - "aggregation": User wants calculations (e.g., "total", "average", "sum", "count")
+  - "aggregation": User wants calculations (e.g., "total", "average", "sum", "count", "top N by")
   - "insight": User wants analysis (e.g., "why", "trend", "pattern", "insight")
-  - "general": Conversational or unclear
+  - "general": Conversational or unclear (query may be null)
+  
+  RULES:
+  - Use exact column names from AVAILABLE DATA.
+  - "select" is only for row listings; use "measures" + "groupBy" for calculations.
+  - "in 2023" on a date column → {"column": "<date column>", "op": "year", "value": 2023}
+  - "between" takes [low, high]; "in"/"nin" take arrays.
   
   Examples:
-  "What is the total revenue?" → {"type": "aggregation", "operation": "sum", "measure": "revenue", ...}
-  "Show me top 10 customers" → {"type": "table", "operation": "sort", "limit": 10, ...}
-  "Why is sales declining?" → {"type": "insight", "operation": "analyze", ...}
+  "What is the total revenue?" → {"type": "aggregation", "query": {"measures": [{"column": "revenue", "agg": "sum"}]}}
+  "Top 5 regions by sales in 2023" → {"type": "aggregation", "query": {"measures": [{"column": "sales", "agg": "sum"}], "groupBy": ["region"], "where": [{"column": "order_date", "op": "year", "value": 2023}], "orderBy": [{"column": "sales", "direction": "desc"}], "limit": 5}}
+  "Show orders over 500" → {"type": "table", "query": {"select": ["order_id", "amount"], "where": [{"column": "amount", "op": "gt", "value": 500}], "limit": 10}}
+  "Why is sales declining?" → {"type": "insight", "query": null}
   
   Return ONLY valid JSON.`;
+      };
+  
+      // Wide datasets keep every column but only as many sample values as the prompt budget allows
+      const sampled = new Set(llm.fitToBudget(
+        [...schema.measures, ...schema.dimensions],
+        column => describeColumn(column),
+        buildPrompt(column => describeColumn(column, false))
+      ));
+      const prompt = buildPrompt(column => describeColumn(column, sampled.has(column)));
   
-      const response = await this.callAI(prompt);
-      const intent = this.parseJSON(response);
+      try {
+        const response = await this.callAI(prompt, null, { json: true, temperature: 0.2, signal });
+        const intent = this.parseJSON(response);
+        
+        if (intent && intent.type) {
+          return intent;
+        }
+        console.warn('⚠️ Unusable AI intent, falling back to rule-based parser');
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn('⚠️ AI intent classification failed, using rule-based parser:', error.message);
+      }
       
-      return intent || { type: 'general', operation: null };
+      return intentParser.parse(userMessage, schema, data);
     }
   
     /**
-     * Generate table response
+     * Build and normalize the structured query for an intent
      */
-    async generateTableResponse(userMessage, sessionData, intent) {
-      const { data, schema } = sessionData;
-      
-      // Apply filters if specified
-      let filteredData = data;
-      if (intent.filter) {
-        const filterCol = Object.keys(intent.filter)[0];
-        const filterVal = intent.filter[filterCol];
-        filteredData = data.filter(row => 
-          String(row[filterCol]).toLowerCase().includes(String(filterVal).toLowerCase())
-        );
-      }
-  
-      // Apply sorting if dimension specified
-      if (intent.dimension && intent.measure) {
-        filteredData = filteredData.sort((a, b) => {
-          const valA = parseFloat(a[intent.measure]) || 0;
-          const valB = parseFloat(b[intent.measure]) || 0;
-          return valB - valA; // Descending
-        });
+    buildQuery(intent, schema) {
+      const rawQuery = intent.query && typeof intent.query === 'object'
+        ? intent.query
+        : queryEngine.fromLegacyIntent(intent);
+  
+      const { query, warnings } = queryEngine.normalize(rawQuery, schema);
+      if (warnings.length > 0) {
+        console.warn('⚠️ Query normalization:', warnings.join('; '));
       }
+      return query;
+    }
   
-      // Apply limit
-      const limit = intent.limit || 10;
-      const resultData = filteredData.slice(0, limit);
+    /**
+     * Generate table response (row listing)
+     */
+    async generateTableResponse(userMessage, sessionData, intent) {
+      const { data, schema } = sessionData;
+      const query = this.buildQuery(intent, schema);
   
-      // Determine which columns to show
-      let columns = [];
-      if (intent.dimension && schema.dimensions.find(d => d.name === intent.dimension)) {
-        columns.push(intent.dimension);
-      }
-      if (intent.measure && schema.measures.find(m => m.name === intent.measure)) {
-        columns.push(intent.measure);
-      }
-      
-      // If no specific columns, show first few
-      if (columns.length === 0) {
-        columns = Object.keys(resultData[0] || {}).slice(0, 5);
+      // Listing queries without an explicit limit show 10 rows
+      if (query.measures.length === 0 && !query.limit) {
+        query.limit = 10;
       }
   
-      // Format table data
-      const tableData = resultData.map((row, idx) => {
-        const formattedRow = { _id: idx };
-        columns.forEach(col => {
-          formattedRow[col] = row[col];
-        });
-        return formattedRow;
-      });
+      const result = queryEngine.execute(data, query, schema);
+      const shownOf = query.measures.length > 0 ? result.totalResults : result.matchedRows;
   
       return {
         type: 'table',
-        content: `Here are the ${tableData.length} results:`,
-        table: {
-          columns: columns.map(col => ({
-            title: this.formatColumnName(col),
-            dataIndex: col,
-            key: col
-          })),
-          data: tableData
-        },
-        summary: `Showing ${tableData.length} of ${filteredData.length} total rows.`
+        content: `Here are the ${result.rows.length} results:`,
+        table: this.formatQueryTable(result, query),
+        summary: `Showing ${result.rows.length} of ${shownOf} total ${query.measures.length > 0 ? 'groups' : 'rows'}.`,
+        query
       };
     }
   
@@ -206,72 +231,109 @@ class ChatbotService {
      */
     async generateAggregationResponse(userMessage, sessionData, intent) {
       const { data, schema } = sessionData;
+      const query = this.buildQuery(intent, schema);
       
-      const measure = intent.measure || schema.measures[0]?.name;
-      const dimension = intent.dimension;
-      
-      if (!measure) {
-        return {
-          type: 'text',
-          content: "I couldn't identify which measure to calculate. Could you specify?"
-        };
+      if (query.measures.length === 0) {
+        const fallbackMeasure = schema.measures[0]?.name;
+        if (!fallbackMeasure) {
+          return {
+            type: 'text',
+            content: "I couldn't identify which measure to calculate. Could you specify?"
+          };
+        }
+        query.measures.push({ column: fallbackMeasure, agg: 'sum', as: `sum_${fallbackMeasure}` });
       }
   
-      let result;
+      if (query.groupBy.length > 0 && !query.limit) {
+        query.limit = 10;
+      }
+  
+      const result = queryEngine.execute(data, query, schema);
       
-      if (dimension) {
-        // Group by dimension
-        const grouped = this.groupBy(data, dimension);
-        const aggregated = Object.keys(grouped).map(key => ({
-          [dimension]: key,
-          [measure]: this.calculateAggregation(grouped[key], measure, intent.operation)
-        }));
-        
-        // Sort by measure
-        aggregated.sort((a, b) => b[measure] - a[measure]);
-        
-        // Take top 10
-        const topResults = aggregated.slice(0, 10);
-        
+      if (query.groupBy.length > 0) {
         return {
           type: 'table',
-          content: `Here's the ${intent.operation || 'total'} ${this.formatColumnName(measure)} by ${this.formatColumnName(dimension)}:`,
-          table: {
-            columns: [
-              { title: this.formatColumnName(dimension), dataIndex: dimension, key: dimension },
-              { title: this.formatColumnName(measure), dataIndex: measure, key: measure }
-            ],
-            data: topResults.map((row, idx) => ({ ...row, _id: idx }))
-          }
-        };
-        
-      } else {
-        // Single aggregation
-        const value = this.calculateAggregation(data, measure, intent.operation);
-        const formatted = this.formatValue(value, measure);
-        
-        return {
-          type: 'text',
-          content: `The ${intent.operation || 'total'} ${this.formatColumnName(measure)} is **${formatted}**.`
+          content: `Here's the ${this.describeMeasures(query)} by ${query.groupBy.map(d => this.formatColumnName(d)).join(' and ')}:`,
+          table: this.formatQueryTable(result, query),
+          summary: `Showing ${result.rows.length} of ${result.totalResults} groups from ${result.matchedRows.toLocaleString()} matching rows.`,
+          query
         };
       }
+      
+      // Single aggregation
+      const values = query.measures.map(measure => {
+        const value = result.rows[0]?.[measure.as];
+        const formatted = value === null || value === undefined
+          ? 'not available'
+          : (measure.agg === 'count' || measure.agg === 'countDistinct'
+            ? value.toLocaleString()
+            : this.formatValue(value, measure.column));
+        return `The ${this.describeMeasure(measure)} is **${formatted}**.`;
+      });
+      
+      return {
+        type: 'text',
+        content: values.join('\n'),
+        summary: query.where.length > 0 ? `Based on ${result.matchedRows.toLocaleString()} matching rows.` : undefined,
+        query
+      };
+    }
+  
+    /**
+     * Convert a query result into the widget's table format
+     */
+    formatQueryTable(result, query) {
+      const measureByAlias = new Map(query.measures.map(m => [m.as, m]));
+  
+      return {
+        columns: result.columns.map(column => ({
+          title: measureByAlias.has(column)
+            ? this.formatColumnName(this.describeMeasure(measureByAlias.get(column)))
+            : this.formatColumnName(column),
+          dataIndex: column,
+          key: column
+        })),
+        data: result.rows.map((row, idx) => {
+          const formattedRow = { _id: idx };
+          result.columns.forEach(column => {
+            const value = row[column];
+            formattedRow[column] = typeof value === 'number' && !Number.isInteger(value)
+              ? Math.round(value * 100) / 100
+              : value;
+          });
+          return formattedRow;
+        })
+      };
+    }
+  
+    describeMeasure(measure) {
+      if (measure.column === '*') return 'number of rows';
+      const labels = {
+        sum: 'total', avg: 'average', count: 'count of', countDistinct: 'number of unique',
+        min: 'minimum', max: 'maximum'
+      };
+      return `${labels[measure.agg] || measure.agg} ${this.formatColumnName(measure.column)}`;
+    }
+  
+    describeMeasures(query) {
+      return query.measures.map(m => this.describeMeasure(m)).join(', ');
     }
   
     /**
      * Generate insight response using AI
      */
-    async generateInsightResponse(userMessage, sessionData, conversationHistory) {
+    async generateInsightResponse(userMessage, sessionData, conversationHistory, { onToken = null, signal = null } = {}) {
       const { schema, stats } = sessionData;
       
+      if (!this.isAIConfigured()) {
+        return this.generateOfflineResponse(sessionData);
+      }
+      
       const measures = schema.measures.map(m => m.name).join(', ');
       const dimensions = schema.dimensions.map(d => d.name).join(', ');
       
-      // Build conversation context
-      const historyContext = conversationHistory.slice(-4).map(msg => 
-        `${msg.role}: ${msg.content}`
-      ).join('\n');
-  
-      const prompt = `You are a business analyst chatbot helping users understand their data.
+      const formatMessage = (msg) => `${msg.role}: ${msg.content}`;
+      const buildPrompt = (historyContext) => `You are a business analyst chatbot helping users understand their data.
   
   DATASET INFO:
   - Total Rows: ${stats.totalRows}
@@ -288,108 +350,105 @@ class ChatbotService {
   
   Response:`;
   
-      const response = await this.callAI(prompt);
-      
+      // Build conversation context - the most recent messages that fit the prompt budget
+      const history = llm.fitToBudget(
+        conversationHistory.slice(-4).reverse(),
+        msg => `${formatMessage(msg)}\n`,
+        buildPrompt('')
+      ).reverse();
+      const prompt = buildPrompt(history.map(formatMessage).join('\n'));
+  
+      try {
+        const response = onToken
+          ? await this.streamAI(prompt, onToken, signal)
+          : await this.callAI(prompt, null, { signal });
+        
+        return {
+          type: 'text',
+          content: response
+        };
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn('⚠️ AI insight failed, using offline response:', error.message);
+        return this.generateOfflineResponse(sessionData);
+      }
+    }
+  
+    /**
+     * Dataset overview and example questions that work without an AI provider
+     */
+    generateOfflineResponse(sessionData) {
+      const { schema, data = [] } = sessionData;
+      const measures = schema.measures.map(m => this.formatColumnName(m.name));
+      const dimensions = schema.dimensions.map(d => this.formatColumnName(d.name));
+      const examples = this.getFallbackQuestions(schema)
+        .filter(question => !question.toLowerCase().includes('insights'))
+        .slice(0, 4);
+  
+      const lines = [
+        `This dataset has ${data.length.toLocaleString()} rows with ${measures.length} measures and ${dimensions.length} dimensions.`,
+        measures.length > 0 ? `Measures: ${measures.join(', ')}.` : null,
+        dimensions.length > 0 ? `Dimensions: ${dimensions.join(', ')}.` : null,
+        '',
+        'AI analysis is not available right now, but I can calculate answers directly. Try:',
+        ...examples.map(question => `• ${question}`)
+      ].filter(line => line !== null);
+  
       return {
         type: 'text',
-        content: response
+        content: lines.join('\n')
       };
     }
   
     /**
      * Generate general response
      */
-    async generateGeneralResponse(userMessage, sessionData, conversationHistory) {
-      return this.generateInsightResponse(userMessage, sessionData, conversationHistory);
+    async generateGeneralResponse(userMessage, sessionData, conversationHistory, options = {}) {
+      return this.generateInsightResponse(userMessage, sessionData, conversationHistory, options);
     }
   
     // ==================== HELPER FUNCTIONS ====================
   
     /**
-     * Call OpenRouter AI API
+     * Whether an AI provider is configured
      */
-    async callAI(prompt, systemMessage = null) {
-      const messages = [];
-      
-      if (systemMessage) {
-        messages.push({ role: 'system', content: systemMessage });
-      }
-      
-      messages.push({ role: 'user', content: prompt });
-  
-      const response = await fetch(this.baseUrl, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: this.model,
-          messages: messages,
-          max_tokens: 1500,
-          temperature: 0.7
-        })
-      });
-  
-      if (!response.ok) {
-        throw new Error(`AI API error: ${response.status}`);
-      }
-  
-      const data = await response.json();
-      return data.choices?.[0]?.message?.content || '';
+    isAIConfigured() {
+      return llm.isConfigured(this.feature);
     }
   
     /**
-     * Parse JSON from AI response
+     * Call the configured AI provider
      */
-    parseJSON(text) {
-      try {
-        // Try to extract JSON from markdown code blocks
-        const jsonMatch = text.match(/```json\n?([\s\S]*?)\n?```/) || text.match(/\[[\s\S]*\]/) || text.match(/\{[\s\S]*\}/);
-        const jsonStr = jsonMatch ? (jsonMatch[1] || jsonMatch[0]) : text;
-        return JSON.parse(jsonStr);
-      } catch (error) {
-        console.warn('JSON parse error:', error.message);
-        return null;
-      }
+    async callAI(prompt, systemMessage = null, options = {}) {
+      return llm.complete({
+        feature: this.feature,
+        prompt,
+        system: systemMessage,
+        maxTokens: 1500,
+        temperature: 0.7,
+        ...options
+      });
     }
   
     /**
-     * Group data by dimension
+     * Stream an AI response, passing each chunk to onToken; resolves with the full text
      */
-    groupBy(data, dimension) {
-      const groups = {};
-      data.forEach(row => {
-        const key = row[dimension] || 'Unknown';
-        if (!groups[key]) groups[key] = [];
-        groups[key].push(row);
-      });
-      return groups;
+    async streamAI(prompt, onToken, signal = null) {
+      let content = '';
+      
+      for await (const chunk of llm.stream({ feature: this.feature, prompt, maxTokens: 1500, temperature: 0.7, signal })) {
+        content += chunk;
+        onToken(chunk);
+      }
+      
+      return content;
     }
   
     /**
-     * Calculate aggregation
+     * Parse JSON from AI response
      */
-    calculateAggregation(data, measure, operation = 'sum') {
-      const values = data.map(row => parseFloat(row[measure])).filter(v => !isNaN(v));
-      
-      if (values.length === 0) return 0;
-      
-      switch (operation) {
-        case 'sum':
-          return values.reduce((sum, val) => sum + val, 0);
-        case 'avg':
-        case 'average':
-          return values.reduce((sum, val) => sum + val, 0) / values.length;
-        case 'count':
-          return values.length;
-        case 'max':
-          return Math.max(...values);
-        case 'min':
-          return Math.min(...values);
-        default:
-          return values.reduce((sum, val) => sum + val, 0);
-      }
+    parseJSON(text) {
+      return llm.parseJSON(text);
     }
   
     /**
@@ -0,0 +1,311 @@
+// backend/services/dashboardStore.js - Saved dashboards (charts, KPIs, filters and display options)
+const fs = require('fs');
+const path = require('path');
+const { writeAtomic, createWriteQueue } = require('../utils/files');
+
+/**
+ * Invalid dashboard requests (bad name, schema mismatch) - the user's to fix
+ */
+class DashboardError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'DashboardError';
+    this.details = details;
+  }
+}
+
+/**
+ * In-memory driver - saved dashboards are lost on restart
+ */
+class MemoryDashboardDriver {
+  constructor() {
+    this.name = 'memory';
+    this.dashboards = new Map();
+  }
+
+  async load(id) {
+    return this.dashboards.get(id) || null;
+  }
+
+  async save(dashboard) {
+    this.dashboards.set(dashboard.id, dashboard);
+  }
+
+  async remove(id) {
+    return this.dashboards.delete(id);
+  }
+
+  async loadAll() {
+    return Array.from(this.dashboards.values());
+  }
+}
+
+/**
+ * Disk driver - one JSON file per saved dashboard
+ */
+class DiskDashboardDriver {
+  constructor(directory) {
+    this.name = 'disk';
+    this.directory = directory;
+    this.queue = createWriteQueue();
+
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+  }
+
+  getPath(id) {
+    return path.join(this.directory, `${String(id).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+  }
+
+  async load(id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.getPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not read saved dashboard ${id}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async save(dashboard) {
+    await this.queue(dashboard.id, () => writeAtomic(this.getPath(dashboard.id), JSON.stringify(dashboard)));
+  }
+
+  async remove(id) {
+    return this.queue(id, async () => {
+      try {
+        await fs.promises.unlink(this.getPath(id));
+        return true;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return false;
+      }
+    });
+  }
+
+  async loadAll() {
+    const files = await fs.promises.readdir(this.directory);
+    const dashboards = [];
+
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const dashboard = await this.load(file.replace(/\.json$/, ''));
+      if (dashboard) dashboards.push(dashboard);
+    }
+
+    return dashboards;
+  }
+}
+
+/**
+ * Saved dashboard model:
+ *   { id, name, description, createdAt, updatedAt, fileName,
+ *     columns: [{ name, type }],        raw columns of the file it was built on
+ *     kpis, charts,                     KPI and chart definitions (AI suggested or pinned)
+ *     customCharts,                     chart definitions added through the customize panel
+ *     calculatedFields, hierarchies,    user-defined fields and custom drill paths
+ *     filters, timeFilter,              filter state
+ *     display: { dataLimit, comparison, closedCharts, kpiDirections, layout } }
+ *
+ * Configuration (environment):
+ *   DASHBOARD_STORE_DRIVER   memory | disk (default: disk)
+ *   DASHBOARD_STORE_DIR      directory for the disk driver
+ */
+class DashboardStore {
+  constructor(options = {}) {
+    const driverName = (options.driver || process.env.DASHBOARD_STORE_DRIVER || 'disk').toLowerCase();
+
+    this.maxNameLength = 100;
+
+    if (driverName === 'memory') {
+      this.driver = new MemoryDashboardDriver();
+    } else {
+      const directory = options.directory || process.env.DASHBOARD_STORE_DIR ||
+        path.join(__dirname, '../data/dashboards');
+      this.driver = new DiskDashboardDriver(directory);
+    }
+
+    console.log(`💾 Dashboard store using ${this.driver.name} driver`);
+  }
+
+  async list() {
+    const dashboards = await this.driver.loadAll();
+    return dashboards.sort((a, b) => new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime());
+  }
+
+  async get(id) {
+    if (!id) return null;
+    return this.driver.load(id);
+  }
+
+  /**
+   * Save the session's current dashboard under a new id
+   * @param {Object} sessionData - Session the dashboard was built on
+   * @param {Object} options - { name, description, state } - state is the client's filter and display state
+   */
+  async create(sessionData, { name, description = '', state = {} }) {
+    const now = new Date().toISOString();
+    const dashboard = {
+      id: this.generateId(),
+      name: this.normalizeName(name),
+      description: String(description || '').trim(),
+      createdAt: now,
+      updatedAt: now,
+      ...this.snapshot(sessionData, state)
+    };
+
+    await this.driver.save(dashboard);
+    return dashboard;
+  }
+
+  /**
+   * Rename a saved dashboard and/or overwrite its contents with the session's current dashboard
+   */
+  async update(id, { name, description, sessionData = null, state = {} }) {
+    const existing = await this.get(id);
+    if (!existing) return null;
+
+    const dashboard = {
+      ...existing,
+      ...(sessionData && this.snapshot(sessionData, state)),
+      ...(name !== undefined && { name: this.normalizeName(name) }),
+      ...(description !== undefined && { description: String(description || '').trim() }),
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.driver.save(dashboard);
+    return dashboard;
+  }
+
+  async duplicate(id, name = null) {
+    const existing = await this.get(id);
+    if (!existing) return null;
+
+    const now = new Date().toISOString();
+    const dashboard = {
+      ...existing,
+      id: this.generateId(),
+      name: name ? this.normalizeName(name) : `${existing.name} (copy)`.slice(0, this.maxNameLength),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.driver.save(dashboard);
+    return dashboard;
+  }
+
+  async remove(id) {
+    return this.driver.remove(id);
+  }
+
+  /**
+   * List entry without the definitions; `compatible` is set when a schema is given
+   */
+  summarize(dashboard, schema = null) {
+    return {
+      id: dashboard.id,
+      name: dashboard.name,
+      description: dashboard.description,
+      fileName: dashboard.fileName,
+      createdAt: dashboard.createdAt,
+      updatedAt: dashboard.updatedAt,
+      chartCount: dashboard.charts.length + dashboard.customCharts.length,
+      kpiCount: dashboard.kpis.length,
+      ...(schema && { compatible: this.findSchemaMismatches(dashboard, schema).length === 0 })
+    };
+  }
+
+  /**
+   * Definitions and state worth keeping - chart data is recomputed when the dashboard is opened
+   */
+  snapshot(sessionData, state = {}) {
+    const { schema } = sessionData;
+    const definition = sessionData.dashboardDefinition || { kpis: [], charts: [] };
+
+    return {
+      fileName: sessionData.fileName,
+      columns: this.getRawColumns(schema),
+      kpis: definition.kpis || [],
+      charts: definition.charts || [],
+      customCharts: (sessionData.customCharts || []).map(chart => this.toChartDefinition(chart)),
+      calculatedFields: (schema.calculatedFields || []).map(({ name, expression, format }) => ({ name, expression, format })),
+      hierarchies: (schema.hierarchies || []).filter(hierarchy => hierarchy.source === 'custom'),
+      filters: state.filters || {},
+      timeFilter: state.timeFilter || null,
+      display: {
+        dataLimit: state.dataLimit ?? null,
+        comparison: state.comparison || 'previous',
+        closedCharts: Array.isArray(state.closedCharts) ? state.closedCharts : [],
+        kpiDirections: state.kpiDirections || {},
+        layout: state.layout || null
+      }
+    };
+  }
+
+  toChartDefinition(chart) {
+    const {
+      data: _data,
+      config: _config,
+      dataPoints: _dataPoints,
+      isLimited: _isLimited,
+      downsampled: _downsampled,
+      ...definition
+    } = chart;
+    return definition;
+  }
+
+  getRawColumns(schema) {
+    const calculated = new Set((schema.calculatedFields || []).map(field => field.name));
+    return (schema.columns || [])
+      .filter(column => !calculated.has(column.name))
+      .map(column => ({ name: column.name, type: column.type }));
+  }
+
+  /**
+   * Columns the saved dashboard was built on that the schema lacks or types differently.
+   * Extra columns in the new file are fine.
+   * @returns {Array} [{ column, expected, actual }] - actual is null for a missing column
+   */
+  findSchemaMismatches(dashboard, schema) {
+    const types = new Map(this.getRawColumns(schema).map(column => [column.name, column.type]));
+
+    return (dashboard.columns || [])
+      .filter(column => types.get(column.name) !== column.type)
+      .map(column => ({ column: column.name, expected: column.type, actual: types.get(column.name) || null }));
+  }
+
+  assertCompatible(dashboard, schema) {
+    const mismatches = this.findSchemaMismatches(dashboard, schema);
+    if (mismatches.length === 0) return;
+
+    const described = mismatches.slice(0, 5).map(({ column, expected, actual }) =>
+      (actual ? `"${column}" is ${actual}, expected ${expected}` : `"${column}" is missing`)
+    );
+    throw new DashboardError(
+      `This file doesn't match the dashboard's data: ${described.join('; ')}${mismatches.length > 5 ? '…' : ''}`,
+      mismatches
+    );
+  }
+
+  normalizeName(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new DashboardError('Dashboard name is required');
+    }
+    if (trimmed.length > this.maxNameLength) {
+      throw new DashboardError(`Dashboard name must be at most ${this.maxNameLength} characters`);
+    }
+    return trimmed;
+  }
+
+  generateId() {
+    return `dash_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+}
+
+module.exports = new DashboardStore();
+module.exports.DashboardStore = DashboardStore;
+module.exports.DashboardError = DashboardError;
+module.exports.MemoryDashboardDriver = MemoryDashboardDriver;
+module.exports.DiskDashboardDriver = DiskDashboardDriver;
@@ -3,6 +3,15 @@ const fs = require('fs');
 const path = require('path');
 const csv = require('papaparse');
 const XLSX = require('xlsx');
+const parquet = require('parquetjs-lite');
+const hierarchies = require('./hierarchies');
+
+// Download formats: MIME type and file extension
+const exportFormats = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' }
+};
 
 class DataProcessor {
   
@@ -102,6 +111,117 @@ class DataProcessor {
     };
   }
 
+  /**
+   * Serialize rows for download
+   * @param {Array} rows - Rows to write
+   * @param {Array} columns - Columns to include, in order
+   * @param {string} format - 'csv' | 'xlsx'
+   * @returns {Object} { content, contentType, extension }
+   */
+  serializeRows(rows, columns, format = 'csv') {
+    const table = rows.map(row => columns.map(column => row[column] ?? ''));
+
+    if (format === 'xlsx') {
+      return this.serializeWorkbook([{ name: 'Records', columns, table }]);
+    }
+
+    return {
+      content: csv.unparse({ fields: columns, data: table }),
+      ...exportFormats.csv
+    };
+  }
+
+  /**
+   * Workbook with one sheet per table
+   * @param {Array} sheets - [{ name, columns, table }] - table is an array of value arrays
+   * @returns {Object} { content, contentType, extension }
+   */
+  serializeWorkbook(sheets) {
+    const workbook = XLSX.utils.book_new();
+    const used = new Set();
+
+    sheets.forEach(sheet => {
+      // Excel sheet names: at most 31 characters, unique, none of []:*?/\
+      const base = String(sheet.name || 'Sheet').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 28) || 'Sheet';
+      let name = base;
+      for (let suffix = 2; used.has(name.toLowerCase()); suffix++) {
+        name = `${base} ${suffix}`;
+      }
+      used.add(name.toLowerCase());
+
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([sheet.columns, ...sheet.table]), name);
+    });
+
+    return {
+      content: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+      ...exportFormats.xlsx
+    };
+  }
+
+  getExportFormat(format) {
+    return exportFormats[format] || null;
+  }
+
+  /**
+   * Write rows to a stream (e.g. a response) and end it. CSV and Parquet are written in chunks;
+   * XLSX has to be built in memory first. Stops early if the stream is closed.
+   * @param {Array} rows - Row objects
+   * @param {Array} columns - [{ name, type }] in order; Parquet stores number columns as doubles, others as text
+   * @param {string} format - 'csv' | 'xlsx' | 'parquet'
+   * @param {Writable} output - Stream to write to
+   */
+  async writeRows(rows, columns, format, output) {
+    const names = columns.map(column => column.name);
+
+    if (format === 'parquet') {
+      const schema = new parquet.ParquetSchema(Object.fromEntries(columns.map(column => [
+        column.name,
+        { type: column.type === 'number' ? 'DOUBLE' : 'UTF8', optional: true }
+      ])));
+      const toValue = columns.map(column => (column.type === 'number'
+        ? (value) => (value === null || value === undefined || value === '' || !Number.isFinite(Number(value)) ? null : Number(value))
+        : (value) => (value === null || value === undefined || value === '' ? null : String(value))
+      ));
+
+      const writer = await parquet.ParquetWriter.openStream(schema, output);
+      for (const row of rows) {
+        if (output.destroyed) return;
+        await writer.appendRow(Object.fromEntries(names.map((name, index) => [name, toValue[index](row[name])])));
+      }
+      await writer.close();
+      return;
+    }
+
+    if (format === 'xlsx') {
+      const file = this.serializeRows(rows, names, 'xlsx');
+      output.end(file.content);
+      return;
+    }
+
+    const chunkSize = 5000;
+    await this.writeChunk(output, csv.unparse([names]));
+    for (let start = 0; start < rows.length; start += chunkSize) {
+      if (output.destroyed) return;
+      const table = rows.slice(start, start + chunkSize).map(row => names.map(name => row[name] ?? ''));
+      await this.writeChunk(output, `\r\n${csv.unparse(table)}`);
+    }
+    output.end();
+  }
+
+  // Resolves once the stream can take more (or has been closed)
+  writeChunk(output, chunk) {
+    return new Promise(resolve => {
+      if (output.write(chunk)) return resolve();
+      const done = () => {
+        output.off('drain', done);
+        output.off('close', done);
+        resolve();
+      };
+      output.on('drain', done);
+      output.on('close', done);
+    });
+  }
+
   // Enhanced schema generation with sampling for large datasets
   generateSchema(data) {
     if (!data || data.length === 0) {
@@ -143,6 +263,9 @@ class DataProcessor {
       }
     });
     
+    // Drill-down paths, e.g. illness_group → illness → icd_code or date by year → quarter → month
+    schema.hierarchies = hierarchies.suggest(sampleData, schema);
+    
     return schema;
   }
 
@@ -1,5 +1,5 @@
-// backend/services/dataValidator.js - Compatible with existing aiService
-const aiService = require('./aiService');
+// backend/services/dataValidator.js - AI + rule-based data validation
+const llm = require('./llm');
 
 class DataValidator {
   
@@ -103,10 +103,10 @@ class DataValidator {
   }
 
   /**
-   * AI validation using existing aiService infrastructure
+   * AI validation through the shared LLM client
    */
   async runAIValidation(sampleData, schema) {
-    if (!aiService.apiKey) {
+    if (!llm.isConfigured('validation')) {
       throw new Error('AI API key not configured');
     }
 
@@ -115,44 +115,17 @@ class DataValidator {
     const prompt = this.buildValidationPrompt(sampleData);
 
     const systemPrompt = "You are an expert data quality analyst. Analyze datasets and provide validation reports in JSON format. Be thorough but concise.";
-    const fullPrompt = `${systemPrompt}\n\n${prompt}`;
-
-    // Use Gemini API format
-    const requestPayload = {
-      contents: [{
-        parts: [{
-          text: fullPrompt
-        }]
-      }],
-      generationConfig: {
-        temperature: 0.3,
-        maxOutputTokens: 2000
-      }
-    };
 
     try {
-      const response = await fetch(aiService.baseUrl, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-goog-api-key": aiService.apiKey
-        },
-        body: JSON.stringify(requestPayload),
-        timeout: 30000
+      const content = await llm.complete({
+        feature: 'validation',
+        system: systemPrompt,
+        prompt,
+        temperature: 0.3,
+        maxTokens: 2000,
+        json: true
       });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`AI API error: ${response.status} - ${errorText}`);
-      }
-
-      const data = await response.json();
-      const content = data.candidates?.[0]?.content?.parts?.[0]?.text;
-
-      if (!content) {
-        throw new Error('No AI response received');
-      }
-
       return this.parseAIValidationResponse(content);
 
     } catch (error) {
@@ -312,19 +285,11 @@ ${dataPreview}
    */
   parseAIValidationResponse(aiResponse) {
     try {
-      // Clean response - remove markdown code blocks if present
-      let cleanedResponse = aiResponse.trim();
-      
-      // Remove markdown code blocks (both ```json and ``` variants)
-      cleanedResponse = cleanedResponse.replace(/```json\s*/g, '');
-      cleanedResponse = cleanedResponse.replace(/```\s*/g, '');
-      cleanedResponse = cleanedResponse.trim();
-      
-      // Parse JSON
-      const parsed = JSON.parse(cleanedResponse);
+      // Parse JSON (tolerates markdown fences and surrounding text)
+      const parsed = llm.parseJSON(aiResponse);
       
       // Validate required fields
-      if (!parsed.overallStatus || !Array.isArray(parsed.validationResults) || !parsed.summary) {
+      if (!parsed || !parsed.overallStatus || !Array.isArray(parsed.validationResults) || !parsed.summary) {
         throw new Error('Invalid AI response structure - missing required fields');
       }
       
@@ -0,0 +1,578 @@
+// backend/services/expression.js - Safe expression language for calculated fields
+
+/**
+ * Expressions are parsed into an AST and interpreted - nothing is ever passed to eval().
+ *
+ *   approved_amount / billed_amount
+ *   sum(cost) / countDistinct(member_id)
+ *   if(gender = 'F', 1, 0)
+ *   round(avg(`Claim Amount`), 2)
+ *
+ * Literals:    123, 4.5, 'text', "text", true, false, null
+ * Columns:     bare names (claim_amount), or `quoted` / [bracketed] for names with spaces
+ * Operators:   + - * / %   = == != <> < <= > >=   and or not
+ * Row functions: if, coalesce, isnull, abs, round, floor, ceil, sqrt, least, greatest,
+ *                lower, upper, concat, len, year, month, day
+ * Aggregates:  sum, avg, count, countDistinct, min, max - an expression that uses them is
+ *              evaluated once per group instead of once per row.
+ */
+
+class ExpressionError extends Error {
+  constructor(message, position = null) {
+    super(position === null ? message : `${message} (at position ${position + 1})`);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+const AGGREGATES = ['sum', 'avg', 'count', 'countdistinct', 'min', 'max'];
+
+// name -> [minArgs, maxArgs, implementation]; no prototype, so "constructor" etc. aren't functions
+const ROW_FUNCTIONS = Object.assign(Object.create(null), {
+  if: [3, 3, null], // evaluated lazily
+  coalesce: [1, Infinity, (...args) => args.find(v => v !== null && v !== undefined) ?? null],
+  isnull: [1, 1, (v) => v === null || v === undefined || v === ''],
+  abs: [1, 1, (v) => numeric(v, Math.abs)],
+  round: [1, 2, (v, digits = 0) => numeric(v, n => {
+    const factor = Math.pow(10, toNumber(digits) || 0);
+    return Math.round(n * factor) / factor;
+  })],
+  floor: [1, 1, (v) => numeric(v, Math.floor)],
+  ceil: [1, 1, (v) => numeric(v, Math.ceil)],
+  sqrt: [1, 1, (v) => numeric(v, n => (n < 0 ? null : Math.sqrt(n)))],
+  least: [1, Infinity, (...args) => extreme(args, (a, b) => a < b)],
+  greatest: [1, Infinity, (...args) => extreme(args, (a, b) => a > b)],
+  lower: [1, 1, (v) => (v === null ? null : String(v).toLowerCase())],
+  upper: [1, 1, (v) => (v === null ? null : String(v).toUpperCase())],
+  concat: [1, Infinity, (...args) => args.map(v => (v === null || v === undefined ? '' : String(v))).join('')],
+  len: [1, 1, (v) => (v === null || v === undefined ? null : String(v).length)],
+  year: [1, 1, (v) => datePart(v, d => d.getUTCFullYear())],
+  month: [1, 1, (v) => datePart(v, d => d.getUTCMonth() + 1)],
+  day: [1, 1, (v) => datePart(v, d => d.getUTCDate())]
+});
+
+function toNumber(value) {
+  if (typeof value === 'number') return isNaN(value) ? null : value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = Number(String(value).replace(/,/g, ''));
+  return isNaN(parsed) ? null : parsed;
+}
+
+function numeric(value, fn) {
+  const n = toNumber(value);
+  return n === null ? null : fn(n);
+}
+
+function extreme(values, better) {
+  return values.reduce((best, v) => {
+    const n = toNumber(v);
+    if (n === null) return best;
+    return best === null || better(n, best) ? n : best;
+  }, null);
+}
+
+function datePart(value, fn) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : fn(date);
+}
+
+// ==================== TOKENIZER ====================
+
+const OPERATORS = ['<=', '>=', '!=', '<>', '==', '+', '-', '*', '/', '%', '=', '<', '>', '(', ')', ','];
+const KEYWORDS = ['and', 'or', 'not', 'true', 'false', 'null'];
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1]))) {
+      const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+      tokens.push({ type: 'number', value: parseFloat(match[0]), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\' && j + 1 < source.length) j++;
+        value += source[j];
+        j++;
+      }
+      if (j >= source.length) throw new ExpressionError('Unterminated string', i);
+      tokens.push({ type: 'string', value, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    if (char === '`' || char === '[') {
+      const close = char === '`' ? '`' : ']';
+      const end = source.indexOf(close, i + 1);
+      if (end === -1) throw new ExpressionError('Unterminated column name', i);
+      tokens.push({ type: 'identifier', value: source.slice(i + 1, end), quoted: true, position: i });
+      i = end + 1;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      const match = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_.]*/);
+      const word = match[0];
+      const lower = word.toLowerCase();
+      tokens.push(KEYWORDS.includes(lower)
+        ? { type: 'keyword', value: lower, position: i }
+        : { type: 'identifier', value: word, position: i });
+      i += word.length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+      continue;
+    }
+
+    throw new ExpressionError(`Unexpected character "${char}"`, i);
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+}
+
+// ==================== PARSER ====================
+
+/**
+ * Recursive-descent parser. Precedence (low to high):
+ * or, and, not, comparison, + -, * / %, unary -, call / primary
+ */
+class Parser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isOperator(...values) {
+    const token = this.peek();
+    return token.type === 'operator' && values.includes(token.value);
+  }
+
+  isKeyword(value) {
+    const token = this.peek();
+    return token.type === 'keyword' && token.value === value;
+  }
+
+  expect(value) {
+    const token = this.next();
+    if (token.type !== 'operator' || token.value !== value) {
+      throw new ExpressionError(`Expected "${value}"`, token.position);
+    }
+  }
+
+  parse() {
+    if (this.peek().type === 'end') {
+      throw new ExpressionError('Expression is empty');
+    }
+
+    const node = this.parseOr();
+    const token = this.peek();
+    if (token.type !== 'end') {
+      throw new ExpressionError(`Unexpected "${token.value}"`, token.position);
+    }
+    return node;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isKeyword('or')) {
+      this.next();
+      left = { type: 'logical', op: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isKeyword('and')) {
+      this.next();
+      left = { type: 'logical', op: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.isKeyword('not')) {
+      this.next();
+      return { type: 'unary', op: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    let left = this.parseAdditive();
+    while (this.isOperator('=', '==', '!=', '<>', '<', '<=', '>', '>=')) {
+      const op = this.next().value;
+      const normalized = op === '==' ? '=' : op === '<>' ? '!=' : op;
+      left = { type: 'binary', op: normalized, left, right: this.parseAdditive() };
+    }
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.isOperator('+', '-')) {
+      const op = this.next().value;
+      left = { type: 'binary', op, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (this.isOperator('*', '/', '%')) {
+      const op = this.next().value;
+      left = { type: 'binary', op, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOperator('-', '+')) {
+      const op = this.next().value;
+      const operand = this.parseUnary();
+      return op === '-' ? { type: 'unary', op: '-', operand } : operand;
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'keyword') {
+      if (token.value === 'true') return { type: 'literal', value: true };
+      if (token.value === 'false') return { type: 'literal', value: false };
+      if (token.value === 'null') return { type: 'literal', value: null };
+      throw new ExpressionError(`Unexpected "${token.value}"`, token.position);
+    }
+
+    if (token.type === 'operator' && token.value === '(') {
+      const node = this.parseOr();
+      this.expect(')');
+      return node;
+    }
+
+    if (token.type === 'identifier') {
+      if (!token.quoted && this.isOperator('(')) {
+        return this.parseCall(token);
+      }
+      return { type: 'column', name: token.value, position: token.position };
+    }
+
+    throw new ExpressionError(
+      token.type === 'end' ? 'Unexpected end of expression' : `Unexpected "${token.value}"`,
+      token.position
+    );
+  }
+
+  parseCall(token) {
+    this.expect('(');
+    const args = [];
+
+    // count(*) counts rows
+    if (token.value.toLowerCase() === 'count' && this.isOperator('*')) {
+      this.next();
+    } else if (!this.isOperator(')')) {
+      args.push(this.parseOr());
+      while (this.isOperator(',')) {
+        this.next();
+        args.push(this.parseOr());
+      }
+    }
+
+    this.expect(')');
+    return { type: 'call', name: token.value.toLowerCase(), args, position: token.position };
+  }
+}
+
+// ==================== VALIDATION ====================
+
+/**
+ * Resolve column names and check functions. Returns { isAggregate, references }.
+ */
+function analyze(ast, resolveColumn) {
+  const references = new Set();
+  let isAggregate = false;
+  const bareColumns = [];
+
+  const visit = (node, insideAggregate) => {
+    switch (node.type) {
+      case 'literal':
+        return;
+
+      case 'column': {
+        const resolved = resolveColumn(node.name);
+        if (!resolved) throw new ExpressionError(`Unknown column "${node.name}"`, node.position);
+        node.name = resolved;
+        references.add(resolved);
+        if (!insideAggregate) bareColumns.push(node);
+        return;
+      }
+
+      case 'unary':
+        return visit(node.operand, insideAggregate);
+
+      case 'binary':
+      case 'logical':
+        visit(node.left, insideAggregate);
+        return visit(node.right, insideAggregate);
+
+      case 'call': {
+        if (AGGREGATES.includes(node.name)) {
+          if (insideAggregate) {
+            throw new ExpressionError(`Aggregates cannot be nested (${node.name} inside another aggregate)`, node.position);
+          }
+          const minArgs = node.name === 'count' ? 0 : 1;
+          if (node.args.length < minArgs || node.args.length > 1) {
+            throw new ExpressionError(`${node.name}() takes exactly one argument`, node.position);
+          }
+          isAggregate = true;
+          node.aggregate = true;
+          return node.args.forEach(arg => visit(arg, true));
+        }
+
+        const spec = ROW_FUNCTIONS[node.name];
+        if (!spec) throw new ExpressionError(`Unknown function "${node.name}"`, node.position);
+
+        const [minArgs, maxArgs] = spec;
+        if (node.args.length < minArgs || node.args.length > maxArgs) {
+          const expected = minArgs === maxArgs ? `${minArgs}` : maxArgs === Infinity ? `at least ${minArgs}` : `${minArgs}-${maxArgs}`;
+          throw new ExpressionError(`${node.name}() takes ${expected} argument(s)`, node.position);
+        }
+        return node.args.forEach(arg => visit(arg, insideAggregate));
+      }
+
+      default:
+        throw new ExpressionError(`Unsupported expression node "${node.type}"`);
+    }
+  };
+
+  visit(ast, false);
+
+  if (isAggregate && bareColumns.length > 0) {
+    const column = bareColumns[0];
+    throw new ExpressionError(
+      `Column "${column.name}" must be inside an aggregate such as sum(${column.name}) when the expression uses aggregates`,
+      column.position
+    );
+  }
+
+  return { isAggregate, references: Array.from(references) };
+}
+
+// ==================== EVALUATION ====================
+
+function compare(op, left, right) {
+  if (left === null || left === undefined || right === null || right === undefined) {
+    if (op === '=') return (left ?? null) === (right ?? null);
+    if (op === '!=') return (left ?? null) !== (right ?? null);
+    return false;
+  }
+
+  const leftNumber = toNumber(left);
+  const rightNumber = toNumber(right);
+  const bothNumeric = leftNumber !== null && rightNumber !== null &&
+    typeof left !== 'boolean' && typeof right !== 'boolean';
+  const a = bothNumeric ? leftNumber : String(left);
+  const b = bothNumeric ? rightNumber : String(right);
+
+  switch (op) {
+    case '=': return a === b;
+    case '!=': return a !== b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    default: return false;
+  }
+}
+
+function arithmetic(op, left, right) {
+  // '+' joins text when either side isn't numeric
+  if (op === '+' && (typeof left === 'string' || typeof right === 'string') &&
+    (toNumber(left) === null || toNumber(right) === null)) {
+    if (left === null || right === null) return null;
+    return `${left}${right}`;
+  }
+
+  const a = toNumber(left);
+  const b = toNumber(right);
+  if (a === null || b === null) return null;
+
+  switch (op) {
+    case '+': return a + b;
+    case '-': return a - b;
+    case '*': return a * b;
+    case '/': return b === 0 ? null : a / b;
+    case '%': return b === 0 ? null : a % b;
+    default: return null;
+  }
+}
+
+function truthy(value) {
+  if (typeof value === 'string') return value !== '' && value.toLowerCase() !== 'false';
+  return Boolean(value);
+}
+
+/**
+ * Evaluate a node. `row` is used for row-level nodes; `rows` is the group for aggregates.
+ */
+function evaluate(node, row, rows) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'column': {
+      const value = row ? row[node.name] : undefined;
+      return value === undefined || value === '' ? null : value;
+    }
+
+    case 'unary': {
+      const value = evaluate(node.operand, row, rows);
+      if (node.op === 'not') return !truthy(value);
+      const n = toNumber(value);
+      return n === null ? null : -n;
+    }
+
+    case 'logical': {
+      const left = truthy(evaluate(node.left, row, rows));
+      if (node.op === 'and') return left && truthy(evaluate(node.right, row, rows));
+      return left || truthy(evaluate(node.right, row, rows));
+    }
+
+    case 'binary': {
+      const left = evaluate(node.left, row, rows);
+      const right = evaluate(node.right, row, rows);
+      return ['+', '-', '*', '/', '%'].includes(node.op)
+        ? arithmetic(node.op, left, right)
+        : compare(node.op, left, right);
+    }
+
+    case 'call':
+      if (node.aggregate) return aggregate(node, rows || []);
+
+      if (node.name === 'if') {
+        return truthy(evaluate(node.args[0], row, rows))
+          ? evaluate(node.args[1], row, rows)
+          : evaluate(node.args[2], row, rows);
+      }
+
+      return ROW_FUNCTIONS[node.name][2](...node.args.map(arg => evaluate(arg, row, rows)));
+
+    default:
+      return null;
+  }
+}
+
+function aggregate(node, rows) {
+  if (node.name === 'count' && node.args.length === 0) return rows.length;
+
+  const arg = node.args[0];
+  let count = 0;
+  let sum = 0;
+  let min = null;
+  let max = null;
+  const distinct = node.name === 'countdistinct' ? new Set() : null;
+
+  for (let i = 0; i < rows.length; i++) {
+    const value = evaluate(arg, rows[i], null);
+    if (value === null || value === undefined) continue;
+
+    if (distinct) {
+      distinct.add(String(value));
+      continue;
+    }
+
+    if (node.name === 'count') {
+      count++;
+      continue;
+    }
+
+    // Values that aren't numbers are skipped, like nulls
+    const n = toNumber(value);
+    if (n === null) continue;
+    count++;
+    sum += n;
+    if (min === null || n < min) min = n;
+    if (max === null || n > max) max = n;
+  }
+
+  switch (node.name) {
+    case 'sum': return sum;
+    case 'avg': return count > 0 ? sum / count : null;
+    case 'count': return count;
+    case 'countdistinct': return distinct.size;
+    case 'min': return min;
+    case 'max': return max;
+    default: return null;
+  }
+}
+
+// ==================== PUBLIC API ====================
+
+/**
+ * Parse and validate an expression
+ * @param {string} source - Expression text
+ * @param {Object} options - { columns: available column names }
+ * @returns {Object} { source, ast, isAggregate, references, evaluateRow(row), evaluateGroup(rows) }
+ * @throws {ExpressionError} When the expression is invalid
+ */
+function compile(source, { columns = [] } = {}) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new ExpressionError('Expression is empty');
+  }
+
+  const byLowerName = new Map(columns.map(name => [String(name).toLowerCase(), name]));
+  const resolveColumn = (name) => (columns.includes(name) ? name : byLowerName.get(String(name).toLowerCase()) || null);
+
+  const ast = new Parser(source).parse();
+  const { isAggregate, references } = analyze(ast, resolveColumn);
+
+  return {
+    source,
+    ast,
+    isAggregate,
+    references,
+    evaluateRow: (row) => evaluate(ast, row, null),
+    evaluateGroup: (rows) => evaluate(ast, null, rows)
+  };
+}
+
+module.exports = {
+  compile,
+  tokenize,
+  ExpressionError,
+  AGGREGATES,
+  ROW_FUNCTIONS: Object.keys(ROW_FUNCTIONS)
+};
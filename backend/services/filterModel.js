@@ -0,0 +1,285 @@
+// backend/services/filterModel.js - Filter conditions with operators and AND/OR groups
+const timeSeries = require('./timeSeries');
+
+/**
+ * A filter model is a group of conditions:
+ *   { logic: 'and' | 'or', conditions: [condition | group] }
+ * where a condition is one of
+ *   { column, operator: 'in' | 'notIn', values: [...] }
+ *   { column, operator: 'between', min, max }            (either bound may be omitted)
+ *   { column, operator: 'gt' | 'gte' | 'lt' | 'lte', value }
+ *   { column, operator: 'contains' | 'startsWith', value }
+ *   { column, operator: 'isNull' | 'notNull' }
+ * Any condition may carry `source`: the id of the chart it was selected in (cross-filtering).
+ * Range operators compare numbers, then dates, then text. Text operators ignore case.
+ * The legacy { column: [values] } map is still accepted and means "column is in values" for every column.
+ */
+class FilterModel {
+  constructor() {
+    this.operators = ['in', 'notIn', 'between', 'gt', 'gte', 'lt', 'lte', 'contains', 'startsWith', 'isNull', 'notNull'];
+    this.operatorLabels = {
+      in: 'is',
+      notIn: 'is not',
+      between: 'between',
+      gt: '>',
+      gte: '≥',
+      lt: '<',
+      lte: '≤',
+      contains: 'contains',
+      startsWith: 'starts with',
+      isNull: 'is empty',
+      notNull: 'is not empty'
+    };
+  }
+
+  isGroup(node) {
+    return Boolean(node) && Array.isArray(node.conditions);
+  }
+
+  /**
+   * Convert either filter shape into a clean model, dropping incomplete conditions and empty groups
+   * @returns {Object|null} { logic, conditions } or null when nothing filters
+   */
+  normalize(filters) {
+    if (!filters || typeof filters !== 'object') return null;
+
+    const group = this.isGroup(filters)
+      ? filters
+      : {
+          logic: 'and',
+          conditions: Object.keys(filters).map(column => ({ column, operator: 'in', values: filters[column] }))
+        };
+
+    return this.normalizeGroup(group);
+  }
+
+  normalizeGroup(group) {
+    const conditions = group.conditions
+      .map(node => (this.isGroup(node) ? this.normalizeGroup(node) : this.normalizeCondition(node)))
+      .filter(Boolean);
+
+    if (conditions.length === 0) return null;
+    return { logic: group.logic === 'or' ? 'or' : 'and', conditions };
+  }
+
+  normalizeCondition(condition) {
+    if (!condition || !condition.column || !this.operators.includes(condition.operator)) return null;
+    const isSet = (value) => value !== null && value !== undefined && value !== '';
+    const normalized = this.normalizeOperands(condition, isSet);
+
+    return normalized && condition.source ? { ...normalized, source: String(condition.source) } : normalized;
+  }
+
+  normalizeOperands(condition, isSet) {
+    const { column, operator } = condition;
+
+    switch (operator) {
+      case 'in':
+      case 'notIn':
+        return Array.isArray(condition.values) && condition.values.length > 0
+          ? { column, operator, values: condition.values.map(String) }
+          : null;
+      case 'between':
+        if (!isSet(condition.min) && !isSet(condition.max)) return null;
+        return {
+          column,
+          operator,
+          ...(isSet(condition.min) && { min: condition.min }),
+          ...(isSet(condition.max) && { max: condition.max })
+        };
+      case 'isNull':
+      case 'notNull':
+        return { column, operator };
+      default:
+        return isSet(condition.value) ? { column, operator, value: condition.value } : null;
+    }
+  }
+
+  isEmpty(filters) {
+    return this.normalize(filters) === null;
+  }
+
+  /**
+   * Ids of the charts that have a selection in the filter
+   */
+  getSources(filters) {
+    const sources = new Set();
+    const collect = (node) => {
+      if (this.isGroup(node)) node.conditions.forEach(collect);
+      else if (node.source) sources.add(node.source);
+    };
+
+    const model = this.normalize(filters);
+    if (model) collect(model);
+    return sources;
+  }
+
+  /**
+   * The filter without one chart's selection - a chart is drawn from everything except what was
+   * selected in it, so the selection can be highlighted among the other elements
+   */
+  withoutSource(filters, source) {
+    const strip = (group) => ({
+      ...group,
+      conditions: group.conditions
+        .filter(node => this.isGroup(node) || node.source !== source)
+        .map(node => (this.isGroup(node) ? strip(node) : node))
+    });
+
+    const model = this.normalize(filters);
+    return model ? this.normalize(strip(model)) || {} : {};
+  }
+
+  /**
+   * Build a row predicate for a filter
+   * @returns {Function|null} row => boolean, or null when nothing filters
+   */
+  compile(filters) {
+    const model = this.normalize(filters);
+    return model ? this.compileGroup(model) : null;
+  }
+
+  compileGroup(group) {
+    const tests = group.conditions.map(node => (this.isGroup(node) ? this.compileGroup(node) : this.compileCondition(node)));
+
+    return group.logic === 'or'
+      ? (row) => tests.some(test => test(row))
+      : (row) => tests.every(test => test(row));
+  }
+
+  compileCondition({ column, operator, values, value, min, max }) {
+    const isNull = (rowValue) => rowValue === null || rowValue === undefined || rowValue === '';
+
+    switch (operator) {
+      case 'in':
+      case 'notIn': {
+        // 'null' / 'undefined' in the list select empty cells, as the value checkboxes always have
+        const allowed = new Set(values);
+        const matchesNull = allowed.has('null') || allowed.has('undefined');
+        const matches = (rowValue) => (isNull(rowValue) ? matchesNull : allowed.has(String(rowValue)));
+        return operator === 'in' ? (row) => matches(row[column]) : (row) => !matches(row[column]);
+      }
+      case 'isNull':
+        return (row) => isNull(row[column]);
+      case 'notNull':
+        return (row) => !isNull(row[column]);
+      case 'contains':
+      case 'startsWith': {
+        const needle = String(value).toLowerCase();
+        return operator === 'contains'
+          ? (row) => !isNull(row[column]) && String(row[column]).toLowerCase().includes(needle)
+          : (row) => !isNull(row[column]) && String(row[column]).toLowerCase().startsWith(needle);
+      }
+      case 'between': {
+        const lower = min !== undefined ? this.createComparator(min) : null;
+        const upper = max !== undefined ? this.createComparator(max, true) : null;
+        return (row) => {
+          if (isNull(row[column])) return false;
+          if (lower) {
+            const order = lower(row[column]);
+            if (order === null || order < 0) return false;
+          }
+          if (upper) {
+            const order = upper(row[column]);
+            if (order === null || order > 0) return false;
+          }
+          return true;
+        };
+      }
+      default: {
+        const compare = this.createComparator(value, operator === 'gt' || operator === 'lte');
+        const accepts = { gt: (o) => o > 0, gte: (o) => o >= 0, lt: (o) => o < 0, lte: (o) => o <= 0 }[operator];
+        return (row) => {
+          if (isNull(row[column])) return false;
+          const order = compare(row[column]);
+          return order !== null && accepts(order);
+        };
+      }
+    }
+  }
+
+  /**
+   * Comparator against a fixed bound: returns <0, 0, >0 for a row value below, at or above it,
+   * or null when the row value can't be compared the same way (e.g. text in a numeric range).
+   * Only ISO dates (YYYY-MM-DD, optionally with a time) compare as dates - lenient parsing would read
+   * text like "Facility 2" as a date. With `endOfDay`, a plain YYYY-MM-DD bound stands for the whole day,
+   * so "≤ Mar 5" includes Mar 5 afternoon.
+   */
+  createComparator(bound, endOfDay = false) {
+    const number = typeof bound === 'number' ? bound : Number(String(bound).trim());
+    if (String(bound).trim() !== '' && Number.isFinite(number)) {
+      return (rowValue) => {
+        const rowNumber = typeof rowValue === 'number' ? rowValue : Number(rowValue);
+        return Number.isFinite(rowNumber) ? rowNumber - number : null;
+      };
+    }
+
+    const isoDate = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(String(bound).trim());
+    let time = isoDate ? timeSeries.parseTime(bound) : null;
+    if (time !== null) {
+      if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(bound).trim())) {
+        time = timeSeries.nextPeriod(time, 'day') - 1;
+      }
+      return (rowValue) => {
+        const rowTime = timeSeries.parseTime(rowValue);
+        return rowTime === null ? null : rowTime - time;
+      };
+    }
+
+    const text = String(bound).toLowerCase();
+    return (rowValue) => String(rowValue).toLowerCase().localeCompare(text);
+  }
+
+  /**
+   * Readable lines for prompts and logs, e.g. "region is North, South" or "(sales > 100 OR sales is empty)"
+   */
+  describe(filters) {
+    const model = this.normalize(filters);
+    if (!model) return [];
+    // Separate lines read as AND, so an OR at the top level stays on one line
+    return model.logic === 'or' && model.conditions.length > 1
+      ? [this.describeNode(model)]
+      : model.conditions.map(node => this.describeNode(node));
+  }
+
+  describeNode(node) {
+    if (this.isGroup(node)) {
+      return `(${node.conditions.map(child => this.describeNode(child)).join(` ${node.logic.toUpperCase()} `)})`;
+    }
+
+    const label = this.operatorLabels[node.operator];
+    switch (node.operator) {
+      case 'in':
+      case 'notIn':
+        return `${node.column} ${label} ${node.values.join(', ')}`;
+      case 'between':
+        if (node.min === undefined) return `${node.column} ≤ ${node.max}`;
+        if (node.max === undefined) return `${node.column} ≥ ${node.min}`;
+        return `${node.column} between ${node.min} and ${node.max}`;
+      case 'isNull':
+      case 'notNull':
+        return `${node.column} ${label}`;
+      default:
+        return `${node.column} ${label} ${node.value}`;
+    }
+  }
+
+  /**
+   * Canonical form for cache keys - condition order and value order don't matter
+   */
+  canonicalize(filters) {
+    const model = this.normalize(filters);
+    return model ? this.canonicalizeNode(model) : null;
+  }
+
+  canonicalizeNode(node) {
+    if (this.isGroup(node)) {
+      const conditions = node.conditions.map(child => this.canonicalizeNode(child));
+      return { logic: node.logic, conditions: conditions.sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b))) };
+    }
+
+    return node.values ? { ...node, values: [...node.values].sort() } : node;
+  }
+}
+
+module.exports = new FilterModel();
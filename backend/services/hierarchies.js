@@ -0,0 +1,240 @@
+// backend/services/hierarchies.js - Dimension hierarchies for drill-down charts
+const timeSeries = require('./timeSeries');
+
+class HierarchyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HierarchyError';
+  }
+}
+
+/**
+ * A hierarchy is an ordered list of levels, coarsest first:
+ *   { id, name, levels: [{ column, grain? }], source: 'suggested' | 'custom' }
+ * Levels are either columns (illness_group → illness → icd_code) or date grains of one
+ * column (service_date by year → quarter → month).
+ *
+ * A drilled chart carries `drill: { hierarchyId, level, path: [{ level, value }] }` - the level
+ * it shows and the value picked at each level above it.
+ */
+class Hierarchies {
+  constructor() {
+    this.dateGrains = ['year', 'quarter', 'month'];
+    this.minLevels = 2;
+    this.maxLevels = 6;
+    this.maxSuggestions = 6;
+    // Near-unique columns (ids) determine every other column, so they never make a level
+    this.maxDistinctRatio = 0.5;
+  }
+
+  /**
+   * Suggest hierarchies for a new session: chains of columns where each value of the finer
+   * column belongs to exactly one value of the coarser one, plus year → quarter → month per date column
+   * @param {Array} data - Sample rows
+   * @param {Object} schema - Schema with columns and dimensions
+   */
+  suggest(data, schema) {
+    const dateColumns = schema.dimensions.filter(column => column.type === 'date');
+    const candidates = schema.dimensions.filter(column => column.type !== 'date' &&
+      column.uniqueValues >= 2 &&
+      column.uniqueValues <= data.length * this.maxDistinctRatio);
+
+    const suggestions = this.findChains(data, candidates).map(levels => ({
+      id: `auto_${levels.join('__')}`,
+      name: levels.join(' → '),
+      levels: levels.map(column => ({ column })),
+      source: 'suggested'
+    }));
+
+    dateColumns.forEach(column => {
+      suggestions.push({
+        id: `auto_${column.name}__date`,
+        name: `${column.name} (Year → Quarter → Month)`,
+        levels: this.dateGrains.map(grain => ({ column: column.name, grain })),
+        source: 'suggested'
+      });
+    });
+
+    return suggestions.slice(0, this.maxSuggestions);
+  }
+
+  /**
+   * Longest parent → child chains from the functional dependencies between candidate columns
+   * @returns {Array} [[column, ...]] coarsest column first
+   */
+  findChains(data, candidates) {
+    // children[parent] = columns that determine parent and have more distinct values
+    const children = {};
+    const hasParent = new Set();
+
+    candidates.forEach(parent => {
+      candidates.forEach(child => {
+        if (child.uniqueValues > parent.uniqueValues && this.determines(data, child.name, parent.name)) {
+          children[parent.name] = [...(children[parent.name] || []), child];
+          hasParent.add(child.name);
+        }
+      });
+    });
+
+    return Object.keys(children)
+      .filter(root => !hasParent.has(root))
+      .map(root => {
+        const chain = [root];
+        let next = children[root];
+
+        // Step to the coarsest child each time so no level is skipped
+        while (next && next.length > 0 && chain.length < this.maxLevels) {
+          const child = [...next].sort((a, b) => a.uniqueValues - b.uniqueValues)[0];
+          chain.push(child.name);
+          next = (children[child.name] || []).filter(column => !chain.includes(column.name));
+        }
+        return chain;
+      });
+  }
+
+  /**
+   * Whether every value of `column` maps to a single value of `other` (empty cells ignored)
+   */
+  determines(data, column, other) {
+    const isEmpty = (value) => value === null || value === undefined || value === '';
+    const seen = new Map();
+
+    for (let i = 0; i < data.length; i++) {
+      const value = data[i][column];
+      const otherValue = data[i][other];
+      if (isEmpty(value) || isEmpty(otherValue)) continue;
+
+      const key = String(value);
+      if (!seen.has(key)) {
+        seen.set(key, String(otherValue));
+      } else if (seen.get(key) !== String(otherValue)) {
+        return false;
+      }
+    }
+
+    return seen.size > 0;
+  }
+
+  /**
+   * Add or replace a hand-made hierarchy on the schema
+   * @param {Object} schema - Session schema, updated in place (caller persists it)
+   * @param {Object} hierarchy - { id?, name, levels: [{ column, grain? }] }
+   * @returns {Object} Saved hierarchy
+   */
+  save(schema, { id, name, levels }) {
+    const hierarchyName = String(name || '').trim();
+    if (!hierarchyName) {
+      throw new HierarchyError('Hierarchy name is required');
+    }
+    if (!Array.isArray(levels) || levels.length < this.minLevels || levels.length > this.maxLevels) {
+      throw new HierarchyError(`A hierarchy needs ${this.minLevels} to ${this.maxLevels} levels`);
+    }
+
+    const normalizedLevels = levels.map(level => this.normalizeLevel(schema, level));
+
+    const keys = normalizedLevels.map(level => `${level.column}|${level.grain || ''}`);
+    if (new Set(keys).size !== keys.length) {
+      throw new HierarchyError('Each level can only appear once');
+    }
+
+    normalizedLevels.forEach((level, index) => {
+      const previous = normalizedLevels[index - 1];
+      if (previous?.grain && level.grain && previous.column === level.column &&
+        timeSeries.grains.indexOf(level.grain) > timeSeries.grains.indexOf(previous.grain)) {
+        throw new HierarchyError(`${level.column} levels must go from coarser to finer grains`);
+      }
+    });
+
+    const hierarchies = schema.hierarchies || [];
+    const existing = id ? hierarchies.find(h => h.id === id) : null;
+    const hierarchy = {
+      id: existing ? existing.id : `custom_${Date.now().toString(36)}`,
+      name: hierarchyName,
+      levels: normalizedLevels,
+      source: 'custom'
+    };
+
+    schema.hierarchies = existing
+      ? hierarchies.map(h => (h.id === existing.id ? hierarchy : h))
+      : [...hierarchies, hierarchy];
+
+    return hierarchy;
+  }
+
+  normalizeLevel(schema, level) {
+    const column = schema.columns.find(c => c.name === level?.column);
+    if (!column) {
+      throw new HierarchyError(`Unknown column "${level?.column}"`);
+    }
+
+    if (!level.grain) {
+      return { column: column.name };
+    }
+    if (column.type !== 'date' || !timeSeries.grains.includes(level.grain)) {
+      throw new HierarchyError(`"${column.name}" can't be grouped by ${level.grain}`);
+    }
+    return { column: column.name, grain: level.grain };
+  }
+
+  remove(schema, id) {
+    const hierarchies = schema.hierarchies || [];
+    if (!hierarchies.some(h => h.id === id)) {
+      throw new HierarchyError(`Hierarchy "${id}" not found`);
+    }
+    schema.hierarchies = hierarchies.filter(h => h.id !== id);
+  }
+
+  /**
+   * Resolve a chart's drill state into the definition to draw and the rows it covers
+   * @param {Object} chartDef - Chart definition, possibly with `drill`
+   * @param {Object} schema - Session schema with hierarchies
+   * @returns {Object} { definition, filters } - filters is a filter model, or null when not drilled
+   */
+  applyDrill(chartDef, schema) {
+    const { drill, ...definition } = chartDef;
+    const hierarchy = drill && (schema?.hierarchies || []).find(h => h.id === drill.hierarchyId);
+    if (!hierarchy) {
+      return { definition, filters: null };
+    }
+
+    const levelIndex = Math.min(Math.max(parseInt(drill.level, 10) || 0, 0), hierarchy.levels.length - 1);
+    const level = hierarchy.levels[levelIndex];
+    const path = (drill.path || []).filter(step => step.level >= 0 && step.level < levelIndex);
+    const conditions = path
+      .map(step => this.levelCondition(hierarchy.levels[step.level], step.value))
+      .filter(Boolean);
+
+    return {
+      definition: {
+        ...definition,
+        dimensions: [level.column, ...(definition.dimensions || []).slice(1)],
+        ...(level.grain && { grain: level.grain }),
+        drill: { hierarchyId: hierarchy.id, level: levelIndex, path }
+      },
+      filters: conditions.length > 0 ? { logic: 'and', conditions } : null
+    };
+  }
+
+  /**
+   * Rows under one value of a level: the value itself, or every date in the period
+   */
+  levelCondition(level, value) {
+    if (!level.grain) {
+      return { column: level.column, operator: 'in', values: [String(value)] };
+    }
+
+    const start = timeSeries.parsePeriodLabel(value, level.grain);
+    if (start === null) return null;
+
+    const day = (time) => new Date(time).toISOString().slice(0, 10);
+    return {
+      column: level.column,
+      operator: 'between',
+      min: day(start),
+      max: day(timeSeries.nextPeriod(start, level.grain) - 1)
+    };
+  }
+}
+
+module.exports = new Hierarchies();
+module.exports.HierarchyError = HierarchyError;
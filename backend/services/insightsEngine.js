@@ -0,0 +1,519 @@
+// backend/services/insightsEngine.js - Statistical findings for individual charts
+const llm = require('./llm');
+const calculator = require('./calculator');
+
+/**
+ * Finding shape returned to the client:
+ *
+ * { type, title, text, value, severity }
+ *
+ *   type:     top | bottom | share | concentration | change | trend | outlier
+ *   severity: positive | negative | warning | neutral
+ */
+class InsightsEngine {
+  constructor() {
+    this.maxGroups = 5000;
+    this.zScoreThreshold = 2.5;
+    this.paretoShare = 0.8;
+    this.minPointsForOutliers = 5;
+    this.maxFindings = 8;
+  }
+
+  /**
+   * Analyse the data behind a chart
+   * @param {Array} data - Filtered rows
+   * @param {Object} schema - Session schema
+   * @param {Object} chartConfig - { type, title, measures, dimensions }
+   * @param {Object} options - { narrative: use the LLM for the story when configured, signal }
+   * @returns {Promise<Object>} { story, storySource, findings, keyInsights, statistics, dataAnalysis, recommendations }
+   */
+  async analyzeChart(data, schema, chartConfig, { narrative = true, signal = null } = {}) {
+    const { findings, statistics, recommendations } = this.computeFindings(data, schema, chartConfig);
+    let story = this.buildStory(chartConfig, statistics, findings);
+    let storySource = 'rules';
+
+    if (narrative && findings.length > 0 && llm.isConfigured('insights')) {
+      try {
+        story = await this.generateNarrative(chartConfig, statistics, findings, signal);
+        storySource = 'ai';
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn('⚠️ Chart narrative failed, using computed summary:', error.message);
+      }
+    }
+
+    return {
+      story,
+      storySource,
+      findings,
+      keyInsights: findings.map(f => f.text),
+      statistics,
+      dataAnalysis: {
+        rowsAnalyzed: data.length,
+        dataPoints: statistics.groups || statistics.count,
+        total: this.formatNumber(statistics.total),
+        average: this.formatNumber(statistics.mean),
+        median: this.formatNumber(statistics.median)
+      },
+      recommendations
+    };
+  }
+
+  /**
+   * Compute statistics and findings for a chart's primary measure and dimension (no AI).
+   * Groups are aggregated the way the chart draws them (its aggregation, weight and date columns).
+   * @returns {Object} { findings, statistics, recommendations }
+   */
+  computeFindings(data, schema, chartConfig) {
+    const measure = (chartConfig.measures || [])[0];
+    const dimension = (chartConfig.dimensions || [])[0];
+    const columns = schema?.columns || [];
+    const aggregateField = calculator.findCalculatedField(schema, measure)?.isAggregate || false;
+
+    if (!measure || (!aggregateField && !columns.some(c => c.name === measure))) {
+      throw new Error(`Unknown measure "${measure}"`);
+    }
+
+    const evaluate = calculator.createMeasureEvaluator(chartConfig, schema);
+    const aggregation = aggregateField ? null : calculator.normalizeAggregation(chartConfig.aggregation || 'sum');
+    // Shares of a total only make sense when the groups add up to it
+    const additive = aggregation === 'sum' || aggregation === 'count';
+    const label = aggregation && aggregation !== 'sum' ? `${aggregation} ${measure}` : measure;
+
+    const dimensionInfo = columns.find(c => c.name === dimension) || null;
+    const isTimeSeries = dimensionInfo?.type === 'date';
+    const groups = dimensionInfo
+      ? (isTimeSeries ? this.groupByPeriod(data, dimension) : this.groupByCategory(data, dimension))
+      : null;
+
+    const points = groups ? this.aggregateGroups(groups, rows => evaluate(rows, measure)) : [];
+    if (!isTimeSeries) points.sort((a, b) => b.value - a.value);
+
+    const values = points.length > 0
+      ? points.map(p => p.value)
+      : (aggregateField ? [evaluate(data, measure)] : this.columnValues(data, measure));
+    const statistics = {
+      measure,
+      aggregation,
+      label,
+      dimension: dimensionInfo ? dimension : null,
+      rows: data.length,
+      groups: points.length,
+      additive,
+      ...this.describe(values)
+    };
+
+    if (isTimeSeries) statistics.grain = points.grain = groups.grain;
+
+    const findings = [];
+    if (points.length > 0) {
+      if (isTimeSeries) {
+        findings.push(...this.findChanges(points, label));
+      } else {
+        findings.push(...this.findContributors(points, label, dimension, additive ? statistics.total : null));
+        if (additive) findings.push(...this.findConcentration(points, dimension, statistics.total));
+      }
+    }
+    findings.push(...this.findOutliers(points.length >= this.minPointsForOutliers ? points : null, values, label, dimension));
+
+    const limitedFindings = findings.slice(0, this.maxFindings);
+
+    return {
+      findings: limitedFindings,
+      statistics,
+      recommendations: this.buildRecommendations(limitedFindings, dimension)
+    };
+  }
+
+  // ==================== GROUPING ====================
+
+  /**
+   * Rows per dimension value
+   * @returns {Map} label -> rows
+   */
+  groupByCategory(data, dimension) {
+    const groups = new Map();
+
+    for (let i = 0; i < data.length; i++) {
+      const key = data[i][dimension] === null || data[i][dimension] === undefined || data[i][dimension] === ''
+        ? 'Unknown'
+        : String(data[i][dimension]);
+
+      if (!groups.has(key)) {
+        if (groups.size >= this.maxGroups) continue;
+        groups.set(key, []);
+      }
+      groups.get(key).push(data[i]);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Rows per day, month or year of a date dimension, depending on the span covered
+   * @returns {Map} period label -> rows, in period order, with a `grain` property
+   */
+  groupByPeriod(data, dimension) {
+    const dated = [];
+    let min = Infinity;
+    let max = -Infinity;
+
+    for (let i = 0; i < data.length; i++) {
+      const time = new Date(data[i][dimension]).getTime();
+      if (isNaN(time)) continue;
+      dated.push({ time, row: data[i] });
+      if (time < min) min = time;
+      if (time > max) max = time;
+    }
+
+    const spanDays = (max - min) / 86400000;
+    const grain = spanDays > 365 * 3 ? 'year' : spanDays > 62 ? 'month' : 'day';
+    const groups = new Map();
+
+    dated
+      .sort((a, b) => a.time - b.time)
+      .forEach(({ time, row }) => {
+        const iso = new Date(time).toISOString();
+        const key = grain === 'year' ? iso.slice(0, 4) : grain === 'month' ? iso.slice(0, 7) : iso.slice(0, 10);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      });
+
+    groups.grain = grain;
+    return groups;
+  }
+
+  aggregateGroups(groups, evaluate) {
+    return Array.from(groups, ([label, rows]) => {
+      const value = Number(evaluate(rows));
+      return { label, value: Number.isFinite(value) ? value : 0 };
+    });
+  }
+
+  columnValues(data, measure) {
+    const values = [];
+    for (let i = 0; i < data.length; i++) {
+      const value = parseFloat(data[i][measure]);
+      if (!isNaN(value)) values.push(value);
+    }
+    return values;
+  }
+
+  // ==================== STATISTICS ====================
+
+  describe(values) {
+    if (values.length === 0) {
+      return { count: 0, total: 0, mean: 0, median: 0, stdDev: 0, min: 0, max: 0, q1: 0, q3: 0 };
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, v) => sum + v, 0);
+    const mean = total / sorted.length;
+    const variance = sorted.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / sorted.length;
+
+    return {
+      count: sorted.length,
+      total,
+      mean,
+      median: this.quantile(sorted, 0.5),
+      stdDev: Math.sqrt(variance),
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      q1: this.quantile(sorted, 0.25),
+      q3: this.quantile(sorted, 0.75)
+    };
+  }
+
+  /**
+   * Linear-interpolated quantile of an ascending array
+   */
+  quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const base = Math.floor(position);
+    const next = sorted[base + 1];
+    return next === undefined ? sorted[base] : sorted[base] + (position - base) * (next - sorted[base]);
+  }
+
+  // ==================== FINDINGS ====================
+
+  findContributors(points, measure, dimension, total) {
+    const findings = [];
+    const top = points[0];
+    const bottom = points[points.length - 1];
+    const hasShares = total > 0 && points.every(p => p.value >= 0);
+    const share = (value) => (hasShares ? value / total : null);
+
+    findings.push({
+      type: 'top',
+      title: `Top ${dimension}`,
+      text: hasShares
+        ? `${top.label} leads with ${this.formatNumber(top.value)} ${measure} (${this.formatPercent(share(top.value))} of total)`
+        : `${top.label} leads with ${this.formatNumber(top.value)} ${measure}`,
+      value: { label: top.label, amount: top.value, share: share(top.value) },
+      severity: 'positive'
+    });
+
+    if (points.length > 1) {
+      const ratio = bottom.value > 0 ? top.value / bottom.value : null;
+      findings.push({
+        type: 'bottom',
+        title: `Lowest ${dimension}`,
+        text: `${bottom.label} is lowest at ${this.formatNumber(bottom.value)} ${measure}` +
+          (ratio && ratio >= 2 ? ` - ${top.label} is ${ratio.toFixed(1)}x higher` : ''),
+        value: { label: bottom.label, amount: bottom.value, share: share(bottom.value) },
+        severity: 'negative'
+      });
+    }
+
+    if (hasShares && points.length > 3) {
+      const topThree = points.slice(0, 3).reduce((sum, p) => sum + p.value, 0);
+      findings.push({
+        type: 'share',
+        title: 'Top 3 share',
+        text: `The top 3 of ${points.length} ${dimension} values account for ${this.formatPercent(topThree / total)} of ${measure}`,
+        value: topThree / total,
+        severity: 'neutral'
+      });
+    }
+
+    return findings;
+  }
+
+  /**
+   * Pareto point and Herfindahl-Hirschman index (0-10,000) over the group shares
+   */
+  findConcentration(points, dimension, total) {
+    if (points.length < 3 || !(total > 0) || points.some(p => p.value < 0)) return [];
+
+    let cumulative = 0;
+    let paretoCount = 0;
+    for (const point of points) {
+      cumulative += point.value;
+      paretoCount++;
+      if (cumulative / total >= this.paretoShare) break;
+    }
+
+    const hhi = Math.round(points.reduce((sum, p) => sum + Math.pow((p.value / total) * 100, 2), 0));
+    const level = hhi >= 2500 ? 'high' : hhi >= 1500 ? 'moderate' : 'low';
+    const groupShare = paretoCount / points.length;
+
+    return [{
+      type: 'concentration',
+      title: 'Concentration',
+      text: `${paretoCount} of ${points.length} ${dimension} values (${this.formatPercent(groupShare)}) produce ${this.formatPercent(this.paretoShare)} of the total; concentration is ${level} (HHI ${hhi.toLocaleString()})`,
+      value: { paretoCount, groupShare, hhi, level },
+      severity: level === 'high' ? 'warning' : 'neutral'
+    }];
+  }
+
+  /**
+   * Period-over-period change, overall change and trend direction for a time series
+   */
+  findChanges(points, measure) {
+    const findings = [];
+    const grain = points.grain || 'period';
+
+    if (points.length >= 2) {
+      const last = points[points.length - 1];
+      const previous = points[points.length - 2];
+      const change = this.percentChange(previous.value, last.value);
+
+      findings.push({
+        type: 'change',
+        title: `Latest ${grain} change`,
+        text: change === null
+          ? `${measure} was ${this.formatNumber(last.value)} in ${last.label}, up from zero in ${previous.label}`
+          : `${measure} ${change >= 0 ? 'rose' : 'fell'} ${this.formatPercent(Math.abs(change))} in ${last.label} vs ${previous.label} (${this.formatNumber(previous.value)} → ${this.formatNumber(last.value)})`,
+        value: { from: previous.label, to: last.label, previous: previous.value, current: last.value, change },
+        severity: change === null || change >= 0 ? 'positive' : 'negative'
+      });
+    }
+
+    if (points.length >= 3) {
+      const first = points[0];
+      const last = points[points.length - 1];
+      const slope = this.slope(points.map(p => p.value));
+      const overall = this.percentChange(first.value, last.value);
+      const direction = slope > 0 ? 'upward' : slope < 0 ? 'downward' : 'flat';
+
+      findings.push({
+        type: 'trend',
+        title: 'Overall trend',
+        text: `${measure} shows a ${direction} trend across ${points.length} ${grain}s` +
+          (overall !== null ? ` (${overall >= 0 ? '+' : '-'}${this.formatPercent(Math.abs(overall))} from ${first.label} to ${last.label})` : ''),
+        value: { slope, change: overall, periods: points.length },
+        severity: slope > 0 ? 'positive' : slope < 0 ? 'negative' : 'neutral'
+      });
+
+      const peak = points.reduce((best, p) => (p.value > best.value ? p : best), points[0]);
+      findings.push({
+        type: 'top',
+        title: `Peak ${grain}`,
+        text: `${measure} peaked in ${peak.label} at ${this.formatNumber(peak.value)}`,
+        value: { label: peak.label, amount: peak.value },
+        severity: 'neutral'
+      });
+    }
+
+    return findings;
+  }
+
+  /**
+   * Outliers by z-score or IQR fences. Uses chart points when there are enough, raw values otherwise.
+   */
+  findOutliers(points, values, measure, dimension) {
+    const items = points
+      ? points.map(p => ({ label: p.label, value: p.value }))
+      : values.map(value => ({ label: null, value }));
+
+    if (items.length < this.minPointsForOutliers) return [];
+
+    const stats = this.describe(items.map(i => i.value));
+    const iqr = stats.q3 - stats.q1;
+    const lowerFence = stats.q1 - 1.5 * iqr;
+    const upperFence = stats.q3 + 1.5 * iqr;
+
+    const outliers = items
+      .map(item => ({
+        ...item,
+        zScore: stats.stdDev > 0 ? (item.value - stats.mean) / stats.stdDev : 0
+      }))
+      .filter(item => Math.abs(item.zScore) >= this.zScoreThreshold || (iqr > 0 && (item.value < lowerFence || item.value > upperFence)))
+      .sort((a, b) => Math.abs(b.zScore) - Math.abs(a.zScore));
+
+    if (outliers.length === 0) return [];
+
+    if (points) {
+      return outliers.slice(0, 2).map(item => ({
+        type: 'outlier',
+        title: 'Outlier',
+        text: `${item.label} is ${item.value > stats.mean ? 'unusually high' : 'unusually low'} at ${this.formatNumber(item.value)} ${measure} (z-score ${item.zScore.toFixed(1)})`,
+        value: { label: item.label, amount: item.value, zScore: item.zScore },
+        severity: 'warning'
+      }));
+    }
+
+    const high = outliers.filter(o => o.value > stats.mean).length;
+    return [{
+      type: 'outlier',
+      title: 'Outlier records',
+      text: `${outliers.length} ${measure} values fall outside the expected range (${this.formatNumber(Math.max(lowerFence, stats.min))} to ${this.formatNumber(Math.min(upperFence, stats.max))}); ${high} high, ${outliers.length - high} low`,
+      value: { count: outliers.length, lowerFence, upperFence },
+      severity: 'warning'
+    }];
+  }
+
+  // ==================== NARRATIVE ====================
+
+  buildStory(chartConfig, statistics, findings) {
+    const subject = statistics.dimension
+      ? `${statistics.label} by ${statistics.dimension}`
+      : statistics.label;
+
+    if (statistics.count === 0) {
+      return `No ${statistics.measure} values are available for ${subject} with the current filters.`;
+    }
+
+    const opening = `This ${chartConfig.type || ''} chart summarises ${subject} across ${statistics.rows.toLocaleString()} records` +
+      (statistics.additive ? `, totalling ${this.formatNumber(statistics.total)}.` : '.');
+    const highlights = findings
+      .filter(f => ['top', 'change', 'concentration'].includes(f.type))
+      .slice(0, 2)
+      .map(f => `${f.text}.`);
+
+    return [opening.replace(/\s+/g, ' '), ...highlights].join(' ');
+  }
+
+  async generateNarrative(chartConfig, statistics, findings, signal) {
+    const system = 'You are a business analyst. Explain chart findings in plain language using only the facts given. Do not invent numbers.';
+    const render = (facts) => `Chart: "${chartConfig.title || statistics.measure}" (${chartConfig.type || 'chart'}) showing ${statistics.measure}${statistics.dimension ? ` by ${statistics.dimension}` : ''}.
+Records analysed: ${statistics.rows}.${statistics.additive ? ` Total: ${this.formatNumber(statistics.total)}.` : ''} Average per ${statistics.dimension || 'record'}: ${this.formatNumber(statistics.mean)}.
+
+Findings:
+${facts}
+
+Write a 2-3 sentence narrative for a business user. Plain text, no markdown.`;
+
+    // On a tight budget the last findings are left out rather than the request failing
+    const facts = llm.fitToBudget(findings, f => `- ${f.text}\n`, render('') + system);
+
+    const text = await llm.complete({
+      feature: 'insights',
+      system,
+      prompt: render(facts.map(f => `- ${f.text}`).join('\n')),
+      temperature: 0.4,
+      maxTokens: 300,
+      signal
+    });
+
+    return text.trim();
+  }
+
+  buildRecommendations(findings, dimension) {
+    const recommendations = [];
+    const has = (type) => findings.find(f => f.type === type);
+
+    const concentration = has('concentration');
+    if (concentration && concentration.value.level === 'high') {
+      recommendations.push(`Results depend on a few ${dimension} values - review exposure to the top contributors`);
+    }
+
+    const bottom = has('bottom');
+    if (bottom) {
+      recommendations.push(`Investigate why ${bottom.value.label} underperforms compared with the leaders`);
+    }
+
+    const change = has('change');
+    if (change && change.value.change !== null && change.value.change < 0) {
+      recommendations.push(`Look into the drop in ${change.value.to} before it becomes a trend`);
+    }
+
+    if (has('outlier')) {
+      recommendations.push('Check the flagged outliers for data quality issues or one-off events');
+    }
+
+    if (recommendations.length === 0) {
+      recommendations.push('Use filters to compare this view across segments');
+    }
+
+    return recommendations;
+  }
+
+  // ==================== FORMATTING ====================
+
+  percentChange(from, to) {
+    if (!from) return null;
+    return (to - from) / Math.abs(from);
+  }
+
+  slope(values) {
+    const n = values.length;
+    const meanX = (n - 1) / 2;
+    const meanY = values.reduce((sum, v) => sum + v, 0) / n;
+    let numerator = 0;
+    let denominator = 0;
+
+    values.forEach((y, x) => {
+      numerator += (x - meanX) * (y - meanY);
+      denominator += Math.pow(x - meanX, 2);
+    });
+
+    return denominator === 0 ? 0 : numerator / denominator;
+  }
+
+  formatNumber(value) {
+    if (typeof value !== 'number' || !isFinite(value)) return 'n/a';
+
+    const abs = Math.abs(value);
+    if (abs >= 1e9) return `${(value / 1e9).toFixed(1)}B`;
+    if (abs >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+    if (abs >= 1e4) return `${(value / 1e3).toFixed(1)}K`;
+    return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+  }
+
+  formatPercent(ratio) {
+    return `${(ratio * 100).toFixed(1)}%`;
+  }
+}
+
+module.exports = new InsightsEngine();
@@ -0,0 +1,480 @@
+// backend/services/intentParser.js - Rule-based intent parsing (no AI provider required)
+
+/**
+ * Produces the same { type, query } shape as ChatbotService.classifyIntent so
+ * results flow through the query engine exactly like AI-classified questions.
+ */
+class IntentParser {
+  constructor() {
+    // Word groups that commonly refer to the same business concept
+    this.synonymGroups = [
+      ['revenue', 'sales', 'turnover', 'income'],
+      ['amount', 'value'],
+      ['cost', 'costs', 'expense', 'expenses', 'spend', 'spending'],
+      ['quantity', 'qty', 'units', 'volume'],
+      ['customer', 'client', 'buyer'],
+      ['product', 'item', 'sku'],
+      ['region', 'area', 'territory', 'zone'],
+      ['date', 'day', 'time', 'period'],
+      ['profit', 'margin', 'earnings'],
+      ['price', 'rate', 'fee'],
+      ['employee', 'staff', 'worker'],
+      ['hospital', 'facility', 'provider', 'clinic']
+    ];
+
+    this.aggregationKeywords = [
+      { agg: 'countDistinct', pattern: /\b(how many (unique|distinct|different)|number of (unique|distinct|different)|(unique|distinct) count|count (of )?(unique|distinct))\b/ },
+      { agg: 'avg', pattern: /\b(average|avg|mean|typical)\b/ },
+      { agg: 'max', pattern: /\b(max|maximum|highest|largest|biggest|peak)\b/ },
+      { agg: 'min', pattern: /\b(min|minimum|lowest|smallest)\b/ },
+      { agg: 'count', pattern: /\b(how many|number of|count)\b/ },
+      { agg: 'sum', pattern: /\b(total|sum|overall|combined)\b/ }
+    ];
+
+    // Column-name suffixes that people usually leave out when asking
+    this.genericSuffixes = ['name', 'title', 'label', 'description'];
+
+    this.listPattern = /\b(show|list|display|give me|what are|which|rows|records)\b/;
+    this.insightPattern = /\b(why|trend|trends|pattern|patterns|insight|insights|explain|analy[sz]e|summary|summari[sz]e|overview)\b/;
+    // Date wording the parser can't turn into a predicate ("last month", "March 2023", "03/15/2023")
+    this.unparsedDatePattern = /\b(\d{4}[-/]\d{1,2}([-/]\d{1,2})?|\d{1,2}[-/]\d{1,2}[-/]\d{2,4}|(jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|june?|july?|aug(ust)?|sept?(ember)?|oct(ober)?|nov(ember)?|dec(ember)?)\.?\s+\d{1,4}|\d{1,2}(st|nd|rd|th)?\s+(of\s+)?(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*|q[1-4]|yesterday|today|ytd|year to date|(last|past|previous|this|next)\s+(\d+\s+)?(days?|weeks?|months?|quarters?|years?))\b/;
+    this.maxIndexedValues = 500;
+    this.valueScanRows = 20000;
+  }
+
+  /**
+   * Parse a question into an intent without calling any AI provider
+   * @param {string} message - User question
+   * @param {Object} schema - Session schema
+   * @param {Array} data - Session rows (used to recognise dimension values)
+   * @returns {{ type: string, query: Object|null, source: string, message?: string }}
+   */
+  parse(message, schema, data = []) {
+    const text = ` ${String(message || '').toLowerCase().replace(/[?!,;]/g, ' ').replace(/\s+/g, ' ')} `;
+    const dateColumns = (schema?.columns || []).filter(c => c.type === 'date').map(c => c.name);
+
+    // Dates are read first and blanked out so their digits aren't taken as numbers or years
+    const dates = this.parseDates(text, dateColumns);
+    const rest = this.blankSpans(text, dates.spans);
+
+    // Answering with the date constraint silently dropped would be wrong - ask instead
+    if (this.unparsedDatePattern.test(rest)) {
+      return {
+        type: 'clarification',
+        query: null,
+        message: dateColumns.length > 0
+          ? 'I can only filter dates written as YYYY-MM-DD (e.g. "between 2023-01-01 and 2023-03-31", "since 2023-06-01") or whole years ("in 2023"). Could you rephrase the date part of your question?'
+          : "This dataset has no date column, so I can't filter it by date. Could you ask without the date?",
+        source: 'rules'
+      };
+    }
+
+    const columnMentions = this.findColumnMentions(text, schema);
+    const valueMentions = this.findValueMentions(text, schema, data, columnMentions);
+
+    const measureNames = new Set((schema?.measures || []).map(m => m.name));
+
+    const mentionedMeasures = columnMentions.filter(m => measureNames.has(m.column));
+    const mentionedDimensions = columnMentions.filter(m =>
+      !measureNames.has(m.column) && !valueMentions.some(v => v.column === m.column)
+    );
+
+    const comparisons = this.parseComparisons(rest, mentionedMeasures, schema);
+    const where = [
+      ...this.buildValuePredicates(valueMentions),
+      ...comparisons.predicates,
+      ...dates.predicates,
+      ...this.parseYear(rest, dateColumns)
+    ];
+
+    // "total approved amount where billed amount > 1000" sums approved amount only
+    const outputMeasures = mentionedMeasures.filter(m => !comparisons.targets.has(m));
+
+    const agg = this.detectAggregation(text);
+    const ranking = this.parseRanking(text);
+    const explicitGroupBy = this.parseGroupBy(text, mentionedDimensions);
+
+    const query = { where };
+
+    const wantsAggregation = Boolean(agg) || Boolean(ranking) || explicitGroupBy.length > 0;
+
+    if (wantsAggregation) {
+      const groupBy = explicitGroupBy.length > 0
+        ? explicitGroupBy
+        : (ranking || agg !== 'countDistinct' ? mentionedDimensions.map(m => m.column) : []);
+
+      if (agg === 'countDistinct') {
+        const target = mentionedDimensions[0]?.column || columnMentions[0]?.column;
+        query.measures = target ? [{ column: target, agg: 'countDistinct' }] : [{ column: '*', agg: 'count' }];
+        query.groupBy = groupBy.filter(column => column !== target);
+      } else if (agg === 'count' && outputMeasures.length === 0) {
+        query.measures = [{ column: '*', agg: 'count' }];
+        query.groupBy = groupBy;
+      } else {
+        const measures = outputMeasures.length > 0
+          ? outputMeasures.map(m => m.column)
+          : (mentionedMeasures.length > 0 ? mentionedMeasures.map(m => m.column) : [schema?.measures?.[0]?.name].filter(Boolean));
+        query.measures = measures.map(column => ({ column, agg: agg || 'sum' }));
+        query.groupBy = groupBy;
+      }
+
+      if (ranking) {
+        query.limit = ranking.limit;
+        if (query.measures.length > 0) {
+          const first = query.measures[0];
+          query.orderBy = [{ column: first.column === '*' ? 'count' : first.column, direction: ranking.direction }];
+        }
+      }
+
+      return { type: 'aggregation', query, source: 'rules' };
+    }
+
+    if (this.insightPattern.test(text)) {
+      return { type: 'insight', query: null, source: 'rules' };
+    }
+
+    if (this.listPattern.test(text) || where.length > 0 || columnMentions.length > 0) {
+      query.select = Array.from(new Set([
+        ...columnMentions.map(m => m.column),
+        ...valueMentions.map(v => v.column)
+      ]));
+      const limitMatch = text.match(/\b(first|last|top)?\s*(\d{1,4})\s+(rows|records|entries)\b/);
+      if (limitMatch) query.limit = parseInt(limitMatch[2], 10);
+      return { type: 'table', query, source: 'rules' };
+    }
+
+    return { type: 'general', query: null, source: 'rules' };
+  }
+
+  // ==================== COLUMN & VALUE MATCHING ====================
+
+  /**
+   * Phrases that refer to a column: its name, spaced/camel-split forms, plurals and synonyms
+   */
+  getColumnPhrases(columnName) {
+    const base = String(columnName)
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/[_\-.]+/g, ' ')
+      .toLowerCase()
+      .trim();
+
+    const phrases = new Set([base, base.replace(/\s+/g, '')]);
+    const words = base.split(' ');
+    const lastWord = words[words.length - 1];
+
+    const withLast = (word) => [...words.slice(0, -1), word].join(' ');
+    phrases.add(withLast(this.pluralize(lastWord)));
+    phrases.add(withLast(this.singularize(lastWord)));
+
+    // "facility_name" is usually asked about as "facility" / "facilities"
+    if (words.length > 1 && this.genericSuffixes.includes(lastWord)) {
+      const head = words.slice(0, -1).join(' ');
+      const headWords = head.split(' ');
+      const headLast = headWords[headWords.length - 1];
+      phrases.add(head);
+      phrases.add([...headWords.slice(0, -1), this.pluralize(headLast)].join(' '));
+    }
+
+    // Synonyms for single-word names or the head word of multi-word names
+    this.synonymGroups.forEach(group => {
+      if (group.includes(lastWord)) {
+        group.forEach(synonym => {
+          if (words.length === 1) {
+            phrases.add(synonym);
+            phrases.add(this.pluralize(synonym));
+          } else {
+            phrases.add(withLast(synonym));
+          }
+        });
+      }
+    });
+
+    return Array.from(phrases).filter(p => p.length >= 2);
+  }
+
+  pluralize(word) {
+    if (word.endsWith('s')) return word;
+    if (/[^aeiou]y$/.test(word)) return word.slice(0, -1) + 'ies';
+    return word + 's';
+  }
+
+  singularize(word) {
+    if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+    if (word.endsWith('ses')) return word.slice(0, -2);
+    if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+  }
+
+  /**
+   * Find column mentions, preferring the longest phrase and never overlapping
+   */
+  findColumnMentions(text, schema) {
+    const candidates = [];
+
+    (schema?.columns || []).forEach(column => {
+      this.getColumnPhrases(column.name).forEach(phrase => {
+        const pattern = new RegExp(`\\b${this.escapeRegex(phrase)}\\b`, 'g');
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+          candidates.push({ column: column.name, start: match.index, end: match.index + phrase.length, length: phrase.length });
+        }
+      });
+    });
+
+    return this.selectNonOverlapping(candidates);
+  }
+
+  /**
+   * Recognise literal dimension values ("inpatient", "North") from the data itself
+   */
+  findValueMentions(text, schema, data, columnMentions) {
+    if (!Array.isArray(data) || data.length === 0) return [];
+
+    const candidates = [];
+    const index = this.buildValueIndex(schema, data);
+
+    index.forEach((column, value) => {
+      const pattern = new RegExp(`\\b${this.escapeRegex(value)}\\b`, 'g');
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        candidates.push({ column, value, start: match.index, end: match.index + value.length, length: value.length });
+      }
+    });
+
+    // A phrase that names a column is not also a filter value
+    const freeCandidates = candidates.filter(candidate =>
+      !columnMentions.some(m => candidate.start < m.end && m.start < candidate.end && m.length >= candidate.length)
+    );
+
+    return this.selectNonOverlapping(freeCandidates);
+  }
+
+  buildValueIndex(schema, data) {
+    const index = new Map();
+    const scanRows = Math.min(data.length, this.valueScanRows);
+
+    (schema?.dimensions || [])
+      .filter(dimension => dimension.type !== 'date')
+      .forEach(dimension => {
+        const values = new Map();
+        for (let i = 0; i < scanRows && values.size <= this.maxIndexedValues; i++) {
+          const raw = data[i][dimension.name];
+          if (raw === null || raw === undefined || raw === '') continue;
+          const value = String(raw).toLowerCase().trim();
+          // Very short or purely numeric values produce too many false matches
+          if (value.length < 2 || /^\d+(\.\d+)?$/.test(value)) continue;
+          values.set(value, raw);
+        }
+
+        if (values.size <= this.maxIndexedValues) {
+          values.forEach((raw, value) => {
+            if (!index.has(value)) index.set(value, dimension.name);
+          });
+        }
+      });
+
+    return index;
+  }
+
+  selectNonOverlapping(candidates) {
+    const selected = [];
+
+    candidates
+      .sort((a, b) => b.length - a.length || a.start - b.start)
+      .forEach(candidate => {
+        const overlaps = selected.some(s => candidate.start < s.end && s.start < candidate.end);
+        if (!overlaps) selected.push(candidate);
+      });
+
+    return selected.sort((a, b) => a.start - b.start);
+  }
+
+  buildValuePredicates(valueMentions) {
+    const byColumn = new Map();
+    valueMentions.forEach(mention => {
+      if (!byColumn.has(mention.column)) byColumn.set(mention.column, []);
+      byColumn.get(mention.column).push(mention.value);
+    });
+
+    return Array.from(byColumn.entries()).map(([column, values]) => (
+      values.length === 1
+        ? { column, op: 'eq', value: values[0] }
+        : { column, op: 'in', value: values }
+    ));
+  }
+
+  // ==================== KEYWORDS ====================
+
+  detectAggregation(text) {
+    const match = this.aggregationKeywords.find(keyword => keyword.pattern.test(text));
+    return match ? match.agg : null;
+  }
+
+  parseRanking(text) {
+    const match = text.match(/\b(top|bottom|best|worst|highest|lowest)\s+(\d{1,4})\b/);
+    if (match) {
+      const ascending = ['bottom', 'worst', 'lowest'].includes(match[1]);
+      return { limit: parseInt(match[2], 10), direction: ascending ? 'asc' : 'desc' };
+    }
+
+    if (/\b(top|bottom)\b/.test(text)) {
+      return { limit: 10, direction: /\bbottom\b/.test(text) ? 'asc' : 'desc' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Dimensions introduced by "by", "per", "for each" or "across" (e.g. "sales by region")
+   */
+  parseGroupBy(text, dimensionMentions) {
+    return dimensionMentions
+      .filter(mention => /\b(by|per|for each|each|across|breakdown of|split by)\s+(the\s+)?$/.test(text.slice(0, mention.start)))
+      .map(mention => mention.column);
+  }
+
+  /**
+   * Numeric comparisons: "over 500", "amount > 100", "between 10 and 20"
+   * @returns {{ predicates: Array, targets: Set }} targets - the measure mentions the comparisons apply to
+   */
+  parseComparisons(text, measureMentions, schema) {
+    const predicates = [];
+    const targets = new Set();
+    const number = '(-?\\d[\\d,]*(?:\\.\\d+)?)\\s*(k|m)?\\b';
+    const defaultMeasure = schema?.measures?.[0]?.name;
+
+    const toNumber = (value, suffix) => {
+      const parsed = parseFloat(String(value).replace(/,/g, ''));
+      if (suffix === 'k') return parsed * 1000;
+      if (suffix === 'm') return parsed * 1000000;
+      return parsed;
+    };
+
+    // Comparison applies to the closest measure mentioned before it
+    const measureBefore = (position) => {
+      const before = measureMentions.filter(m => m.end <= position);
+      const mention = before.length > 0 ? before[before.length - 1] : measureMentions[0];
+      if (mention) targets.add(mention);
+      return mention ? mention.column : defaultMeasure;
+    };
+
+    // Track matched spans so "no more than" isn't also read as "more than"
+    const consumed = [];
+    const isConsumed = (start, end) => consumed.some(([s, e]) => start < e && s < end);
+
+    const between = new RegExp(`\\bbetween\\s+\\$?${number}\\s+and\\s+\\$?${number}`, 'g');
+    let match;
+    while ((match = between.exec(text)) !== null) {
+      const column = measureBefore(match.index);
+      consumed.push([match.index, match.index + match[0].length]);
+      if (column) {
+        predicates.push({ column, op: 'between', value: [toNumber(match[1], match[2]), toNumber(match[3], match[4])] });
+      }
+    }
+
+    const comparators = [
+      { op: 'gte', pattern: 'at least|>=|no less than' },
+      { op: 'lte', pattern: 'at most|<=|no more than' },
+      { op: 'gt', pattern: 'over|above|more than|greater than|exceeding|>' },
+      { op: 'lt', pattern: 'under|below|less than|fewer than|<' }
+    ];
+
+    comparators.forEach(({ op, pattern }) => {
+      const regex = new RegExp(`(?:^|\\s)(?:${pattern})\\s*\\$?${number}`, 'g');
+      while ((match = regex.exec(text)) !== null) {
+        const end = match.index + match[0].length;
+        if (isConsumed(match.index + 1, end)) continue;
+        consumed.push([match.index + 1, end]);
+
+        const column = measureBefore(match.index);
+        if (column) {
+          predicates.push({ column, op, value: toNumber(match[1], match[2]) });
+        }
+      }
+    });
+
+    return { predicates, targets };
+  }
+
+  /**
+   * ISO dates on the first date column: "between 2023-01-01 and 2023-03-31", "since 2023-06-01",
+   * "before 2024-01-01", "on 2023-03-15". A date alone covers its whole day.
+   * @returns {{ predicates: Array, spans: Array }} spans - the [start, end) ranges that were read
+   */
+  parseDates(text, dateColumns) {
+    const predicates = [];
+    const spans = [];
+    if (dateColumns.length === 0) return { predicates, spans };
+
+    const column = dateColumns[0];
+    const date = '(\\d{4})[-/](\\d{1,2})[-/](\\d{1,2})';
+    const toDate = (year, month, day) => {
+      const iso = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+      const parsed = new Date(iso);
+      return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(iso) ? iso : null;
+    };
+    const endOfDay = (iso) => `${iso}T23:59:59.999Z`;
+
+    const isRead = (start, end) => spans.some(([s, e]) => start < e && s < end);
+    const patterns = [
+      { regex: `\\b(?:between|from)\\s+${date}\\s+(?:and|to|until|through|-)\\s+${date}`, build: (from, to) => ({ op: 'between', value: [from, endOfDay(to)] }) },
+      { regex: `\\bon or before\\s+${date}`, build: (to) => ({ op: 'lte', value: endOfDay(to) }) },
+      { regex: `\\b(?:since|from|starting|on or after)\\s+${date}`, build: (from) => ({ op: 'gte', value: from }) },
+      { regex: `\\bafter\\s+${date}`, build: (from) => ({ op: 'gt', value: endOfDay(from) }) },
+      { regex: `\\bbefore\\s+${date}`, build: (to) => ({ op: 'lt', value: to }) },
+      { regex: `\\b(?:until|through|up to)\\s+${date}`, build: (to) => ({ op: 'lte', value: endOfDay(to) }) },
+      { regex: `\\b${date}`, build: (day) => ({ op: 'between', value: [day, endOfDay(day)] }) }
+    ];
+
+    patterns.forEach(({ regex, build }) => {
+      const pattern = new RegExp(`${regex}\\b`, 'g');
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        const end = match.index + match[0].length;
+        if (isRead(match.index, end)) continue;
+
+        const dates = [];
+        for (let i = 1; i < match.length; i += 3) dates.push(toDate(match[i], match[i + 1], match[i + 2]));
+        // Impossible dates ("2023-02-30") stay in the text and are reported as unparsed
+        if (dates.some(d => d === null)) continue;
+
+        spans.push([match.index, end]);
+        predicates.push({ column, ...build(...dates) });
+      }
+    });
+
+    return { predicates, spans };
+  }
+
+  /**
+   * Replace read spans with spaces, keeping every other position in place
+   */
+  blankSpans(text, spans) {
+    return spans.reduce((result, [start, end]) =>
+      result.slice(0, start) + ' '.repeat(end - start) + result.slice(end), text);
+  }
+
+  /**
+   * "in 2023", "during 2022 and 2023" → year predicate on the first date column
+   */
+  parseYear(text, dateColumns) {
+    if (dateColumns.length === 0) return [];
+
+    const years = [];
+    const regex = /\b(?:in|during|for|of|year)\s+((?:19|20)\d{2})(?:\s*(?:and|,|or)\s*((?:19|20)\d{2}))?\b/g;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      years.push(parseInt(match[1], 10));
+      if (match[2]) years.push(parseInt(match[2], 10));
+    }
+
+    if (years.length === 0) return [];
+    return [{ column: dateColumns[0], op: 'year', value: years.length === 1 ? years[0] : years }];
+  }
+
+  escapeRegex(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+module.exports = new IntentParser();
@@ -0,0 +1,35 @@
+// backend/services/llm/LLMError.js
+
+/**
+ * Error raised by the LLM client and its adapters.
+ * `retryable` tells the client whether backing off and trying again can help.
+ */
+class LLMError extends Error {
+  constructor(message, { provider = null, status = null, retryable = true } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+  }
+
+  /**
+   * Build an error from a non-OK HTTP response - rate limits and server errors are retryable
+   */
+  static async fromResponse(response, provider) {
+    let detail = '';
+    try {
+      detail = (await response.text()).slice(0, 500);
+    } catch (error) {
+      detail = response.statusText;
+    }
+
+    return new LLMError(`AI API error: ${response.status} - ${detail}`, {
+      provider,
+      status: response.status,
+      retryable: response.status === 429 || response.status >= 500
+    });
+  }
+}
+
+module.exports = LLMError;
@@ -0,0 +1,107 @@
+// backend/services/llm/adapters/geminiAdapter.js - Google Gemini generateContent API
+const LLMError = require('../LLMError');
+const { readServerSentEvents } = require('../streaming');
+
+class GeminiAdapter {
+  constructor(config = {}) {
+    this.name = 'gemini';
+    this.apiKey = config.apiKey;
+    this.model = config.model || 'gemini-2.5-flash';
+    this.baseUrl = config.baseUrl || 'https://generativelanguage.googleapis.com/v1beta';
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  getUrl(method = 'generateContent') {
+    return `${this.baseUrl}/models/${this.model}:${method}`;
+  }
+
+  /**
+   * Convert chat messages into Gemini's contents/systemInstruction format
+   */
+  buildPayload({ messages, temperature, maxTokens, json }) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+
+    const payload = {
+      contents: messages
+        .filter(m => m.role !== 'system')
+        .map(m => ({
+          role: m.role === 'assistant' ? 'model' : 'user',
+          parts: [{ text: m.content }]
+        })),
+      generationConfig: {
+        temperature,
+        maxOutputTokens: maxTokens
+      }
+    };
+
+    if (system) {
+      payload.systemInstruction = { parts: [{ text: system }] };
+    }
+
+    if (json) {
+      payload.generationConfig.responseMimeType = 'application/json';
+    }
+
+    return payload;
+  }
+
+  async complete(request) {
+    const response = await fetch(this.getUrl(), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': this.apiKey
+      },
+      body: JSON.stringify(this.buildPayload(request)),
+      signal: request.signal
+    });
+
+    if (!response.ok) {
+      throw await LLMError.fromResponse(response, this.name);
+    }
+
+    const data = await response.json();
+    return this.extractText(data);
+  }
+
+  /**
+   * Start a streamed completion - resolves once the provider accepts the request
+   * @returns {AsyncGenerator<string>} Text deltas
+   */
+  async openStream(request) {
+    const response = await fetch(`${this.getUrl('streamGenerateContent')}?alt=sse`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': this.apiKey
+      },
+      body: JSON.stringify(this.buildPayload(request)),
+      signal: request.signal
+    });
+
+    if (!response.ok) {
+      throw await LLMError.fromResponse(response, this.name);
+    }
+
+    const extractText = this.extractText.bind(this);
+    return (async function* () {
+      for await (const data of readServerSentEvents(response)) {
+        try {
+          const text = extractText(JSON.parse(data));
+          if (text) yield text;
+        } catch (error) {
+          // ignore partial frames
+        }
+      }
+    })();
+  }
+
+  extractText(data) {
+    return data.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || '';
+  }
+}
+
+module.exports = GeminiAdapter;
@@ -0,0 +1,91 @@
+// backend/services/llm/adapters/openAICompatibleAdapter.js
+// OpenAI-style /chat/completions - used for OpenRouter and local servers (llama.cpp, Ollama, vLLM)
+const LLMError = require('../LLMError');
+const { readServerSentEvents } = require('../streaming');
+
+class OpenAICompatibleAdapter {
+  constructor(config = {}) {
+    this.name = config.name || 'openai';
+    this.url = config.url;
+    this.apiKey = config.apiKey;
+    this.model = config.model;
+    this.requiresKey = config.requiresKey !== false;
+    // Not every model behind OpenRouter accepts response_format, so it's opt-in
+    this.supportsJsonMode = Boolean(config.supportsJsonMode);
+    this.extraHeaders = config.headers || {};
+  }
+
+  isConfigured() {
+    return Boolean(this.url && (!this.requiresKey || this.apiKey));
+  }
+
+  buildPayload({ messages, temperature, maxTokens, json }) {
+    const payload = {
+      model: this.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    };
+
+    if (json && this.supportsJsonMode) {
+      payload.response_format = { type: 'json_object' };
+    }
+
+    return payload;
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json', ...this.extraHeaders };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  async complete(request) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(this.buildPayload(request)),
+      signal: request.signal
+    });
+
+    if (!response.ok) {
+      throw await LLMError.fromResponse(response, this.name);
+    }
+
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || '';
+  }
+
+  /**
+   * Start a streamed completion - resolves once the provider accepts the request
+   * @returns {AsyncGenerator<string>} Text deltas
+   */
+  async openStream(request) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { ...this.getHeaders(), Accept: 'text/event-stream' },
+      body: JSON.stringify({ ...this.buildPayload(request), stream: true }),
+      signal: request.signal
+    });
+
+    if (!response.ok) {
+      throw await LLMError.fromResponse(response, this.name);
+    }
+
+    return (async function* () {
+      for await (const data of readServerSentEvents(response)) {
+        if (data === '[DONE]') return;
+        try {
+          const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (delta) yield delta;
+        } catch (error) {
+          // keep-alive comments and partial frames are ignored
+        }
+      }
+    })();
+  }
+}
+
+module.exports = OpenAICompatibleAdapter;
@@ -0,0 +1,323 @@
+// backend/services/llm/index.js - Provider-agnostic LLM client
+const helpers = require('../../utils/helpers');
+const LLMError = require('./LLMError');
+const GeminiAdapter = require('./adapters/geminiAdapter');
+const OpenAICompatibleAdapter = require('./adapters/openAICompatibleAdapter');
+
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) ? fallback : value;
+};
+
+/**
+ * Shared LLM client. Features pick their provider from config:
+ *
+ *   LLM_PROVIDER                 default provider for every feature
+ *   LLM_PROVIDER_<FEATURE>       per-feature override, e.g. LLM_PROVIDER_CHATBOT=local
+ *                                (features: SUGGESTIONS, CUSTOM_CHARTS, VALIDATION, CHATBOT, INSIGHTS, STORY)
+ *   Providers: gemini | openrouter | local | none
+ *
+ * Without explicit config the first provider with credentials is used
+ * (the chatbot prefers OpenRouter, everything else Gemini).
+ */
+class LLMClient {
+  constructor() {
+    this.adapters = {
+      gemini: new GeminiAdapter({
+        apiKey: process.env.GEMINI_API_KEY,
+        model: process.env.GEMINI_MODEL,
+        baseUrl: process.env.GEMINI_BASE_URL
+      }),
+      openrouter: new OpenAICompatibleAdapter({
+        name: 'openrouter',
+        url: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1/chat/completions',
+        apiKey: process.env.OPENROUTER_API_KEY,
+        model: process.env.AI_MODEL || 'openai/gpt-3.5-turbo',
+        supportsJsonMode: process.env.OPENROUTER_JSON_MODE === 'true'
+      }),
+      local: new OpenAICompatibleAdapter({
+        name: 'local',
+        url: process.env.LOCAL_LLM_URL,
+        apiKey: process.env.LOCAL_LLM_API_KEY,
+        model: process.env.LOCAL_LLM_MODEL || 'llama3',
+        requiresKey: false,
+        supportsJsonMode: process.env.LOCAL_LLM_JSON_MODE !== 'false'
+      })
+    };
+
+    this.timeoutMs = readInt('LLM_TIMEOUT_MS', 30000);
+    this.maxRetries = readInt('LLM_MAX_RETRIES', 2);
+    this.retryBaseDelay = readInt('LLM_RETRY_BASE_DELAY_MS', 1000);
+    this.maxPromptTokens = readInt('LLM_MAX_PROMPT_TOKENS', 12000);
+    this.maxOutputTokens = readInt('LLM_MAX_OUTPUT_TOKENS', 4000);
+    this.jsonInstruction = 'Respond with valid JSON only, without markdown fences.';
+  }
+
+  // ==================== PROVIDER SELECTION ====================
+
+  getProviderName(feature = 'default') {
+    const envKey = `LLM_PROVIDER_${feature.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`;
+    const configured = process.env[envKey] || process.env.LLM_PROVIDER;
+
+    if (configured) {
+      const name = configured.trim().toLowerCase();
+      return name === 'none' ? null : name;
+    }
+
+    const preference = feature === 'chatbot'
+      ? ['openrouter', 'gemini', 'local']
+      : ['gemini', 'openrouter', 'local'];
+
+    return preference.find(name => this.adapters[name].isConfigured()) || null;
+  }
+
+  getAdapter(feature) {
+    const name = this.getProviderName(feature);
+    if (!name) return null;
+
+    const adapter = this.adapters[name];
+    if (!adapter) {
+      console.warn(`⚠️ Unknown LLM provider "${name}" for ${feature}`);
+      return null;
+    }
+    return adapter;
+  }
+
+  isConfigured(feature) {
+    const adapter = this.getAdapter(feature);
+    return Boolean(adapter && adapter.isConfigured());
+  }
+
+  // ==================== TOKEN BUDGETING ====================
+
+  /**
+   * Rough token estimate (~4 characters per token) - good enough to budget prompts
+   */
+  estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+  }
+
+  /**
+   * The leading items whose text still fits the prompt budget next to `reserved` - callers trim
+   * samples and history with this so a large dataset or long chat degrades instead of failing
+   * @param {Array} items - Candidates in priority order
+   * @param {Function} render - item => the text it adds to the prompt
+   * @param {string} reserved - Everything else sent with the request (prompt frame, system message)
+   * @returns {Array}
+   */
+  fitToBudget(items, render, reserved = '') {
+    let remaining = this.maxPromptTokens - this.estimateTokens(reserved) - this.estimateTokens(this.jsonInstruction);
+    const kept = [];
+
+    for (const item of items) {
+      const tokens = this.estimateTokens(render(item));
+      if (tokens > remaining) break;
+      remaining -= tokens;
+      kept.push(item);
+    }
+
+    return kept;
+  }
+
+  buildMessages({ prompt, system, messages = [], json }) {
+    const chatMessages = [];
+    const systemParts = [system, json ? this.jsonInstruction : null].filter(Boolean);
+
+    if (systemParts.length > 0) {
+      chatMessages.push({ role: 'system', content: systemParts.join('\n\n') });
+    }
+
+    chatMessages.push(...messages.filter(m => m && m.content));
+
+    if (prompt) {
+      chatMessages.push({ role: 'user', content: prompt });
+    }
+
+    return chatMessages;
+  }
+
+  // ==================== COMPLETION ====================
+
+  /**
+   * Run a completion with the feature's provider
+   * @param {Object} options
+   * @param {string} options.feature - Feature name used for provider selection
+   * @param {string} options.prompt - User prompt
+   * @param {string} options.system - Optional system instruction
+   * @param {Array} options.messages - Optional prior chat messages ({ role, content })
+   * @param {number} options.temperature - Sampling temperature
+   * @param {number} options.maxTokens - Output token limit
+   * @param {boolean} options.json - Ask the provider for JSON output
+   * @param {number} options.timeoutMs - Per-attempt timeout
+   * @param {number} options.retries - Retry attempts for retryable failures
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @returns {Promise<string>} Response text
+   */
+  async complete(options = {}) {
+    const { adapter, request, timeoutMs, retries, signal } = this.prepareRequest(options);
+
+    return helpers.retry(async (attempt) => {
+      if (attempt > 0) {
+        console.log(`🔁 Retrying ${adapter.name} request for ${request.feature} (attempt ${attempt + 1})`);
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      const cancel = () => controller.abort();
+      if (signal) signal.addEventListener('abort', cancel, { once: true });
+
+      try {
+        const text = await adapter.complete({ ...request, signal: controller.signal });
+        if (!text || !text.trim()) {
+          throw new LLMError('No AI response received', { provider: adapter.name });
+        }
+        return text;
+
+      } catch (error) {
+        throw this.normalizeAbort(error, adapter, signal, timeoutMs);
+
+      } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', cancel);
+      }
+    }, retries, this.retryBaseDelay, error => error.retryable !== false);
+  }
+
+  /**
+   * Stream a completion as text deltas. Accepts the same options as complete();
+   * the timeout applies to the gap between chunks. Aborting `signal` (or stopping
+   * iteration early) cancels the upstream request.
+   * @returns {AsyncGenerator<string>}
+   */
+  async *stream(options = {}) {
+    const { adapter, request, timeoutMs, retries, signal } = this.prepareRequest(options);
+
+    if (typeof adapter.openStream !== 'function') {
+      yield await this.complete(options);
+      return;
+    }
+
+    const controller = new AbortController();
+    let timer = null;
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => controller.abort(), timeoutMs);
+    };
+    const cancel = () => controller.abort();
+    if (signal) signal.addEventListener('abort', cancel, { once: true });
+    if (signal?.aborted) controller.abort();
+
+    try {
+      resetTimer();
+
+      // Only opening the stream is retried - once tokens flow, a failure is final
+      const chunks = await helpers.retry(
+        () => adapter.openStream({ ...request, signal: controller.signal }),
+        retries,
+        this.retryBaseDelay,
+        error => error.retryable !== false && !controller.signal.aborted
+      );
+
+      for await (const chunk of chunks) {
+        resetTimer();
+        yield chunk;
+      }
+
+    } catch (error) {
+      throw this.normalizeAbort(error, adapter, signal, timeoutMs);
+
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', cancel);
+      controller.abort();
+    }
+  }
+
+  prepareRequest(options) {
+    const {
+      feature = 'default',
+      temperature = 0.7,
+      maxTokens = 1000,
+      json = false,
+      timeoutMs = this.timeoutMs,
+      retries = this.maxRetries,
+      signal = null
+    } = options;
+
+    const adapter = this.getAdapter(feature);
+    if (!adapter || !adapter.isConfigured()) {
+      throw new LLMError(`No AI provider configured for ${feature}`, { retryable: false });
+    }
+
+    const messages = this.buildMessages(options);
+    const promptTokens = messages.reduce((total, m) => total + this.estimateTokens(m.content), 0);
+
+    if (promptTokens > this.maxPromptTokens) {
+      throw new LLMError(
+        `Prompt too large for AI analysis (~${promptTokens} tokens, budget ${this.maxPromptTokens})`,
+        { provider: adapter.name, retryable: false }
+      );
+    }
+
+    return {
+      adapter,
+      timeoutMs,
+      retries,
+      signal,
+      request: {
+        feature,
+        messages,
+        temperature,
+        maxTokens: Math.min(maxTokens, this.maxOutputTokens),
+        json
+      }
+    };
+  }
+
+  normalizeAbort(error, adapter, signal, timeoutMs) {
+    if (error.name !== 'AbortError') return error;
+
+    return signal?.aborted
+      ? new LLMError('AI request cancelled', { provider: adapter.name, retryable: false })
+      : new LLMError(`AI request timed out after ${timeoutMs}ms`, { provider: adapter.name });
+  }
+
+  /**
+   * Extract JSON from model output (handles markdown fences and surrounding prose)
+   * @returns {Object|Array|null} Parsed value or null
+   */
+  parseJSON(text) {
+    if (typeof text !== 'string') return null;
+
+    const attempts = [];
+    const trimmed = text.trim();
+    attempts.push(trimmed);
+
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+    if (fenced) attempts.push(fenced[1]);
+
+    // Whichever bracket opens first is the outermost value
+    const objectStart = trimmed.indexOf('{');
+    const arrayStart = trimmed.indexOf('[');
+    const starts = [objectStart, arrayStart].filter(i => i >= 0).sort((a, b) => a - b);
+    starts.forEach(start => {
+      const end = trimmed.lastIndexOf(trimmed[start] === '{' ? '}' : ']');
+      if (end > start) attempts.push(trimmed.slice(start, end + 1));
+    });
+
+    for (const candidate of attempts) {
+      try {
+        return JSON.parse(candidate);
+      } catch (error) {
+        // try the next candidate
+      }
+    }
+
+    console.warn('JSON parse error: no valid JSON found in AI response');
+    return null;
+  }
+}
+
+module.exports = new LLMClient();
+module.exports.LLMClient = LLMClient;
+module.exports.LLMError = LLMError;
@@ -0,0 +1,43 @@
+// backend/services/llm/streaming.js - Helpers for reading streamed provider responses
+
+/**
+ * Read a fetch Response body as Server-Sent Events, yielding each event's data string
+ * @param {Response} response - fetch response with a streaming body
+ */
+async function* readServerSentEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+
+      for (const event of events) {
+        const data = event
+          .split(/\r?\n/)
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).trimStart())
+          .join('\n');
+
+        if (data) yield data;
+      }
+    }
+
+    const trailing = buffer.trim();
+    if (trailing.startsWith('data:')) {
+      yield trailing.slice(5).trimStart();
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+module.exports = {
+  readServerSentEvents
+};
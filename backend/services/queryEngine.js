@@ -0,0 +1,462 @@
+// backend/services/queryEngine.js - Deterministic structured query execution
+
+/**
+ * Structured query shape (all parts optional):
+ *
+ * {
+ *   select:   ['column', ...],                         // raw columns for row listings
+ *   measures: [{ column, agg, as }],                   // agg: sum | avg | count | countDistinct | min | max
+ *   groupBy:  ['dimension', ...],
+ *   where:    [{ column, op, value }],                 // row predicates, combined with AND
+ *   having:   [{ column, op, value }],                 // predicates on measure aliases
+ *   orderBy:  [{ column, direction: 'asc' | 'desc' }],
+ *   limit:    number
+ * }
+ *
+ * Predicate ops: eq, neq, in, nin, gt, gte, lt, lte, between, contains, startsWith, year
+ */
+class QueryEngine {
+  constructor() {
+    this.aggregations = ['sum', 'avg', 'count', 'countDistinct', 'min', 'max'];
+    this.operators = ['eq', 'neq', 'in', 'nin', 'gt', 'gte', 'lt', 'lte', 'between', 'contains', 'startsWith', 'year'];
+    this.maxLimit = 1000;
+
+    this.aggregationAliases = {
+      total: 'sum', average: 'avg', mean: 'avg', distinct: 'countDistinct',
+      count_distinct: 'countDistinct', countdistinct: 'countDistinct', unique: 'countDistinct',
+      maximum: 'max', minimum: 'min', highest: 'max', lowest: 'min'
+    };
+
+    this.operatorAliases = {
+      '=': 'eq', '==': 'eq', equals: 'eq', is: 'eq',
+      '!=': 'neq', '<>': 'neq', not: 'neq', ne: 'neq',
+      '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte',
+      not_in: 'nin', notIn: 'nin', like: 'contains', starts_with: 'startsWith', range: 'between'
+    };
+  }
+
+  /**
+   * Resolve a loosely named column ("Approved Amount", "approved_amount") against the schema
+   */
+  resolveColumn(name, schema) {
+    if (!name || !schema?.columns) return null;
+
+    const normalize = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const target = normalize(name);
+    const columns = schema.columns.map(c => c.name);
+
+    return columns.find(c => c === name) ||
+      columns.find(c => normalize(c) === target) ||
+      columns.find(c => target.length >= 3 && normalize(c).includes(target)) ||
+      null;
+  }
+
+  getColumnType(column, schema) {
+    return schema?.columns?.find(c => c.name === column)?.type || 'string';
+  }
+
+  /**
+   * Validate a query against the schema, dropping parts that can't be executed
+   * @returns {{ query: Object, warnings: string[] }}
+   */
+  normalize(rawQuery = {}, schema) {
+    const warnings = [];
+    const query = { select: [], measures: [], groupBy: [], where: [], having: [], orderBy: [], limit: null };
+
+    const resolveOrWarn = (name, context) => {
+      const column = this.resolveColumn(name, schema);
+      if (!column) warnings.push(`Unknown column "${name}" in ${context}`);
+      return column;
+    };
+
+    (rawQuery.select || []).forEach(name => {
+      const column = resolveOrWarn(name, 'select');
+      if (column && !query.select.includes(column)) query.select.push(column);
+    });
+
+    (rawQuery.groupBy || []).forEach(name => {
+      const column = resolveOrWarn(name, 'groupBy');
+      if (column && !query.groupBy.includes(column)) query.groupBy.push(column);
+    });
+
+    (rawQuery.measures || []).forEach(measure => {
+      const agg = this.normalizeAggregation(measure.agg || measure.aggregation || 'sum');
+      if (!agg) {
+        warnings.push(`Unsupported aggregation "${measure.agg}"`);
+        return;
+      }
+
+      // count(*) needs no column
+      const column = measure.column === '*' || (!measure.column && agg === 'count')
+        ? '*'
+        : resolveOrWarn(measure.column, 'measures');
+      if (!column) return;
+
+      const alias = measure.as || (column === '*' ? 'count' : `${agg}_${column}`);
+      query.measures.push({ column, agg, as: alias });
+    });
+
+    const normalizePredicates = (predicates, context, resolver) => {
+      const list = Array.isArray(predicates) ? predicates : this.fromFilterObject(predicates);
+
+      return list.reduce((result, predicate) => {
+        const op = this.normalizeOperator(predicate.op || predicate.operator || 'eq');
+        const column = resolver(predicate.column);
+
+        if (!op) {
+          warnings.push(`Unsupported operator "${predicate.op}" in ${context}`);
+        } else if (column) {
+          result.push({ column, op, value: predicate.value });
+        }
+        return result;
+      }, []);
+    };
+
+    query.where = normalizePredicates(rawQuery.where || [], 'where', name => resolveOrWarn(name, 'where'));
+
+    const aliases = query.measures.map(m => m.as);
+    const resolveOutput = (name) => {
+      if (aliases.includes(name)) return name;
+      const byColumn = query.measures.find(m => m.column === this.resolveColumn(name, schema));
+      if (byColumn) return byColumn.as;
+      const column = this.resolveColumn(name, schema);
+      if (column) return column;
+      warnings.push(`Unknown column "${name}"`);
+      return null;
+    };
+
+    query.having = normalizePredicates(rawQuery.having || [], 'having', resolveOutput);
+
+    (rawQuery.orderBy || []).forEach(order => {
+      const spec = typeof order === 'string' ? { column: order } : order;
+      const column = resolveOutput(spec.column);
+      if (column) {
+        query.orderBy.push({ column, direction: String(spec.direction).toLowerCase() === 'asc' ? 'asc' : 'desc' });
+      }
+    });
+
+    const limit = parseInt(rawQuery.limit, 10);
+    if (limit > 0) query.limit = Math.min(limit, this.maxLimit);
+
+    return { query, warnings };
+  }
+
+  normalizeAggregation(agg) {
+    if (!agg) return null;
+    if (this.aggregations.includes(agg)) return agg;
+    const key = String(agg).trim();
+    return this.aggregationAliases[key.toLowerCase()] ||
+      this.aggregations.find(a => a.toLowerCase() === key.toLowerCase()) || null;
+  }
+
+  normalizeOperator(op) {
+    if (this.operators.includes(op)) return op;
+    return this.operatorAliases[op] ||
+      this.operators.find(o => o.toLowerCase() === String(op).toLowerCase()) || null;
+  }
+
+  // Accept the legacy { column: value } filter object
+  fromFilterObject(filter) {
+    if (!filter || typeof filter !== 'object') return [];
+    return Object.entries(filter).map(([column, value]) => ({
+      column,
+      op: Array.isArray(value) ? 'in' : 'eq',
+      value
+    }));
+  }
+
+  /**
+   * Translate the older single-slot intent ({ operation, measure, dimension, filter, limit })
+   */
+  fromLegacyIntent(intent = {}) {
+    const query = { where: this.fromFilterObject(intent.filter), limit: intent.limit || null };
+    const agg = this.normalizeAggregation(intent.operation);
+
+    if (intent.measure && agg) {
+      query.measures = [{ column: intent.measure, agg }];
+      if (intent.dimension) {
+        query.groupBy = [intent.dimension];
+        query.orderBy = [{ column: intent.measure, direction: 'desc' }];
+      }
+    } else {
+      query.select = [intent.dimension, intent.measure].filter(Boolean);
+      if (intent.measure) query.orderBy = [{ column: intent.measure, direction: 'desc' }];
+    }
+
+    return query;
+  }
+
+  // ==================== EXECUTION ====================
+
+  /**
+   * Execute a normalized query over the dataset
+   * @returns {{ columns: string[], rows: Object[], matchedRows: number, groupCount: number|null }}
+   */
+  execute(data, query, schema) {
+    const rows = Array.isArray(data) ? data : [];
+    const predicates = query.where.map(p => this.compilePredicate(p, schema));
+    const matched = predicates.length > 0
+      ? rows.filter(row => predicates.every(test => test(row)))
+      : rows;
+
+    const isAggregate = query.measures.length > 0;
+    let columns;
+    let result;
+
+    if (isAggregate) {
+      columns = [...query.groupBy, ...query.measures.map(m => m.as)];
+      result = this.aggregate(matched, query);
+
+      if (query.having.length > 0) {
+        const having = query.having.map(p => this.compilePredicate(p, null));
+        result = result.filter(row => having.every(test => test(row)));
+      }
+    } else {
+      columns = query.select.length > 0
+        ? query.select
+        : (schema?.columns || []).slice(0, 6).map(c => c.name);
+      result = matched;
+    }
+
+    // Default ordering: largest first by the first measure
+    const orderBy = query.orderBy.length > 0
+      ? query.orderBy
+      : (isAggregate && query.groupBy.length > 0 ? [{ column: query.measures[0].as, direction: 'desc' }] : []);
+
+    if (orderBy.length > 0) {
+      result = [...result].sort((a, b) => this.compareRows(a, b, orderBy, schema));
+    }
+
+    const total = result.length;
+    if (query.limit) result = result.slice(0, query.limit);
+
+    if (!isAggregate) {
+      result = result.map(row => columns.reduce((projected, column) => {
+        projected[column] = row[column];
+        return projected;
+      }, {}));
+    }
+
+    return {
+      columns,
+      rows: result,
+      matchedRows: matched.length,
+      groupCount: isAggregate && query.groupBy.length > 0 ? total : null,
+      totalResults: total
+    };
+  }
+
+  aggregate(rows, query) {
+    const groups = new Map();
+
+    rows.forEach(row => {
+      const keyValues = query.groupBy.map(column => row[column] ?? 'Unknown');
+      const key = JSON.stringify(keyValues);
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          keyValues,
+          states: query.measures.map(() => ({ sum: 0, count: 0, min: Infinity, max: -Infinity, distinct: new Set() }))
+        });
+      }
+
+      const group = groups.get(key);
+      query.measures.forEach((measure, index) => this.accumulate(group.states[index], measure, row));
+    });
+
+    // A grand total with no matching rows is still one (empty) result
+    if (groups.size === 0 && query.groupBy.length === 0) {
+      groups.set('[]', {
+        keyValues: [],
+        states: query.measures.map(() => ({ sum: 0, count: 0, min: Infinity, max: -Infinity, distinct: new Set() }))
+      });
+    }
+
+    return Array.from(groups.values()).map(group => {
+      const output = {};
+      query.groupBy.forEach((column, index) => {
+        output[column] = group.keyValues[index];
+      });
+      query.measures.forEach((measure, index) => {
+        output[measure.as] = this.finalize(group.states[index], measure.agg);
+      });
+      return output;
+    });
+  }
+
+  accumulate(state, measure, row) {
+    if (measure.column === '*') {
+      state.count++;
+      return;
+    }
+
+    const raw = row[measure.column];
+    if (raw === null || raw === undefined || raw === '') return;
+
+    if (measure.agg === 'countDistinct') {
+      state.distinct.add(raw);
+      return;
+    }
+
+    if (measure.agg === 'count') {
+      state.count++;
+      return;
+    }
+
+    const value = typeof raw === 'number' ? raw : parseFloat(raw);
+    if (isNaN(value)) return;
+
+    state.sum += value;
+    state.count++;
+    if (value < state.min) state.min = value;
+    if (value > state.max) state.max = value;
+  }
+
+  finalize(state, agg) {
+    switch (agg) {
+      case 'sum':
+        return state.sum;
+      case 'avg':
+        return state.count > 0 ? state.sum / state.count : null;
+      case 'count':
+        return state.count;
+      case 'countDistinct':
+        return state.distinct.size;
+      case 'min':
+        return state.count > 0 ? state.min : null;
+      case 'max':
+        return state.count > 0 ? state.max : null;
+      default:
+        return null;
+    }
+  }
+
+  compareRows(a, b, orderBy, schema) {
+    for (const { column, direction } of orderBy) {
+      const result = this.compareValues(a[column], b[column], this.getColumnType(column, schema));
+      if (result !== 0) return direction === 'asc' ? result : -result;
+    }
+    return 0;
+  }
+
+  compareValues(a, b, type) {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return -1;
+    if (b === null || b === undefined) return 1;
+
+    if (type === 'date') {
+      return new Date(a).getTime() - new Date(b).getTime();
+    }
+
+    const numA = typeof a === 'number' ? a : parseFloat(a);
+    const numB = typeof b === 'number' ? b : parseFloat(b);
+    if (!isNaN(numA) && !isNaN(numB)) return numA - numB;
+
+    return String(a).localeCompare(String(b));
+  }
+
+  /**
+   * Build a row test for a predicate; comparisons are date-aware for date columns
+   */
+  compilePredicate({ column, op, value }, schema) {
+    const isDate = this.getColumnType(column, schema) === 'date';
+    const toComparable = (v) => {
+      if (v === null || v === undefined || v === '') return null;
+      if (isDate) {
+        const time = new Date(v).getTime();
+        return isNaN(time) ? null : time;
+      }
+      const num = typeof v === 'number' ? v : parseFloat(v);
+      return isNaN(num) ? String(v).toLowerCase() : num;
+    };
+    const sameValue = (rowValue, target) =>
+      String(rowValue).toLowerCase() === String(target).toLowerCase();
+    const list = Array.isArray(value) ? value : [value];
+
+    switch (op) {
+      case 'eq':
+        return row => sameValue(row[column], value);
+      case 'neq':
+        return row => !sameValue(row[column], value);
+      case 'in':
+        return row => list.some(target => sameValue(row[column], target));
+      case 'nin':
+        return row => !list.some(target => sameValue(row[column], target));
+      case 'contains':
+        return row => String(row[column] ?? '').toLowerCase().includes(String(value).toLowerCase());
+      case 'startsWith':
+        return row => String(row[column] ?? '').toLowerCase().startsWith(String(value).toLowerCase());
+      case 'year': {
+        const years = list.map(v => parseInt(v, 10));
+        return row => {
+          const raw = row[column];
+          if (raw === null || raw === undefined || raw === '') return false;
+          const numeric = Number(raw);
+          const year = !isNaN(numeric) && numeric >= 1000 && numeric <= 9999
+            ? numeric
+            : new Date(raw).getFullYear();
+          return years.includes(year);
+        };
+      }
+      case 'between': {
+        const [low, high] = list.map(toComparable);
+        return row => {
+          const current = toComparable(row[column]);
+          return current !== null && (low === null || current >= low) && (high === null || current <= high);
+        };
+      }
+      case 'gt':
+      case 'gte':
+      case 'lt':
+      case 'lte': {
+        const target = toComparable(value);
+        return row => {
+          const current = toComparable(row[column]);
+          if (current === null || target === null) return false;
+          if (op === 'gt') return current > target;
+          if (op === 'gte') return current >= target;
+          if (op === 'lt') return current < target;
+          return current <= target;
+        };
+      }
+      default:
+        return () => true;
+    }
+  }
+
+  // ==================== DESCRIPTION ====================
+
+  /**
+   * Human readable summary of a normalized query
+   */
+  describe(query) {
+    const parts = [];
+    const label = (name) => name.replace(/[_-]/g, ' ');
+
+    if (query.measures.length > 0) {
+      parts.push(query.measures.map(m =>
+        m.column === '*' ? 'count of rows' : `${m.agg} of ${label(m.column)}`
+      ).join(', '));
+    } else {
+      parts.push(`rows (${query.select.map(label).join(', ') || 'all columns'})`);
+    }
+
+    if (query.groupBy.length > 0) parts.push(`by ${query.groupBy.map(label).join(', ')}`);
+
+    const describePredicate = ({ column, op, value }) => {
+      const shown = Array.isArray(value) ? value.join(op === 'between' ? ' and ' : ', ') : value;
+      return `${label(column)} ${op} ${shown}`;
+    };
+
+    if (query.where.length > 0) parts.push(`where ${query.where.map(describePredicate).join(' and ')}`);
+    if (query.having.length > 0) parts.push(`having ${query.having.map(describePredicate).join(' and ')}`);
+    if (query.orderBy.length > 0) {
+      parts.push(`ordered by ${query.orderBy.map(o => `${label(o.column)} ${o.direction}`).join(', ')}`);
+    }
+    if (query.limit) parts.push(`limit ${query.limit}`);
+
+    return parts.join(' ');
+  }
+}
+
+module.exports = new QueryEngine();
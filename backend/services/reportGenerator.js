@@ -0,0 +1,689 @@
+// backend/services/reportGenerator.js - Whole-dashboard reports as PDF or PowerPoint
+const PDFDocument = require('pdfkit');
+const PptxGenJS = require('pptxgenjs');
+const storyGenerator = require('./storyGenerator');
+
+/**
+ * Report shape (built by the /dashboard-report route from the computed dashboard):
+ *
+ * { title, fileName, generatedAt,
+ *   scope: { totalRecords, filteredRecords, dataLimit },
+ *   filters: ['region is North', ...], period: 'Q1 2024' | null,
+ *   kpis: [computed KPI], charts: [{ chart: computed chart config, notes: [lines] }],
+ *   story: dashboard story (see storyGenerator) | null }
+ *
+ * Every chart is reduced to a plot (see toPlot) that both formats draw: PowerPoint as native,
+ * editable charts with the notes as speaker notes, PDF with vector drawing and the notes below.
+ */
+class ReportGenerator {
+  constructor() {
+    this.formats = ['pdf', 'pptx'];
+    this.colors = ['#1890ff', '#52c41a', '#fa8c16', '#f5222d', '#722ed1', '#eb2f96', '#13c2c2', '#a0d911'];
+    this.maxBars = 30;
+    this.maxLinePoints = 200;
+    this.maxTableRows = 15;
+    this.contentTypes = {
+      pdf: 'application/pdf',
+      pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+    };
+  }
+
+  /**
+   * @param {Object} report - See shape above
+   * @param {string} format - pdf | pptx
+   * @returns {Promise<Object>} { content: Buffer, contentType, extension }
+   */
+  async render(report, format) {
+    const content = format === 'pptx' ? await this.renderPptx(report) : await this.renderPdf(report);
+    return { content, contentType: this.contentTypes[format], extension: format };
+  }
+
+  // ==================== CHART DATA ====================
+
+  /**
+   * What to draw for a chart:
+   *   { kind: 'bar' | 'line' | 'area' | 'pie', categories, series: [{ name, values }], stacked, percent }
+   *   { kind: 'scatter', xLabel, yLabel, points: [{ x, y }] }
+   *   { kind: 'table', columns, rows } - shapes with no simple axis form (heatmap, box plot)
+   */
+  toPlot(chart) {
+    const { type, data = [], config = {}, measures = [], dimensions = [] } = chart;
+    const categoryPlot = (kind, categoryKey, seriesKeys, options = {}) => ({
+      kind,
+      categories: data.map(point => String(point[categoryKey] ?? '')),
+      series: seriesKeys.map(key => ({
+        name: this.formatName(key),
+        values: data.map(point => (typeof point[key] === 'number' ? point[key] : 0))
+      })),
+      stacked: false,
+      percent: false,
+      ...options
+    });
+
+    switch (type) {
+      case 'bar':
+      case 'line':
+      case 'area':
+        return categoryPlot(type, config.xAxisKey || dimensions[0], measures.filter(measure => data[0] && measure in data[0]));
+      case 'stacked-bar':
+      case 'grouped-bar':
+      case 'stacked-bar-100':
+        return categoryPlot('bar', config.xAxisKey, config.series || measures, { stacked: config.stacked, percent: config.percent });
+      case 'multi-line':
+        return categoryPlot('line', config.xAxisKey, config.series || measures);
+      case 'pie':
+        return categoryPlot('pie', config.nameKey, [config.dataKey]);
+      case 'funnel':
+        return categoryPlot('bar', config.nameKey, [config.dataKey]);
+      case 'waterfall':
+        return categoryPlot('bar', config.xAxisKey, [config.valueKey]);
+      case 'combo':
+        return categoryPlot('bar', config.xAxisKey, [config.barKey]);
+      case 'histogram':
+        return categoryPlot('bar', 'bin', ['count']);
+      case 'treemap':
+        return categoryPlot('bar', 'name', ['value']);
+      case 'scatter':
+        return {
+          kind: 'scatter',
+          xLabel: this.formatName(config.xAxisKey),
+          yLabel: this.formatName(config.dataKey),
+          points: data
+            .map(point => ({ x: Number(point[config.xAxisKey]), y: Number(point[config.dataKey]) }))
+            .filter(point => Number.isFinite(point.x) && Number.isFinite(point.y))
+        };
+      case 'box-plot': {
+        const keys = [dimensions[0], 'min', 'q1', 'median', 'q3', 'max'];
+        return this.tablePlot(data, keys);
+      }
+      default: {
+        const keys = data.length > 0 ? Object.keys(data[0]).filter(key => typeof data[0][key] !== 'object') : [];
+        return this.tablePlot(data, keys);
+      }
+    }
+  }
+
+  tablePlot(data, keys) {
+    return {
+      kind: 'table',
+      columns: keys.map(key => this.formatName(key)),
+      rows: data.slice(0, this.maxTableRows).map(point => keys.map(key => this.formatCell(point[key]))),
+      totalRows: data.length
+    };
+  }
+
+  /**
+   * Keep the first points of a long category axis
+   */
+  limitPlot(plot) {
+    if (!plot.categories) return plot;
+
+    const limit = plot.kind === 'line' || plot.kind === 'area' ? this.maxLinePoints : this.maxBars;
+    if (plot.categories.length <= limit) return plot;
+
+    return {
+      ...plot,
+      categories: plot.categories.slice(0, limit),
+      series: plot.series.map(series => ({ ...series, values: series.values.slice(0, limit) })),
+      truncatedFrom: plot.categories.length
+    };
+  }
+
+  describeChart(chart) {
+    const measures = (chart.measures || []).map(measure => this.formatName(measure)).join(', ');
+    const dimensions = (chart.dimensions || []).map(dimension => this.formatName(dimension)).join(' and ');
+    const grain = chart.grain ? ` by ${chart.grain}` : '';
+    return dimensions ? `${measures} by ${dimensions}${grain}` : measures;
+  }
+
+  describeKpiChange(kpi) {
+    const comparison = kpi.comparison;
+    if (!comparison || comparison.delta === null || comparison.delta === undefined) return null;
+
+    const percent = comparison.percentChange !== null ? ` (${comparison.percentChange >= 0 ? '+' : ''}${comparison.percentChange.toFixed(1)}%)` : '';
+    return `${comparison.formattedDelta}${percent} vs ${comparison.label}`;
+  }
+
+  describeScope(report) {
+    const { totalRecords, filteredRecords, dataLimit } = report.scope;
+    const base = filteredRecords === totalRecords
+      ? `All ${totalRecords.toLocaleString()} records`
+      : `${filteredRecords.toLocaleString()} of ${totalRecords.toLocaleString()} records`;
+    return dataLimit ? `${base} (limited to ${dataLimit.toLocaleString()})` : base;
+  }
+
+  /**
+   * Story as headed blocks: [{ heading, lines }]
+   */
+  storyBlocks(story) {
+    if (!story) return [];
+
+    return storyGenerator.sections
+      .map(section => {
+        const value = story[section.key];
+        const lines = section.type === 'text'
+          ? (value?.text ? [value.text] : [])
+          : (value || []).map(item => item.text);
+        return { heading: section.heading, lines };
+      })
+      .filter(block => block.lines.length > 0);
+  }
+
+  formatName(name) {
+    return String(name || '')
+      .replace(/[_-]/g, ' ')
+      .replace(/\b\w/g, l => l.toUpperCase());
+  }
+
+  formatCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return Number.isInteger(value) ? value.toLocaleString() : value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+    return String(value);
+  }
+
+  // Short axis labels: 1.2K, 3.4M
+  formatAxisValue(value) {
+    const abs = Math.abs(value);
+    if (abs >= 1e9) return `${+(value / 1e9).toFixed(1)}B`;
+    if (abs >= 1e6) return `${+(value / 1e6).toFixed(1)}M`;
+    if (abs >= 1e3) return `${+(value / 1e3).toFixed(1)}K`;
+    return `${+value.toFixed(2)}`;
+  }
+
+  // ==================== PDF ====================
+
+  renderPdf(report) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        layout: 'landscape',
+        margin: 40,
+        bufferPages: true,
+        info: { Title: report.title, Creator: 'AI Dashboard' }
+      });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        this.pdfTitlePage(doc, report);
+        this.pdfSummaryPage(doc, report);
+        report.charts.forEach(({ chart, notes }) => this.pdfChartPage(doc, chart, notes));
+        this.pdfFooters(doc, report);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  // The standard PDF fonts only cover Latin-1, so swap the symbols the app uses in labels
+  pdfText(text) {
+    return String(text ?? '')
+      .replace(/→/g, '->')
+      .replace(/≤/g, '<=')
+      .replace(/≥/g, '>=')
+      .replace(/[^\x20-\x7E\xA0-\xFF–—‘’“”•…\n]/g, '?');
+  }
+
+  pdfTitlePage(doc, report) {
+    const { width, margins } = doc.page;
+    const contentWidth = width - margins.left - margins.right;
+
+    doc.rect(0, 0, width, 8).fill(this.colors[0]);
+    doc.fillColor('#000').font('Helvetica-Bold').fontSize(30)
+      .text(this.pdfText(report.title), margins.left, 150, { width: contentWidth });
+    doc.moveDown(0.5).font('Helvetica').fontSize(14).fillColor('#666')
+      .text(this.pdfText(`Dashboard report - ${report.fileName}`), { width: contentWidth });
+    doc.text(`Generated ${new Date(report.generatedAt).toLocaleString()}`, { width: contentWidth });
+
+    doc.moveDown(2).fontSize(12).fillColor('#000').font('Helvetica-Bold').text('Data');
+    doc.font('Helvetica').fillColor('#333').text(this.pdfText(this.describeScope(report)));
+    if (report.period) {
+      doc.text(this.pdfText(`Period: ${report.period}`));
+    }
+
+    doc.moveDown().font('Helvetica-Bold').fillColor('#000').text('Filters');
+    doc.font('Helvetica').fillColor('#333');
+    if (report.filters.length === 0) {
+      doc.text('No filters applied');
+    } else {
+      report.filters.forEach(line => doc.text(this.pdfText(`• ${line}`), { width: contentWidth }));
+    }
+  }
+
+  pdfSummaryPage(doc, report) {
+    doc.addPage();
+    const { width, margins } = doc.page;
+    const contentWidth = width - margins.left - margins.right;
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#000').text('KPI Summary', margins.left, margins.top);
+
+    const columns = 4;
+    const gap = 12;
+    const boxWidth = (contentWidth - gap * (columns - 1)) / columns;
+    const boxHeight = 70;
+    let y = doc.y + 10;
+
+    report.kpis.forEach((kpi, index) => {
+      const column = index % columns;
+      if (index > 0 && column === 0) y += boxHeight + gap;
+      const x = margins.left + column * (boxWidth + gap);
+      const change = this.describeKpiChange(kpi);
+      const sentimentColor = { positive: '#52c41a', negative: '#f5222d' }[kpi.comparison?.sentiment] || '#666';
+
+      doc.roundedRect(x, y, boxWidth, boxHeight, 6).lineWidth(1).strokeColor('#e8e8e8').stroke();
+      doc.font('Helvetica').fontSize(9).fillColor('#666')
+        .text(this.pdfText(kpi.name), x + 10, y + 8, { width: boxWidth - 20, lineBreak: false, ellipsis: true });
+      doc.font('Helvetica-Bold').fontSize(18).fillColor('#000')
+        .text(this.pdfText(kpi.formattedValue), x + 10, y + 24, { width: boxWidth - 20, lineBreak: false, ellipsis: true });
+      if (change) {
+        doc.font('Helvetica').fontSize(8).fillColor(sentimentColor)
+          .text(this.pdfText(change), x + 10, y + 50, { width: boxWidth - 20, lineBreak: false, ellipsis: true });
+      }
+    });
+
+    doc.x = margins.left;
+    doc.y = report.kpis.length > 0 ? y + boxHeight + 24 : doc.y + 10;
+
+    const blocks = this.storyBlocks(report.story);
+    if (blocks.length === 0) return;
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#000').text('Dashboard Story', { width: contentWidth });
+    blocks.forEach(block => {
+      doc.moveDown(0.5).font('Helvetica-Bold').fontSize(12).fillColor('#000').text(block.heading, { width: contentWidth });
+      doc.font('Helvetica').fontSize(10).fillColor('#333');
+      block.lines.forEach(line => {
+        doc.text(this.pdfText(block.lines.length > 1 || block.heading !== 'Executive Summary' ? `• ${line}` : line), {
+          width: contentWidth,
+          paragraphGap: 2
+        });
+      });
+    });
+  }
+
+  pdfChartPage(doc, chart, notes) {
+    doc.addPage();
+    const { width, height, margins } = doc.page;
+    const contentWidth = width - margins.left - margins.right;
+
+    doc.font('Helvetica-Bold').fontSize(18).fillColor('#000')
+      .text(this.pdfText(chart.title), margins.left, margins.top, { width: contentWidth });
+    doc.font('Helvetica').fontSize(10).fillColor('#666')
+      .text(this.pdfText(this.describeChart(chart)), { width: contentWidth });
+
+    const notesHeight = notes.length > 0 ? Math.min(110, 18 + notes.length * 14) : 0;
+    const box = {
+      x: margins.left,
+      y: doc.y + 12,
+      w: contentWidth,
+      h: height - margins.bottom - notesHeight - doc.y - 40
+    };
+
+    const plot = this.limitPlot(this.toPlot(chart));
+    switch (plot.kind) {
+      case 'pie':
+        this.pdfPie(doc, plot, box);
+        break;
+      case 'scatter':
+        this.pdfScatter(doc, plot, box);
+        break;
+      case 'table':
+        this.pdfTable(doc, plot, box);
+        break;
+      default:
+        this.pdfCategoryChart(doc, plot, box);
+    }
+
+    if (plot.truncatedFrom) {
+      doc.font('Helvetica-Oblique').fontSize(8).fillColor('#999')
+        .text(`Showing the first ${plot.categories.length} of ${plot.truncatedFrom} points`, box.x, box.y + box.h + 4, { width: box.w, align: 'right' });
+    }
+
+    if (notes.length > 0) {
+      doc.font('Helvetica-Bold').fontSize(11).fillColor('#000')
+        .text('Insights', margins.left, height - margins.bottom - notesHeight, { width: contentWidth });
+      doc.font('Helvetica').fontSize(9).fillColor('#333');
+      notes.slice(0, 6).forEach(line => doc.text(this.pdfText(`• ${line}`), { width: contentWidth, lineBreak: false, ellipsis: true }));
+    }
+  }
+
+  /**
+   * Value axis from 0 (or the lowest negative value) to a rounded maximum
+   */
+  pdfValueAxis(doc, values, box) {
+    const max = Math.max(0, ...values);
+    const min = Math.min(0, ...values);
+    const span = max - min || 1;
+    const rawStep = span / 5;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const step = [1, 2, 5, 10].map(f => f * magnitude).find(candidate => candidate >= rawStep);
+    const axisMin = Math.floor(min / step) * step;
+    const axisMax = Math.ceil(max / step) * step || step;
+    const toY = (value) => box.y + box.h - ((value - axisMin) / (axisMax - axisMin)) * box.h;
+
+    doc.font('Helvetica').fontSize(7).fillColor('#666').lineWidth(0.5);
+    for (let tick = axisMin; tick <= axisMax + step / 2; tick += step) {
+      const y = toY(tick);
+      doc.moveTo(box.x, y).lineTo(box.x + box.w, y).strokeColor(tick === 0 ? '#999' : '#eee').stroke();
+      doc.fillColor('#666').text(this.formatAxisValue(tick), box.x - 48, y - 4, { width: 44, align: 'right' });
+    }
+
+    return toY;
+  }
+
+  pdfLegend(doc, series, box) {
+    if (series.length < 2) return;
+
+    let x = box.x;
+    doc.font('Helvetica').fontSize(8);
+    series.forEach((item, index) => {
+      const label = this.pdfText(item.name);
+      doc.rect(x, box.y - 12, 8, 8).fill(this.colors[index % this.colors.length]);
+      doc.fillColor('#333').text(label, x + 11, box.y - 12, { lineBreak: false });
+      x += 20 + doc.widthOfString(label);
+    });
+  }
+
+  pdfCategoryChart(doc, plot, outer) {
+    const box = { x: outer.x + 52, y: outer.y + 16, w: outer.w - 60, h: outer.h - 60 };
+    const count = plot.categories.length;
+    if (count === 0) return;
+
+    const totals = plot.categories.map((_, index) => plot.series.reduce((sum, series) => sum + series.values[index], 0));
+    const valueOf = (series, index) => (plot.percent && totals[index] ? (series.values[index] / totals[index]) * 100 : series.values[index]);
+    const stackedValues = plot.categories.map((_, index) => plot.series.reduce((sum, series) => sum + valueOf(series, index), 0));
+    const toY = this.pdfValueAxis(doc, plot.stacked ? stackedValues : plot.series.flatMap(series => series.values), box);
+    const slot = box.w / count;
+
+    if (plot.kind === 'bar') {
+      const groupWidth = slot * 0.7;
+      const barWidth = plot.stacked ? groupWidth : groupWidth / plot.series.length;
+
+      plot.categories.forEach((_, index) => {
+        let base = 0;
+        plot.series.forEach((series, seriesIndex) => {
+          const value = valueOf(series, index);
+          const from = plot.stacked ? base : 0;
+          const to = from + value;
+          const x = box.x + index * slot + (slot - groupWidth) / 2 + (plot.stacked ? 0 : seriesIndex * barWidth);
+          const top = Math.min(toY(from), toY(to));
+          doc.rect(x, top, Math.max(1, barWidth - 1), Math.abs(toY(to) - toY(from))).fill(this.colors[seriesIndex % this.colors.length]);
+          if (plot.stacked) base = to;
+        });
+      });
+    } else {
+      plot.series.forEach((series, seriesIndex) => {
+        const color = this.colors[seriesIndex % this.colors.length];
+        const points = series.values.map((value, index) => [box.x + index * slot + slot / 2, toY(value)]);
+
+        if (plot.kind === 'area') {
+          doc.moveTo(points[0][0], toY(0));
+          points.forEach(([x, y]) => doc.lineTo(x, y));
+          doc.lineTo(points[points.length - 1][0], toY(0)).closePath().fillOpacity(0.25).fill(color).fillOpacity(1);
+        }
+
+        doc.moveTo(points[0][0], points[0][1]);
+        points.slice(1).forEach(([x, y]) => doc.lineTo(x, y));
+        doc.lineWidth(1.5).strokeColor(color).stroke();
+      });
+    }
+
+    // Category labels, thinned out so they don't overlap
+    const every = Math.max(1, Math.ceil(count / Math.floor(box.w / 60)));
+    doc.font('Helvetica').fontSize(7).fillColor('#666');
+    plot.categories.forEach((category, index) => {
+      if (index % every !== 0) return;
+      doc.text(this.pdfText(category), box.x + index * slot + slot / 2 - (slot * every) / 2, box.y + box.h + 4, {
+        width: slot * every,
+        align: 'center',
+        lineBreak: false,
+        ellipsis: true
+      });
+    });
+
+    this.pdfLegend(doc, plot.series, box);
+  }
+
+  pdfPie(doc, plot, box) {
+    const values = plot.series[0]?.values || [];
+    const total = values.reduce((sum, value) => sum + Math.max(0, value), 0);
+    if (total === 0) return;
+
+    const radius = Math.min(box.h, box.w / 2) / 2 - 10;
+    const cx = box.x + radius + 20;
+    const cy = box.y + box.h / 2;
+    let angle = -Math.PI / 2;
+
+    values.forEach((value, index) => {
+      const sweep = (Math.max(0, value) / total) * Math.PI * 2;
+      if (sweep <= 0) return;
+      const color = this.colors[index % this.colors.length];
+
+      if (sweep >= Math.PI * 2 - 1e-6) {
+        doc.circle(cx, cy, radius).fill(color);
+      } else {
+        const end = angle + sweep;
+        const [x1, y1] = [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+        const [x2, y2] = [cx + radius * Math.cos(end), cy + radius * Math.sin(end)];
+        doc.path(`M ${cx} ${cy} L ${x1} ${y1} A ${radius} ${radius} 0 ${sweep > Math.PI ? 1 : 0} 1 ${x2} ${y2} Z`).fill(color);
+      }
+      angle += sweep;
+    });
+
+    let y = box.y + 10;
+    const legendX = cx + radius + 40;
+    doc.font('Helvetica').fontSize(9);
+    plot.categories.forEach((category, index) => {
+      const share = ((Math.max(0, values[index]) / total) * 100).toFixed(1);
+      doc.rect(legendX, y, 9, 9).fill(this.colors[index % this.colors.length]);
+      doc.fillColor('#333').text(this.pdfText(`${category} - ${this.formatCell(values[index])} (${share}%)`), legendX + 14, y, {
+        width: box.x + box.w - legendX - 14,
+        lineBreak: false,
+        ellipsis: true
+      });
+      y += 15;
+    });
+  }
+
+  pdfScatter(doc, plot, outer) {
+    const box = { x: outer.x + 52, y: outer.y + 10, w: outer.w - 60, h: outer.h - 40 };
+    if (plot.points.length === 0) return;
+
+    const xs = plot.points.map(point => point.x);
+    const xMin = Math.min(...xs);
+    const xSpan = Math.max(...xs) - xMin || 1;
+    const toY = this.pdfValueAxis(doc, plot.points.map(point => point.y), box);
+
+    plot.points.forEach(point => {
+      doc.circle(box.x + ((point.x - xMin) / xSpan) * box.w, toY(point.y), 2.5).fillOpacity(0.7).fill(this.colors[0]);
+    });
+    doc.fillOpacity(1);
+
+    doc.font('Helvetica').fontSize(8).fillColor('#666')
+      .text(this.pdfText(`${plot.xLabel}: ${this.formatAxisValue(xMin)} to ${this.formatAxisValue(xMin + xSpan)}`), box.x, box.y + box.h + 6, { width: box.w, align: 'center' });
+  }
+
+  pdfTable(doc, plot, box) {
+    const columnWidth = box.w / Math.max(1, plot.columns.length);
+    const rowHeight = 18;
+    let y = box.y;
+
+    const drawRow = (cells, header) => {
+      if (header) doc.rect(box.x, y, box.w, rowHeight).fill('#fafafa');
+      doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#333');
+      cells.forEach((cell, index) => {
+        doc.text(this.pdfText(cell), box.x + index * columnWidth + 4, y + 5, { width: columnWidth - 8, lineBreak: false, ellipsis: true });
+      });
+      doc.moveTo(box.x, y + rowHeight).lineTo(box.x + box.w, y + rowHeight).lineWidth(0.5).strokeColor('#e8e8e8').stroke();
+      y += rowHeight;
+    };
+
+    drawRow(plot.columns, true);
+    plot.rows.forEach(row => drawRow(row, false));
+
+    if (plot.totalRows > plot.rows.length) {
+      doc.font('Helvetica-Oblique').fontSize(8).fillColor('#999')
+        .text(`First ${plot.rows.length} of ${plot.totalRows} rows`, box.x, y + 4);
+    }
+  }
+
+  pdfFooters(doc, report) {
+    const range = doc.bufferedPageRange();
+    for (let index = 0; index < range.count; index++) {
+      doc.switchToPage(range.start + index);
+      const { width, height, margins } = doc.page;
+      // Writing below the bottom margin would start a new page
+      const bottomMargin = margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc.font('Helvetica').fontSize(8).fillColor('#999')
+        .text(this.pdfText(`${report.title} - page ${index + 1} of ${range.count}`), margins.left, height - 24, {
+          width: width - margins.left - margins.right,
+          align: 'right',
+          lineBreak: false
+        });
+      doc.page.margins.bottom = bottomMargin;
+    }
+  }
+
+  // ==================== POWERPOINT ====================
+
+  async renderPptx(report) {
+    const pptx = new PptxGenJS();
+    pptx.layout = 'LAYOUT_WIDE';
+    pptx.title = report.title;
+
+    this.pptxTitleSlide(pptx, report);
+    this.pptxKpiSlide(pptx, report);
+    this.pptxStorySlide(pptx, report);
+    report.charts.forEach(({ chart, notes }) => this.pptxChartSlide(pptx, chart, notes));
+
+    return pptx.write({ outputType: 'nodebuffer' });
+  }
+
+  pptxColor(hex) {
+    return hex.replace('#', '').toUpperCase();
+  }
+
+  pptxTitleSlide(pptx, report) {
+    const slide = pptx.addSlide();
+    slide.addShape(pptx.ShapeType.rect, { x: 0, y: 0, w: '100%', h: 0.12, fill: { color: this.pptxColor(this.colors[0]) } });
+    slide.addText(report.title, { x: 0.6, y: 1.6, w: 12, h: 1, fontSize: 36, bold: true, color: '000000' });
+    slide.addText([
+      { text: `Dashboard report - ${report.fileName}`, options: { breakLine: true } },
+      { text: `Generated ${new Date(report.generatedAt).toLocaleString()}`, options: { breakLine: true } },
+      { text: this.describeScope(report), options: { breakLine: true } },
+      ...(report.period ? [{ text: `Period: ${report.period}`, options: { breakLine: true } }] : [])
+    ], { x: 0.6, y: 2.7, w: 12, h: 1.4, fontSize: 16, color: '666666', valign: 'top' });
+
+    slide.addText('Filters', { x: 0.6, y: 4.4, w: 12, h: 0.4, fontSize: 14, bold: true, color: '000000' });
+    slide.addText(
+      report.filters.length > 0
+        ? report.filters.map(line => ({ text: line, options: { bullet: true, breakLine: true } }))
+        : 'No filters applied',
+      { x: 0.6, y: 4.8, w: 12, h: 2.2, fontSize: 13, color: '333333', valign: 'top', fit: 'shrink' }
+    );
+  }
+
+  pptxKpiSlide(pptx, report) {
+    if (report.kpis.length === 0) return;
+
+    const slide = pptx.addSlide();
+    slide.addText('KPI Summary', { x: 0.5, y: 0.3, w: 12, h: 0.6, fontSize: 26, bold: true, color: '000000' });
+
+    const columns = 4;
+    const boxWidth = 2.9;
+    const boxHeight = 1.4;
+    report.kpis.slice(0, 16).forEach((kpi, index) => {
+      const x = 0.5 + (index % columns) * (boxWidth + 0.2);
+      const y = 1.2 + Math.floor(index / columns) * (boxHeight + 0.2);
+      const change = this.describeKpiChange(kpi);
+      const sentimentColor = { positive: '52C41A', negative: 'F5222D' }[kpi.comparison?.sentiment] || '666666';
+
+      slide.addText([
+        { text: kpi.name, options: { fontSize: 11, color: '666666', breakLine: true } },
+        { text: String(kpi.formattedValue), options: { fontSize: 22, bold: true, color: '000000', breakLine: true } },
+        ...(change ? [{ text: change, options: { fontSize: 10, color: sentimentColor } }] : [])
+      ], {
+        x, y, w: boxWidth, h: boxHeight,
+        valign: 'top',
+        margin: 8,
+        line: { color: 'E8E8E8', width: 1 },
+        rectRadius: 0.08,
+        shape: pptx.ShapeType.roundRect
+      });
+    });
+  }
+
+  pptxStorySlide(pptx, report) {
+    const blocks = this.storyBlocks(report.story);
+    if (blocks.length === 0) return;
+
+    const slide = pptx.addSlide();
+    slide.addText('Dashboard Story', { x: 0.5, y: 0.3, w: 12, h: 0.6, fontSize: 26, bold: true, color: '000000' });
+    slide.addText(blocks.flatMap(block => [
+      { text: block.heading, options: { bold: true, fontSize: 15, color: '000000', breakLine: true, paraSpaceBefore: 6 } },
+      ...block.lines.map(line => ({ text: line, options: { fontSize: 12, color: '333333', bullet: block.heading !== 'Executive Summary', breakLine: true } }))
+    ]), { x: 0.5, y: 1.1, w: 12.3, h: 6, valign: 'top', fit: 'shrink' });
+  }
+
+  pptxChartSlide(pptx, chart, notes) {
+    const slide = pptx.addSlide();
+    slide.addText(chart.title, { x: 0.5, y: 0.25, w: 12.3, h: 0.6, fontSize: 24, bold: true, color: '000000' });
+    slide.addText(this.describeChart(chart), { x: 0.5, y: 0.85, w: 12.3, h: 0.4, fontSize: 13, color: '666666' });
+
+    const frame = { x: 0.5, y: 1.4, w: 12.3, h: 5.7 };
+    const plot = this.limitPlot(this.toPlot(chart));
+    const colors = this.colors.map(color => this.pptxColor(color));
+    const axisOptions = { catAxisLabelFontSize: 10, valAxisLabelFontSize: 10, chartColors: colors };
+
+    switch (plot.kind) {
+      case 'table':
+        slide.addTable([
+          plot.columns.map(column => ({ text: column, options: { bold: true, fill: { color: 'FAFAFA' } } })),
+          ...plot.rows
+        ], { ...frame, h: undefined, fontSize: 11, border: { type: 'solid', color: 'E8E8E8', pt: 0.5 }, autoPage: false });
+        break;
+      case 'scatter':
+        slide.addChart(pptx.ChartType.scatter, [
+          { name: plot.xLabel, values: plot.points.map(point => point.x) },
+          { name: plot.yLabel, values: plot.points.map(point => point.y) }
+        ], { ...frame, ...axisOptions, lineSize: 0, lineDataSymbolSize: 6, showValAxisTitle: true, valAxisTitle: plot.yLabel, showCatAxisTitle: true, catAxisTitle: plot.xLabel });
+        break;
+      case 'pie':
+        slide.addChart(pptx.ChartType.pie, [{ name: plot.series[0].name, labels: plot.categories, values: plot.series[0].values }], {
+          ...frame,
+          chartColors: colors,
+          showLegend: true,
+          legendPos: 'r',
+          showPercent: true
+        });
+        break;
+      default:
+        slide.addChart(pptx.ChartType[plot.kind], plot.series.map(series => ({ name: series.name, labels: plot.categories, values: series.values })), {
+          ...frame,
+          ...axisOptions,
+          ...(plot.kind === 'bar' && {
+            barDir: 'col',
+            barGrouping: plot.percent ? 'percentStacked' : (plot.stacked ? 'stacked' : 'clustered')
+          }),
+          ...(plot.kind === 'line' && { lineDataSymbol: plot.categories.length > 40 ? 'none' : 'circle', lineDataSymbolSize: 5 }),
+          showLegend: plot.series.length > 1,
+          legendPos: 'b'
+        });
+    }
+
+    if (plot.truncatedFrom) {
+      slide.addText(`Showing the first ${plot.categories.length} of ${plot.truncatedFrom} points`, {
+        x: 0.5, y: 7.1, w: 12.3, h: 0.3, fontSize: 9, italic: true, color: '999999', align: 'right'
+      });
+    }
+
+    if (notes.length > 0) {
+      slide.addNotes(notes.join('\n'));
+    }
+  }
+}
+
+module.exports = new ReportGenerator();
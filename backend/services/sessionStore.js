@@ -0,0 +1,444 @@
+// backend/services/sessionStore.js - Pluggable session persistence
+const fs = require('fs');
+const path = require('path');
+const { writeAtomic, createWriteQueue } = require('../utils/files');
+
+/**
+ * In-memory driver - fastest, but sessions are lost on restart
+ */
+class MemorySessionDriver {
+  constructor() {
+    this.name = 'memory';
+    this.sessions = new Map();
+  }
+
+  async load(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  async save(sessionId, sessionData) {
+    this.sessions.set(sessionId, sessionData);
+  }
+
+  async touch(sessionId, lastAccessedAt) {
+    const sessionData = this.sessions.get(sessionId);
+    if (sessionData) {
+      sessionData.lastAccessedAt = lastAccessedAt;
+    }
+  }
+
+  async remove(sessionId) {
+    return this.sessions.delete(sessionId);
+  }
+
+  async listMeta() {
+    return Array.from(this.sessions.entries()).map(([sessionId, sessionData]) => ({
+      sessionId,
+      ...this.summarize(sessionData)
+    }));
+  }
+
+  summarize(sessionData) {
+    return {
+      fileName: sessionData.fileName,
+      uploadedAt: sessionData.uploadedAt,
+      lastAccessedAt: sessionData.lastAccessedAt,
+      pin: sessionData.pin || null,
+      fullDataCount: sessionData.fullDataCount || 0
+    };
+  }
+}
+
+/**
+ * Disk driver - session metadata as JSON plus a columnar row file per session.
+ * Rows are only rewritten when the session's data array changes. The access time lives in
+ * its own small file, so keeping a session alive never rewrites (or races) its metadata.
+ */
+class DiskSessionDriver {
+  constructor(directory) {
+    this.name = 'disk';
+    this.directory = directory;
+    this.persistedRows = new WeakSet();
+    this.queue = createWriteQueue();
+
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+  }
+
+  getPaths(sessionId) {
+    const safeId = String(sessionId).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return {
+      meta: path.join(this.directory, `${safeId}.meta.json`),
+      rows: path.join(this.directory, `${safeId}.rows.json`),
+      access: path.join(this.directory, `${safeId}.access.json`)
+    };
+  }
+
+  async load(sessionId) {
+    const paths = this.getPaths(sessionId);
+
+    try {
+      const meta = JSON.parse(await fs.promises.readFile(paths.meta, 'utf8'));
+      const columnar = JSON.parse(await fs.promises.readFile(paths.rows, 'utf8'));
+      const data = this.fromColumnar(columnar);
+
+      this.persistedRows.add(data);
+      return { ...meta, lastAccessedAt: await this.readAccessTime(paths.access, meta), data };
+
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not rehydrate session ${sessionId}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async save(sessionId, sessionData) {
+    const paths = this.getPaths(sessionId);
+    const { data, lastAccessedAt, ...meta } = sessionData;
+
+    await this.queue(sessionId, async () => {
+      if (Array.isArray(data) && !this.persistedRows.has(data)) {
+        await writeAtomic(paths.rows, JSON.stringify(this.toColumnar(data)));
+        this.persistedRows.add(data);
+      }
+
+      await writeAtomic(paths.meta, JSON.stringify(meta));
+      await writeAtomic(paths.access, JSON.stringify({ lastAccessedAt }));
+    });
+  }
+
+  async touch(sessionId, lastAccessedAt) {
+    const paths = this.getPaths(sessionId);
+
+    try {
+      await this.queue(sessionId, async () => {
+        // A session removed meanwhile stays removed
+        if (!fs.existsSync(paths.meta)) return;
+        await writeAtomic(paths.access, JSON.stringify({ lastAccessedAt }));
+      });
+    } catch (error) {
+      console.warn(`⚠️ Could not update access time for ${sessionId}:`, error.message);
+    }
+  }
+
+  async remove(sessionId) {
+    const paths = this.getPaths(sessionId);
+
+    return this.queue(sessionId, async () => {
+      let removed = false;
+
+      for (const filePath of [paths.meta, paths.rows, paths.access]) {
+        try {
+          await fs.promises.unlink(filePath);
+          removed = true;
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+
+      return removed;
+    });
+  }
+
+  async listMeta() {
+    const files = await fs.promises.readdir(this.directory);
+    const summaries = [];
+
+    for (const file of files.filter(f => f.endsWith('.meta.json'))) {
+      try {
+        const meta = JSON.parse(await fs.promises.readFile(path.join(this.directory, file), 'utf8'));
+        summaries.push({
+          sessionId: meta.sessionId || file.replace('.meta.json', ''),
+          fileName: meta.fileName,
+          uploadedAt: meta.uploadedAt,
+          lastAccessedAt: await this.readAccessTime(path.join(this.directory, file.replace('.meta.json', '.access.json')), meta),
+          pin: meta.pin || null,
+          fullDataCount: meta.fullDataCount || 0
+        });
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable session file ${file}:`, error.message);
+      }
+    }
+
+    return summaries;
+  }
+
+  // Sessions saved before access times had their own file kept it in the metadata
+  async readAccessTime(accessPath, meta) {
+    try {
+      return JSON.parse(await fs.promises.readFile(accessPath, 'utf8')).lastAccessedAt;
+    } catch (error) {
+      return meta.lastAccessedAt || meta.uploadedAt;
+    }
+  }
+
+  // Store rows column by column - far smaller than repeating keys on every row
+  toColumnar(data) {
+    const columns = data.length > 0 ? Object.keys(data[0]) : [];
+    const values = {};
+
+    columns.forEach(column => {
+      const columnValues = new Array(data.length);
+      for (let i = 0; i < data.length; i++) {
+        const value = data[i][column];
+        columnValues[i] = value === undefined ? null : value;
+      }
+      values[column] = columnValues;
+    });
+
+    return { columns, rowCount: data.length, values };
+  }
+
+  fromColumnar(columnar) {
+    const { columns = [], rowCount = 0, values = {} } = columnar;
+    const data = new Array(rowCount);
+
+    for (let i = 0; i < rowCount; i++) {
+      const row = {};
+      for (let c = 0; c < columns.length; c++) {
+        row[columns[c]] = values[columns[c]][i];
+      }
+      data[i] = row;
+    }
+
+    return data;
+  }
+}
+
+/**
+ * Session store with TTL expiry and LRU eviction in front of a driver.
+ *
+ * Configuration (environment):
+ *   SESSION_STORE_DRIVER       memory | disk (default: memory)
+ *   SESSION_STORE_DIR          directory for the disk driver
+ *   SESSION_TTL_MS             idle time before a session expires (default: 1 hour)
+ *   SESSION_MAX_SESSIONS       max sessions kept; least recently used are evicted (default: 50)
+ *   SESSION_MAX_PINNED         max sessions pinned at once (default: 20)
+ *   SESSION_CACHE_SIZE         rehydrated sessions kept in memory by the disk driver (default: 5)
+ *   SESSION_CLEANUP_INTERVAL_MS how often expired sessions are purged (default: 10 minutes)
+ *
+ * A pinned session ({ pin: { until } }, until null for no end) neither expires nor is evicted
+ * before its pin runs out - share links keep their session's data this way. Pinned sessions
+ * are outside the LRU limit, so they are capped separately (see canPin).
+ */
+class SessionStore {
+  constructor(options = {}) {
+    const driverName = (options.driver || process.env.SESSION_STORE_DRIVER || 'memory').toLowerCase();
+
+    this.ttlMs = options.ttlMs ?? (parseInt(process.env.SESSION_TTL_MS, 10) || 60 * 60 * 1000);
+    this.maxSessions = options.maxSessions ?? (parseInt(process.env.SESSION_MAX_SESSIONS, 10) || 50);
+    this.maxPinned = options.maxPinned ?? (parseInt(process.env.SESSION_MAX_PINNED, 10) || 20);
+    this.cacheSize = options.cacheSize ?? (parseInt(process.env.SESSION_CACHE_SIZE, 10) || 5);
+    this.cleanupIntervalMs = options.cleanupIntervalMs ??
+      (parseInt(process.env.SESSION_CLEANUP_INTERVAL_MS, 10) || 10 * 60 * 1000);
+
+    if (driverName === 'disk') {
+      const directory = options.directory || process.env.SESSION_STORE_DIR ||
+        path.join(__dirname, '../data/sessions');
+      this.driver = new DiskSessionDriver(directory);
+    } else {
+      this.driver = new MemorySessionDriver();
+    }
+
+    // Hot cache of hydrated sessions (only needed when the driver is not memory-backed)
+    this.cache = new Map();
+    this.lastTouchPersisted = new Map();
+    this.cleanupTimer = null;
+
+    console.log(`💾 Session store using ${this.driver.name} driver (TTL ${Math.round(this.ttlMs / 60000)} min)`);
+  }
+
+  isPinned(sessionData) {
+    const pin = sessionData.pin;
+    return Boolean(pin) && (!pin.until || new Date(pin.until).getTime() > Date.now());
+  }
+
+  isExpired(sessionData) {
+    if (!this.ttlMs || this.isPinned(sessionData)) return false;
+    const lastActivity = sessionData.lastAccessedAt || sessionData.uploadedAt;
+    return new Date(lastActivity).getTime() < Date.now() - this.ttlMs;
+  }
+
+  async get(sessionId) {
+    if (!sessionId) return null;
+
+    let sessionData = this.cache.get(sessionId);
+
+    if (sessionData) {
+      // Refresh LRU position
+      this.cache.delete(sessionId);
+      this.cache.set(sessionId, sessionData);
+    } else {
+      sessionData = await this.driver.load(sessionId);
+      if (!sessionData) return null;
+
+      if (this.driver.name !== 'memory') {
+        console.log(`♻️ Rehydrated session from ${this.driver.name}: ${sessionId}`);
+        this.remember(sessionId, sessionData);
+      }
+    }
+
+    if (this.isExpired(sessionData)) {
+      await this.delete(sessionId);
+      console.log(`🗑️ Session expired on access: ${sessionId}`);
+      return null;
+    }
+
+    await this.touch(sessionId, sessionData);
+    return sessionData;
+  }
+
+  async set(sessionId, sessionData) {
+    sessionData.sessionId = sessionId;
+    sessionData.lastAccessedAt = new Date().toISOString();
+
+    await this.driver.save(sessionId, sessionData);
+    this.lastTouchPersisted.set(sessionId, Date.now());
+
+    if (this.driver.name !== 'memory') {
+      this.remember(sessionId, sessionData);
+    }
+
+    await this.enforceMaxSessions();
+  }
+
+  /**
+   * Keep a session until `until` (ISO date, or null for no end) regardless of idle time and LRU eviction
+   * @returns {Promise<boolean>} False when the session no longer exists
+   */
+  async pin(sessionId, until = null) {
+    const sessionData = await this.get(sessionId);
+    if (!sessionData) return false;
+
+    sessionData.pin = { until };
+    await this.set(sessionId, sessionData);
+    return true;
+  }
+
+  /**
+   * Whether the session is already pinned or another pin still fits under SESSION_MAX_PINNED
+   */
+  async canPin(sessionId) {
+    if (!this.maxPinned) return true;
+
+    const pinned = (await this.list()).filter(session => this.isPinned(session));
+    return pinned.some(session => session.sessionId === sessionId) || pinned.length < this.maxPinned;
+  }
+
+  async unpin(sessionId) {
+    const sessionData = await this.get(sessionId);
+    if (!sessionData || !sessionData.pin) return false;
+
+    delete sessionData.pin;
+    await this.set(sessionId, sessionData);
+    return true;
+  }
+
+  async has(sessionId) {
+    return (await this.get(sessionId)) !== null;
+  }
+
+  async delete(sessionId) {
+    this.cache.delete(sessionId);
+    this.lastTouchPersisted.delete(sessionId);
+    return this.driver.remove(sessionId);
+  }
+
+  async list() {
+    return this.driver.listMeta();
+  }
+
+  async keys() {
+    return (await this.list()).map(s => s.sessionId);
+  }
+
+  async count() {
+    return (await this.list()).length;
+  }
+
+  async clear() {
+    const sessionIds = await this.keys();
+    for (const sessionId of sessionIds) {
+      await this.delete(sessionId);
+    }
+    return sessionIds.length;
+  }
+
+  // Sliding expiry - access time is persisted at most once a minute
+  async touch(sessionId, sessionData) {
+    const now = new Date().toISOString();
+    sessionData.lastAccessedAt = now;
+
+    const lastPersisted = this.lastTouchPersisted.get(sessionId) || 0;
+    if (Date.now() - lastPersisted > 60 * 1000) {
+      this.lastTouchPersisted.set(sessionId, Date.now());
+      await this.driver.touch(sessionId, now);
+    }
+  }
+
+  remember(sessionId, sessionData) {
+    this.cache.delete(sessionId);
+    this.cache.set(sessionId, sessionData);
+
+    while (this.cache.size > this.cacheSize) {
+      const oldestId = this.cache.keys().next().value;
+      this.cache.delete(oldestId);
+    }
+  }
+
+  async enforceMaxSessions() {
+    if (!this.maxSessions) return;
+
+    const sessions = await this.list();
+    if (sessions.length <= this.maxSessions) return;
+
+    // Pinned sessions count towards the limit but are never the ones evicted
+    const byLastAccess = sessions
+      .filter(session => !this.isPinned(session))
+      .sort((a, b) =>
+        new Date(a.lastAccessedAt || a.uploadedAt).getTime() - new Date(b.lastAccessedAt || b.uploadedAt).getTime()
+      );
+
+    for (const session of byLastAccess.slice(0, sessions.length - this.maxSessions)) {
+      await this.delete(session.sessionId);
+      console.log(`🗑️ Evicted least recently used session: ${session.sessionId}`);
+    }
+  }
+
+  async cleanupExpired() {
+    const removed = [];
+
+    for (const session of await this.list()) {
+      if (this.isExpired(session)) {
+        await this.delete(session.sessionId);
+        removed.push(session.sessionId);
+        console.log(`🗑️ Cleaned up expired session: ${session.sessionId}`);
+      }
+    }
+
+    return removed;
+  }
+
+  startCleanup(onCleanup = null) {
+    if (this.cleanupTimer) return;
+
+    this.cleanupTimer = setInterval(async () => {
+      try {
+        const removed = await this.cleanupExpired();
+        if (onCleanup) onCleanup(removed);
+      } catch (error) {
+        console.error('❌ Session cleanup error:', error);
+      }
+    }, this.cleanupIntervalMs);
+
+    // Don't keep the process alive just for cleanup
+    if (this.cleanupTimer.unref) this.cleanupTimer.unref();
+  }
+}
+
+module.exports = new SessionStore();
+module.exports.SessionStore = SessionStore;
+module.exports.MemorySessionDriver = MemorySessionDriver;
+module.exports.DiskSessionDriver = DiskSessionDriver;
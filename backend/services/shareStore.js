@@ -0,0 +1,164 @@
+// backend/services/shareStore.js - Share tokens: read-only links to a dashboard view
+const crypto = require('crypto');
+const path = require('path');
+const { MemoryDashboardDriver, DiskDashboardDriver } = require('./dashboardStore');
+
+/**
+ * Invalid share requests (bad expiry, nothing to share) - the user's to fix
+ */
+class ShareError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShareError';
+  }
+}
+
+/**
+ * Share model (the token is the id):
+ *   { id, name, createdAt, expiresAt, revokedAt,
+ *     sessionId,                        session whose data the view is computed on
+ *     dashboardId,                      saved dashboard shown; null for the session's own dashboard
+ *     state: { filters, timeFilter, comparison, dataLimit, closedCharts, kpiDirections, layout,
+ *              definition } }             { kpis, charts, customCharts } of the session's dashboard when shared
+ *
+ * The view is computed from the session's data, so the session is pinned in the session store
+ * (no idle expiry or eviction) while any of its shares is active. With the memory session driver
+ * the data is still lost when the server restarts.
+ *
+ * Configuration (environment):
+ *   SHARE_STORE_DRIVER   memory | disk (default: disk)
+ *   SHARE_STORE_DIR      directory for the disk driver
+ */
+class ShareStore {
+  constructor(options = {}) {
+    const driverName = (options.driver || process.env.SHARE_STORE_DRIVER || 'disk').toLowerCase();
+
+    this.maxNameLength = 100;
+
+    if (driverName === 'memory') {
+      this.driver = new MemoryDashboardDriver();
+    } else {
+      const directory = options.directory || process.env.SHARE_STORE_DIR ||
+        path.join(__dirname, '../data/shares');
+      this.driver = new DiskDashboardDriver(directory);
+    }
+
+    console.log(`🔗 Share store using ${this.driver.name} driver`);
+  }
+
+  /**
+   * @param {string} sessionId - Session the view is computed on
+   * @param {Object} options - { name, dashboardId, state, expiresAt, definition } - expiresAt is an ISO date or
+   *   null for never; definition is the session's dashboard, so later edits don't change what the link shows
+   */
+  async create(sessionId, { name, dashboardId = null, state = {}, expiresAt = null, definition = null }) {
+    const share = {
+      id: this.generateToken(),
+      name: this.normalizeName(name),
+      createdAt: new Date().toISOString(),
+      expiresAt: this.normalizeExpiry(expiresAt),
+      revokedAt: null,
+      sessionId,
+      dashboardId,
+      state: {
+        filters: state.filters || {},
+        timeFilter: state.timeFilter || null,
+        comparison: state.comparison || 'previous',
+        dataLimit: state.dataLimit ?? null,
+        closedCharts: Array.isArray(state.closedCharts) ? state.closedCharts : [],
+        kpiDirections: state.kpiDirections || {},
+        layout: state.layout || null,
+        definition
+      }
+    };
+
+    await this.driver.save(share);
+    return share;
+  }
+
+  async get(token) {
+    if (!token) return null;
+    return this.driver.load(token);
+  }
+
+  /**
+   * Shares created from a session, newest first
+   */
+  async listForSession(sessionId) {
+    const shares = await this.driver.loadAll();
+    return shares
+      .filter(share => share.sessionId === sessionId)
+      .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
+  }
+
+  /**
+   * Revoked links stay on record so viewers are told the link was withdrawn
+   */
+  async revoke(token) {
+    const share = await this.get(token);
+    if (!share) return null;
+
+    if (!share.revokedAt) {
+      share.revokedAt = new Date().toISOString();
+      await this.driver.save(share);
+    }
+    return share;
+  }
+
+  /**
+   * @returns {string} active | expired | revoked
+   */
+  getStatus(share) {
+    if (share.revokedAt) return 'revoked';
+    if (share.expiresAt && new Date(share.expiresAt).getTime() <= Date.now()) return 'expired';
+    return 'active';
+  }
+
+  /**
+   * What the owner and viewers see - never the session id, which would outlive revocation
+   */
+  summarize(share) {
+    return {
+      token: share.id,
+      name: share.name,
+      createdAt: share.createdAt,
+      expiresAt: share.expiresAt,
+      revokedAt: share.revokedAt,
+      status: this.getStatus(share),
+      source: share.dashboardId ? 'dashboard' : 'session'
+    };
+  }
+
+  normalizeName(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new ShareError('Share name is required');
+    }
+    if (trimmed.length > this.maxNameLength) {
+      throw new ShareError(`Share name must be at most ${this.maxNameLength} characters`);
+    }
+    return trimmed;
+  }
+
+  normalizeExpiry(expiresAt) {
+    if (expiresAt === null || expiresAt === undefined || expiresAt === '') return null;
+
+    const time = new Date(expiresAt).getTime();
+    if (Number.isNaN(time)) {
+      throw new ShareError('Expiry must be a date');
+    }
+    if (time <= Date.now()) {
+      throw new ShareError('Expiry must be in the future');
+    }
+    return new Date(time).toISOString();
+  }
+
+  // Unguessable, URL-safe
+  generateToken() {
+    return crypto.randomBytes(18).toString('base64url');
+  }
+}
+
+module.exports = new ShareStore();
+module.exports.ShareStore = ShareStore;
+module.exports.ShareError = ShareError;
@@ -0,0 +1,329 @@
+// backend/services/storyGenerator.js - Dashboard narrative grounded in computed KPIs and charts
+const llm = require('./llm');
+const calculator = require('./calculator');
+const filterModel = require('./filterModel');
+const timeSeries = require('./timeSeries');
+const insightsEngine = require('./insightsEngine');
+const aiService = require('./aiService');
+
+/**
+ * Story shape:
+ *
+ * {
+ *   executiveSummary: { text, citations },
+ *   keyFindings | movers | risks | recommendations: [{ text, citations }],
+ *   context: { filteredRecords, totalRecords, activeFilters, timeFilter, dataLimit },
+ *   source: 'ai' | 'rules' | 'fallback'
+ * }
+ *
+ * Citations point at the KPI or chart a statement comes from:
+ *   { id: 'K1' | 'C2', type: 'kpi' | 'chart', ref: KPI name or chart id, label }
+ */
+class StoryGenerator {
+  constructor() {
+    this.sections = [
+      { key: 'executiveSummary', heading: 'Executive Summary', type: 'text' },
+      { key: 'keyFindings', heading: 'Key Findings', type: 'list' },
+      { key: 'movers', heading: 'Notable Movers', type: 'list' },
+      { key: 'risks', heading: 'Risks', type: 'list' },
+      { key: 'recommendations', heading: 'Recommendations', type: 'list' }
+    ];
+    this.maxItemsPerSection = 4;
+    this.maxCachedStories = 20;
+    this.systemPrompt = 'You are a business analyst writing a concise, factual dashboard briefing for executives. Only use the numbers you are given and cite their sources.';
+  }
+
+  /**
+   * Generate the dashboard story. With `onToken` the narrative is streamed as it is written.
+   * @param {Object} sessionData - Session with data, schema and dashboard definition
+   * @param {Object} options - { activeFilters, timeFilter, dataLimit, onToken, signal }
+   * @returns {Promise<Object>} Story (see shape above)
+   */
+  async generate(sessionData, { activeFilters = {}, timeFilter = null, dataLimit = null, onToken = null, signal = null } = {}) {
+    const facts = this.collectFacts(sessionData, activeFilters, dataLimit, timeFilter);
+    const rulesStory = this.buildRulesStory(facts);
+
+    if (!llm.isConfigured('story') || (facts.kpis.length === 0 && facts.charts.length === 0)) {
+      return { ...rulesStory, source: 'rules' };
+    }
+
+    try {
+      let markdown = '';
+      const chunks = llm.stream({
+        feature: 'story',
+        system: this.systemPrompt,
+        prompt: this.buildPrompt(facts),
+        temperature: 0.4,
+        maxTokens: 1200,
+        signal
+      });
+
+      for await (const chunk of chunks) {
+        markdown += chunk;
+        if (onToken) onToken(chunk);
+      }
+
+      const story = this.parseMarkdownStory(markdown, facts);
+      if (story.keyFindings.length === 0) {
+        throw new Error('AI story did not include cited key findings');
+      }
+
+      return {
+        ...story,
+        executiveSummary: story.executiveSummary || rulesStory.executiveSummary,
+        context: rulesStory.context,
+        source: 'ai'
+      };
+
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.warn('⚠️ AI story failed, using computed summary:', error.message);
+      return { ...rulesStory, source: 'fallback' };
+    }
+  }
+
+  // ==================== FACTS ====================
+
+  /**
+   * Recompute the dashboard's KPIs and chart findings for the current filter state and period
+   */
+  collectFacts(sessionData, activeFilters, dataLimit, timeFilter = null) {
+    const { data = [], schema = {} } = sessionData;
+    const timeFilteredData = calculator.applyTimeFilter(data, schema, timeFilter);
+    const filteredData = calculator.applyFilters(timeFilteredData, activeFilters, dataLimit);
+    const definition = sessionData.dashboardDefinition ||
+      aiService.getEnhancedFallbackSuggestions(schema, sessionData.sampleData);
+
+    const kpis = calculator.calculateKPIs(filteredData, schema, definition.kpis || [])
+      .map((kpi, index) => ({
+        id: `K${index + 1}`,
+        type: 'kpi',
+        ref: kpi.name,
+        label: kpi.name,
+        text: `${kpi.name} is ${kpi.formattedValue}`,
+        kpi
+      }));
+
+    const chartDefinitions = [
+      ...(definition.charts || []).map((chart, index) => ({ ...chart, id: `chart_${index}` })),
+      ...(sessionData.customCharts || [])
+    ];
+
+    const charts = [];
+    chartDefinitions.forEach(chart => {
+      try {
+        // A chart with a cross-filter selection is drawn without it, so its findings are too
+        const chartData = filterModel.getSources(activeFilters).has(chart.id)
+          ? calculator.applyFilters(timeFilteredData, filterModel.withoutSource(activeFilters, chart.id), dataLimit)
+          : filteredData;
+        const analysis = insightsEngine.computeFindings(chartData, schema, chart);
+        charts.push({
+          id: `C${charts.length + 1}`,
+          type: 'chart',
+          ref: chart.id,
+          label: chart.title,
+          chart,
+          findings: analysis.findings,
+          recommendations: analysis.recommendations
+        });
+      } catch (error) {
+        console.warn(`Warning analysing chart ${chart.title}:`, error.message);
+      }
+    });
+
+    return {
+      kpis,
+      charts,
+      context: {
+        filteredRecords: filteredData.length,
+        totalRecords: data.length,
+        activeFilters,
+        timeFilter,
+        dataLimit
+      }
+    };
+  }
+
+  cite(fact) {
+    return { id: fact.id, type: fact.type, ref: fact.ref, label: fact.label };
+  }
+
+  // ==================== RULES STORY ====================
+
+  buildRulesStory(facts) {
+    const { kpis, charts, context } = facts;
+    const statement = (text, sources) => ({ text, citations: sources.map(source => this.cite(source)) });
+    const chartFindings = (types) => charts.flatMap(chart =>
+      chart.findings.filter(f => types.includes(f.type)).map(f => ({ chart, finding: f }))
+    );
+
+    const scope = context.filteredRecords === context.totalRecords
+      ? `all ${context.totalRecords.toLocaleString()} records`
+      : `${context.filteredRecords.toLocaleString()} of ${context.totalRecords.toLocaleString()} records (filtered)`;
+    const headlineKpis = kpis.slice(0, 2);
+    const headlineChart = charts.find(chart => chart.findings.length > 0);
+    const summaryParts = [`This dashboard covers ${scope}.`];
+    if (headlineKpis.length > 0) summaryParts.push(`${headlineKpis.map(k => k.text).join(' and ')}.`);
+    if (headlineChart) summaryParts.push(`${headlineChart.findings[0].text}.`);
+
+    const keyFindings = [
+      ...kpis.slice(0, 2).map(kpi => statement(kpi.text, [kpi])),
+      ...chartFindings(['top', 'share']).map(({ chart, finding }) => statement(finding.text, [chart]))
+    ].slice(0, this.maxItemsPerSection);
+
+    const movers = chartFindings(['change', 'trend', 'bottom'])
+      .map(({ chart, finding }) => statement(finding.text, [chart]))
+      .slice(0, this.maxItemsPerSection);
+
+    const risks = chartFindings(['concentration', 'outlier', 'change', 'trend'])
+      .filter(({ finding }) => finding.severity === 'warning' || finding.severity === 'negative')
+      .map(({ chart, finding }) => statement(finding.text, [chart]))
+      .slice(0, this.maxItemsPerSection);
+
+    const seen = new Set();
+    const recommendations = charts
+      .flatMap(chart => chart.recommendations.map(text => ({ chart, text })))
+      .filter(({ text }) => !seen.has(text) && seen.add(text))
+      .map(({ chart, text }) => statement(text, [chart]))
+      .slice(0, this.maxItemsPerSection);
+
+    return {
+      executiveSummary: statement(summaryParts.join(' '), [...headlineKpis, ...(headlineChart ? [headlineChart] : [])]),
+      keyFindings,
+      movers,
+      risks,
+      recommendations,
+      context
+    };
+  }
+
+  // ==================== AI STORY ====================
+
+  buildPrompt(facts) {
+    const { kpis, charts, context } = facts;
+    const filters = filterModel.describe(context.activeFilters);
+    const range = timeSeries.resolveRange(context.timeFilter);
+
+    const kpiLines = kpis.map(kpi => `[${kpi.id}] ${kpi.text}`);
+    const chartLines = charts.map(chart => [
+      `[${chart.id}] Chart "${chart.label}" (${chart.chart.type}: ${chart.chart.measures.join(', ')} by ${chart.chart.dimensions.join(', ')})`,
+      ...chart.findings.map(f => `    - ${f.text}`)
+    ].join('\n'));
+
+    // KPIs first, then charts in dashboard order, for as many as the prompt budget allows
+    const render = (kpiText, chartText) => `Write a dashboard briefing based on ${context.filteredRecords} of ${context.totalRecords} records.
+Active filters: ${filters.length > 0 ? filters.join('; ') : 'none'}
+Period: ${range ? timeSeries.describeRange(range, context.timeFilter.type) : 'all dates'}
+
+KPIS:
+${kpiText || '- none'}
+
+CHARTS:
+${chartText || '- none'}
+
+Use exactly these markdown sections, in this order:
+${this.sections.map(s => `## ${s.heading}`).join('\n')}
+
+"Executive Summary" is 2-3 sentences. The other sections are 1-${this.maxItemsPerSection} bullet points each, starting with "- ".
+"Notable Movers" covers changes over time and the biggest gaps between contributors. "Risks" covers concentration, outliers and declines.
+Every sentence and bullet must end with the ids of the KPIs or charts it uses, e.g. [K1] or [C2][K3]. Do not state numbers that are not listed above.`;
+
+    const lines = llm.fitToBudget([...kpiLines, ...chartLines], line => `${line}\n`, render('', '') + this.systemPrompt);
+    return render(lines.slice(0, kpiLines.length).join('\n'), lines.slice(kpiLines.length).join('\n'));
+  }
+
+  /**
+   * Split a markdown narrative into cited story sections. Bullets without a valid citation are dropped.
+   */
+  parseMarkdownStory(markdown, facts) {
+    const sources = new Map([...facts.kpis, ...facts.charts].map(fact => [fact.id, fact]));
+    const story = { executiveSummary: null, keyFindings: [], movers: [], risks: [], recommendations: [] };
+    const summary = { text: [], citations: new Map() };
+    let current = null;
+
+    const extract = (text) => {
+      const citations = new Map();
+      const clean = text.replace(/\[((?:[KC]\d+)(?:\s*,\s*[KC]\d+)*)\]/g, (match, ids) => {
+        ids.split(',').map(id => id.trim()).forEach(id => {
+          if (sources.has(id)) citations.set(id, this.cite(sources.get(id)));
+        });
+        return '';
+      }).replace(/\s+([.,;:])/g, '$1').replace(/\s{2,}/g, ' ').trim();
+      return { text: clean, citations: Array.from(citations.values()) };
+    };
+
+    String(markdown || '').split(/\r?\n/).forEach(rawLine => {
+      const line = rawLine.trim();
+      if (!line) return;
+
+      const heading = line.match(/^#{1,6}\s*(.+?)\s*:?$/) || line.match(/^\*\*(.+?)\*\*:?$/);
+      if (heading) {
+        const title = heading[1].toLowerCase();
+        current = this.sections.find(s => title.includes(s.heading.split(' ')[0].toLowerCase())) || null;
+        return;
+      }
+
+      if (!current) return;
+
+      const { text, citations } = extract(line.replace(/^([-*•]|\d+\.)\s+/, ''));
+      if (!text) return;
+
+      if (current.type === 'text') {
+        summary.text.push(text);
+        citations.forEach(c => summary.citations.set(c.id, c));
+      } else if (citations.length > 0 && story[current.key].length < this.maxItemsPerSection) {
+        story[current.key].push({ text, citations });
+      }
+    });
+
+    if (summary.text.length > 0 && summary.citations.size > 0) {
+      story.executiveSummary = { text: summary.text.join(' '), citations: Array.from(summary.citations.values()) };
+    }
+
+    return story;
+  }
+
+  // ==================== CACHE ====================
+
+  /**
+   * Stable key for a filter state - filter order and value order don't matter
+   */
+  getCacheKey(activeFilters = {}, dataLimit = null, timeFilter = null) {
+    const filters = filterModel.canonicalize(activeFilters);
+
+    return JSON.stringify({ filters, dataLimit: dataLimit || null, period: timeSeries.resolveRange(timeFilter) });
+  }
+
+  getCached(sessionData, key) {
+    return sessionData.storyCache?.[key]?.story || null;
+  }
+
+  /**
+   * Cache a story on the session (caller persists it). Fallback stories are not cached so AI is retried.
+   */
+  cacheStory(sessionData, key, story) {
+    if (story.source === 'fallback') return;
+
+    const cache = sessionData.storyCache || {};
+    cache[key] = { story, createdAt: new Date().toISOString() };
+
+    const keys = Object.keys(cache);
+    if (keys.length > this.maxCachedStories) {
+      keys
+        .sort((a, b) => cache[a].createdAt.localeCompare(cache[b].createdAt))
+        .slice(0, keys.length - this.maxCachedStories)
+        .forEach(oldKey => delete cache[oldKey]);
+    }
+
+    sessionData.storyCache = cache;
+  }
+
+  /**
+   * Drop cached stories - call whenever the dashboard's KPIs or charts change
+   */
+  invalidate(sessionData) {
+    sessionData.storyCache = {};
+  }
+}
+
+module.exports = new StoryGenerator();
@@ -0,0 +1,332 @@
+// backend/services/timeSeries.js - Date grain bucketing and time filter ranges
+
+const DAY_MS = 86400000;
+
+class TimeSeries {
+  constructor() {
+    this.grains = ['day', 'week', 'month', 'quarter', 'year'];
+    this.periodsPerYear = { day: 365, week: 52, month: 12, quarter: 4, year: 1 };
+    this.maxPeriods = 5000; // Fall back to a coarser grain rather than emit huge series
+  }
+
+  parseTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+    return isNaN(time) ? null : time;
+  }
+
+  /**
+   * Pick a grain that gives a readable number of points for the date span
+   */
+  chooseGrain(minTime, maxTime) {
+    const spanDays = (maxTime - minTime) / DAY_MS;
+    if (spanDays <= 62) return 'day';
+    if (spanDays <= 182) return 'week';
+    if (spanDays <= 365 * 3) return 'month';
+    if (spanDays <= 365 * 10) return 'quarter';
+    return 'year';
+  }
+
+  /**
+   * UTC start of the period containing `time`. Weeks start on Monday (ISO).
+   */
+  periodStart(time, grain) {
+    const date = new Date(time);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+
+    switch (grain) {
+      case 'week': {
+        const day = Date.UTC(year, month, date.getUTCDate());
+        const weekday = (new Date(day).getUTCDay() + 6) % 7;
+        return day - weekday * DAY_MS;
+      }
+      case 'month':
+        return Date.UTC(year, month, 1);
+      case 'quarter':
+        return Date.UTC(year, month - (month % 3), 1);
+      case 'year':
+        return Date.UTC(year, 0, 1);
+      case 'day':
+      default:
+        return Date.UTC(year, month, date.getUTCDate());
+    }
+  }
+
+  nextPeriod(start, grain) {
+    const date = new Date(start);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+
+    switch (grain) {
+      case 'week':
+        return start + 7 * DAY_MS;
+      case 'month':
+        return Date.UTC(year, month + 1, 1);
+      case 'quarter':
+        return Date.UTC(year, month + 3, 1);
+      case 'year':
+        return Date.UTC(year + 1, 0, 1);
+      case 'day':
+      default:
+        return start + DAY_MS;
+    }
+  }
+
+  /**
+   * Sortable label: 2024-03-05, 2024-W10, 2024-03, 2024-Q1, 2024
+   */
+  periodLabel(start, grain) {
+    const iso = new Date(start).toISOString();
+
+    switch (grain) {
+      case 'week': {
+        // ISO week number: the week containing the year's first Thursday is week 1
+        const thursday = new Date(start + 3 * DAY_MS);
+        const weekYear = thursday.getUTCFullYear();
+        const week = Math.floor((thursday.getTime() - Date.UTC(weekYear, 0, 1)) / (7 * DAY_MS)) + 1;
+        return `${weekYear}-W${String(week).padStart(2, '0')}`;
+      }
+      case 'month':
+        return iso.slice(0, 7);
+      case 'quarter':
+        return `${iso.slice(0, 4)}-Q${Math.floor(new Date(start).getUTCMonth() / 3) + 1}`;
+      case 'year':
+        return iso.slice(0, 4);
+      case 'day':
+      default:
+        return iso.slice(0, 10);
+    }
+  }
+
+  /**
+   * Start of the period a label from periodLabel names, or null when it doesn't parse
+   */
+  parsePeriodLabel(label, grain) {
+    const text = String(label);
+    const year = parseInt(text.slice(0, 4), 10);
+    let start;
+
+    switch (grain) {
+      case 'week': {
+        // Week 1 is the week containing January 4th
+        const week = parseInt(text.slice(6), 10);
+        start = this.periodStart(Date.UTC(year, 0, 4), 'week') + (week - 1) * 7 * DAY_MS;
+        break;
+      }
+      case 'month':
+        start = Date.UTC(year, parseInt(text.slice(5, 7), 10) - 1, 1);
+        break;
+      case 'quarter':
+        start = Date.UTC(year, (parseInt(text.slice(6), 10) - 1) * 3, 1);
+        break;
+      case 'year':
+        start = Date.UTC(year, 0, 1);
+        break;
+      case 'day':
+      default:
+        start = this.parseTime(text.slice(0, 10));
+    }
+
+    return start === null || isNaN(start) ? null : start;
+  }
+
+  countPeriods(minTime, maxTime, grain) {
+    const approximateDays = { day: 1, week: 7, month: 30, quarter: 91, year: 365 };
+    return Math.ceil((maxTime - minTime) / DAY_MS / approximateDays[grain]) + 1;
+  }
+
+  /**
+   * Bucket rows of a date column into periods
+   * @param {Array} data - Rows
+   * @param {string} dimension - Date column
+   * @param {string} grain - day | week | month | quarter | year | auto
+   * @param {Object} range - Optional { start, end } the periods should cover, e.g. the active time filter
+   * @returns {Object|null} { grain, keyOf(row) -> period label or null, periods: every label from first to last }
+   */
+  createBucketer(data, dimension, grain = 'auto', range = null) {
+    let minTime = range ? range.start : Infinity;
+    let maxTime = range ? range.end - 1 : -Infinity;
+
+    for (let i = 0; i < data.length; i++) {
+      const time = this.parseTime(data[i][dimension]);
+      if (time === null) continue;
+      if (time < minTime) minTime = time;
+      if (time > maxTime) maxTime = time;
+    }
+
+    if (minTime === Infinity) return null;
+
+    let resolvedGrain = this.grains.includes(grain) ? grain : this.chooseGrain(minTime, maxTime);
+    while (resolvedGrain !== 'year' && this.countPeriods(minTime, maxTime, resolvedGrain) > this.maxPeriods) {
+      resolvedGrain = this.grains[this.grains.indexOf(resolvedGrain) + 1];
+    }
+
+    const periods = [];
+    const last = this.periodStart(maxTime, resolvedGrain);
+    for (let start = this.periodStart(minTime, resolvedGrain); start <= last; start = this.nextPeriod(start, resolvedGrain)) {
+      periods.push(this.periodLabel(start, resolvedGrain));
+    }
+
+    return {
+      grain: resolvedGrain,
+      periods,
+      keyOf: (row) => {
+        const time = this.parseTime(row[dimension]);
+        return time === null ? null : this.periodLabel(this.periodStart(time, resolvedGrain), resolvedGrain);
+      }
+    };
+  }
+
+  // Time filters from the TimeFilter component: year, quarter, month or a custom date range
+
+  /**
+   * Turn a time filter into a UTC range with an exclusive end
+   * @param {Object} timeFilter - { type: 'year'|'quarter'|'month'|'custom', year, quarter, month (1-12), startDate, endDate }
+   * @returns {Object|null} { start, end } in ms, or null when the filter is empty or invalid
+   */
+  resolveRange(timeFilter) {
+    if (!timeFilter || !timeFilter.type) return null;
+    const year = parseInt(timeFilter.year, 10);
+
+    switch (timeFilter.type) {
+      case 'year':
+        return isNaN(year) ? null : { start: Date.UTC(year, 0, 1), end: Date.UTC(year + 1, 0, 1) };
+      case 'quarter': {
+        const quarter = parseInt(timeFilter.quarter, 10);
+        if (isNaN(year) || !(quarter >= 1 && quarter <= 4)) return null;
+        return { start: Date.UTC(year, (quarter - 1) * 3, 1), end: Date.UTC(year, quarter * 3, 1) };
+      }
+      case 'month': {
+        const month = parseInt(timeFilter.month, 10);
+        if (isNaN(year) || !(month >= 1 && month <= 12)) return null;
+        return { start: Date.UTC(year, month - 1, 1), end: Date.UTC(year, month, 1) };
+      }
+      case 'custom': {
+        const start = this.parseTime(timeFilter.startDate);
+        const end = this.parseTime(timeFilter.endDate);
+        if (start === null || end === null || end < start) return null;
+        // The end date is inclusive - the range runs to the end of that day
+        return { start: this.periodStart(start, 'day'), end: this.periodStart(end, 'day') + DAY_MS };
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * The range a KPI is compared against
+   * @param {Object} range - { start, end } from resolveRange
+   * @param {string} filterType - Time filter type the range came from
+   * @param {string} mode - 'previous' (the period just before) or 'lastYear' (same period a year earlier)
+   */
+  shiftRange(range, filterType, mode) {
+    const shiftMonths = (time, months) => {
+      const date = new Date(time);
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, date.getUTCDate());
+    };
+
+    if (mode === 'lastYear') {
+      return { start: shiftMonths(range.start, -12), end: shiftMonths(range.end, -12) };
+    }
+
+    const calendarMonths = { year: 12, quarter: 3, month: 1 }[filterType];
+    if (calendarMonths) {
+      return { start: shiftMonths(range.start, -calendarMonths), end: range.start };
+    }
+
+    return { start: range.start - (range.end - range.start), end: range.start };
+  }
+
+  /**
+   * Human label for a range, e.g. "Mar 2024", "2023", "2024-Q1" or "Jan 1, 2024 – Jan 31, 2024"
+   */
+  describeRange(range, filterType) {
+    const start = new Date(range.start);
+    const month = start.toLocaleString('en-US', { month: 'short', timeZone: 'UTC' });
+
+    switch (filterType) {
+      case 'year':
+        return `${start.getUTCFullYear()}`;
+      case 'quarter':
+        return this.periodLabel(range.start, 'quarter');
+      case 'month':
+        return `${month} ${start.getUTCFullYear()}`;
+      default: {
+        const format = (time) => new Date(time).toLocaleDateString('en-US', {
+          month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+        });
+        return `${format(range.start)} – ${format(range.end - DAY_MS)}`;
+      }
+    }
+  }
+
+  filterByRange(data, column, range) {
+    return data.filter(row => {
+      const time = this.parseTime(row[column]);
+      return time !== null && time >= range.start && time < range.end;
+    });
+  }
+
+  /**
+   * What the TimeFilter component offers for a date column: available years/months and the full range
+   */
+  getTimeFilterOptions(data, column) {
+    if (!column) {
+      return { hasTimeData: false };
+    }
+
+    const years = new Set();
+    const months = new Set();
+    const quarters = new Set();
+    let min = Infinity;
+    let max = -Infinity;
+
+    for (let i = 0; i < data.length; i++) {
+      const time = this.parseTime(data[i][column]);
+      if (time === null) continue;
+
+      const date = new Date(time);
+      years.add(date.getUTCFullYear());
+      months.add(date.getUTCMonth() + 1);
+      quarters.add(Math.floor(date.getUTCMonth() / 3) + 1);
+      if (time < min) min = time;
+      if (time > max) max = time;
+    }
+
+    if (min === Infinity) {
+      return { hasTimeData: false };
+    }
+
+    const latest = new Date(max);
+    const latestMonth = latest.getUTCMonth() + 1;
+    const monthNames = Array.from({ length: 12 }, (_, index) => ({
+      value: index + 1,
+      label: new Date(Date.UTC(2000, index, 1)).toLocaleString('en-US', { month: 'long', timeZone: 'UTC' })
+    }));
+
+    return {
+      hasTimeData: true,
+      primaryColumn: { name: column },
+      dateRange: {
+        min: new Date(min).toISOString().slice(0, 10),
+        max: new Date(max).toISOString().slice(0, 10)
+      },
+      granularity: 'month',
+      availableFilters: {
+        years: [...years].sort((a, b) => b - a),
+        months: [...months].sort((a, b) => a - b),
+        quarters: [...quarters].sort((a, b) => a - b),
+        monthNames
+      },
+      defaultFilter: {
+        type: 'month',
+        year: latest.getUTCFullYear(),
+        month: latestMonth,
+        label: `${monthNames[latestMonth - 1].label} ${latest.getUTCFullYear()}`
+      }
+    };
+  }
+}
+
+module.exports = new TimeSeries();
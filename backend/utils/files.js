@@ -0,0 +1,45 @@
+// backend/utils/files.js - Safe file writes for the disk store drivers
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Write to a temp file of its own, then rename it over the target - readers never see
+ * a partial file, and concurrent writes to the same file can't collide on the temp file
+ */
+const writeAtomic = async (filePath, contents) => {
+  const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+
+  try {
+    await fs.promises.writeFile(tempPath, contents, 'utf8');
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Run tasks one at a time per key, in the order they were queued, so an older write
+ * can never land on top of a newer one
+ * @returns {Function} (key, task) => Promise of the task's result
+ */
+const createWriteQueue = () => {
+  const pending = new Map();
+
+  return (key, task) => {
+    const run = (pending.get(key) || Promise.resolve()).then(task);
+    const settled = run.catch(() => {});
+
+    pending.set(key, settled);
+    settled.then(() => {
+      if (pending.get(key) === settled) pending.delete(key);
+    });
+
+    return run;
+  };
+};
+
+module.exports = {
+  writeAtomic,
+  createWriteQueue
+};
@@ -245,18 +245,19 @@
    * @param {Function} fn - Function to retry
    * @param {number} maxRetries - Maximum number of retries
    * @param {number} baseDelay - Base delay in ms
+   * @param {Function} shouldRetry - Optional predicate; return false to fail fast on an error
    * @returns {Promise} Promise that resolves with function result
    */
-  const retry = async (fn, maxRetries = 3, baseDelay = 1000) => {
+  const retry = async (fn, maxRetries = 3, baseDelay = 1000, shouldRetry = () => true) => {
     let lastError;
     
     for (let i = 0; i <= maxRetries; i++) {
       try {
-        return await fn();
+        return await fn(i);
       } catch (error) {
         lastError = error;
         
-        if (i === maxRetries) {
+        if (i === maxRetries || !shouldRetry(error)) {
           throw lastError;
         }
         
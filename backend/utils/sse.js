@@ -0,0 +1,58 @@
+// backend/utils/sse.js - Server-Sent Events helpers
+
+/**
+ * Open a Server-Sent Events stream on an Express response.
+ * `signal` aborts when the client disconnects, so upstream work can be cancelled.
+ * @param {Object} res - Express response
+ * @param {Object} options - { heartbeatMs }
+ * @returns {{ send: Function, close: Function, isClosed: Function, signal: AbortSignal }}
+ */
+const openEventStream = (res, { heartbeatMs = 15000 } = {}) => {
+  const controller = new AbortController();
+  let closed = false;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  if (res.flushHeaders) res.flushHeaders();
+
+  // Comment lines keep proxies from closing idle connections
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': ping\n\n');
+  }, heartbeatMs);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!closed) {
+      closed = true;
+      controller.abort();
+    }
+  });
+
+  const send = (event, data) => {
+    if (closed) return false;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    return true;
+  };
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    res.end();
+  };
+
+  return {
+    send,
+    close,
+    isClosed: () => closed,
+    signal: controller.signal
+  };
+};
+
+module.exports = {
+  openEventStream
+};
@@ -1,15 +1,22 @@
 // frontend/src/App.js
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { ConfigProvider, theme } from 'antd';
 import LandingPage from './components/LandingPage';
 import ExactNorthernLightsPage from './components/ExactNorthernLightsPage'
 import FileUpload from './components/FileUpload';
 import Dashboard from './components/Dashboard';
+import SharedDashboard from './components/SharedDashboard';
 import './App.css';
 
+// Share links open as /share/:token; every other path is the app itself
+const getShareToken = (pathname) => {
+  const match = pathname.match(/^\/share\/([A-Za-z0-9_-]+)\/?$/);
+  return match ? match[1] : null;
+};
 
 function App() {
   const [currentStep, setCurrentStep] = useState('landing'); // landing, upload, dashboard
+  const [shareToken, setShareToken] = useState(() => getShareToken(window.location.pathname));
   const [sessionId, setSessionId] = useState(null);
   const [fileInfo, setFileInfo] = useState(null);
   const [isDarkMode, setIsDarkMode] = useState(false);
@@ -45,6 +52,18 @@ function App() {
     setIsDarkMode(!isDarkMode);
   };
 
+  // Back and forward move between a shared view and the app
+  useEffect(() => {
+    const handlePopState = () => setShareToken(getShareToken(window.location.pathname));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const handleExitShare = () => {
+    window.history.pushState(null, '', '/');
+    setShareToken(null);
+  };
+
   return (
     <ConfigProvider
       theme={{
@@ -56,7 +75,16 @@ function App() {
       }}
     >
       <div className={`app ${isDarkMode ? 'dark' : 'light'}`}>
-        {currentStep === 'landing' && (
+        {shareToken && (
+          <SharedDashboard
+            token={shareToken}
+            onExit={handleExitShare}
+            onToggleTheme={toggleTheme}
+            isDarkMode={isDarkMode}
+          />
+        )}
+
+        {!shareToken && currentStep === 'landing' && (
           <>
           <LandingPage 
             onGetStarted={handleGetStarted}
@@ -71,7 +99,7 @@ function App() {
           </>
         )}
         
-        {currentStep === 'upload' && (
+        {!shareToken && currentStep === 'upload' && (
           <FileUpload 
             onFileUploaded={handleFileUploaded}
             onBack={handleBackToLanding}
@@ -80,7 +108,7 @@ function App() {
           />
         )}
         
-        {currentStep === 'dashboard' && sessionId && (
+        {!shareToken && currentStep === 'dashboard' && sessionId && (
           <Dashboard 
               sessionId={sessionId}
               fileInfo={fileInfo}
@@ -1,4 +1,4 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import {
   BarChart,
   Bar,
@@ -16,7 +16,13 @@ import {
   Legend,
   ResponsiveContainer,
   ScatterChart,
-  Scatter
+  Scatter,
+  ComposedChart,
+  Treemap,
+  FunnelChart,
+  Funnel,
+  LabelList,
+  ReferenceArea
 } from 'recharts';
 
 import { 
@@ -38,18 +44,79 @@ import {
   WarningOutlined,
   ClearOutlined,
   FullscreenOutlined,
-  FullscreenExitOutlined
+  FullscreenExitOutlined,
+  NodeExpandOutlined,
+  ArrowUpOutlined,
+  TableOutlined
 } from '@ant-design/icons';
 
 
-import { Empty, Button, Modal, Dropdown, message, Popover, Spin, Alert, Typography } from 'antd';
+import { Empty, Button, Modal, Dropdown, message, Popover, Spin, Alert, Typography, Select, Tag, Breadcrumb } from 'antd';
 import html2canvas from 'html2canvas';
-import { getChartInsights } from '../services/api';
+import { getChartInsights, getChartData, exportChartData } from '../services/api';
+import { downloadData } from '../utils/helpers';
+import ChartFindings from './ChartFindings';
+import RecordsDrawer from './RecordsDrawer';
+import { getChartSelection, periodToDateRange, describeFilterCondition } from '../utils/filters';
+import {
+  getChartHierarchies,
+  getChartLevel,
+  drillDown,
+  drillUp,
+  getDrillBreadcrumbs,
+  describeLevel
+} from '../utils/hierarchies';
 
 
 const { Title, Text } = Typography;
 
-const ChartContainer = ({ chart, sessionId, activeFilters, dataLimit, isDarkMode, height = 300, updating = false }) => {
+// Date grain and transform controls for time-series charts
+const timeSeriesTypes = ['line', 'area', 'multi-line'];
+const grainOptions = [
+  { value: 'day', label: 'Day' },
+  { value: 'week', label: 'Week' },
+  { value: 'month', label: 'Month' },
+  { value: 'quarter', label: 'Quarter' },
+  { value: 'year', label: 'Year' }
+];
+const transformOptions = [
+  { value: 'none', label: 'Actual' },
+  { value: 'rolling', label: '3-period avg' },
+  { value: 'cumulative', label: 'Cumulative' },
+  { value: 'mom', label: '% vs prior period' },
+  { value: 'yoy', label: '% vs prior year' }
+];
+
+// How long series are thinned when they exceed the chart's point budget
+const downsamplingOptions = [
+  { key: 'lttb', label: 'Largest-Triangle-Three-Buckets' },
+  { key: 'minmax', label: 'Min/max per bucket' },
+  { key: 'stride', label: 'Every Nth point' }
+];
+const downsamplingBadges = { lttb: 'LTTB', minmax: 'min/max', stride: 'stride' };
+
+// Cross-filtering: click an element, or drag across a time/scatter chart to select a range
+const clickSelectTypes = ['bar', 'stacked-bar', 'grouped-bar', 'stacked-bar-100', 'pie', 'funnel', 'combo'];
+const brushSelectTypes = ['line', 'area', 'multi-line', 'scatter'];
+// Formats a chart's aggregated series can be downloaded in
+const dataExportFormats = ['csv', 'xlsx', 'parquet'];
+const dataExportLabels = { csv: 'CSV', xlsx: 'XLSX', parquet: 'Parquet' };
+
+// Charts whose points are values of their first dimension, so the rows behind a point can be listed
+const recordTypes = [...clickSelectTypes, 'line', 'area', 'multi-line'];
+
+const ChartContainer = ({
+  chart,
+  sessionId,
+  activeFilters,
+  timeFilter = null,
+  dataLimit,
+  isDarkMode,
+  height = 300,
+  updating = false,
+  onSelectionChange = null,
+  hierarchies = []
+}) => {
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [exporting, setExporting] = useState(false);
   const chartRef = useRef(null);
@@ -59,6 +126,49 @@ const ChartContainer = ({ chart, sessionId, activeFilters, dataLimit, isDarkMode
   const [insightsError, setInsightsError] = useState(null);
   const [hasLoaded, setHasLoaded] = useState(false);
 
+  // Grain/transform picked in the chart overrides what the dashboard generated
+  const [viewOptions, setViewOptions] = useState(null);
+  const [reshapedChart, setReshapedChart] = useState(null);
+  const [reshaping, setReshaping] = useState(false);
+
+  // Range being dragged across the chart ({ from, to } x-axis values) before it becomes a selection
+  const [brush, setBrush] = useState(null);
+
+  // What clicking a point does: 'filter' (cross-filter), 'drill' (drill down) or 'records' (list its rows)
+  const [clickAction, setClickAction] = useState('filter');
+
+  // Drill-down: where the chart is drilled to, and which hierarchy to use when several cover the chart
+  const [drill, setDrill] = useState(null);
+  const [hierarchyId, setHierarchyId] = useState(null);
+
+  // Drill-through: { chart, point } whose rows are listed, point null for the whole chart
+  const [records, setRecords] = useState(null);
+
+  useEffect(() => {
+    if ((!viewOptions && !drill) || !sessionId || !chart) {
+      setReshapedChart(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setReshaping(true);
+
+    getChartData(sessionId, { ...chart, ...viewOptions, ...(drill && { drill }) }, activeFilters || {}, dataLimit, timeFilter)
+      .then(result => {
+        if (!cancelled) setReshapedChart(result.chart);
+      })
+      .catch(error => {
+        if (!cancelled) message.error(`Failed to update chart: ${error.message}`);
+      })
+      .finally(() => {
+        if (!cancelled) setReshaping(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [chart, viewOptions, drill, sessionId, activeFilters, dataLimit, timeFilter]);
+
   if (!chart || !chart.data || chart.data.length === 0) {
     return (
       <div style={{ height, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
@@ -71,7 +181,202 @@ const ChartContainer = ({ chart, sessionId, activeFilters, dataLimit, isDarkMode
     );
   }
 
-  const { type, data, config } = chart;
+  const displayChart = reshapedChart || chart;
+  const { type, data, config } = displayChart;
+  // Regrouping is computed from the session, so charts shown without one (shared links) keep their grain
+  const showTimeControls = Boolean(sessionId && displayChart.grain) && timeSeriesTypes.includes(type.toLowerCase());
+
+  // Period-over-period transforms plot percentages
+  const valueTickFormatter = ['mom', 'yoy'].includes(displayChart.transform)
+    ? (value) => `${Math.round(value)}%`
+    : undefined;
+
+  const updateViewOption = (key, value) => {
+    setViewOptions(previous => ({
+      grain: displayChart.grain,
+      transform: displayChart.transform || 'none',
+      ...previous,
+      [key]: value
+    }));
+  };
+
+  const downsampled = displayChart.downsampled;
+
+  // Cross-filter selection made in this chart (kept in activeFilters with source = chart id)
+  const chartType = type.toLowerCase();
+  const selectionColumn = displayChart.dimensions?.[0];
+  const xKey = config?.xAxisKey || config?.nameKey || selectionColumn;
+  const selection = getChartSelection(activeFilters, chart.id);
+  const canClickSelect = Boolean(onSelectionChange && selectionColumn) && clickSelectTypes.includes(chartType);
+  const canBrushSelect = Boolean(onSelectionChange && selectionColumn) && brushSelectTypes.includes(chartType);
+  const labelIndex = (label) => data.findIndex(entry => String(entry[xKey]) === String(label));
+
+  const isElementSelected = (entry) => {
+    if (!selection) return true;
+    const label = String(entry[xKey]);
+
+    if (selection.labels) {
+      const index = labelIndex(label);
+      return index >= labelIndex(selection.labels[0]) && index <= labelIndex(selection.labels[1]);
+    }
+    if (selection.operator === 'in') {
+      return selection.values.includes(label);
+    }
+    return Number(label) >= selection.min && Number(label) <= selection.max;
+  };
+
+  const selectedOpacity = (entry) => (isElementSelected(entry) ? 1 : 0.3);
+
+  // Drill-down through a hierarchy that covers the chart's x axis (at the grain picked here, if any)
+  const baseChart = viewOptions?.grain ? { ...chart, grain: viewOptions.grain } : chart;
+  const chartHierarchies = [...clickSelectTypes, ...brushSelectTypes].includes(chartType)
+    ? getChartHierarchies(hierarchies, baseChart)
+    : [];
+  const hierarchy = chartHierarchies.find(h => h.id === (drill?.hierarchyId || hierarchyId)) || chartHierarchies[0] || null;
+  const baseLevel = hierarchy ? getChartLevel(hierarchy, baseChart) : -1;
+  const drillLevel = drill ? drill.level : baseLevel;
+  const canDrillDown = Boolean(hierarchy) && drillLevel < hierarchy.levels.length - 1;
+  const canDrillUp = Boolean(hierarchy) && (drill?.path?.length > 0 || drillLevel > 0);
+  const isDrilling = clickAction === 'drill' && canDrillDown;
+  // The level's grain replaces the grain picker while drilled through dates
+  const drillsGrain = Boolean(drill && hierarchy?.levels[drillLevel]?.grain);
+
+  const changeDrill = (next) => {
+    setDrill(next.level === baseLevel && next.path.length === 0 ? null : next);
+    setBrush(null);
+  };
+
+  const handleDrillDown = (label) => {
+    if (label === undefined || label === null || !canDrillDown) return;
+    changeDrill(drillDown(hierarchy, drill, drillLevel, label));
+  };
+
+  const handleDrillUp = () => {
+    if (canDrillUp) changeDrill(drillUp(hierarchy, drill, drillLevel));
+  };
+
+  const canViewRecords = Boolean(sessionId && selectionColumn) && recordTypes.includes(chartType);
+  const isViewingRecords = clickAction === 'records' && canViewRecords;
+
+  // "Others" stands for every value not shown on its own
+  const handleViewRecords = (label) => {
+    if (label === undefined || label === null) return;
+    const value = String(label);
+    const otherValues = value === 'Others'
+      ? data.map(entry => String(entry[xKey])).filter(other => other !== 'Others')
+      : undefined;
+    setRecords({ chart: displayChart, point: { value, ...(otherValues && { otherValues }) } });
+  };
+
+  const toggleClickAction = (action) => {
+    setClickAction(previous => (previous === action ? 'filter' : action));
+    setBrush(null);
+  };
+
+  // Clicking a point drills down or lists its rows instead of cross-filtering
+  let pointAction = null;
+  if (isDrilling) {
+    pointAction = handleDrillDown;
+  } else if (isViewingRecords) {
+    pointAction = handleViewRecords;
+  }
+
+  // Time-series x values are period labels - select the dates they cover
+  const selectPeriods = (fromLabel, toLabel) => {
+    const { min } = periodToDateRange(fromLabel, displayChart.grain);
+    const { max } = periodToDateRange(toLabel, displayChart.grain);
+    return { column: selectionColumn, operator: 'between', min, max, labels: [String(fromLabel), String(toLabel)] };
+  };
+
+  const handleElementClick = (label) => {
+    if (pointAction) {
+      pointAction(label);
+      return;
+    }
+    if (label === undefined || label === null) return;
+    const value = String(label);
+
+    if (displayChart.grain) {
+      const isSame = selection?.labels?.[0] === value && selection?.labels?.[1] === value;
+      onSelectionChange(chart, isSame ? null : selectPeriods(value, value));
+      return;
+    }
+
+    // Clicking toggles the value in the selection
+    const values = selection?.operator === 'in' ? selection.values : [];
+    const nextValues = values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+    onSelectionChange(chart, nextValues.length > 0 ? { column: selectionColumn, operator: 'in', values: nextValues } : null);
+  };
+
+  const handleRangeSelect = (from, to) => {
+    if (String(from) === String(to)) {
+      handleElementClick(from);
+      return;
+    }
+
+    if (displayChart.grain) {
+      const [first, last] = labelIndex(from) <= labelIndex(to) ? [from, to] : [to, from];
+      onSelectionChange(chart, selectPeriods(first, last));
+    } else if (chartType === 'scatter') {
+      onSelectionChange(chart, {
+        column: selectionColumn,
+        operator: 'between',
+        min: Math.min(Number(from), Number(to)),
+        max: Math.max(Number(from), Number(to))
+      });
+    } else {
+      const [start, end] = [labelIndex(from), labelIndex(to)].sort((a, b) => a - b);
+      const values = data.slice(start, end + 1).map(entry => String(entry[xKey]));
+      onSelectionChange(chart, { column: selectionColumn, operator: 'in', values });
+    }
+  };
+
+  const labelOf = (item) => (item?.payload ?? item)?.[xKey];
+  const brushValueOf = (state) => state?.activeLabel ?? data[Number(state?.activeTooltipIndex)]?.[xKey];
+
+  const brushHandlers = canBrushSelect ? {
+    onMouseDown: (state) => {
+      const value = brushValueOf(state);
+      if (value !== undefined) setBrush({ from: value, to: value });
+    },
+    onMouseMove: (state) => {
+      const value = brushValueOf(state);
+      if (brush && value !== undefined && value !== brush.to) setBrush({ ...brush, to: value });
+    },
+    onMouseUp: () => {
+      if (brush) handleRangeSelect(brush.from, brush.to);
+      setBrush(null);
+    },
+    onMouseLeave: () => setBrush(null),
+    style: { cursor: 'crosshair', userSelect: 'none' }
+  } : {};
+
+  // While drilling or listing rows, clicking a point acts on its x value instead of starting a range
+  const chartHandlers = pointAction && brushSelectTypes.includes(chartType)
+    ? { onClick: (state) => pointAction(brushValueOf(state)), style: { cursor: isDrilling ? 'zoom-in' : 'pointer' } }
+    : brushHandlers;
+
+  const clickProps = (onClick) => (canClickSelect || pointAction ? { onClick, cursor: isDrilling ? 'zoom-in' : 'pointer' } : {});
+
+  // Shaded x range: the range being dragged, or the current selection
+  const renderSelectionArea = () => {
+    if (brush) {
+      return <ReferenceArea x1={brush.from} x2={brush.to} fill="#1890ff" fillOpacity={0.15} />;
+    }
+    if (!selection || !canBrushSelect) return null;
+
+    let bounds;
+    if (selection.labels) {
+      bounds = selection.labels;
+    } else if (selection.operator === 'in') {
+      const indexes = selection.values.map(labelIndex).filter(index => index >= 0).sort((a, b) => a - b);
+      bounds = indexes.length > 0 ? [data[indexes[0]][xKey], data[indexes[indexes.length - 1]][xKey]] : null;
+    } else {
+      bounds = [selection.min, selection.max];
+    }
+
+    return bounds ? <ReferenceArea x1={bounds[0]} x2={bounds[1]} fill="#fa8c16" fillOpacity={0.12} /> : null;
+  };
   
   // Color palette for charts
   const colors = ['#1890ff', '#52c41a', '#fa8c16', '#f5222d', '#722ed1', '#eb2f96', '#13c2c2', '#a0d911'];
@@ -91,18 +396,13 @@ const ChartContainer = ({ chart, sessionId, activeFilters, dataLimit, isDarkMode
       setInsightsLoading(true);
       setInsightsError(null);
       
+      // The chart as drawn, including its aggregation and drill level
       const result = await getChartInsights(
         sessionId,
-        {
-          id: chart.id,
-          title: chart.title,
-          type: chart.type,
-          measures: chart.measures,
-          dimensions: chart.dimensions,
-          data: chart.data
-        },
+        displayChart,
         activeFilters || {},
-        dataLimit
+        dataLimit,
+        timeFilter
       );
       
       setChartInsights(result.insights);
@@ -170,6 +470,27 @@ const ChartContainer = ({ chart, sessionId, activeFilters, dataLimit, isDarkMode
     }
   };
 
+  // The chart's aggregated series as drawn (grain, transform, drill), in full rather than downsampled
+  const exportData = async (format) => {
+    try {
+      setExporting(true);
+
+      const blob = await exportChartData(sessionId, [displayChart], {
+        format,
+        filters: activeFilters || {},
+        timeFilter,
+        dataLimit
+      });
+      downloadData(blob, `${chart.title?.replace(/[^a-zA-Z0-9]+/g, '_') || 'chart'}_data.${format}`);
+
+      message.success(`Chart data exported as ${format.toUpperCase()}`);
+    } catch (error) {
+      message.error(`Failed to export chart data: ${error.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const exportMenuItems = [
     {
       key: 'png',
@@ -180,9 +501,39 @@ const ChartContainer = ({ chart, sessionId, activeFilters, dataLimit, isDarkMode
       key: 'jpeg',
       label: 'Export as JPG',
       onClick: () => exportChart('jpeg')
-    }
+    },
+    ...(sessionId ? [
+      { type: 'divider' },
+      ...dataExportFormats.map(format => ({
+        key: format,
+        label: `Data as ${dataExportLabels[format]}`,
+        onClick: () => exportData(format)
+      }))
+    ] : [])
   ];
 
+  // Range-valued charts (box plot, waterfall) show their summary instead of the raw [low, high] pair
+  const getTooltipLines = (entry) => {
+    const point = entry.payload || {};
+
+    if (point.median !== undefined && Array.isArray(point.range)) {
+      return [
+        { name: 'Max', value: point.max },
+        { name: 'Q3', value: point.q3 },
+        { name: 'Median', value: point.median },
+        { name: 'Q1', value: point.q1 },
+        { name: 'Min', value: point.min },
+        { name: 'Outliers', value: point.outliers }
+      ].map(line => ({ ...line, color: entry.color }));
+    }
+
+    if (config?.valueKey) {
+      return [{ name: formatSeriesName(config.valueKey), value: point[config.valueKey], color: entry.color }];
+    }
+
+    return [{ name: entry.name, value: entry.value, color: entry.color }];
+  };
+
   // Custom tooltip
   const CustomTooltip = ({ active, payload, label }) => {
     if (active && payload && payload.length) {
@@ -201,13 +552,15 @@ const ChartContainer = ({ chart, sessionId, activeFilters, dataLimit, isDarkMode
           }}>
             {label}
           </p>
-          {payload.map((entry, index) => (
+          {payload.flatMap(getTooltipLines).map((line, index) => (
             <p key={index} style={{ 
-              color: entry.color, 
+              color: line.color, 
               margin: '4px 0',
               fontSize: '14px'
             }}>
-              {`${entry.name}: ${typeof entry.value === 'number' ? entry.value.toLocaleString() : entry.value}`}
+              {`${line.name}: ${typeof line.value === 'number'
+                ? (valueTickFormatter ? `${line.value.toFixed(1)}%` : line.value.toLocaleString())
+                : line.value}`}
             </p>
           ))}
         </div>
@@ -231,8 +584,326 @@ const ChartContainer = ({ chart, sessionId, activeFilters, dataLimit, isDarkMode
   animationEasing: 'ease-in-out'
   };
 
+  const formatSeriesName = (key) => (config?.seriesDimension
+    ? key
+    : key.replace(/[_-]/g, ' ').replace(/\b\w/g, l => l.toUpperCase()));
+
+  // Stacked, grouped and multi-line charts draw one series per measure or per second-dimension value
+  const series = config?.series || chart.measures || [];
+
+  const formatMeasureName = (name) => (name || '').replace(/[_-]/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+
+  // Box with whiskers drawn inside the [min, max] range bar
+  const BoxPlotShape = ({ x, y, width, height, payload, fill }) => {
+    const { min, max, q1, median, q3 } = payload;
+    const span = max - min;
+    const toY = (value) => (span === 0 ? y + height / 2 : y + (height * (max - value)) / span);
+    const center = x + width / 2;
+    const boxWidth = Math.max(8, width * 0.6);
+    const capWidth = boxWidth / 2;
+
+    return (
+      <g>
+        <line x1={center} x2={center} y1={toY(max)} y2={toY(min)} stroke={fill} />
+        <line x1={center - capWidth / 2} x2={center + capWidth / 2} y1={toY(max)} y2={toY(max)} stroke={fill} />
+        <line x1={center - capWidth / 2} x2={center + capWidth / 2} y1={toY(min)} y2={toY(min)} stroke={fill} />
+        <rect
+          x={center - boxWidth / 2}
+          y={toY(q3)}
+          width={boxWidth}
+          height={Math.max(1, toY(q1) - toY(q3))}
+          fill={fill}
+          fillOpacity={0.35}
+          stroke={fill}
+        />
+        <line x1={center - boxWidth / 2} x2={center + boxWidth / 2} y1={toY(median)} y2={toY(median)} stroke={fill} strokeWidth={2} />
+      </g>
+    );
+  };
+
+  // Heatmaps are a CSS grid - recharts has no native heatmap
+  const renderHeatmap = () => {
+    const { xAxisKey, yAxisKey, dataKey, xCategories = [], yCategories = [], min = 0, max = 0 } = config || {};
+    const cells = new Map(data.map(cell => [`${cell[xAxisKey]}\u0000${cell[yAxisKey]}`, cell[dataKey]]));
+    const intensity = (value) => (max === min ? 1 : (value - min) / (max - min));
+
+    return (
+      <div style={{ width: '100%', height: '100%', overflow: 'auto' }}>
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: `minmax(60px, auto) repeat(${xCategories.length}, minmax(40px, 1fr))`,
+          gap: '2px',
+          fontSize: isFullscreen ? 13 : 11,
+          color: axisColor
+        }}>
+          <div />
+          {xCategories.map(category => (
+            <div key={`x-${category}`} style={{ textAlign: 'center', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+              {category}
+            </div>
+          ))}
+          {yCategories.map(row => (
+            <React.Fragment key={`y-${row}`}>
+              <div style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', paddingRight: '4px' }}>
+                {row}
+              </div>
+              {xCategories.map(column => {
+                const value = cells.get(`${column}\u0000${row}`);
+                return (
+                  <div
+                    key={`${column}-${row}`}
+                    title={`${column} • ${row}: ${value === undefined ? 'no data' : value.toLocaleString()}`}
+                    style={{
+                      minHeight: isFullscreen ? 36 : 24,
+                      borderRadius: '2px',
+                      background: value === undefined
+                        ? gridColor
+                        : `rgba(24, 144, 255, ${0.15 + 0.85 * intensity(value)})`
+                    }}
+                  />
+                );
+              })}
+            </React.Fragment>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
   const renderChart = () => {
     switch (type.toLowerCase()) {
+      case 'heatmap':
+        return renderHeatmap();
+
+      case 'treemap':
+        return (
+          <Treemap
+            data={data}
+            dataKey={config?.dataKey || 'value'}
+            nameKey={config?.nameKey || 'name'}
+            colorPanel={colors}
+            stroke={isDarkMode ? '#1f1f1f' : '#fff'}
+            isAnimationActive={!exporting}
+          >
+            <Tooltip content={<CustomTooltip />} />
+          </Treemap>
+        );
+
+      case 'histogram':
+        return (
+          <BarChart {...commonProps} barCategoryGap={1}>
+            <CartesianGrid strokeDasharray="3 3" stroke={gridColor} />
+            <XAxis 
+              dataKey="bin" 
+              tick={{ fill: axisColor, fontSize: isFullscreen ? 14 : 11 }}
+              angle={data.length > 8 ? -45 : 0}
+              textAnchor={data.length > 8 ? 'end' : 'middle'}
+              height={data.length > 8 ? 80 : 40}
+            />
+            <YAxis tick={{ fill: axisColor, fontSize: isFullscreen ? 14 : 12 }} allowDecimals={false} />
+            <Tooltip content={<CustomTooltip />} />
+            <Bar 
+              dataKey="count" 
+              fill={colors[0]}
+              name={`${formatMeasureName(config?.measure)} (count)`}
+              {...animationConfig}
+            />
+          </BarChart>
+        );
+
+      case 'box-plot':
+        return (
+          <BarChart {...commonProps}>
+            <CartesianGrid strokeDasharray="3 3" stroke={gridColor} />
+            <XAxis 
+              dataKey={config?.xAxisKey} 
+              tick={{ fill: axisColor, fontSize: isFullscreen ? 14 : 12 }}
+            />
+            <YAxis tick={{ fill: axisColor, fontSize: isFullscreen ? 14 : 12 }} />
+            <Tooltip content={<CustomTooltip />} />
+            <Bar 
+              dataKey="range" 
+              fill={colors[0]}
+              name={formatMeasureName(config?.measure)}
+              shape={<BoxPlotShape />}
+              isAnimationActive={false}
+            />
+          </BarChart>
+        );
+
+      case 'funnel':
+        return (
+          <FunnelChart {...commonProps}>
+            <Tooltip content={<CustomTooltip />} />
+            <Funnel
+              data={data}
+              dataKey={config?.dataKey}
+              nameKey={config?.nameKey}
+              {...animationConfig}
+              {...clickProps((item) => handleElementClick(labelOf(item)))}
+            >
+              {data.map((entry, index) => (
+                <Cell key={`stage-${index}`} fill={colors[index % colors.length]} fillOpacity={selectedOpacity(entry)} />
+              ))}
+              <LabelList
+                position="right"
+                dataKey={config?.nameKey}
+                fill={axisColor}
+                stroke="none"
+                fontSize={isFullscreen ? 14 : 12}
+              />
+              <LabelList
+                position="center"
+                dataKey="conversionRate"
+                formatter={(value) => `${Math.round(value)}%`}
+                fill="#fff"
+                stroke="none"
+                fontSize={isFullscreen ? 13 : 11}
+              />
+            </Funnel>
+          </FunnelChart>
+        );
+
+      case 'waterfall':
+        return (
+          <BarChart {...commonProps}>
+            <CartesianGrid strokeDasharray="3 3" stroke={gridColor} />
+            <XAxis 
+              dataKey={config?.xAxisKey} 
+              tick={{ fill: axisColor, fontSize: isFullscreen ? 14 : 12 }}
+              angle={data.length > 5 ? -45 : 0}
+              textAnchor={data.length > 5 ? 'end' : 'middle'}
+              height={data.length > 5 ? 80 : 40}
+            />
+            <YAxis tick={{ fill: axisColor, fontSize: isFullscreen ? 14 : 12 }} />
+            <Tooltip content={<CustomTooltip />} />
+            <Bar dataKey="range" name={formatMeasureName(config?.valueKey)} {...animationConfig}>
+              {data.map((entry, index) => (
+                <Cell
+                  key={`step-${index}`}
+                  fill={entry.isTotal ? colors[0] : entry[config?.valueKey] >= 0 ? colors[1] : colors[3]}
+                />
+              ))}
+            </Bar>
+          </BarChart>
+        );
+
+      case 'combo':
+        return (
+          <ComposedChart {...commonProps}>
+            <CartesianGrid strokeDasharray="3 3" stroke={gridColor} />
+            <XAxis 
+              dataKey={config?.xAxisKey} 
+              tick={{ fill: axisColor, fontSize: isFullscreen ? 14 : 12 }}
+            />
+            <YAxis yAxisId="left" tick={{ fill: axisColor, fontSize: isFullscreen ? 14 : 12 }} />
+            <YAxis 
+              yAxisId="right" 
+              orientation="right" 
+              tick={{ fill: axisColor, fontSize: isFullscreen ? 14 : 12 }}
+              domain={config?.lineIsShare ? [0, 100] : ['auto', 'auto']}
+              tickFormatter={config?.lineIsShare ? (value) => `${value}%` : undefined}
+            />
+            <Tooltip content={<CustomTooltip />} />
+            <Legend />
+            <Bar 
+              yAxisId="left" 
+              dataKey={config?.barKey} 
+              fill={colors[0]} 
+              name={formatMeasureName(config?.barKey)}
+              radius={[4, 4, 0, 0]}
+              {...animationConfig}
+              {...clickProps((item) => handleElementClick(labelOf(item)))}
+            >
+              {selection && data.map((entry, entryIndex) => (
+                <Cell key={`cell-${entryIndex}`} fill={colors[0]} fillOpacity={selectedOpacity(entry)} />
+              ))}
+            </Bar>
+            <Line 
+              yAxisId="right" 
+              type="monotone" 
+              dataKey={config?.lineKey} 
+              stroke={colors[2]} 
+              strokeWidth={isFullscreen ? 3 : 2}
+              name={config?.lineIsShare ? 'Cumulative %' : formatMeasureName(config?.lineKey)}
+              {...animationConfig}
+            />
+          </ComposedChart>
+        );
+
+      case 'stacked-bar':
+      case 'grouped-bar':
+      case 'stacked-bar-100':
+        return (
+          <BarChart {...commonProps} stackOffset={config?.percent ? 'expand' : undefined}>
+            <CartesianGrid strokeDasharray="3 3" stroke={gridColor} />
+            <XAxis 
+              dataKey={config?.xAxisKey} 
+              tick={{ fill: axisColor, fontSize: isFullscreen ? 14 : 12 }}
+              angle={data.length > 5 ? -45 : 0}
+              textAnchor={data.length > 5 ? 'end' : 'middle'}
+              height={data.length > 5 ? (isFullscreen ? 100 : 80) : (isFullscreen ? 80 : 60)}
+            />
+            <YAxis 
+              tick={{ fill: axisColor, fontSize: isFullscreen ? 14 : 12 }}
+              tickFormatter={config?.percent ? (value) => `${Math.round(value * 100)}%` : undefined}
+            />
+            <Tooltip content={<CustomTooltip />} />
+            <Legend />
+            {series.map((key, index) => (
+              <Bar 
+                key={key}
+                dataKey={key} 
+                stackId={config?.stacked ? 'stack' : undefined}
+                fill={colors[index % colors.length]}
+                name={formatSeriesName(key)}
+                radius={config?.stacked ? 0 : [4, 4, 0, 0]}
+                {...animationConfig}
+                {...clickProps((item) => handleElementClick(labelOf(item)))}
+                style={{
+                  filter: updating ? 'opacity(0.7)' : 'opacity(1)',
+                  transition: 'all 0.3s ease'
+                }}
+              >
+                {selection && data.map((entry, entryIndex) => (
+                  <Cell key={`cell-${entryIndex}`} fill={colors[index % colors.length]} fillOpacity={selectedOpacity(entry)} />
+                ))}
+              </Bar>
+            ))}
+          </BarChart>
+        );
+
+      case 'multi-line':
+        return (
+          <LineChart {...commonProps} {...chartHandlers}>
+            <CartesianGrid strokeDasharray="3 3" stroke={gridColor} />
+            {renderSelectionArea()}
+            <XAxis 
+              dataKey={config?.xAxisKey} 
+              tick={{ fill: axisColor, fontSize: isFullscreen ? 14 : 12 }}
+            />
+            <YAxis tick={{ fill: axisColor, fontSize: isFullscreen ? 14 : 12 }} tickFormatter={valueTickFormatter} />
+            <Tooltip content={<CustomTooltip />} />
+            <Legend />
+            {series.map((key, index) => (
+              <Line 
+                key={key}
+                type="monotone"
+                dataKey={key} 
+                stroke={colors[index % colors.length]}
+                strokeWidth={isFullscreen ? 3 : 2}
+                dot={{ r: isFullscreen ? 4 : 2 }}
+                name={formatSeriesName(key)}
+                {...animationConfig}
+                style={{
+                  filter: updating ? 'opacity(0.7)' : 'opacity(1)',
+                  transition: 'all 0.3s ease'
+                }}
+              />
+            ))}
+          </LineChart>
+        );
+
       case 'bar':
         return (
           <BarChart {...commonProps}>
@@ -255,24 +926,30 @@ const ChartContainer = ({ chart, sessionId, activeFilters, dataLimit, isDarkMode
                 name={measure.replace(/[_-]/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}
                 radius={[4, 4, 0, 0]}
                 {...animationConfig}
+                {...clickProps((item) => handleElementClick(labelOf(item)))}
                 style={{
                   filter: updating ? 'opacity(0.7)' : 'opacity(1)',
                   transition: 'all 0.3s ease'
                 }}
-              />
+              >
+                {selection && data.map((entry, entryIndex) => (
+                  <Cell key={`cell-${entryIndex}`} fill={colors[index % colors.length]} fillOpacity={selectedOpacity(entry)} />
+                ))}
+              </Bar>
             ))}
           </BarChart>
         );
 
       case 'line':
         return (
-          <LineChart {...commonProps}>
+          <LineChart {...commonProps} {...chartHandlers}>
             <CartesianGrid strokeDasharray="3 3" stroke={gridColor} />
+            {renderSelectionArea()}
             <XAxis 
               dataKey={config?.xAxisKey} 
               tick={{ fill: axisColor, fontSize: isFullscreen ? 14 : 12 }}
             />
-            <YAxis tick={{ fill: axisColor, fontSize: isFullscreen ? 14 : 12 }} />
+            <YAxis tick={{ fill: axisColor, fontSize: isFullscreen ? 14 : 12 }} tickFormatter={valueTickFormatter} />
             <Tooltip content={<CustomTooltip />} />
             <Legend />
             {chart.measures?.map((measure, index) => (
@@ -304,13 +981,14 @@ const ChartContainer = ({ chart, sessionId, activeFilters, dataLimit, isDarkMode
 
       case 'area':
         return (
-          <AreaChart {...commonProps}>
+          <AreaChart {...commonProps} {...chartHandlers}>
             <CartesianGrid strokeDasharray="3 3" stroke={gridColor} />
+            {renderSelectionArea()}
             <XAxis 
               dataKey={config?.xAxisKey} 
               tick={{ fill: axisColor, fontSize: isFullscreen ? 14 : 12 }}
             />
-            <YAxis tick={{ fill: axisColor, fontSize: isFullscreen ? 14 : 12 }} />
+            <YAxis tick={{ fill: axisColor, fontSize: isFullscreen ? 14 : 12 }} tickFormatter={valueTickFormatter} />
             <Tooltip content={<CustomTooltip />} />
             <Legend />
             {chart.measures?.map((measure, index) => (
@@ -376,6 +1054,7 @@ const ChartContainer = ({ chart, sessionId, activeFilters, dataLimit, isDarkMode
               dataKey={config?.dataKey}
               nameKey={config?.nameKey}
               {...animationConfig}
+              {...clickProps((item) => handleElementClick(labelOf(item)))}
               style={{
                 filter: updating ? 'opacity(0.7)' : 'opacity(1)',
                 transition: 'all 0.3s ease'
@@ -385,6 +1064,7 @@ const ChartContainer = ({ chart, sessionId, activeFilters, dataLimit, isDarkMode
                 <Cell 
                   key={`cell-${index}`} 
                   fill={colors[index % colors.length]}
+                  fillOpacity={selectedOpacity(entry)}
                   style={{
                     filter: updating ? 'opacity(0.7)' : 'opacity(1)',
                     transition: 'all 0.3s ease'
@@ -399,8 +1079,9 @@ const ChartContainer = ({ chart, sessionId, activeFilters, dataLimit, isDarkMode
 
       case 'scatter':
         return (
-          <ScatterChart {...commonProps}>
+          <ScatterChart {...commonProps} {...chartHandlers}>
             <CartesianGrid strokeDasharray="3 3" stroke={gridColor} />
+            {renderSelectionArea()}
             <XAxis 
               dataKey={config?.xAxisKey} 
               tick={{ fill: axisColor, fontSize: isFullscreen ? 14 : 12 }}
@@ -445,10 +1126,13 @@ const ChartContainer = ({ chart, sessionId, activeFilters, dataLimit, isDarkMode
   };
 
   const handleFullscreenToggle = () => {
+    if (!isFullscreen) {
+      loadChartInsights();
+    }
     setIsFullscreen(!isFullscreen);
   };
 
-  const ChartContent = () => (
+  const renderChartContent = () => (
 <div 
 
    ref={chartRef}
@@ -469,7 +1153,161 @@ const ChartContainer = ({ chart, sessionId, activeFilters, dataLimit, isDarkMode
     <ResponsiveContainer width="100%" height="100%">
       {renderChart()}
     </ResponsiveContainer>
+
+      {/* Date grain and transform for time-series charts */}
+      {showTimeControls && !exporting && (
+        <div style={{
+          position: 'absolute',
+          top: '8px',
+          left: '16px',
+          display: 'flex',
+          gap: '6px',
+          zIndex: 10
+        }}>
+          {!drillsGrain && (
+            <Select
+              size="small"
+              value={displayChart.grain}
+              options={grainOptions}
+              onChange={(value) => updateViewOption('grain', value)}
+              disabled={reshaping}
+              style={{ width: 96 }}
+            />
+          )}
+          <Select
+            size="small"
+            value={displayChart.transform || 'none'}
+            options={transformOptions}
+            onChange={(value) => updateViewOption('transform', value)}
+            disabled={reshaping}
+            style={{ width: 140 }}
+          />
+        </div>
+      )}
+      
+      {/* Downsampled badge - pick how the series is thinned */}
+      {downsampled && !exporting && (
+        <Dropdown
+          trigger={['click']}
+          disabled={reshaping}
+          menu={{
+            items: downsamplingOptions,
+            selectable: true,
+            selectedKeys: [downsampled.method],
+            onClick: ({ key }) => updateViewOption('downsampling', key)
+          }}
+        >
+          <Tag
+            color="orange"
+            title={`Showing ${downsampled.keptPoints.toLocaleString()} of ${downsampled.originalPoints.toLocaleString()} points (${downsampled.droppedPoints.toLocaleString()} dropped)`}
+            style={{
+              position: 'absolute',
+              bottom: '8px',
+              right: '16px',
+              margin: 0,
+              cursor: 'pointer',
+              zIndex: 10
+            }}
+          >
+            Downsampled · {downsamplingBadges[downsampled.method]}
+          </Tag>
+        </Dropdown>
+      )}
       
+      {/* Point actions: list a point's rows, drill down/up with a breadcrumb */}
+      {(canViewRecords || hierarchy) && !exporting && (
+        <div style={{
+          position: 'absolute',
+          bottom: '8px',
+          left: '16px',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '6px',
+          zIndex: 10,
+          maxWidth: downsampled ? '60%' : '90%'
+        }}>
+          {canViewRecords && (
+            <Button
+              size="small"
+              type={isViewingRecords ? 'primary' : 'default'}
+              icon={<TableOutlined />}
+              onClick={() => toggleClickAction('records')}
+              title="Click an element to see the records behind it"
+            />
+          )}
+          {hierarchy && (
+            <>
+              <Button
+                size="small"
+                type={isDrilling ? 'primary' : 'default'}
+                icon={<NodeExpandOutlined />}
+                onClick={() => toggleClickAction('drill')}
+                disabled={!canDrillDown || reshaping}
+                title={canDrillDown
+                  ? `Click an element to drill down to ${describeLevel(hierarchy.levels[drillLevel + 1], formatMeasureName)}`
+                  : 'Already at the lowest level'}
+              />
+              <Button
+                size="small"
+                icon={<ArrowUpOutlined />}
+                onClick={handleDrillUp}
+                disabled={!canDrillUp || reshaping}
+                title="Drill up"
+              />
+              {chartHierarchies.length > 1 && !drill && (
+                <Select
+                  size="small"
+                  value={hierarchy.id}
+                  options={chartHierarchies.map(h => ({ value: h.id, label: h.name }))}
+                  onChange={setHierarchyId}
+                  popupMatchSelectWidth={false}
+                  style={{ width: 140 }}
+                />
+              )}
+              <Breadcrumb
+                style={{ fontSize: '12px', whiteSpace: 'nowrap', overflow: 'hidden' }}
+                items={getDrillBreadcrumbs(hierarchy, drill, drillLevel).map((crumb, index, crumbs) => {
+                  const label = crumb.label ?? describeLevel(hierarchy.levels[crumb.level], formatMeasureName);
+                  const isCurrent = index === crumbs.length - 1;
+                  return {
+                    key: crumb.key,
+                    title: isCurrent || reshaping ? label : (
+                      <span style={{ cursor: 'pointer', color: '#1890ff' }} onClick={() => changeDrill(crumb.drill)}>
+                        {label}
+                      </span>
+                    )
+                  };
+                })}
+              />
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Cross-filter selection made in this chart */}
+      {selection && onSelectionChange && !exporting && (
+        <Tag
+          color="orange"
+          closable
+          onClose={(e) => {
+            e.preventDefault();
+            onSelectionChange(chart, null);
+          }}
+          style={{
+            position: 'absolute',
+            top: '8px',
+            right: '16px',
+            margin: 0,
+            zIndex: 10,
+            maxWidth: '60%',
+            overflow: 'hidden',
+            textOverflow: 'ellipsis'
+          }}
+        >
+          {describeFilterCondition(selection, formatMeasureName(selection.column))}
+        </Tag>
+      )}
+
       {/* Action buttons - Only show in normal view */}
 
   {/* Hidden trigger buttons for header controls */}
@@ -494,12 +1332,35 @@ const ChartContainer = ({ chart, sessionId, activeFilters, dataLimit, isDarkMode
               }}
               style={{ display: 'none' }}
             />
+
+            {/* Hidden Data Export Buttons - one per format */}
+            {dataExportFormats.map(format => (
+              <button
+                key={format}
+                className={`chart-data-export-${format}`}
+                onClick={(e) => {
+                  e.preventDefault();
+                  exportData(format);
+                }}
+                style={{ display: 'none' }}
+              />
+            ))}
+
+            {/* Hidden Records Button - every row behind the chart */}
+            <button
+              className="chart-records-button"
+              onClick={(e) => {
+                e.preventDefault();
+                setRecords({ chart: displayChart, point: null });
+              }}
+              style={{ display: 'none' }}
+            />
           </>
         )}
 
       
       {/* Updating indicator */}
-      {updating && (
+      {(updating || reshaping) && (
         <div style={{
           position: 'absolute',
           top: '8px',
@@ -538,15 +1399,35 @@ const ChartContainer = ({ chart, sessionId, activeFilters, dataLimit, isDarkMode
     </div>
   );
 
+  const recordsDrawer = records && (
+    <RecordsDrawer
+      open
+      onClose={() => setRecords(null)}
+      sessionId={sessionId}
+      chart={records.chart}
+      point={records.point}
+      activeFilters={activeFilters}
+      timeFilter={timeFilter}
+      dataLimit={dataLimit}
+      isDarkMode={isDarkMode}
+    />
+  );
+
   // Regular chart view
   if (!isFullscreen) {
-    return <ChartContent />;
+    return (
+      <>
+        {renderChartContent()}
+        {recordsDrawer}
+      </>
+    );
   }
 
   // Fullscreen modal view
   return (
     <>
-      <ChartContent />
+      {renderChartContent()}
+      {recordsDrawer}
       <Modal
         title={
           <div style={{ 
@@ -642,6 +1523,36 @@ const ChartContainer = ({ chart, sessionId, activeFilters, dataLimit, isDarkMode
               Measures: {chart.measures?.join(', ')} | Dimensions: {chart.dimensions?.join(', ')}
             </div>
           </div>
+
+          {/* Computed findings for the chart's filtered data */}
+          <div style={{ marginTop: '12px' }}>
+            <Title level={5} style={{ margin: '0 0 8px 0', color: isDarkMode ? '#fff' : '#000', fontSize: '14px' }}>
+              Findings
+            </Title>
+            {insightsLoading && <Spin size="small" />}
+            {insightsError && (
+              <Alert
+                type="error"
+                showIcon
+                message={insightsError}
+                action={
+                  <Button size="small" onClick={loadChartInsights}>
+                    Retry
+                  </Button>
+                }
+              />
+            )}
+            {chartInsights && (
+              <>
+                {chartInsights.story && (
+                  <Text style={{ display: 'block', marginBottom: '8px', color: isDarkMode ? '#a0a0a0' : '#666' }}>
+                    {chartInsights.story}
+                  </Text>
+                )}
+                <ChartFindings findings={chartInsights.findings} isDarkMode={isDarkMode} />
+              </>
+            )}
+          </div>
         </div>
       </Modal>
     </>
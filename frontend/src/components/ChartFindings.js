@@ -0,0 +1,74 @@
+// frontend/src/components/ChartFindings.js - Structured chart insight findings
+import React from 'react';
+import { Tag, Typography } from 'antd';
+import {
+  RiseOutlined,
+  FallOutlined,
+  WarningOutlined,
+  PieChartOutlined,
+  TrophyOutlined,
+  LineChartOutlined
+} from '@ant-design/icons';
+
+const { Text } = Typography;
+
+const severityColors = {
+  positive: 'green',
+  negative: 'red',
+  warning: 'orange',
+  neutral: 'blue'
+};
+
+const typeIcons = {
+  top: <TrophyOutlined />,
+  bottom: <FallOutlined />,
+  share: <PieChartOutlined />,
+  concentration: <PieChartOutlined />,
+  change: <RiseOutlined />,
+  trend: <LineChartOutlined />,
+  outlier: <WarningOutlined />
+};
+
+/**
+ * Render findings returned by /api/chart-insights ({ type, title, text, severity })
+ */
+const ChartFindings = ({ findings = [], isDarkMode, compact = false }) => {
+  if (!findings || findings.length === 0) {
+    return (
+      <Text style={{ color: isDarkMode ? '#a0a0a0' : '#666', fontSize: '13px' }}>
+        No notable patterns found for the current filters.
+      </Text>
+    );
+  }
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: compact ? '6px' : '8px' }}>
+      {findings.map((finding, index) => {
+        const icon = finding.type === 'change' && finding.severity === 'negative'
+          ? <FallOutlined />
+          : typeIcons[finding.type];
+
+        return (
+          <div key={`${finding.type}-${index}`} style={{ display: 'flex', alignItems: 'flex-start', gap: '8px' }}>
+            <Tag
+              color={severityColors[finding.severity] || 'default'}
+              icon={icon}
+              style={{ margin: 0, flexShrink: 0, fontSize: '11px' }}
+            >
+              {finding.title}
+            </Tag>
+            <Text style={{
+              color: isDarkMode ? '#a0a0a0' : '#666',
+              fontSize: compact ? '12px' : '13px',
+              lineHeight: '1.4'
+            }}>
+              {finding.text}
+            </Text>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ChartFindings;
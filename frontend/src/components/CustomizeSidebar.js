@@ -15,7 +15,9 @@ import {
   Col,
   message,
   Collapse,
-  Badge
+  Badge,
+  Input,
+  Popconfirm
 } from 'antd';
 import { 
   ExperimentOutlined,
@@ -29,18 +31,44 @@ import {
   AreaChartOutlined,
   DotChartOutlined,
   BulbOutlined,
-  SettingOutlined
+  SettingOutlined,
+  FunctionOutlined,
+  DeleteOutlined,
+  SaveOutlined,
+  TableOutlined,
+  AppstoreOutlined,
+  BoxPlotOutlined,
+  FunnelPlotOutlined,
+  FallOutlined,
+  StockOutlined,
+  ApartmentOutlined
 } from '@ant-design/icons';
-import { getCustomChartCombinations } from '../services/api';
+import {
+  getCustomChartCombinations,
+  validateCalculatedField,
+  saveCalculatedField,
+  deleteCalculatedField,
+  saveHierarchy,
+  deleteHierarchy
+} from '../services/api';
+import { grainLabels, describeLevel } from '../utils/hierarchies';
 
 const { Title, Text } = Typography;
 const { Option } = Select;
 const { Panel } = Collapse;
+const { TextArea } = Input;
+
+const emptyField = { name: '', expression: '', format: 'number' };
+const emptyHierarchy = { id: null, name: '', levels: [] };
+
+// Hierarchy levels are picked by key: the column, or "column · grain" for a date grain
+const levelKey = (level) => (level.grain ? `${level.column} · ${level.grain}` : level.column);
 
 const CustomizeSidebar = ({ 
   sessionId, 
   schema, 
   onChartConfirm, 
+  onSchemaChange,
   isDarkMode,
   activeFilters 
 }) => {
@@ -50,6 +78,22 @@ const CustomizeSidebar = ({
   const [combinations, setCombinations] = useState([]);
   const [error, setError] = useState(null);
   const [editingCombination, setEditingCombination] = useState(null);
+  const [fieldDraft, setFieldDraft] = useState(emptyField);
+  const [fieldValidation, setFieldValidation] = useState(null);
+  const [fieldBusy, setFieldBusy] = useState(false);
+
+  const [hierarchyDraft, setHierarchyDraft] = useState(emptyHierarchy);
+  const [hierarchyError, setHierarchyError] = useState(null);
+  const [hierarchyBusy, setHierarchyBusy] = useState(false);
+
+  const calculatedFields = schema.calculatedFields || [];
+  const hierarchies = schema.hierarchies || [];
+
+  // Any dimension can be a level; date columns offer one level per grain
+  const levelOptions = schema.dimensions.flatMap(dimension => (dimension.type === 'date'
+    ? ['year', 'quarter', 'month', 'week', 'day'].map(grain => ({ column: dimension.name, grain }))
+    : [{ column: dimension.name }]
+  )).map(level => ({ value: levelKey(level), label: describeLevel(level), level }));
 
   // Chart type options with icons
   const chartTypes = [
@@ -57,7 +101,18 @@ const CustomizeSidebar = ({
     { value: 'line', label: 'Line Chart', icon: <LineChartOutlined /> },
     { value: 'pie', label: 'Pie Chart', icon: <PieChartOutlined /> },
     { value: 'area', label: 'Area Chart', icon: <AreaChartOutlined /> },
-    { value: 'scatter', label: 'Scatter Plot', icon: <DotChartOutlined /> }
+    { value: 'scatter', label: 'Scatter Plot', icon: <DotChartOutlined /> },
+    { value: 'stacked-bar', label: 'Stacked Bar', icon: <BarChartOutlined /> },
+    { value: 'grouped-bar', label: 'Grouped Bar', icon: <BarChartOutlined /> },
+    { value: 'stacked-bar-100', label: '100% Stacked Bar', icon: <BarChartOutlined /> },
+    { value: 'multi-line', label: 'Multi-Line Chart', icon: <LineChartOutlined /> },
+    { value: 'heatmap', label: 'Heatmap', icon: <TableOutlined /> },
+    { value: 'treemap', label: 'Treemap', icon: <AppstoreOutlined /> },
+    { value: 'histogram', label: 'Histogram', icon: <BarChartOutlined /> },
+    { value: 'box-plot', label: 'Box Plot', icon: <BoxPlotOutlined /> },
+    { value: 'funnel', label: 'Funnel', icon: <FunnelPlotOutlined /> },
+    { value: 'waterfall', label: 'Waterfall', icon: <FallOutlined /> },
+    { value: 'combo', label: 'Bar + Line Combo', icon: <StockOutlined /> }
   ];
 
   const getChartIcon = (type) => {
@@ -122,6 +177,95 @@ const CustomizeSidebar = ({
     }
   };
 
+  const updateFieldDraft = (changes) => {
+    setFieldDraft(prev => ({ ...prev, ...changes }));
+    setFieldValidation(null);
+  };
+
+  const isEditingField = calculatedFields.some(field => field.name === fieldDraft.name);
+
+  const handleValidateField = async () => {
+    try {
+      setFieldBusy(true);
+      const result = await validateCalculatedField(
+        sessionId,
+        fieldDraft.expression,
+        isEditingField ? fieldDraft.name : null
+      );
+      setFieldValidation(result);
+    } catch (error) {
+      setFieldValidation({ valid: false, error: error.message });
+    } finally {
+      setFieldBusy(false);
+    }
+  };
+
+  const handleSaveField = async () => {
+    try {
+      setFieldBusy(true);
+      const result = await saveCalculatedField(sessionId, fieldDraft);
+      onSchemaChange?.(result.schema);
+      setFieldDraft(emptyField);
+      setFieldValidation(null);
+      message.success(`Calculated field "${result.field.name}" saved`);
+    } catch (error) {
+      setFieldValidation({ valid: false, error: error.message });
+    } finally {
+      setFieldBusy(false);
+    }
+  };
+
+  const handleDeleteField = async (name) => {
+    try {
+      const result = await deleteCalculatedField(sessionId, name);
+      onSchemaChange?.(result.schema);
+      setSelectedMeasures(prev => prev.filter(measure => measure !== name));
+      setSelectedDimensions(prev => prev.filter(dimension => dimension !== name));
+      message.success(`Calculated field "${name}" removed`);
+    } catch (error) {
+      message.error('Failed to remove calculated field: ' + error.message);
+    }
+  };
+
+  const updateHierarchyDraft = (changes) => {
+    setHierarchyDraft(prev => ({ ...prev, ...changes }));
+    setHierarchyError(null);
+  };
+
+  const handleSaveHierarchy = async () => {
+    try {
+      setHierarchyBusy(true);
+      const levels = hierarchyDraft.levels
+        .map(key => levelOptions.find(option => option.value === key)?.level)
+        .filter(Boolean);
+      const result = await saveHierarchy(sessionId, { id: hierarchyDraft.id, name: hierarchyDraft.name, levels });
+      onSchemaChange?.(result.schema);
+      setHierarchyDraft(emptyHierarchy);
+      message.success(`Hierarchy "${result.hierarchy.name}" saved`);
+    } catch (error) {
+      setHierarchyError(error.message);
+    } finally {
+      setHierarchyBusy(false);
+    }
+  };
+
+  const handleDeleteHierarchy = async (hierarchy) => {
+    try {
+      const result = await deleteHierarchy(sessionId, hierarchy.id);
+      onSchemaChange?.(result.schema);
+      if (hierarchyDraft.id === hierarchy.id) setHierarchyDraft(emptyHierarchy);
+      message.success(`Hierarchy "${hierarchy.name}" removed`);
+    } catch (error) {
+      message.error('Failed to remove hierarchy: ' + error.message);
+    }
+  };
+
+  const formatPreviewValue = (value) => {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'number') return value.toLocaleString(undefined, { maximumFractionDigits: 4 });
+    return String(value);
+  };
+
   const handleEditCombination = (index) => {
     setEditingCombination(index);
   };
@@ -392,6 +536,11 @@ const CustomizeSidebar = ({
                             <Text style={{ color: isDarkMode ? '#fff' : '#000' }}>
                               {measure.name}
                             </Text>
+                            {measure.calculated && (
+                              <Tag color="purple" style={{ marginLeft: '6px', fontSize: '10px' }}>
+                                <FunctionOutlined /> {measure.aggregate ? 'aggregate' : 'calculated'}
+                              </Tag>
+                            )}
                             <br />
                             <Text style={{ fontSize: '11px', color: isDarkMode ? '#a0a0a0' : '#666' }}>
                               Type: {measure.type} • Values: {measure.uniqueValues}
@@ -432,6 +581,11 @@ const CustomizeSidebar = ({
                             <Text style={{ color: isDarkMode ? '#fff' : '#000' }}>
                               {dimension.name}
                             </Text>
+                            {dimension.calculated && (
+                              <Tag color="purple" style={{ marginLeft: '6px', fontSize: '10px' }}>
+                                <FunctionOutlined /> {dimension.aggregate ? 'aggregate' : 'calculated'}
+                              </Tag>
+                            )}
                             <br />
                             <Text style={{ fontSize: '11px', color: isDarkMode ? '#a0a0a0' : '#666' }}>
                               Type: {dimension.type} • Values: {dimension.uniqueValues}
@@ -457,6 +611,276 @@ const CustomizeSidebar = ({
                 </Button>
               </Space>
             </Panel>
+
+            {/* Calculated Fields */}
+            <Panel
+              header={
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                  <FunctionOutlined />
+                  <Text strong style={{ color: isDarkMode ? '#fff' : '#000' }}>
+                    Calculated Fields
+                  </Text>
+                  <Badge count={calculatedFields.length} size="small" />
+                </div>
+              }
+              key="2"
+            >
+              <Space direction="vertical" style={{ width: '100%' }} size="middle">
+                {calculatedFields.map(field => (
+                  <Card
+                    key={field.name}
+                    size="small"
+                    style={{
+                      background: isDarkMode ? '#262626' : '#f9f9f9',
+                      borderColor: isDarkMode ? '#434343' : '#d9d9d9'
+                    }}
+                  >
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '8px' }}>
+                      <div style={{ minWidth: 0 }}>
+                        <Text strong style={{ color: isDarkMode ? '#fff' : '#000' }}>
+                          {field.name}
+                        </Text>
+                        <Tag color={field.isAggregate ? 'purple' : 'blue'} style={{ marginLeft: '6px', fontSize: '10px' }}>
+                          {field.isAggregate ? 'aggregate' : field.type}
+                        </Tag>
+                        <br />
+                        <Text code style={{ fontSize: '11px', wordBreak: 'break-all' }}>
+                          {field.expression}
+                        </Text>
+                      </div>
+                      <div style={{ display: 'flex', gap: '4px', flexShrink: 0 }}>
+                        <Button
+                          type="text"
+                          size="small"
+                          icon={<EditOutlined />}
+                          onClick={() => {
+                            setFieldDraft({ name: field.name, expression: field.expression, format: field.format || 'number' });
+                            setFieldValidation(null);
+                          }}
+                          style={{ color: isDarkMode ? '#a0a0a0' : '#666' }}
+                        />
+                        <Popconfirm
+                          title={`Remove "${field.name}"?`}
+                          onConfirm={() => handleDeleteField(field.name)}
+                          okText="Remove"
+                          cancelText="Cancel"
+                        >
+                          <Button type="text" size="small" danger icon={<DeleteOutlined />} />
+                        </Popconfirm>
+                      </div>
+                    </div>
+                  </Card>
+                ))}
+
+                <Card
+                  size="small"
+                  title={
+                    <span style={{ color: isDarkMode ? '#fff' : '#000' }}>
+                      {isEditingField ? `✏️ Edit ${fieldDraft.name}` : '➕ New Field'}
+                    </span>
+                  }
+                  style={{
+                    background: isDarkMode ? '#262626' : '#f9f9f9',
+                    borderColor: isDarkMode ? '#434343' : '#d9d9d9'
+                  }}
+                >
+                  <Space direction="vertical" style={{ width: '100%' }}>
+                    <Input
+                      placeholder="Field name, e.g. approval_rate"
+                      value={fieldDraft.name}
+                      onChange={(e) => updateFieldDraft({ name: e.target.value })}
+                    />
+                    <TextArea
+                      placeholder="e.g. approved_amount / billed_amount, sum(cost) / countDistinct(member_id), if(gender = 'F', 1, 0)"
+                      value={fieldDraft.expression}
+                      onChange={(e) => updateFieldDraft({ expression: e.target.value })}
+                      autoSize={{ minRows: 2, maxRows: 5 }}
+                      style={{ fontFamily: 'monospace' }}
+                    />
+                    <Select
+                      value={fieldDraft.format}
+                      onChange={(value) => updateFieldDraft({ format: value })}
+                      style={{ width: '100%' }}
+                    >
+                      <Option value="number">Number</Option>
+                      <Option value="currency">Currency</Option>
+                      <Option value="percent">Percent</Option>
+                    </Select>
+                    <Text style={{ fontSize: '11px', color: isDarkMode ? '#a0a0a0' : '#666' }}>
+                      Functions: sum, avg, count, countDistinct, min, max, if, coalesce, round, abs, lower, upper, concat, year, month.
+                      Quote column names with spaces in `backticks`.
+                    </Text>
+
+                    {fieldValidation && (
+                      fieldValidation.valid ? (
+                        <Alert
+                          type="success"
+                          showIcon
+                          message={`Valid ${fieldValidation.isAggregate ? 'aggregate measure' : `${fieldValidation.type} field`}`}
+                          description={`Preview: ${(fieldValidation.preview || []).map(formatPreviewValue).join(', ')}`}
+                        />
+                      ) : (
+                        <Alert type="error" showIcon message={fieldValidation.error} />
+                      )
+                    )}
+
+                    <Row gutter={8}>
+                      <Col span={isEditingField ? 8 : 12}>
+                        <Button
+                          size="small"
+                          icon={<CheckOutlined />}
+                          onClick={handleValidateField}
+                          disabled={!fieldDraft.expression.trim() || fieldBusy}
+                          block
+                        >
+                          Validate
+                        </Button>
+                      </Col>
+                      <Col span={isEditingField ? 8 : 12}>
+                        <Button
+                          type="primary"
+                          size="small"
+                          icon={<SaveOutlined />}
+                          onClick={handleSaveField}
+                          loading={fieldBusy}
+                          disabled={!fieldDraft.name.trim() || !fieldDraft.expression.trim()}
+                          block
+                        >
+                          Save
+                        </Button>
+                      </Col>
+                      {isEditingField && (
+                        <Col span={8}>
+                          <Button size="small" onClick={() => updateFieldDraft(emptyField)} block>
+                            Cancel
+                          </Button>
+                        </Col>
+                      )}
+                    </Row>
+                  </Space>
+                </Card>
+              </Space>
+            </Panel>
+
+            {/* Drill-down Hierarchies */}
+            <Panel
+              header={
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                  <ApartmentOutlined />
+                  <Text strong style={{ color: isDarkMode ? '#fff' : '#000' }}>
+                    Drill-down Hierarchies
+                  </Text>
+                  <Badge count={hierarchies.length} size="small" />
+                </div>
+              }
+              key="3"
+            >
+              <Space direction="vertical" style={{ width: '100%' }} size="middle">
+                {hierarchies.map(hierarchy => (
+                  <Card
+                    key={hierarchy.id}
+                    size="small"
+                    style={{
+                      background: isDarkMode ? '#262626' : '#f9f9f9',
+                      borderColor: isDarkMode ? '#434343' : '#d9d9d9'
+                    }}
+                  >
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '8px' }}>
+                      <div style={{ minWidth: 0 }}>
+                        <Text strong style={{ color: isDarkMode ? '#fff' : '#000' }}>
+                          {hierarchy.name}
+                        </Text>
+                        <Tag color={hierarchy.source === 'suggested' ? 'green' : 'blue'} style={{ marginLeft: '6px', fontSize: '10px' }}>
+                          {hierarchy.source === 'suggested' ? 'suggested' : 'custom'}
+                        </Tag>
+                        <br />
+                        <Text style={{ fontSize: '11px', color: isDarkMode ? '#a0a0a0' : '#666' }}>
+                          {hierarchy.levels.map(level => describeLevel(level)).join(' → ')}
+                        </Text>
+                      </div>
+                      <div style={{ display: 'flex', gap: '4px', flexShrink: 0 }}>
+                        <Button
+                          type="text"
+                          size="small"
+                          icon={<EditOutlined />}
+                          onClick={() => {
+                            setHierarchyDraft({ id: hierarchy.id, name: hierarchy.name, levels: hierarchy.levels.map(levelKey) });
+                            setHierarchyError(null);
+                          }}
+                          style={{ color: isDarkMode ? '#a0a0a0' : '#666' }}
+                        />
+                        <Popconfirm
+                          title={`Remove "${hierarchy.name}"?`}
+                          onConfirm={() => handleDeleteHierarchy(hierarchy)}
+                          okText="Remove"
+                          cancelText="Cancel"
+                        >
+                          <Button type="text" size="small" danger icon={<DeleteOutlined />} />
+                        </Popconfirm>
+                      </div>
+                    </div>
+                  </Card>
+                ))}
+
+                <Card
+                  size="small"
+                  title={
+                    <span style={{ color: isDarkMode ? '#fff' : '#000' }}>
+                      {hierarchyDraft.id ? `✏️ Edit ${hierarchyDraft.name}` : '➕ New Hierarchy'}
+                    </span>
+                  }
+                  style={{
+                    background: isDarkMode ? '#262626' : '#f9f9f9',
+                    borderColor: isDarkMode ? '#434343' : '#d9d9d9'
+                  }}
+                >
+                  <Space direction="vertical" style={{ width: '100%' }}>
+                    <Input
+                      placeholder="Hierarchy name, e.g. Diagnosis"
+                      value={hierarchyDraft.name}
+                      onChange={(e) => updateHierarchyDraft({ name: e.target.value })}
+                    />
+                    <Select
+                      mode="multiple"
+                      placeholder="Levels, coarsest first"
+                      value={hierarchyDraft.levels}
+                      options={levelOptions.map(({ value, label }) => ({ value, label }))}
+                      onChange={(levels) => updateHierarchyDraft({ levels })}
+                      style={{ width: '100%' }}
+                    />
+                    <Text style={{ fontSize: '11px', color: isDarkMode ? '#a0a0a0' : '#666' }}>
+                      Pick levels in drill order, e.g. illness_group, illness, icd_code - or a date
+                      by {grainLabels.year}, {grainLabels.quarter}, {grainLabels.month}.
+                    </Text>
+
+                    {hierarchyError && <Alert type="error" showIcon message={hierarchyError} />}
+
+                    <Row gutter={8}>
+                      <Col span={hierarchyDraft.id ? 12 : 24}>
+                        <Button
+                          type="primary"
+                          size="small"
+                          icon={<SaveOutlined />}
+                          onClick={handleSaveHierarchy}
+                          loading={hierarchyBusy}
+                          disabled={!hierarchyDraft.name.trim() || hierarchyDraft.levels.length < 2}
+                          block
+                        >
+                          Save
+                        </Button>
+                      </Col>
+                      {hierarchyDraft.id && (
+                        <Col span={12}>
+                          <Button size="small" onClick={() => updateHierarchyDraft(emptyHierarchy)} block>
+                            Cancel
+                          </Button>
+                        </Col>
+                      )}
+                    </Row>
+                  </Space>
+                </Card>
+              </Space>
+            </Panel>
           </Collapse>
 
           <Divider style={{ borderColor: isDarkMode ? '#434343' : '#f0f0f0' }} />
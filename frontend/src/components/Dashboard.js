@@ -1,11 +1,9 @@
 // frontend/src/components/Dashboard.js - Enhanced for large datasets
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { 
   Layout, 
   Typography, 
   Button, 
-  Row, 
-  Col, 
   Card, 
   Space, 
   Statistic, 
@@ -17,7 +15,9 @@ import {
   message,
   Popover,
   Divider,
-  Progress
+  Progress,
+  Segmented,
+  Dropdown
 } from 'antd';
 import { 
   ArrowLeftOutlined, 
@@ -38,11 +38,26 @@ import {
   WarningOutlined,
   ClearOutlined,
   FullscreenOutlined,
-  BulbOutlined  // ✅ ADD THIS LINE
+  BulbOutlined,  // ✅ ADD THIS LINE
+  TableOutlined,
+  FolderOpenOutlined,
+  AppstoreOutlined,
+  UndoOutlined,
+  FilePdfOutlined,
+  FilePptOutlined,
+  ShareAltOutlined
 } from '@ant-design/icons';
 import ChartContainer from './ChartContainer';
+import ChartFindings from './ChartFindings';
+import KPITrend from './KPITrend';
+import TimeFilter from './TimeFilter';
 import FilterSidebar from './FilterSidebar';
+import DashboardFilterBar from './DashboardFilterBar';
 import CustomizeSidebar from './CustomizeSidebar';
+import SavedDashboards from './SavedDashboards';
+import ShareDialog from './ShareDialog';
+import DashboardGrid from './DashboardGrid';
+import ChatbotWidget from './TalkToData/ChatbotWidget';
 
 import { 
   generateDashboard, 
@@ -50,14 +65,36 @@ import {
   addCustomChart, 
   getSession,
   getChartInsights,
-  getDashboardStory
+  getFilterOptions,
+  streamDashboardStory,
+  openSavedDashboard,
+  saveSessionLayout,
+  exportDashboardReport,
+  exportFilteredData,
+  exportChartData
 } from '../services/api';
+import { downloadData } from '../utils/helpers';
+import { countFilterConditions, mergeSelection } from '../utils/filters';
+import {
+  GRID_BREAKPOINTS,
+  kpiItemId,
+  chartItemId,
+  getItemKind,
+  getItemHeight,
+  resolveLayout,
+  resetBreakpoint,
+  normalizeLayout
+} from '../utils/gridLayout';
 
 const { Header, Content } = Layout;
 const { Title, Text } = Typography;
 
+// Card header, padding and footer around a chart - the rest of its grid cell is the chart
+const CHART_CARD_CHROME = 130;
+const MIN_CHART_HEIGHT = 160;
+
 // Fixed ChartInsightsContent component to prevent multiple API calls
-const ChartInsightsContent = ({ chart, sessionId, activeFilters, dataLimit, isDarkMode }) => {
+const ChartInsightsContent = ({ chart, sessionId, activeFilters, timeFilter, dataLimit, isDarkMode }) => {
   const [chartInsights, setChartInsights] = useState(null);
   const [insightsLoading, setInsightsLoading] = useState(false);
   const [insightsError, setInsightsError] = useState(null);
@@ -72,16 +109,10 @@ const ChartInsightsContent = ({ chart, sessionId, activeFilters, dataLimit, isDa
       
       const result = await getChartInsights(
         sessionId,
-        {
-          id: chart.id,
-          title: chart.title,
-          type: chart.type,
-          measures: chart.measures,
-          dimensions: chart.dimensions,
-          data: chart.data
-        },
+        chart,
         activeFilters || {},
-        dataLimit
+        dataLimit,
+        timeFilter
       );
       
       setChartInsights(result.insights);
@@ -94,7 +125,7 @@ const ChartInsightsContent = ({ chart, sessionId, activeFilters, dataLimit, isDa
     } finally {
       setInsightsLoading(false);
     }
-  }, [sessionId, chart.id, activeFilters, dataLimit, insightsLoading, hasLoaded]);
+  }, [sessionId, chart, activeFilters, timeFilter, dataLimit, insightsLoading, hasLoaded]);
 
   // Expose trigger function for manual loading
   const triggerLoad = useCallback(() => {
@@ -191,30 +222,17 @@ const ChartInsightsContent = ({ chart, sessionId, activeFilters, dataLimit, isDa
         </div>
       )}
 
-      {/* Key Insights */}
-      {chartInsights.keyInsights && chartInsights.keyInsights.length > 0 && (
-        <div style={{ marginBottom: '16px' }}>
-          <Title level={5} style={{ 
-            margin: '0 0 8px 0', 
-            color: isDarkMode ? '#fff' : '#000',
-            fontSize: '14px'
-          }}>
-            Key Insights
-          </Title>
-          <ul style={{ 
-            margin: 0, 
-            paddingLeft: '16px',
-            color: isDarkMode ? '#a0a0a0' : '#666',
-            fontSize: '13px'
-          }}>
-            {chartInsights.keyInsights.map((insight, index) => (
-              <li key={index} style={{ marginBottom: '4px' }}>
-                {insight}
-              </li>
-            ))}
-          </ul>
-        </div>
-      )}
+      {/* Key Findings */}
+      <div style={{ marginBottom: '16px' }}>
+        <Title level={5} style={{ 
+          margin: '0 0 8px 0', 
+          color: isDarkMode ? '#fff' : '#000',
+          fontSize: '14px'
+        }}>
+          Key Findings
+        </Title>
+        <ChartFindings findings={chartInsights.findings} isDarkMode={isDarkMode} compact />
+      </div>
 
       {/* Data Analysis */}
       {chartInsights.dataAnalysis && (
@@ -298,6 +316,11 @@ const Dashboard = ({
   const [dashboardData, setDashboardData] = useState(null);
   const [sessionData, setSessionData] = useState(null);
   const [activeFilters, setActiveFilters] = useState({});
+  // Time filter and what KPIs are compared against ('previous', 'lastYear' or 'none')
+  const [activeTimeFilter, setActiveTimeFilter] = useState(null);
+  const [kpiComparison, setKpiComparison] = useState('previous');
+  // Per-KPI "higher is better" overrides, keyed by KPI name
+  const [kpiDirections, setKpiDirections] = useState({});
   const [filterDrawerVisible, setFilterDrawerVisible] = useState(false);
   const [customizeDrawerVisible, setCustomizeDrawerVisible] = useState(false);
   const [customizing, setCustomizing] = useState(false);
@@ -310,8 +333,24 @@ const Dashboard = ({
   // Add state for managing closed charts
   const [closedCharts, setClosedCharts] = useState(new Set());
 
+  // Saved dashboard open on this session ({ id, name }) and the save / open dialog
+  const [savedDashboard, setSavedDashboard] = useState(null);
+  const [savedDashboardsVisible, setSavedDashboardsVisible] = useState(false);
+  const [shareVisible, setShareVisible] = useState(false);
+  const [reportExporting, setReportExporting] = useState(false);
+  const [dataExporting, setDataExporting] = useState(false);
+
+  // Grid layout (see utils/gridLayout.js), the breakpoint it's drawn at and whether it's being edited
+  const [layout, setLayout] = useState(null);
+  const [gridBreakpoint, setGridBreakpoint] = useState(GRID_BREAKPOINTS[0]);
+  const [layoutEditing, setLayoutEditing] = useState(false);
+  const layoutChangedRef = useRef(false);
+
   const [dashboardStory, setDashboardStory] = useState(null);
   const [storyLoading, setStoryLoading] = useState(false);
+  // Narrative text received so far while the story streams in
+  const [storyStream, setStoryStream] = useState('');
+  const storyAbortRef = useRef(null);
   const [storyError, setStoryError] = useState(null);
 
   const handleChartClose = useCallback((chartId) => {
@@ -362,6 +401,8 @@ const Dashboard = ({
     try {
       const result = await getSession(sessionId);
       setSessionData(result.data);
+      setSavedDashboard(result.data.savedDashboard);
+      setLayout(normalizeLayout(result.data.layout));
       
       // Set initial data limit based on dataset size
       if (result.data.performance?.recommendedDataLimit) {
@@ -377,20 +418,60 @@ const Dashboard = ({
   const loadDashboardStory = useCallback(async () => {
     if (!sessionId || storyLoading || dashboardStory) return;
     
+    const controller = new AbortController();
+    storyAbortRef.current = controller;
+
     try {
       setStoryLoading(true);
       setStoryError(null);
+      setStoryStream('');
       
-      const result = await getDashboardStory(sessionId, activeFilters, dataLimit);
+      const result = await streamDashboardStory(
+        sessionId,
+        activeFilters,
+        dataLimit,
+        (chunk) => setStoryStream(prev => prev + chunk),
+        controller.signal,
+        activeTimeFilter
+      );
       setDashboardStory(result.story);
       
     } catch (error) {
-      console.error('Failed to load dashboard story:', error);
-      setStoryError(error.message);
+      if (controller.signal.aborted) {
+        // Only a user stop leaves the ref pointing at this request; filter changes clear it first
+        if (storyAbortRef.current === controller) {
+          setStoryError('Analysis stopped');
+        }
+      } else {
+        console.error('Failed to load dashboard story:', error);
+        setStoryError(error.message);
+      }
     } finally {
+      if (storyAbortRef.current === controller) {
+        storyAbortRef.current = null;
+      }
+      setStoryStream('');
       setStoryLoading(false);
     }
-  }, [sessionId, activeFilters, dataLimit, storyLoading, dashboardStory]);
+  }, [sessionId, activeFilters, activeTimeFilter, dataLimit, storyLoading, dashboardStory]);
+
+  const stopDashboardStory = useCallback(() => {
+    storyAbortRef.current?.abort();
+  }, []);
+
+  // The story is cached per filter state and period on the server - refetch it when they change
+  useEffect(() => {
+    const controller = storyAbortRef.current;
+    storyAbortRef.current = null;
+    controller?.abort();
+    setDashboardStory(null);
+    setStoryError(null);
+  }, [activeFilters, activeTimeFilter, dataLimit]);
+
+  // Cancel story generation when leaving the dashboard
+  useEffect(() => {
+    return () => storyAbortRef.current?.abort();
+  }, []);
 
   const loadInitialDashboard = useCallback(async () => {
     try {
@@ -415,6 +496,7 @@ const result = await generateDashboard(
       
       setDashboardData(result.dashboard);
       setActiveFilters({});
+      setActiveTimeFilter(null);
       
       if (initialDataLimit) {
         setDataLimit(initialDataLimit);
@@ -432,12 +514,18 @@ const result = await generateDashboard(
   }, [sessionId, fileInfo]);
 
   // Fixed updateDashboardWithFilters to prevent unnecessary updates
-  const updateDashboardWithFilters = useCallback(async (filters, newDataLimit = dataLimit) => {
-    // Prevent unnecessary updates if filters and limit haven't changed
+  const updateDashboardWithFilters = useCallback(async (
+    filters,
+    newDataLimit = dataLimit,
+    periodOptions = { timeFilter: activeTimeFilter, comparison: kpiComparison }
+  ) => {
+    // Prevent unnecessary updates if filters, limit and time period haven't changed
     const filtersChanged = JSON.stringify(filters) !== JSON.stringify(activeFilters);
     const limitChanged = newDataLimit !== dataLimit;
+    const periodChanged = JSON.stringify(periodOptions) !==
+      JSON.stringify({ timeFilter: activeTimeFilter, comparison: kpiComparison });
     
-    if (!filtersChanged && !limitChanged) {
+    if (!filtersChanged && !limitChanged && !periodChanged) {
       console.log('No changes detected, skipping dashboard update');
       return;
     }
@@ -454,7 +542,8 @@ const result = await generateDashboard(
   null, 
   newDataLimit, 
   true,
-  userContext  // ✅ ADD THIS PARAMETER
+  userContext,  // ✅ ADD THIS PARAMETER
+  periodOptions
 );
       
       setDashboardData(prevData => ({
@@ -467,12 +556,16 @@ const result = await generateDashboard(
       }));
       
       setActiveFilters(filters);
+      setActiveTimeFilter(periodOptions.timeFilter);
+      setKpiComparison(periodOptions.comparison);
 
-      const filterCount = Object.keys(filters).length;
-      if (filterCount > 0) {
+      const filterCount = countFilterConditions(filters);
+      if (filtersChanged && filterCount > 0) {
         message.success(`Applied ${filterCount} filter${filterCount !== 1 ? 's' : ''}`);
-      } else {
+      } else if (filtersChanged) {
         message.success('Filters cleared');
+      } else if (periodOptions.timeFilter !== activeTimeFilter) {
+        message.success(periodOptions.timeFilter ? `Showing ${periodOptions.timeFilter.label}` : 'Showing all dates');
       }
 
     } catch (error) {
@@ -480,7 +573,7 @@ const result = await generateDashboard(
     } finally {
       setChartsUpdating(false);
     }
-  }, [sessionId, dataLimit, activeFilters]);
+  }, [sessionId, dataLimit, activeFilters, activeTimeFilter, kpiComparison, userContext]);
 
   const handleDataLimitChange = useCallback(async (newDataLimit) => {
     try {
@@ -502,6 +595,19 @@ const result = await generateDashboard(
     await updateDashboardWithFilters(newFilters);
   }, [updateDashboardWithFilters]);
 
+  // Cross-filtering: a selection in one chart filters every other chart and the KPIs
+  const handleChartSelection = useCallback(async (chart, selection) => {
+    await updateDashboardWithFilters(mergeSelection(activeFilters, chart.id, selection));
+  }, [activeFilters, updateDashboardWithFilters]);
+
+  const handleTimeFilterChange = useCallback(async (timeFilter) => {
+    await updateDashboardWithFilters(activeFilters, dataLimit, { timeFilter, comparison: kpiComparison });
+  }, [activeFilters, dataLimit, kpiComparison, updateDashboardWithFilters]);
+
+  const handleComparisonChange = useCallback(async (comparison) => {
+    await updateDashboardWithFilters(activeFilters, dataLimit, { timeFilter: activeTimeFilter, comparison });
+  }, [activeFilters, dataLimit, activeTimeFilter, updateDashboardWithFilters]);
+
   // Fixed handleCustomize to not trigger dashboard updates
   const handleCustomize = useCallback(() => {
     try {
@@ -535,6 +641,93 @@ const result = await generateDashboard(
     }
   }, [sessionId, activeFilters, dataLimit]);
 
+  const handleLayoutChange = useCallback((nextLayout) => {
+    layoutChangedRef.current = true;
+    setLayout(nextLayout);
+  }, []);
+
+  // Keep the arrangement with the session, once the user has stopped moving things around
+  useEffect(() => {
+    if (!layoutChangedRef.current || !sessionId) return undefined;
+
+    const timer = setTimeout(() => {
+      layoutChangedRef.current = false;
+      saveSessionLayout(sessionId, layout).catch(error => {
+        console.error('Failed to save layout:', error);
+      });
+    }, 800);
+
+    return () => clearTimeout(timer);
+  }, [sessionId, layout]);
+
+  // Filter and display state stored with a saved dashboard
+  const getSavedDashboardState = useCallback(() => ({
+    filters: activeFilters,
+    timeFilter: activeTimeFilter,
+    dataLimit,
+    comparison: kpiComparison,
+    closedCharts: [...closedCharts],
+    kpiDirections,
+    layout
+  }), [activeFilters, activeTimeFilter, dataLimit, kpiComparison, closedCharts, kpiDirections, layout]);
+
+  const handleSavedDashboardChange = useCallback((dashboard) => {
+    setSavedDashboard(dashboard ? { id: dashboard.id, name: dashboard.name } : null);
+  }, []);
+
+  // Opening a saved dashboard replaces the charts, KPIs and calculated fields on the session,
+  // then the dashboard is regenerated with its saved filters and display options
+  const handleOpenSavedDashboard = useCallback(async (id) => {
+    try {
+      setChartsUpdating(true);
+      setSavedDashboardsVisible(false);
+
+      const { dashboard, schema } = await openSavedDashboard(id, sessionId);
+      const { display } = dashboard;
+      const periodOptions = { timeFilter: dashboard.timeFilter, comparison: display.comparison };
+
+      const result = await generateDashboard(
+        sessionId,
+        dashboard.filters,
+        null,
+        null,
+        display.dataLimit,
+        true,
+        userContext,
+        periodOptions
+      );
+
+      setSessionData(prev => ({ ...prev, schema }));
+      setDashboardData(result.dashboard);
+      setActiveFilters(dashboard.filters);
+      setActiveTimeFilter(periodOptions.timeFilter);
+      setKpiComparison(periodOptions.comparison);
+      setDataLimit(display.dataLimit);
+      setClosedCharts(new Set(display.closedCharts));
+      setKpiDirections(display.kpiDirections);
+      setLayout(normalizeLayout(display.layout));
+      setSavedDashboard({ id: dashboard.id, name: dashboard.name });
+
+      message.success(`Opened "${dashboard.name}"`);
+    } catch (error) {
+      message.error('Failed to open dashboard: ' + error.message);
+    } finally {
+      setChartsUpdating(false);
+    }
+  }, [sessionId, userContext]);
+
+  // Calculated fields change the schema - new dimensions also need filter options
+  const handleSchemaChange = useCallback(async (schema) => {
+    setSessionData(prev => ({ ...prev, schema }));
+
+    try {
+      const result = await getFilterOptions(sessionId);
+      setDashboardData(prevData => prevData ? { ...prevData, filterOptions: result.filters } : prevData);
+    } catch (error) {
+      console.error('Failed to refresh filter options:', error);
+    }
+  }, [sessionId]);
+
   const toggleFilterDrawer = useCallback(() => {
     setFilterDrawerVisible(prev => !prev);
   }, []);
@@ -578,14 +771,117 @@ const result = await generateDashboard(
     }
   };
 
+  // Rows behind the dashboard: current filters, period and data limit
+  const exportData = async (format) => {
+    try {
+      setDataExporting(true);
+
+      const blob = await exportFilteredData(sessionId, {
+        format,
+        filters: activeFilters,
+        timeFilter: activeTimeFilter,
+        dataLimit
+      });
+      const baseName = (fileInfo?.fileName || 'data').replace(/\.[^.]+$/, '').replace(/[^a-zA-Z0-9]+/g, '_');
+      downloadData(blob, `${baseName}_filtered.${format}`);
+
+      message.success(`Filtered data exported as ${format.toUpperCase()}`);
+    } catch (error) {
+      message.error(`Failed to export data: ${error.message}`);
+    } finally {
+      setDataExporting(false);
+    }
+  };
+
+  // Every open chart's series, one sheet per chart in layout order
+  const exportAllChartData = async () => {
+    try {
+      setDataExporting(true);
+
+      const charts = gridItems
+        .map(item => visibleCharts.find(chart => chartItemId(chart) === item.id))
+        .filter(Boolean);
+      const blob = await exportChartData(sessionId, charts, {
+        format: 'xlsx',
+        filters: activeFilters,
+        timeFilter: activeTimeFilter,
+        dataLimit
+      });
+      const baseName = (fileInfo?.fileName || 'dashboard').replace(/\.[^.]+$/, '').replace(/[^a-zA-Z0-9]+/g, '_');
+      downloadData(blob, `${baseName}_charts.xlsx`);
+
+      message.success(`Exported data for ${charts.length} chart${charts.length !== 1 ? 's' : ''}`);
+    } catch (error) {
+      message.error(`Failed to export chart data: ${error.message}`);
+    } finally {
+      setDataExporting(false);
+    }
+  };
+
+  // Report of what's on screen: current filters and period, open charts in layout order
+  const exportReport = async (format) => {
+    try {
+      setReportExporting(true);
+
+      const title = savedDashboard?.name || fileInfo?.fileName || 'Dashboard';
+      const chartIds = gridItems
+        .map(item => visibleCharts.find(chart => chartItemId(chart) === item.id))
+        .filter(Boolean)
+        .map(chart => chart.id);
+
+      const blob = await exportDashboardReport(sessionId, {
+        format,
+        filters: activeFilters,
+        timeFilter: activeTimeFilter,
+        comparison: kpiComparison,
+        dataLimit,
+        chartIds,
+        title
+      });
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${title.replace(/[^a-zA-Z0-9]+/g, '_')}_report.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+
+      message.success(`Report exported as ${format.toUpperCase()}`);
+    } catch (error) {
+      message.error(`Failed to export report: ${error.message}`);
+    } finally {
+      setReportExporting(false);
+    }
+  };
+
   // Fixed dashboard story content component
   const DashboardStoryContent = () => {
     if (storyLoading) {
       return (
-        <div style={{ padding: '16px', textAlign: 'center' }}>
-          <Spin size="small" />
-          <div style={{ marginTop: '8px', color: isDarkMode ? '#a0a0a0' : '#666' }}>
-            Analyzing dashboard data...
+        <div style={{ padding: '16px', maxWidth: '500px' }}>
+          {storyStream ? (
+            <Text style={{
+              color: isDarkMode ? '#a0a0a0' : '#666',
+              fontSize: '13px',
+              lineHeight: '1.4',
+              whiteSpace: 'pre-wrap'
+            }}>
+              {storyStream}
+            </Text>
+          ) : (
+            <div style={{ textAlign: 'center' }}>
+              <Spin size="small" />
+              <div style={{ marginTop: '8px', color: isDarkMode ? '#a0a0a0' : '#666' }}>
+                Analyzing dashboard data...
+              </div>
+            </div>
+          )}
+          <div style={{ marginTop: '12px', textAlign: 'right' }}>
+            <Button size="small" onClick={stopDashboardStory}>
+              Stop
+            </Button>
           </div>
         </div>
       );
@@ -620,6 +916,32 @@ const result = await generateDashboard(
       );
     }
 
+    const storySections = [
+      { key: 'keyFindings', title: 'Key Findings' },
+      { key: 'movers', title: 'Notable Movers' },
+      { key: 'risks', title: 'Risks' },
+      { key: 'recommendations', title: 'Recommendations' }
+    ];
+
+    // Each statement cites the KPI or chart it was derived from; chart citations scroll to the chart
+    const renderCitations = (citations = []) => citations.length > 0 && (
+      <span style={{ marginLeft: '6px' }}>
+        {citations.map(citation => (
+          <Tag
+            key={citation.id}
+            color={citation.type === 'kpi' ? 'purple' : 'blue'}
+            style={{ fontSize: '10px', lineHeight: '16px', padding: '0 4px', marginRight: '4px', cursor: citation.type === 'chart' ? 'pointer' : 'default' }}
+            onClick={() => {
+              if (citation.type !== 'chart') return;
+              document.querySelector(`[data-chart-id="${citation.ref}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }}
+          >
+            {citation.type === 'kpi' ? 'KPI' : 'Chart'}: {citation.label}
+          </Tag>
+        ))}
+      </span>
+    );
+
     return (
       <div style={{ 
         maxWidth: '500px',
@@ -641,113 +963,38 @@ const result = await generateDashboard(
               fontSize: '13px',
               lineHeight: '1.4'
             }}>
-              {dashboardStory.executiveSummary}
+              {dashboardStory.executiveSummary.text}
             </Text>
+            {renderCitations(dashboardStory.executiveSummary.citations)}
           </div>
         )}
 
-        {/* Key Findings */}
-        {dashboardStory.keyFindings && dashboardStory.keyFindings.length > 0 && (
-          <div style={{ marginBottom: '16px' }}>
-            <Title level={5} style={{ 
-              margin: '0 0 8px 0', 
-              color: isDarkMode ? '#fff' : '#000',
-              fontSize: '14px'
-            }}>
-              Key Findings
-            </Title>
-            <ul style={{ 
-              margin: 0, 
-              paddingLeft: '16px',
-              color: isDarkMode ? '#a0a0a0' : '#666',
-              fontSize: '13px'
-            }}>
-              {dashboardStory.keyFindings.map((finding, index) => (
-                <li key={index} style={{ marginBottom: '4px' }}>
-                  {finding}
-                </li>
-              ))}
-            </ul>
-          </div>
-        )}
-
-        {/* Data Trends */}
-        {dashboardStory.trends && dashboardStory.trends.length > 0 && (
-          <div style={{ marginBottom: '16px' }}>
-            <Title level={5} style={{ 
-              margin: '0 0 8px 0', 
-              color: isDarkMode ? '#fff' : '#000',
-              fontSize: '14px'
-            }}>
-              Data Trends
-            </Title>
-            <ul style={{ 
-              margin: 0, 
-              paddingLeft: '16px',
-              color: isDarkMode ? '#a0a0a0' : '#666',
-              fontSize: '13px'
-            }}>
-              {dashboardStory.trends.map((trend, index) => (
-                <li key={index} style={{ marginBottom: '4px' }}>
-                  {trend}
-                </li>
-              ))}
-            </ul>
-          </div>
-        )}
-
-        {/* Recommendations */}
-        {dashboardStory.recommendations && dashboardStory.recommendations.length > 0 && (
-          <div style={{ marginBottom: '16px' }}>
-            <Title level={5} style={{ 
-              margin: '0 0 8px 0', 
-              color: isDarkMode ? '#fff' : '#000',
-              fontSize: '14px'
-            }}>
-              Recommendations
-            </Title>
-            <ul style={{ 
-              margin: 0, 
-              paddingLeft: '16px',
-              color: isDarkMode ? '#a0a0a0' : '#666',
-              fontSize: '13px'
-            }}>
-              {dashboardStory.recommendations.map((rec, index) => (
-                <li key={index} style={{ marginBottom: '4px' }}>
-                  {rec}
-                </li>
-              ))}
-            </ul>
-          </div>
-        )}
-
-        {/* Performance Metrics */}
-        {dashboardStory.performanceMetrics && (
-          <div style={{ marginBottom: '16px' }}>
-            <Title level={5} style={{ 
-              margin: '0 0 8px 0', 
-              color: isDarkMode ? '#fff' : '#000',
-              fontSize: '14px'
-            }}>
-              Performance Metrics
-            </Title>
-            {Object.entries(dashboardStory.performanceMetrics).map(([key, value]) => (
-              <div key={key} style={{ 
-                display: 'flex', 
-                justifyContent: 'space-between',
-                marginBottom: '4px',
-                fontSize: '12px'
+        {storySections.map(({ key, title }) => (
+          dashboardStory[key] && dashboardStory[key].length > 0 && (
+            <div key={key} style={{ marginBottom: '16px' }}>
+              <Title level={5} style={{ 
+                margin: '0 0 8px 0', 
+                color: isDarkMode ? '#fff' : '#000',
+                fontSize: '14px'
               }}>
-                <Text style={{ color: isDarkMode ? '#a0a0a0' : '#666' }}>
-                  {key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}:
-                </Text>
-                <Text style={{ color: isDarkMode ? '#fff' : '#000', fontWeight: 'bold' }}>
-                  {typeof value === 'number' ? value.toLocaleString() : value}
-                </Text>
-              </div>
-            ))}
-          </div>
-        )}
+                {title}
+              </Title>
+              <ul style={{ 
+                margin: 0, 
+                paddingLeft: '16px',
+                color: isDarkMode ? '#a0a0a0' : '#666',
+                fontSize: '13px'
+              }}>
+                {dashboardStory[key].map((statement, index) => (
+                  <li key={index} style={{ marginBottom: '4px' }}>
+                    {statement.text}
+                    {renderCitations(statement.citations)}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )
+        ))}
 
         {/* Dashboard Metadata */}
         <div style={{
@@ -758,8 +1005,11 @@ const result = await generateDashboard(
           color: isDarkMode ? '#666' : '#999'
         }}>
           Analysis generated on {new Date().toLocaleString()}
-          {activeFilters && Object.keys(activeFilters).length > 0 && (
-            <span> • {Object.keys(activeFilters).length} filter(s) applied</span>
+          {dashboardStory.context && (
+            <span> • Based on {dashboardStory.context.filteredRecords.toLocaleString()} of {dashboardStory.context.totalRecords.toLocaleString()} records</span>
+          )}
+          {countFilterConditions(activeFilters) > 0 && (
+            <span> • {countFilterConditions(activeFilters)} filter(s) applied</span>
           )}
           {dataLimit && <span> • Limited to {dataLimit.toLocaleString()} records</span>}
         </div>
@@ -815,11 +1065,67 @@ const result = await generateDashboard(
         title: 'Minimum Calculation',
         description: 'Finds the lowest value',
         formula: 'MIN(values)',
+      },
+      countDistinct: {
+        icon: <DatabaseOutlined style={{ color: '#13c2c2' }} />,
+        title: 'Distinct Count',
+        description: 'Counts the number of unique values',
+        formula: 'COUNT(DISTINCT values)',
+      },
+      median: {
+        icon: <CalculatorOutlined style={{ color: '#eb2f96' }} />,
+        title: 'Median Calculation',
+        description: 'Finds the middle value, unaffected by outliers',
+        formula: 'P50(values)',
+      },
+      stddev: {
+        icon: <CalculatorOutlined style={{ color: '#faad14' }} />,
+        title: 'Standard Deviation',
+        description: 'Measures how spread out the values are',
+        formula: '√(Σ(value - mean)² / COUNT(values))',
+      },
+      variance: {
+        icon: <CalculatorOutlined style={{ color: '#faad14' }} />,
+        title: 'Variance',
+        description: 'Average squared distance from the mean',
+        formula: 'Σ(value - mean)² / COUNT(values)',
+      },
+      weightedAvg: {
+        icon: <CalculatorOutlined style={{ color: '#2f54eb' }} />,
+        title: 'Weighted Average',
+        description: `Average weighted by ${kpi.weightColumn || 'another column'}`,
+        formula: 'Σ(value × weight) / Σ(weight)',
+      },
+      first: {
+        icon: <FunctionOutlined style={{ color: '#52c41a' }} />,
+        title: 'First Value',
+        description: `Value of the earliest record${kpi.dateColumn ? ` by ${kpi.dateColumn}` : ''}`,
+        formula: 'FIRST(values)',
+      },
+      last: {
+        icon: <FunctionOutlined style={{ color: '#52c41a' }} />,
+        title: 'Latest Value',
+        description: `Value of the most recent record${kpi.dateColumn ? ` by ${kpi.dateColumn}` : ''}`,
+        formula: 'LAST(values)',
+      },
+      expression: {
+        icon: <FunctionOutlined style={{ color: '#722ed1' }} />,
+        title: 'Calculated Field',
+        description: 'Computed from a custom formula',
+        formula: kpi.expression,
       }
     };
 
-    const calc = calculationTypes[kpi.calculation] || calculationTypes.sum;
-    const activeFilterCount = Object.keys(activeFilters).length;
+    const percentile = /^p(\d+)$/.exec(kpi.calculation || '');
+    const calc = percentile
+      ? {
+        icon: <CalculatorOutlined style={{ color: '#eb2f96' }} />,
+        title: `${percentile[1]}th Percentile`,
+        description: `${percentile[1]}% of values are at or below this value`,
+        formula: `P${percentile[1]}(values)`,
+      }
+      : calculationTypes[kpi.calculation] || calculationTypes.sum;
+    const activeFilterCount = countFilterConditions(activeFilters);
 
     return (
       <div style={{ 
@@ -910,10 +1216,20 @@ const result = await generateDashboard(
     );
   };
 
+  // Grid items: KPI cards first, then charts, arranged by the layout for the grid's breakpoint
+  const gridItems = useMemo(() => {
+    const ids = [...(dashboardData?.kpis || []).map(kpiItemId), ...visibleCharts.map(chartItemId)];
+    return resolveLayout(layout, ids, gridBreakpoint);
+  }, [dashboardData?.kpis, visibleCharts, layout, gridBreakpoint]);
+
+  // Chart heights alone, so moving or pinning a chart doesn't re-render every chart
+  const chartRowsKey = JSON.stringify(gridItems.filter(item => getItemKind(item.id) === 'chart').map(item => [item.id, item.h]));
+
   // Memoized charts to prevent unnecessary re-renders
   const memoizedCharts = useMemo(() => {
-    return visibleCharts.map((chart, index) => (
-      <Col xs={24} lg={12} key={`${chart.id}-${index}`}>
+    const chartRows = new Map(JSON.parse(chartRowsKey));
+
+    return new Map(visibleCharts.map(chart => [chartItemId(chart), (
         <Card 
           title={
             <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
@@ -951,6 +1267,7 @@ const result = await generateDashboard(
                     chart={chart}
                     sessionId={sessionId}
                     activeFilters={activeFilters}
+                    timeFilter={activeTimeFilter}
                     dataLimit={dataLimit}
                     isDarkMode={isDarkMode}
                   />
@@ -995,18 +1312,47 @@ const result = await generateDashboard(
                 }}
               />
               
-              {/* Export Button */}
+              {/* Export Menu - image or the chart's data */}
+              <Dropdown
+                trigger={['click']}
+                menu={{
+                  items: [
+                    { key: 'export-button', label: 'Image (PNG)' },
+                    { type: 'divider' },
+                    { key: 'data-export-csv', label: 'Data as CSV' },
+                    { key: 'data-export-xlsx', label: 'Data as XLSX' },
+                    { key: 'data-export-parquet', label: 'Data as Parquet' }
+                  ],
+                  onClick: ({ key }) => {
+                    const chartElement = document.querySelector(`[data-chart-id="${chart.id}"]`);
+                    if (chartElement) {
+                      const exportButton = chartElement.querySelector(`.chart-${key}`);
+                      if (exportButton) exportButton.click();
+                    }
+                  }
+                }}
+              >
+                <Button 
+                  type="text" 
+                  icon={<DownloadOutlined />}
+                  size="small"
+                  style={{ color: isDarkMode ? '#a0a0a0' : '#666' }}
+                  title="Export chart"
+                />
+              </Dropdown>
+              
+              {/* Records Button */}
               <Button 
                 type="text" 
-                icon={<DownloadOutlined />}
+                icon={<TableOutlined />}
                 size="small"
                 style={{ color: isDarkMode ? '#a0a0a0' : '#666' }}
-                title="Export chart"
+                title="View underlying records"
                 onClick={() => {
                   const chartElement = document.querySelector(`[data-chart-id="${chart.id}"]`);
                   if (chartElement) {
-                    const exportButton = chartElement.querySelector('.chart-export-button');
-                    if (exportButton) exportButton.click();
+                    const recordsButton = chartElement.querySelector('.chart-records-button');
+                    if (recordsButton) recordsButton.click();
                   }
                 }}
               />
@@ -1030,6 +1376,9 @@ const result = await generateDashboard(
             </Space>
           }
           style={{ 
+            height: '100%',
+            display: 'flex',
+            flexDirection: 'column',
             background: isDarkMode ? '#1f1f1f' : '#fff',
             borderColor: isDarkMode ? '#434343' : '#f0f0f0',
             transition: 'all 0.3s ease',
@@ -1043,7 +1392,7 @@ const result = await generateDashboard(
             background: isDarkMode ? '#262626' : '#fafafa',
             borderBottomColor: isDarkMode ? '#434343' : '#f0f0f0'
           }}
-          bodyStyle={{ padding: '16px', position: 'relative' }}
+          bodyStyle={{ padding: '16px', position: 'relative', flex: 1, overflow: 'hidden' }}
           hoverable
         >
           {chartsUpdating && (
@@ -1068,10 +1417,13 @@ const result = await generateDashboard(
             chart={chart}
             sessionId={sessionId}
             activeFilters={activeFilters}
+            timeFilter={activeTimeFilter}
             dataLimit={dataLimit}
             isDarkMode={isDarkMode}
-            height={300}
+            height={Math.max(MIN_CHART_HEIGHT, getItemHeight(chartRows.get(chartItemId(chart))) - CHART_CARD_CHROME)}
             updating={chartsUpdating}
+            onSelectionChange={handleChartSelection}
+            hierarchies={sessionData?.schema?.hierarchies}
           />
           
           {/* Chart performance info */}
@@ -1094,9 +1446,104 @@ const result = await generateDashboard(
             </div>
           )}
         </Card>
-      </Col>
-    ));
-  }, [visibleCharts, isDarkMode, chartsUpdating, sessionId, activeFilters, dataLimit, updateDashboardWithFilters, handleChartClose]);
+    )]));
+  }, [visibleCharts, chartRowsKey, isDarkMode, chartsUpdating, sessionId, activeFilters, activeTimeFilter, dataLimit, updateDashboardWithFilters, handleChartClose, handleChartSelection, sessionData?.schema?.hierarchies]);
+
+  const renderKpiCard = (kpi) => (
+    <Card 
+      size="small"
+      style={{ 
+        height: '100%',
+        background: isDarkMode ? '#1f1f1f' : '#fff',
+        borderColor: isDarkMode ? '#434343' : '#f0f0f0',
+        transition: 'all 0.3s ease',
+        position: 'relative',
+        overflow: 'hidden'
+      }}
+      hoverable
+    >
+      {chartsUpdating && (
+        <div style={{
+          position: 'absolute',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(24, 144, 255, 0.1)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          zIndex: 1
+        }}>
+          <Spin size="small" />
+        </div>
+      )}
+
+      <Statistic
+        title={
+          <div style={{ 
+            display: 'flex', 
+            alignItems: 'center', 
+            justifyContent: 'space-between' 
+          }}>
+            <span style={{ color: isDarkMode ? '#a0a0a0' : '#666' }}>
+              {kpi.name}
+            </span>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+              {kpi.isLimited && (
+                <Tag color="orange" size="small" style={{ fontSize: '10px' }}>
+                  Limited
+                </Tag>
+              )}
+              <Popover
+                content={getKPITooltipContent(kpi)}
+                title={
+                  <span style={{ color: isDarkMode ? '#fff' : '#000' }}>
+                    <InfoCircleOutlined style={{ marginRight: '8px' }} />
+                    KPI Details
+                  </span>
+                }
+                trigger="hover"
+                placement="topRight"
+                overlayStyle={{ maxWidth: '350px' }}
+              >
+                <InfoCircleOutlined 
+                  style={{ 
+                    color: isDarkMode ? '#a0a0a0' : '#999',
+                    fontSize: '14px',
+                    cursor: 'help'
+                  }}
+                />
+              </Popover>
+            </div>
+          </div>
+        }
+        value={kpi.formattedValue}
+        valueStyle={{ 
+          color: isDarkMode ? '#fff' : '#000',
+          fontSize: '24px',
+          fontWeight: 'bold'
+        }}
+      />
+
+      <KPITrend
+        kpi={kpi}
+        higherIsBetter={kpiDirections[kpi.name]}
+        onHigherIsBetterChange={(checked) => setKpiDirections(prev => ({ ...prev, [kpi.name]: checked }))}
+        isDarkMode={isDarkMode}
+      />
+
+      {kpi.dataPoints && (
+        <div style={{ 
+          fontSize: '11px', 
+          color: isDarkMode ? '#a0a0a0' : '#999',
+          marginTop: '4px'
+        }}>
+          Based on {kpi.dataPoints.toLocaleString()} records
+        </div>
+      )}
+    </Card>
+  );
 
   // Show initial loading screen
   if (initialLoading) {
@@ -1163,7 +1610,7 @@ const result = await generateDashboard(
     );
   }
 
-  const activeFilterCount = Object.keys(activeFilters).length;
+  const activeFilterCount = countFilterConditions(activeFilters);
 
   return (
     <Layout style={{ minHeight: '100vh', background: isDarkMode ? '#141414' : '#f0f2f5' }}>
@@ -1292,11 +1739,73 @@ const result = await generateDashboard(
           </Popover>
 
           <Button 
-            icon={<DownloadOutlined />}
-            onClick={exportDashboard}
+            icon={<FolderOpenOutlined />}
+            onClick={() => setSavedDashboardsVisible(true)}
+            type={savedDashboard ? 'primary' : 'default'}
+            ghost={!!savedDashboard}
+          >
+            {savedDashboard ? savedDashboard.name : 'Save / Open'}
+          </Button>
+
+          <Button 
+            icon={<ShareAltOutlined />}
+            onClick={() => setShareVisible(true)}
           >
-            Export
+            Share
           </Button>
+
+          <Dropdown
+            menu={{
+              items: [
+                { key: 'json', label: 'Dashboard (JSON)' },
+                { type: 'divider' },
+                {
+                  type: 'group',
+                  label: 'Filtered data',
+                  children: [
+                    { key: 'data:csv', label: 'CSV' },
+                    { key: 'data:xlsx', label: 'XLSX' },
+                    { key: 'data:parquet', label: 'Parquet' }
+                  ]
+                },
+                { type: 'divider' },
+                { key: 'charts:xlsx', label: 'All chart data (XLSX)', disabled: visibleCharts.length === 0 }
+              ],
+              onClick: ({ key }) => {
+                if (key === 'json') return exportDashboard();
+                const [kind, format] = key.split(':');
+                return kind === 'data' ? exportData(format) : exportAllChartData();
+              }
+            }}
+            trigger={['click']}
+            disabled={dataExporting}
+          >
+            <Button 
+              icon={<DownloadOutlined />}
+              loading={dataExporting}
+            >
+              Export
+            </Button>
+          </Dropdown>
+
+          <Dropdown
+            menu={{
+              items: [
+                { key: 'pdf', icon: <FilePdfOutlined />, label: 'PDF document' },
+                { key: 'pptx', icon: <FilePptOutlined />, label: 'PowerPoint slides' }
+              ],
+              onClick: ({ key }) => exportReport(key)
+            }}
+            trigger={['click']}
+            disabled={reportExporting || !dashboardData}
+          >
+            <Button 
+              icon={<FilePdfOutlined />}
+              loading={reportExporting}
+            >
+              Export report
+            </Button>
+          </Dropdown>
           
           <Button 
             icon={<FileAddOutlined />}
@@ -1394,106 +1903,54 @@ const result = await generateDashboard(
           />
         )}
 
-        {/* KPI Cards with Performance Info */}
-        {dashboardData?.kpis && dashboardData.kpis.length > 0 && (
-          <Row gutter={[16, 16]} style={{ marginBottom: '24px' }}>
-            {dashboardData.kpis.map((kpi, index) => (
-              <Col xs={24} sm={12} lg={6} key={index}>
-                <Card 
-                  size="small"
-                  style={{ 
-                    background: isDarkMode ? '#1f1f1f' : '#fff',
-                    borderColor: isDarkMode ? '#434343' : '#f0f0f0',
-                    transition: 'all 0.3s ease',
-                    position: 'relative',
-                    overflow: 'hidden'
-                  }}
-                  hoverable
-                >
-                  {chartsUpdating && (
-                    <div style={{
-                      position: 'absolute',
-                      top: 0,
-                      left: 0,
-                      right: 0,
-                      bottom: 0,
-                      background: 'rgba(24, 144, 255, 0.1)',
-                      display: 'flex',
-                      alignItems: 'center',
-                      justifyContent: 'center',
-                      zIndex: 1
-                    }}>
-                      <Spin size="small" />
-                    </div>
-                  )}
-                  
-                  <Statistic
-                    title={
-                      <div style={{ 
-                        display: 'flex', 
-                        alignItems: 'center', 
-                        justifyContent: 'space-between' 
-                      }}>
-                        <span style={{ color: isDarkMode ? '#a0a0a0' : '#666' }}>
-                          {kpi.name}
-                        </span>
-                        <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
-                          {kpi.isLimited && (
-                            <Tag color="orange" size="small" style={{ fontSize: '10px' }}>
-                              Limited
-                            </Tag>
-                          )}
-                          <Popover
-                            content={getKPITooltipContent(kpi)}
-                            title={
-                              <span style={{ color: isDarkMode ? '#fff' : '#000' }}>
-                                <InfoCircleOutlined style={{ marginRight: '8px' }} />
-                                KPI Details
-                              </span>
-                            }
-                            trigger="hover"
-                            placement="topRight"
-                            overlayStyle={{ maxWidth: '350px' }}
-                          >
-                            <InfoCircleOutlined 
-                              style={{ 
-                                color: isDarkMode ? '#a0a0a0' : '#999',
-                                fontSize: '14px',
-                                cursor: 'help'
-                              }}
-                            />
-                          </Popover>
-                        </div>
-                      </div>
-                    }
-                    value={kpi.formattedValue}
-                    valueStyle={{ 
-                      color: isDarkMode ? '#fff' : '#000',
-                      fontSize: '24px',
-                      fontWeight: 'bold'
-                    }}
-                  />
-                  
-                  {kpi.dataPoints && (
-                    <div style={{ 
-                      fontSize: '11px', 
-                      color: isDarkMode ? '#a0a0a0' : '#999',
-                      marginTop: '4px'
-                    }}>
-                      Based on {kpi.dataPoints.toLocaleString()} records
-                    </div>
-                  )}
-                </Card>
-              </Col>
-            ))}
-          </Row>
+        {/* Quick filters and the active filter conditions */}
+        {dashboardData?.filterOptions && Object.keys(dashboardData.filterOptions).length > 0 && (
+          <DashboardFilterBar
+            filterOptions={dashboardData.filterOptions}
+            activeFilters={activeFilters}
+            dataLimit={dataLimit}
+            onFilterChange={handleFilterChange}
+            onDataLimitChange={handleDataLimitChange}
+            performanceInfo={performanceInfo}
+            isDarkMode={isDarkMode}
+            loading={chartsUpdating}
+          />
         )}
 
-        {/* Charts Grid */}
-        {visibleCharts && visibleCharts.length > 0 && (
+        {/* Time filter and KPI comparison period */}
+        {dashboardData?.timeFilters?.hasTimeData && (
+          <>
+            <TimeFilter
+              timeFilters={dashboardData.timeFilters}
+              activeTimeFilter={activeTimeFilter}
+              onTimeFilterChange={handleTimeFilterChange}
+              isDarkMode={isDarkMode}
+              loading={chartsUpdating}
+            />
+            <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
+              <Text style={{ fontSize: '12px', color: isDarkMode ? '#a0a0a0' : '#666' }}>
+                Compare KPIs with:
+              </Text>
+              <Segmented
+                size="small"
+                value={kpiComparison}
+                onChange={handleComparisonChange}
+                disabled={chartsUpdating || !activeTimeFilter}
+                options={[
+                  { label: 'Previous period', value: 'previous' },
+                  { label: 'Same period last year', value: 'lastYear' },
+                  { label: 'Off', value: 'none' }
+                ]}
+              />
+            </div>
+          </>
+        )}
+
+        {/* KPI and chart grid */}
+        {gridItems.length > 0 && (
           <>
             {/* Restore button if any charts are closed */}
-            {closedCharts.size > 0 && (
+            {visibleCharts.length > 0 && closedCharts.size > 0 && (
               <div style={{ marginBottom: '16px', textAlign: 'center' }}>
                 <Alert
                   message={`${closedCharts.size} chart${closedCharts.size !== 1 ? 's' : ''} hidden`}
@@ -1509,15 +1966,50 @@ const result = await generateDashboard(
               </div>
             )}
             
-            <Row gutter={[16, 16]}>
-              {memoizedCharts}
-            </Row>
+            <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: '12px' }}>
+              <Space>
+                {layoutEditing && (
+                  <Text style={{ fontSize: '12px', color: isDarkMode ? '#a0a0a0' : '#666' }}>
+                    Drag items to reorder, resize from the corner, pin to keep on top • {gridBreakpoint.columns}-column layout
+                  </Text>
+                )}
+                {layoutEditing && layout?.breakpoints?.[gridBreakpoint.key] && (
+                  <Button size="small" icon={<UndoOutlined />} onClick={() => handleLayoutChange(resetBreakpoint(layout, gridBreakpoint))}>
+                    Reset layout
+                  </Button>
+                )}
+                <Button
+                  size="small"
+                  icon={<AppstoreOutlined />}
+                  type={layoutEditing ? 'primary' : 'default'}
+                  onClick={() => setLayoutEditing(prev => !prev)}
+                >
+                  {layoutEditing ? 'Done' : 'Edit layout'}
+                </Button>
+              </Space>
+            </div>
+
+            <DashboardGrid
+              layout={layout}
+              items={gridItems}
+              breakpoint={gridBreakpoint}
+              editing={layoutEditing}
+              renderItem={(item) => (
+                getItemKind(item.id) === 'kpi'
+                  ? renderKpiCard(dashboardData.kpis.find(kpi => kpiItemId(kpi) === item.id))
+                  : memoizedCharts.get(item.id)
+              )}
+              onLayoutChange={handleLayoutChange}
+              onBreakpointChange={setGridBreakpoint}
+              isDarkMode={isDarkMode}
+            />
           </>
         )}
 
         {/* Empty State */}
         {(!visibleCharts || visibleCharts.length === 0) && (
           <Card style={{ 
+            marginTop: gridItems.length > 0 ? '16px' : 0,
             textAlign: 'center', 
             padding: '60px 20px',
             background: isDarkMode ? '#1f1f1f' : '#fff',
@@ -1596,6 +2088,7 @@ const result = await generateDashboard(
             dataLimit={dataLimit}
             onDataLimitChange={handleDataLimitChange}
             performanceInfo={performanceInfo}
+            sessionId={sessionId}
           />
         )}
       </Drawer>
@@ -1629,6 +2122,7 @@ const result = await generateDashboard(
             sessionId={sessionId}
             schema={sessionData.schema}
             onChartConfirm={handleChartConfirm}
+            onSchemaChange={handleSchemaChange}
             isDarkMode={isDarkMode}
             activeFilters={activeFilters}
             dataLimit={dataLimit}
@@ -1636,6 +2130,30 @@ const result = await generateDashboard(
           />
         )}
       </Drawer>
+
+      <SavedDashboards
+        open={savedDashboardsVisible}
+        onClose={() => setSavedDashboardsVisible(false)}
+        sessionId={sessionId}
+        currentDashboard={savedDashboard}
+        getState={getSavedDashboardState}
+        onSaved={handleSavedDashboardChange}
+        onOpen={handleOpenSavedDashboard}
+        isDarkMode={isDarkMode}
+      />
+
+      <ShareDialog
+        open={shareVisible}
+        onClose={() => setShareVisible(false)}
+        sessionId={sessionId}
+        currentDashboard={savedDashboard}
+        defaultName={fileInfo?.fileName}
+        getState={getSavedDashboardState}
+        isDarkMode={isDarkMode}
+      />
+
+      {/* Talk to Data */}
+      {sessionId && <ChatbotWidget sessionId={sessionId} />}
     </Layout>
   );
 };
@@ -1,5 +1,5 @@
 // frontend/src/components/DashboardFilterBar.js
-import React, { useState, useCallback, useMemo } from 'react';
+import React, { useCallback, useMemo } from 'react';
 import { 
   Card, 
   Select, 
@@ -19,6 +19,13 @@ import {
   DatabaseOutlined,
   ThunderboltOutlined
 } from '@ant-design/icons';
+import {
+  getFilterConditions,
+  removeFilterCondition,
+  describeFilterCondition,
+  getColumnValues,
+  setColumnValues
+} from '../utils/filters';
 
 const { Option } = Select;
 const { Text } = Typography;
@@ -36,7 +43,8 @@ const DashboardFilterBar = ({
   isDarkMode,
   loading = false
 }) => {
-  const [localFilters, setLocalFilters] = useState(activeFilters || {});
+  // Every condition of the filter model, shown as removable chips
+  const filterConditions = useMemo(() => getFilterConditions(activeFilters), [activeFilters]);
 
   // Month options for time filtering
   const monthOptions = [
@@ -113,33 +121,35 @@ const DashboardFilterBar = ({
     onTimeFilterChange(timeFilter);
   }, [activeTimeFilter, timeFilters, onTimeFilterChange, monthOptions]);
 
-  // Handle regular filter change
+  // Handle regular filter change - edits the column's "is any of" condition, other operators are kept
   const handleFilterChange = useCallback((filterKey, values) => {
-    const newFilters = { ...localFilters };
-    
-    if (!values || values.length === 0) {
-      delete newFilters[filterKey];
-    } else {
-      newFilters[filterKey] = values;
-    }
-    
-    setLocalFilters(newFilters);
-    onFilterChange(newFilters);
-  }, [localFilters, onFilterChange]);
+    onFilterChange(setColumnValues(activeFilters, filterKey, values));
+  }, [activeFilters, onFilterChange]);
 
-  // Clear all filters
+  const handleRemoveCondition = useCallback((path) => {
+    onFilterChange(removeFilterCondition(activeFilters, path));
+  }, [activeFilters, onFilterChange]);
+
+  // Clear all filters (and the time filter when this bar shows it)
   const handleClearAll = useCallback(() => {
-    setLocalFilters({});
     onFilterChange({});
-    onTimeFilterChange(null);
-  }, [onFilterChange, onTimeFilterChange]);
+    if (timeFilters?.hasTimeData && onTimeFilterChange) {
+      onTimeFilterChange(null);
+    }
+  }, [timeFilters, onFilterChange, onTimeFilterChange]);
 
   // Calculate total active filters
   const totalActiveFilters = useMemo(() => {
-    const regularFilters = Object.keys(localFilters).length;
     const timeFilterActive = activeTimeFilter ? 1 : 0;
-    return regularFilters + timeFilterActive;
-  }, [localFilters, activeTimeFilter]);
+    return filterConditions.length + timeFilterActive;
+  }, [filterConditions, activeTimeFilter]);
+
+  // Quick multi-selects for the first few value-list columns
+  const quickFilters = useMemo(() => {
+    return Object.entries(filterOptions || {})
+      .filter(([, filterData]) => filterData.type !== 'number' && filterData.options?.length > 0)
+      .slice(0, 3);
+  }, [filterOptions]);
 
   // Get available years and months
   const availableYears = timeFilters?.availableFilters?.years || [];
@@ -246,7 +256,7 @@ const DashboardFilterBar = ({
         )}
 
         {/* Regular Filters */}
-        {filterOptions && Object.entries(filterOptions).slice(0, 3).map(([filterKey, filterData]) => (
+        {quickFilters.map(([filterKey, filterData]) => (
           <Col xs={12} sm={3} key={filterKey}>
             <div>
               <Text style={{ fontSize: '12px', color: isDarkMode ? '#a0a0a0' : '#666' }}>
@@ -254,7 +264,7 @@ const DashboardFilterBar = ({
               </Text>
               <Select
                 mode="multiple"
-                value={localFilters[filterKey] || []}
+                value={getColumnValues(activeFilters, filterKey)}
                 onChange={(values) => handleFilterChange(filterKey, values)}
                 style={{ width: '100%', marginTop: '2px' }}
                 placeholder={`All ${filterData.label.toLowerCase()}`}
@@ -327,6 +337,46 @@ const DashboardFilterBar = ({
         </Col>
       </Row>
 
+      {/* Active filter conditions */}
+      {filterConditions.length > 0 && (
+        <Row style={{ marginTop: '8px' }}>
+          <Col span={24}>
+            <Space size={[4, 4]} wrap>
+              {filterConditions.length > 1 && (
+                <Text style={{ fontSize: '11px', color: isDarkMode ? '#a0a0a0' : '#666' }}>
+                  Match {activeFilters.logic === 'or' ? 'any' : 'all'}:
+                </Text>
+              )}
+              {filterConditions.map(({ condition, path }, index) => {
+                const label = describeFilterCondition(condition, filterOptions?.[condition.column]?.label);
+                // Conditions in the same nested group (e.g. two on one column) are OR'd together
+                const previousPath = filterConditions[index - 1]?.path;
+                const joinsGroup = path.length > 1 && previousPath?.length > 1 && previousPath[0] === path[0];
+                return (
+                  <React.Fragment key={`${path.join('.')}-${label}`}>
+                    {joinsGroup && (
+                      <Text style={{ fontSize: '11px', color: isDarkMode ? '#a0a0a0' : '#666' }}>or</Text>
+                    )}
+                    <Tag
+                      color={condition.source ? 'orange' : 'geekblue'}
+                      title={condition.source ? 'Selected in a chart' : undefined}
+                      closable={!loading}
+                      onClose={(e) => {
+                        e.preventDefault();
+                        handleRemoveCondition(path);
+                      }}
+                      style={{ margin: 0 }}
+                    >
+                      {label}
+                    </Tag>
+                  </React.Fragment>
+                );
+              })}
+            </Space>
+          </Col>
+        </Row>
+      )}
+
       {/* Performance Info Row */}
       {(performanceInfo || activeTimeFilter) && (
         <Row style={{ marginTop: '8px' }}>
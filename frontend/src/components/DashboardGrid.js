@@ -0,0 +1,204 @@
+// frontend/src/components/DashboardGrid.js - Drag-and-drop, resizable grid of KPI cards and charts
+import React, { useState, useEffect, useRef } from 'react';
+import { Button, Tooltip } from 'antd';
+import { HolderOutlined, PushpinOutlined, PushpinFilled, ArrowsAltOutlined } from '@ant-design/icons';
+import {
+  GRID_GAP,
+  ROW_HEIGHT,
+  getBreakpoint,
+  getItemHeight,
+  clampItem,
+  moveItem,
+  resizeItem,
+  togglePinned
+} from '../utils/gridLayout';
+
+/**
+ * Lays out resolved items (see utils/gridLayout.js) on a CSS grid. While editing, items are
+ * reordered by dragging their handle, resized from their corner and pinned to the top;
+ * every change is reported as a new layout. Outside editing the grid is static, so clicks
+ * and brushes reach the charts.
+ * @param {Array} items - Resolved items for `breakpoint`: [{ id, w, h, pinned }]
+ * @param {Function} renderItem - (item, heightPx) => node
+ * @param {Function} onBreakpointChange - Called with the GRID_BREAKPOINTS entry for the grid's width
+ */
+const DashboardGrid = ({
+  layout,
+  items,
+  breakpoint,
+  editing = false,
+  renderItem,
+  onLayoutChange,
+  onBreakpointChange,
+  isDarkMode
+}) => {
+  const gridRef = useRef(null);
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropTargetId, setDropTargetId] = useState(null);
+  const [handleActiveId, setHandleActiveId] = useState(null);
+  // Size shown while an item is being resized: { id, w, h }
+  const [resizePreview, setResizePreview] = useState(null);
+
+  useEffect(() => {
+    const element = gridRef.current;
+    if (!element) return undefined;
+
+    const observer = new ResizeObserver(([entry]) => {
+      const next = getBreakpoint(entry.contentRect.width);
+      if (next.key !== breakpoint.key) onBreakpointChange(next);
+    });
+    observer.observe(element);
+
+    return () => observer.disconnect();
+  }, [breakpoint.key, onBreakpointChange]);
+
+  const handleDrop = (event, targetId) => {
+    event.preventDefault();
+    if (draggingId && draggingId !== targetId) {
+      onLayoutChange(moveItem(layout, breakpoint, items, draggingId, targetId));
+    }
+    setDraggingId(null);
+    setDropTargetId(null);
+  };
+
+  // Resize in whole columns and rows from the pointer's travel since the corner was grabbed
+  const startResize = (event, item) => {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const gridWidth = gridRef.current.getBoundingClientRect().width;
+    const columnStep = (gridWidth - GRID_GAP * (breakpoint.columns - 1)) / breakpoint.columns + GRID_GAP;
+    const rowStep = ROW_HEIGHT + GRID_GAP;
+    const startX = event.clientX;
+    const startY = event.clientY;
+    let latest = item;
+
+    const handleMove = (moveEvent) => {
+      latest = clampItem({
+        ...item,
+        w: item.w + (moveEvent.clientX - startX) / columnStep,
+        h: item.h + (moveEvent.clientY - startY) / rowStep
+      }, breakpoint.columns);
+      setResizePreview(latest);
+    };
+
+    const handleUp = () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      setResizePreview(null);
+      if (latest.w !== item.w || latest.h !== item.h) {
+        onLayoutChange(resizeItem(layout, breakpoint, items, item.id, { w: latest.w, h: latest.h }));
+      }
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+  };
+
+  const controlStyle = {
+    background: isDarkMode ? 'rgba(38, 38, 38, 0.9)' : 'rgba(255, 255, 255, 0.9)',
+    color: isDarkMode ? '#a0a0a0' : '#666'
+  };
+
+  return (
+    <div
+      ref={gridRef}
+      style={{
+        display: 'grid',
+        gridTemplateColumns: `repeat(${breakpoint.columns}, minmax(0, 1fr))`,
+        gridAutoRows: `${ROW_HEIGHT}px`,
+        gap: `${GRID_GAP}px`
+      }}
+    >
+      {items.map(item => {
+        const size = resizePreview?.id === item.id ? resizePreview : item;
+        const isDropTarget = editing && dropTargetId === item.id && draggingId !== item.id;
+
+        return (
+          <div
+            key={item.id}
+            draggable={editing && handleActiveId === item.id}
+            onDragStart={(event) => {
+              event.dataTransfer.effectAllowed = 'move';
+              setDraggingId(item.id);
+            }}
+            onDragEnd={() => {
+              setDraggingId(null);
+              setDropTargetId(null);
+              setHandleActiveId(null);
+            }}
+            onDragOver={editing ? (event) => {
+              event.preventDefault();
+              if (dropTargetId !== item.id) setDropTargetId(item.id);
+            } : undefined}
+            onDrop={editing ? (event) => handleDrop(event, item.id) : undefined}
+            style={{
+              gridColumn: `span ${size.w}`,
+              gridRow: `span ${size.h}`,
+              position: 'relative',
+              minWidth: 0,
+              opacity: draggingId === item.id ? 0.4 : 1,
+              outline: editing ? `1px dashed ${isDropTarget ? '#1890ff' : (isDarkMode ? '#434343' : '#d9d9d9')}` : 'none',
+              outlineOffset: '2px',
+              boxShadow: isDropTarget ? '-4px 0 0 #1890ff' : 'none',
+              borderRadius: '8px'
+            }}
+          >
+            <div style={{ height: '100%', overflow: 'hidden', pointerEvents: editing ? 'none' : 'auto' }}>
+              {renderItem(item, getItemHeight(size.h))}
+            </div>
+
+            {editing && (
+              <>
+                <div style={{ position: 'absolute', top: 6, left: 6, zIndex: 3, display: 'flex', gap: '4px' }}>
+                  <Tooltip title="Drag to move">
+                    <Button
+                      size="small"
+                      icon={<HolderOutlined />}
+                      style={{ ...controlStyle, cursor: 'grab' }}
+                      onMouseDown={() => setHandleActiveId(item.id)}
+                      onMouseUp={() => setHandleActiveId(null)}
+                    />
+                  </Tooltip>
+                  <Tooltip title={item.pinned ? 'Unpin' : 'Pin to top'}>
+                    <Button
+                      size="small"
+                      icon={item.pinned ? <PushpinFilled style={{ color: '#1890ff' }} /> : <PushpinOutlined />}
+                      style={controlStyle}
+                      onClick={() => onLayoutChange(togglePinned(layout, breakpoint, items, item.id))}
+                    />
+                  </Tooltip>
+                </div>
+
+                <Tooltip title={`${size.w} of ${breakpoint.columns} column${breakpoint.columns !== 1 ? 's' : ''} wide - drag to resize`}>
+                  <div
+                    onPointerDown={(event) => startResize(event, item)}
+                    style={{
+                      ...controlStyle,
+                      position: 'absolute',
+                      right: 4,
+                      bottom: 4,
+                      zIndex: 3,
+                      width: 22,
+                      height: 22,
+                      borderRadius: '4px',
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'center',
+                      cursor: 'nwse-resize',
+                      touchAction: 'none'
+                    }}
+                  >
+                    <ArrowsAltOutlined style={{ transform: 'rotate(90deg)' }} />
+                  </div>
+                </Tooltip>
+              </>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default DashboardGrid;
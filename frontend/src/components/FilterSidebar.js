@@ -3,6 +3,8 @@ import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { 
   Checkbox, 
   Input, 
+  InputNumber,
+  DatePicker,
   Typography, 
   Space, 
   Button, 
@@ -11,6 +13,7 @@ import {
   Empty,
   message,
   Select,
+  Segmented,
   Alert,
   Tooltip
 } from 'antd';
@@ -20,13 +23,38 @@ import {
   FilterOutlined,
   DatabaseOutlined,
   ThunderboltOutlined,
-  InfoCircleOutlined
+  InfoCircleOutlined,
+  PlusOutlined,
+  CloseOutlined
 } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import {
+  getOperatorsForType,
+  buildFilterModel,
+  toColumnFilters,
+  countFilterConditions,
+  isConditionComplete
+} from '../utils/filters';
+import FilterValueSelect from './FilterValueSelect';
 
 const { Text, Title } = Typography;
 const { Search } = Input;
 const { Panel } = Collapse;
 const { Option } = Select;
+const { RangePicker } = DatePicker;
+
+const defaultOperators = {
+  dimension: 'in',
+  number: 'between',
+  date: 'between'
+};
+
+const createCondition = (type) => {
+  const operator = defaultOperators[type] || 'in';
+  return operator === 'in' ? { operator, values: [] } : { operator };
+};
+
+const toDay = (value) => (value ? dayjs(value) : null);
 
 const FilterSidebar = ({ 
   filterOptions, 
@@ -35,10 +63,14 @@ const FilterSidebar = ({
   isDarkMode,
   dataLimit,
   onDataLimitChange,
-  performanceInfo
+  performanceInfo,
+  sessionId
 }) => {
-  const [localFilters, setLocalFilters] = useState({});
+  // Conditions per column ({ column: [condition] }) - several on one column are OR'd, columns use `logic`.
+  // Chart selections (cross-filters) aren't edited here but are kept in the model.
+  const [draft, setDraft] = useState({ logic: 'and', columnFilters: {}, selections: [] });
   const [searchTerms, setSearchTerms] = useState({});
+  const { logic, columnFilters, selections } = draft;
 
   // Data limit options
   const dataLimitOptions = [
@@ -49,48 +81,88 @@ const FilterSidebar = ({
     { label: 'All Data', value: null }
   ];
 
-  // Initialize local filters from activeFilters
+  const localModel = useMemo(
+    () => buildFilterModel(columnFilters, logic, selections),
+    [columnFilters, logic, selections]
+  );
+
+  // Initialize local conditions from activeFilters when they change outside the sidebar
+  // (conditions still being filled in are kept while the applied model matches)
   useEffect(() => {
-    setLocalFilters(activeFilters || {});
+    setDraft(prevDraft => {
+      const applied = JSON.stringify(activeFilters || {});
+      const current = JSON.stringify(buildFilterModel(prevDraft.columnFilters, prevDraft.logic, prevDraft.selections));
+      return current === applied ? prevDraft : toColumnFilters(activeFilters);
+    });
   }, [activeFilters]);
 
   // Debounced filter application
   useEffect(() => {
     const debounceTimer = setTimeout(() => {
-      const filtersChanged = JSON.stringify(localFilters) !== JSON.stringify(activeFilters);
+      const filtersChanged = JSON.stringify(localModel) !== JSON.stringify(activeFilters || {});
       
       if (filtersChanged && onFilterChange) {
-        onFilterChange(localFilters);
+        onFilterChange(localModel);
       }
     }, 300);
 
     return () => clearTimeout(debounceTimer);
-  }, [localFilters, activeFilters, onFilterChange]);
+  }, [localModel, activeFilters, onFilterChange]);
 
-  const handleFilterChange = useCallback((filterKey, values) => {
-    setLocalFilters(prevFilters => {
-      const newFilters = { ...prevFilters };
+  const updateColumnConditions = useCallback((filterKey, type, update) => {
+    setDraft(prevDraft => {
+      const conditions = update([...(prevDraft.columnFilters[filterKey] || [createCondition(type)])]);
+      const newFilters = { ...prevDraft.columnFilters };
       
-      if (values.length === 0) {
+      if (conditions.length === 0) {
         delete newFilters[filterKey];
       } else {
-        newFilters[filterKey] = values;
+        newFilters[filterKey] = conditions;
       }
       
-      return newFilters;
+      return { ...prevDraft, columnFilters: newFilters };
     });
   }, []);
 
-  const handleSelectAll = useCallback((filterKey, allValues) => {
-    handleFilterChange(filterKey, allValues);
-  }, [handleFilterChange]);
+  const handleConditionChange = useCallback((filterKey, type, index, changes) => {
+    updateColumnConditions(filterKey, type, conditions => {
+      conditions[index] = { ...conditions[index], ...changes };
+      return conditions;
+    });
+  }, [updateColumnConditions]);
+
+  const handleOperatorChange = useCallback((filterKey, type, index, operator) => {
+    updateColumnConditions(filterKey, type, conditions => {
+      // Keep picked values when switching between "is any of" and "is none of"
+      conditions[index] = ['in', 'notIn'].includes(operator)
+        ? { operator, values: conditions[index].values || [] }
+        : { operator };
+      return conditions;
+    });
+  }, [updateColumnConditions]);
+
+  const handleAddCondition = useCallback((filterKey, type) => {
+    updateColumnConditions(filterKey, type, conditions => [...conditions, createCondition(type)]);
+  }, [updateColumnConditions]);
 
-  const handleClearFilter = useCallback((filterKey) => {
-    handleFilterChange(filterKey, []);
-  }, [handleFilterChange]);
+  const handleRemoveCondition = useCallback((filterKey, type, index) => {
+    updateColumnConditions(filterKey, type, conditions => conditions.filter((_, i) => i !== index));
+  }, [updateColumnConditions]);
+
+  const handleClearFilter = useCallback((filterKey, type) => {
+    updateColumnConditions(filterKey, type, () => []);
+  }, [updateColumnConditions]);
+
+  const handleLogicChange = useCallback((value) => {
+    setDraft(prevDraft => ({ ...prevDraft, logic: value }));
+  }, []);
+
+  const getColumnConditions = useCallback((filterKey, type) => {
+    return columnFilters[filterKey] || [createCondition(type)];
+  }, [columnFilters]);
 
   const handleClearAllFilters = useCallback(() => {
-    setLocalFilters({});
+    setDraft(prevDraft => ({ ...prevDraft, columnFilters: {}, selections: [] }));
     setSearchTerms({});
     if (onFilterChange) {
       onFilterChange({});
@@ -123,11 +195,7 @@ const FilterSidebar = ({
     );
   }, [searchTerms]);
 
-  const getTotalActiveFilters = useMemo(() => {
-    return Object.values(localFilters).reduce((count, filterValues) => {
-      return count + (Array.isArray(filterValues) ? filterValues.length : 0);
-    }, 0);
-  }, [localFilters]);
+  const getTotalActiveFilters = useMemo(() => countFilterConditions(localModel), [localModel]);
 
   const memoizedFilterOptions = useMemo(() => {
     return filterOptions || {};
@@ -178,6 +246,216 @@ const FilterSidebar = ({
 
   const performanceWarning = getPerformanceWarning();
 
+  const renderValueEditor = (filterKey, filterData, condition, index) => {
+    const { label, options, type = 'dimension', highCardinality } = filterData;
+    const change = (changes) => handleConditionChange(filterKey, type, index, changes);
+    const textColor = isDarkMode ? '#a0a0a0' : '#666';
+
+    switch (condition.operator) {
+      case 'in':
+      case 'notIn': {
+        // Too many values to list - search the full dataset instead
+        if (highCardinality && sessionId) {
+          return (
+            <FilterValueSelect
+              sessionId={sessionId}
+              column={filterKey}
+              label={label}
+              value={condition.values || []}
+              onChange={(values) => change({ values })}
+              isDarkMode={isDarkMode}
+            />
+          );
+        }
+
+        const filteredOptions = getFilteredOptions(filterKey, options);
+        const selectedValues = condition.values || [];
+        const allValues = options.map(opt => opt.value).filter(val => val !== null && val !== undefined);
+
+        return (
+          <>
+            {/* Search */}
+            {options.length > 5 && (
+              <Search
+                placeholder={`Search ${label.toLowerCase()}...`}
+                size="small"
+                prefix={<SearchOutlined />}
+                onChange={(e) => handleSearch(filterKey, e.target.value)}
+                value={searchTerms[filterKey] || ''}
+                style={{ marginBottom: '8px' }}
+                allowClear
+              />
+            )}
+
+            {/* Select/Clear All with counts */}
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+              <Button 
+                type="link" 
+                size="small"
+                onClick={() => change({ values: allValues })}
+                disabled={selectedValues.length === allValues.length}
+                style={{ 
+                  padding: 0, 
+                  height: 'auto',
+                  color: selectedValues.length === allValues.length ? '#999' : '#1890ff'
+                }}
+              >
+                Select All ({allValues.length})
+              </Button>
+              
+              <Button 
+                type="link" 
+                size="small"
+                onClick={() => change({ values: [] })}
+                disabled={selectedValues.length === 0}
+                style={{ 
+                  padding: 0, 
+                  height: 'auto',
+                  color: selectedValues.length === 0 ? '#999' : '#ff4d4f'
+                }}
+              >
+                Clear ({selectedValues.length})
+              </Button>
+            </div>
+
+            {/* Options */}
+            <Checkbox.Group
+              value={selectedValues}
+              onChange={(values) => change({ values })}
+              style={{ width: '100%' }}
+            >
+              <Space direction="vertical" style={{ width: '100%' }} size="small">
+                {filteredOptions.length > 0 ? (
+                  filteredOptions.slice(0, 100).map((option) => {
+                    if (!option || option.value === null || option.value === undefined) {
+                      return null;
+                    }
+                    
+                    return (
+                      <Checkbox 
+                        key={String(option.value)} 
+                        value={option.value}
+                        style={{ 
+                          width: '100%',
+                          color: isDarkMode ? '#fff' : '#000'
+                        }}
+                      >
+                        <Text 
+                          style={{ 
+                            color: isDarkMode ? '#fff' : '#000',
+                            fontSize: '13px'
+                          }}
+                          ellipsis={{ tooltip: option.label }}
+                        >
+                          {option.label || String(option.value)}
+                        </Text>
+                      </Checkbox>
+                    );
+                  }).filter(Boolean)
+                ) : (
+                  <Text 
+                    style={{ 
+                      color: textColor,
+                      fontSize: '12px',
+                      fontStyle: 'italic',
+                      textAlign: 'center',
+                      display: 'block',
+                      padding: '8px'
+                    }}
+                  >
+                    {options.length > 0 ? 'No options match your search' : 'No values to pick from'}
+                  </Text>
+                )}
+              </Space>
+            </Checkbox.Group>
+          </>
+        );
+      }
+
+      case 'between':
+        if (type === 'date') {
+          return (
+            <RangePicker
+              size="small"
+              style={{ width: '100%' }}
+              allowEmpty={[true, true]}
+              value={[toDay(condition.min), toDay(condition.max)]}
+              minDate={toDay(filterData.min)}
+              maxDate={toDay(filterData.max)}
+              onChange={(dates) => change({
+                min: dates?.[0] ? dates[0].format('YYYY-MM-DD') : null,
+                max: dates?.[1] ? dates[1].format('YYYY-MM-DD') : null
+              })}
+            />
+          );
+        }
+        return (
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+            <InputNumber
+              size="small"
+              style={{ flex: 1 }}
+              placeholder={filterData.min !== undefined ? `Min (${filterData.min.toLocaleString()})` : 'Min'}
+              value={condition.min ?? null}
+              onChange={(min) => change({ min })}
+            />
+            <Text style={{ color: textColor }}>–</Text>
+            <InputNumber
+              size="small"
+              style={{ flex: 1 }}
+              placeholder={filterData.max !== undefined ? `Max (${filterData.max.toLocaleString()})` : 'Max'}
+              value={condition.max ?? null}
+              onChange={(max) => change({ max })}
+            />
+          </div>
+        );
+
+      case 'gt':
+      case 'gte':
+      case 'lt':
+      case 'lte':
+        if (type === 'date') {
+          return (
+            <DatePicker
+              size="small"
+              style={{ width: '100%' }}
+              value={toDay(condition.value)}
+              minDate={toDay(filterData.min)}
+              maxDate={toDay(filterData.max)}
+              onChange={(date) => change({ value: date ? date.format('YYYY-MM-DD') : null })}
+            />
+          );
+        }
+        return (
+          <InputNumber
+            size="small"
+            style={{ width: '100%' }}
+            placeholder="Value"
+            value={condition.value ?? null}
+            onChange={(value) => change({ value })}
+          />
+        );
+
+      case 'contains':
+      case 'startsWith':
+        return (
+          <Input
+            size="small"
+            placeholder="Text to match (ignores case)"
+            value={condition.value || ''}
+            onChange={(e) => change({ value: e.target.value })}
+            allowClear
+          />
+        );
+
+      default:
+        return (
+          <Text style={{ fontSize: '12px', color: textColor }}>
+            Matches rows where {label.toLowerCase()} {condition.operator === 'isNull' ? 'is' : 'is not'} empty
+          </Text>
+        );
+    }
+  };
+
   return (
     <div style={{ 
       background: isDarkMode ? '#1f1f1f' : '#fff',
@@ -220,6 +498,21 @@ const FilterSidebar = ({
             <ThunderboltOutlined style={{ marginRight: '4px' }} />
             Changes apply instantly • {getTotalActiveFilters} filter{getTotalActiveFilters !== 1 ? 's' : ''} active
           </Text>
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <Text style={{ fontSize: '12px', color: isDarkMode ? '#a0a0a0' : '#666' }}>
+              Match:
+            </Text>
+            <Segmented
+              size="small"
+              value={logic}
+              onChange={handleLogicChange}
+              options={[
+                { label: 'All columns (AND)', value: 'and' },
+                { label: 'Any column (OR)', value: 'or' }
+              ]}
+            />
+          </div>
         </Space>
       </div>
 
@@ -288,14 +581,14 @@ const FilterSidebar = ({
           size="small"
         >
           {Object.entries(memoizedFilterOptions).map(([filterKey, filterData]) => {
-            if (!filterData || !filterData.options || !Array.isArray(filterData.options)) {
+            if (!filterData || !Array.isArray(filterData.options)) {
               return null;
             }
 
-            const { label, options, isSampled } = filterData;
-            const filteredOptions = getFilteredOptions(filterKey, options);
-            const selectedValues = localFilters[filterKey] || [];
-            const allValues = options.map(opt => opt.value).filter(val => val !== null && val !== undefined);
+            const { label, isSampled, type = 'dimension' } = filterData;
+            const conditions = getColumnConditions(filterKey, type);
+            const activeCount = conditions.filter(isConditionComplete).length;
+            const operatorOptions = getOperatorsForType(type);
 
             return (
               <Panel 
@@ -316,9 +609,9 @@ const FilterSidebar = ({
                         </Tooltip>
                       )}
                     </div>
-                    {selectedValues.length > 0 && (
+                    {activeCount > 0 && (
                       <Badge 
-                        count={selectedValues.length} 
+                        count={activeCount} 
                         size="small"
                         style={{ marginRight: '8px' }}
                       />
@@ -334,133 +627,69 @@ const FilterSidebar = ({
                 }}
               >
                 <Space direction="vertical" style={{ width: '100%' }} size="small">
-                  {/* Search */}
-                  {options.length > 5 && (
-                    <Search
-                      placeholder={`Search ${label.toLowerCase()}...`}
-                      size="small"
-                      prefix={<SearchOutlined />}
-                      onChange={(e) => handleSearch(filterKey, e.target.value)}
-                      value={searchTerms[filterKey] || ''}
-                      style={{ marginBottom: '8px' }}
-                      allowClear
-                    />
-                  )}
-
-                  {/* Select/Clear All with counts */}
-                  <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+                  {conditions.map((condition, index) => (
+                    <div key={index}>
+                      {index > 0 && (
+                        <Text style={{ fontSize: '11px', color: isDarkMode ? '#a0a0a0' : '#999', display: 'block', margin: '4px 0' }}>
+                          OR
+                        </Text>
+                      )}
+
+                      {/* Operator picker */}
+                      <div style={{ display: 'flex', gap: '4px', marginBottom: '8px' }}>
+                        <Select
+                          size="small"
+                          value={condition.operator}
+                          onChange={(operator) => handleOperatorChange(filterKey, type, index, operator)}
+                          style={{ flex: 1 }}
+                        >
+                          {operatorOptions.map(option => (
+                            <Option key={option.value} value={option.value}>
+                              {option.label}
+                            </Option>
+                          ))}
+                        </Select>
+                        {(conditions.length > 1 || isConditionComplete(condition)) && (
+                          <Tooltip title="Remove condition">
+                            <Button
+                              size="small"
+                              type="text"
+                              icon={<CloseOutlined />}
+                              onClick={() => handleRemoveCondition(filterKey, type, index)}
+                            />
+                          </Tooltip>
+                        )}
+                      </div>
+
+                      {renderValueEditor(filterKey, filterData, condition, index)}
+                    </div>
+                  ))}
+
+                  <div style={{ display: 'flex', justifyContent: 'space-between' }}>
                     <Button 
                       type="link" 
                       size="small"
-                      onClick={() => handleSelectAll(filterKey, allValues)}
-                      disabled={selectedValues.length === allValues.length}
-                      style={{ 
-                        padding: 0, 
-                        height: 'auto',
-                        color: selectedValues.length === allValues.length ? '#999' : '#1890ff'
-                      }}
+                      icon={<PlusOutlined />}
+                      onClick={() => handleAddCondition(filterKey, type)}
+                      style={{ padding: 0, height: 'auto' }}
                     >
-                      Select All ({allValues.length})
+                      Or condition
                     </Button>
                     
                     <Button 
                       type="link" 
                       size="small"
-                      onClick={() => handleClearFilter(filterKey)}
-                      disabled={selectedValues.length === 0}
+                      onClick={() => handleClearFilter(filterKey, type)}
+                      disabled={activeCount === 0}
                       style={{ 
                         padding: 0, 
                         height: 'auto',
-                        color: selectedValues.length === 0 ? '#999' : '#ff4d4f'
+                        color: activeCount === 0 ? '#999' : '#ff4d4f'
                       }}
                     >
-                      Clear ({selectedValues.length})
+                      Clear ({activeCount})
                     </Button>
                   </div>
-
-                  {/* Large dataset warning for high cardinality */}
-                  {options.length > 50 && (
-                    <Alert
-                      message={`${options.length} unique values detected. Consider using search to narrow options.`}
-                      type="info"
-                      size="small"
-                      showIcon
-                      style={{ fontSize: '11px', marginBottom: '8px' }}
-                    />
-                  )}
-
-                  {/* Options */}
-                  <Checkbox.Group
-                    value={selectedValues}
-                    onChange={(values) => handleFilterChange(filterKey, values)}
-                    style={{ width: '100%' }}
-                  >
-                    <Space direction="vertical" style={{ width: '100%' }} size="small">
-                      {filteredOptions.length > 0 ? (
-                        filteredOptions.slice(0, 100).map((option) => {
-                          if (!option || option.value === null || option.value === undefined) {
-                            return null;
-                          }
-                          
-                          return (
-                            <Checkbox 
-                              key={String(option.value)} 
-                              value={option.value}
-                              style={{ 
-                                width: '100%',
-                                color: isDarkMode ? '#fff' : '#000'
-                              }}
-                            >
-                              <div style={{ 
-                                display: 'flex', 
-                                justifyContent: 'space-between', 
-                                alignItems: 'center',
-                                width: 'calc(100% - 20px)'
-                              }}>
-                                <Text 
-                                  style={{ 
-                                    color: isDarkMode ? '#fff' : '#000',
-                                    fontSize: '13px'
-                                  }}
-                                  ellipsis={{ tooltip: option.label }}
-                                >
-                                  {option.label || String(option.value)}
-                                </Text>
-                              </div>
-                            </Checkbox>
-                          );
-                        }).filter(Boolean)
-                      ) : (
-                        <Text 
-                          style={{ 
-                            color: isDarkMode ? '#a0a0a0' : '#666',
-                            fontSize: '12px',
-                            fontStyle: 'italic',
-                            textAlign: 'center',
-                            display: 'block',
-                            padding: '8px'
-                          }}
-                        >
-                          No options match your search
-                        </Text>
-                      )}
-                      
-                      {filteredOptions.length > 100 && (
-                        <Text 
-                          style={{ 
-                            color: isDarkMode ? '#a0a0a0' : '#666',
-                            fontSize: '11px',
-                            textAlign: 'center',
-                            display: 'block',
-                            padding: '8px',
-                            fontStyle: 'italic'
-                          }}
-                        >
-                          Showing first 100 options. Use search to find more.
-                        </Text>
-                      )}
-                    </Space>
-                  </Checkbox.Group>
                 </Space>
               </Panel>
             );
@@ -0,0 +1,123 @@
+// frontend/src/components/FilterValueSelect.js - Type-ahead multi-select over a column's full set of values
+import React, { useState, useEffect, useCallback } from 'react';
+import { Select, Segmented, Spin, Typography } from 'antd';
+import { getFilterValues } from '../services/api';
+
+const { Text } = Typography;
+
+const PAGE_SIZE = 50;
+
+/**
+ * For dimensions with too many values to list: searches the server as you type,
+ * loads more on scroll and shows how many rows have each value.
+ */
+const FilterValueSelect = ({ sessionId, column, label, value = [], onChange, isDarkMode, disabled = false }) => {
+  const [search, setSearch] = useState('');
+  const [match, setMatch] = useState('contains');
+  const [options, setOptions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  // First page for the current search (debounced while typing)
+  useEffect(() => {
+    if (!sessionId || !column) return undefined;
+    let cancelled = false;
+
+    const debounceTimer = setTimeout(() => {
+      setLoading(true);
+      getFilterValues(sessionId, column, { search, match, offset: 0, limit: PAGE_SIZE })
+        .then(result => {
+          if (cancelled) return;
+          setOptions(result.values);
+          setTotal(result.total);
+          setHasMore(result.hasMore);
+        })
+        .catch(() => {
+          if (!cancelled) setOptions([]);
+        })
+        .finally(() => {
+          if (!cancelled) setLoading(false);
+        });
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(debounceTimer);
+    };
+  }, [sessionId, column, search, match]);
+
+  const loadMore = useCallback(async () => {
+    if (loading || !hasMore) return;
+
+    setLoading(true);
+    try {
+      const result = await getFilterValues(sessionId, column, { search, match, offset: options.length, limit: PAGE_SIZE });
+      setOptions(prev => [...prev, ...result.values]);
+      setHasMore(result.hasMore);
+    } catch (error) {
+      setHasMore(false);
+    } finally {
+      setLoading(false);
+    }
+  }, [loading, hasMore, sessionId, column, search, match, options.length]);
+
+  const handlePopupScroll = useCallback((e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.target;
+    if (scrollHeight - scrollTop - clientHeight < 40) {
+      loadMore();
+    }
+  }, [loadMore]);
+
+  const mutedColor = isDarkMode ? '#a0a0a0' : '#999';
+
+  return (
+    <div>
+      <Segmented
+        size="small"
+        value={match}
+        onChange={setMatch}
+        options={[
+          { label: 'Contains', value: 'contains' },
+          { label: 'Starts with', value: 'prefix' }
+        ]}
+        style={{ marginBottom: '8px' }}
+      />
+
+      <Select
+        mode="multiple"
+        size="small"
+        style={{ width: '100%' }}
+        placeholder={`Search ${label.toLowerCase()}...`}
+        value={value}
+        onChange={onChange}
+        disabled={disabled}
+        showSearch
+        filterOption={false}
+        searchValue={search}
+        onSearch={setSearch}
+        onPopupScroll={handlePopupScroll}
+        options={options}
+        optionRender={(option) => (
+          <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px' }}>
+            <span style={{ overflow: 'hidden', textOverflow: 'ellipsis' }}>{option.label}</span>
+            <Text style={{ fontSize: '11px', color: mutedColor }}>{option.data.count.toLocaleString()}</Text>
+          </div>
+        )}
+        notFoundContent={loading ? <Spin size="small" /> : 'No matching values'}
+        popupRender={(menu) => (
+          <>
+            {menu}
+            <div style={{ padding: '4px 8px', fontSize: '11px', color: mutedColor }}>
+              {loading && options.length > 0 ? 'Loading...' : `${options.length.toLocaleString()} of ${total.toLocaleString()} values`}
+            </div>
+          </>
+        )}
+        maxTagCount="responsive"
+        allowClear
+      />
+    </div>
+  );
+};
+
+export default FilterValueSelect;
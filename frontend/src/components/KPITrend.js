@@ -0,0 +1,128 @@
+// frontend/src/components/KPITrend.js - KPI period comparison badge and sparkline
+import React from 'react';
+import { Tag, Popover, Switch, Typography } from 'antd';
+import { ArrowUpOutlined, ArrowDownOutlined, MinusOutlined } from '@ant-design/icons';
+import { LineChart, Line, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+
+const { Text } = Typography;
+
+const sentimentColors = {
+  positive: 'green',
+  negative: 'red',
+  neutral: 'default'
+};
+
+const directionIcons = {
+  up: <ArrowUpOutlined />,
+  down: <ArrowDownOutlined />,
+  flat: <MinusOutlined />
+};
+
+/**
+ * Delta badge for kpi.comparison ({ label, previousValue, delta, percentChange, direction, higherIsBetter })
+ * and a sparkline for kpi.sparkline ({ grain, points: [{ period, value }] }).
+ * `higherIsBetter` overrides the KPI's own setting; `onHigherIsBetterChange` lets the user flip it.
+ */
+const KPITrend = ({ kpi, higherIsBetter, onHigherIsBetterChange, isDarkMode }) => {
+  const { comparison, sparkline } = kpi;
+  const mutedColor = isDarkMode ? '#a0a0a0' : '#999';
+
+  const renderBadge = () => {
+    if (!comparison) return null;
+
+    if (comparison.direction === null) {
+      return (
+        <Text style={{ fontSize: '11px', color: mutedColor }}>
+          No data for {comparison.label}
+        </Text>
+      );
+    }
+
+    const goodWhenHigher = higherIsBetter ?? comparison.higherIsBetter;
+    const sentiment = comparison.direction === 'flat'
+      ? 'neutral'
+      : ((comparison.direction === 'up') === goodWhenHigher ? 'positive' : 'negative');
+    const change = comparison.percentChange === null
+      ? comparison.formattedDelta
+      : `${comparison.percentChange >= 0 ? '+' : ''}${comparison.percentChange.toFixed(1)}%`;
+
+    const details = (
+      <div style={{ maxWidth: '240px' }}>
+        <div>
+          <Text>{comparison.label}: </Text>
+          <Text strong>{comparison.formattedPreviousValue}</Text>
+        </div>
+        <div>
+          <Text>Change: </Text>
+          <Text strong>{comparison.formattedDelta}</Text>
+        </div>
+        {onHigherIsBetterChange && (
+          <div style={{ marginTop: '8px', display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <Switch
+              size="small"
+              checked={goodWhenHigher}
+              onChange={onHigherIsBetterChange}
+            />
+            <Text style={{ fontSize: '12px' }}>Higher is better</Text>
+          </div>
+        )}
+      </div>
+    );
+
+    return (
+      <Popover content={details} trigger="hover" placement="bottom">
+        <span style={{ cursor: 'help' }}>
+          <Tag color={sentimentColors[sentiment]} style={{ margin: 0 }}>
+            {directionIcons[comparison.direction]} {change}
+          </Tag>
+          <Text style={{ fontSize: '11px', color: mutedColor, marginLeft: '6px' }}>
+            vs {comparison.label}
+          </Text>
+        </span>
+      </Popover>
+    );
+  };
+
+  const points = sparkline?.points || [];
+
+  if (!comparison && points.length < 2) {
+    return null;
+  }
+
+  return (
+    <div style={{ marginTop: '8px' }}>
+      {renderBadge()}
+
+      {points.length >= 2 && (
+        <div style={{ height: 36, marginTop: '6px' }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={points} margin={{ top: 2, right: 2, left: 2, bottom: 2 }}>
+              <XAxis dataKey="period" hide />
+              <YAxis hide domain={['auto', 'auto']} />
+              <Tooltip
+                cursor={false}
+                formatter={(value) => [typeof value === 'number' ? value.toLocaleString() : value, kpi.name]}
+                contentStyle={{
+                  fontSize: '11px',
+                  padding: '4px 8px',
+                  background: isDarkMode ? '#262626' : '#fff',
+                  borderColor: isDarkMode ? '#434343' : '#d9d9d9'
+                }}
+              />
+              <Line
+                type="monotone"
+                dataKey="value"
+                stroke="#1890ff"
+                strokeWidth={1.5}
+                dot={false}
+                isAnimationActive={false}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KPITrend;
@@ -0,0 +1,212 @@
+// frontend/src/components/RecordsDrawer.js - Drill-through table of the rows behind a chart point
+import React, { useState, useEffect } from 'react';
+import { Drawer, Table, Select, Dropdown, Button, Space, Typography, Tag, message } from 'antd';
+import { DownloadOutlined, TableOutlined } from '@ant-design/icons';
+import { getChartRecords, exportChartRecords } from '../services/api';
+
+const { Text } = Typography;
+
+const PAGE_SIZE = 50;
+
+const exportFormats = [
+  { key: 'csv', label: 'Export as CSV' },
+  { key: 'xlsx', label: 'Export as Excel (XLSX)' }
+];
+
+const formatColumnName = (name) => (name || '').replace(/[_-]/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+
+const formatCell = (value) => {
+  if (value === null || value === undefined || value === '') return <Text type="secondary">—</Text>;
+  return typeof value === 'number' ? value.toLocaleString() : String(value);
+};
+
+/**
+ * Rows behind a chart point (or the whole chart when `point` is null), loaded a page at a time
+ * and sorted on the server. The picked columns apply to the table and to exports.
+ */
+const RecordsDrawer = ({
+  open,
+  onClose,
+  sessionId,
+  chart,
+  point = null,
+  activeFilters,
+  timeFilter = null,
+  dataLimit = null,
+  isDarkMode
+}) => {
+  const [records, setRecords] = useState([]);
+  const [columns, setColumns] = useState([]);
+  const [selectedColumns, setSelectedColumns] = useState(null);
+  const [totalRows, setTotalRows] = useState(0);
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(PAGE_SIZE);
+  const [sort, setSort] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    if (!open || !sessionId || !chart) return undefined;
+
+    let cancelled = false;
+    setLoading(true);
+
+    getChartRecords(sessionId, chart, {
+      point,
+      activeFilters: activeFilters || {},
+      timeFilter,
+      dataLimit,
+      page: page - 1,
+      pageSize,
+      sort
+    })
+      .then(result => {
+        if (cancelled) return;
+        setRecords(result.records);
+        setColumns(result.columns);
+        setTotalRows(result.totalRows);
+      })
+      .catch(error => {
+        if (!cancelled) message.error(`Failed to load records: ${error.message}`);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, sessionId, chart, point, activeFilters, timeFilter, dataLimit, page, pageSize, sort]);
+
+  const shownColumns = selectedColumns || columns.map(column => column.name);
+
+  const tableColumns = columns
+    .filter(column => shownColumns.includes(column.name))
+    .map(column => ({
+      title: formatColumnName(column.name),
+      dataIndex: column.name,
+      key: column.name,
+      sorter: true,
+      sortOrder: sort?.column === column.name ? sort.order : null,
+      align: column.type === 'number' ? 'right' : 'left',
+      ellipsis: true,
+      render: formatCell
+    }));
+
+  const handleTableChange = (pagination, _filters, sorter) => {
+    const nextSort = sorter.order ? { column: sorter.field, order: sorter.order } : null;
+    const sortChanged = nextSort?.column !== sort?.column || nextSort?.order !== sort?.order;
+
+    setSort(nextSort);
+    setPageSize(pagination.pageSize);
+    setPage(sortChanged ? 1 : pagination.current);
+  };
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(true);
+
+      const blob = await exportChartRecords(sessionId, chart, {
+        point,
+        activeFilters: activeFilters || {},
+        timeFilter,
+        dataLimit,
+        sort,
+        format,
+        columns: shownColumns
+      });
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${chart.title?.replace(/[^a-zA-Z0-9]+/g, '_') || 'chart'}_records.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+
+      message.success(`Exported ${totalRows.toLocaleString()} records as ${format.toUpperCase()}`);
+    } catch (error) {
+      message.error(`Failed to export records: ${error.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const mutedColor = isDarkMode ? '#a0a0a0' : '#666';
+  const pointColumn = chart?.dimensions?.[0];
+
+  return (
+    <Drawer
+      title={
+        <Space direction="vertical" size={2}>
+          <span>
+            <TableOutlined style={{ marginRight: '8px' }} />
+            Records behind {chart?.title || 'chart'}
+          </span>
+          <Space size={4} wrap>
+            {point ? (
+              <Tag color="blue">{formatColumnName(pointColumn)}: {point.value}</Tag>
+            ) : (
+              <Tag>All chart data</Tag>
+            )}
+            {(chart?.drill?.path || []).map(step => (
+              <Tag key={`${step.level}-${step.value}`}>{step.value}</Tag>
+            ))}
+            <Text style={{ fontSize: '12px', color: mutedColor, fontWeight: 'normal' }}>
+              {totalRows.toLocaleString()} rows
+            </Text>
+          </Space>
+        </Space>
+      }
+      placement="right"
+      width="70vw"
+      open={open}
+      onClose={onClose}
+      extra={
+        <Space>
+          <Select
+            mode="multiple"
+            size="small"
+            placeholder="Columns"
+            value={shownColumns}
+            options={columns.map(column => ({ value: column.name, label: formatColumnName(column.name) }))}
+            onChange={(value) => setSelectedColumns(value.length > 0 ? value : null)}
+            maxTagCount="responsive"
+            style={{ width: 260 }}
+          />
+          <Dropdown
+            menu={{ items: exportFormats, onClick: ({ key }) => handleExport(key) }}
+            trigger={['click']}
+            disabled={exporting || totalRows === 0}
+          >
+            <Button size="small" icon={<DownloadOutlined />} loading={exporting}>
+              Export
+            </Button>
+          </Dropdown>
+        </Space>
+      }
+      styles={{ body: { padding: '12px 16px', background: isDarkMode ? '#1f1f1f' : '#fff' } }}
+    >
+      <Table
+        size="small"
+        columns={tableColumns}
+        dataSource={records.map((record, index) => ({ ...record, __rowKey: (page - 1) * pageSize + index }))}
+        rowKey="__rowKey"
+        loading={loading}
+        onChange={handleTableChange}
+        pagination={{
+          current: page,
+          pageSize,
+          total: totalRows,
+          showSizeChanger: true,
+          pageSizeOptions: [25, 50, 100, 200],
+          showTotal: (total, [from, to]) => `${from.toLocaleString()}-${to.toLocaleString()} of ${total.toLocaleString()}`
+        }}
+        scroll={{ x: 'max-content', y: 'calc(100vh - 240px)' }}
+      />
+    </Drawer>
+  );
+};
+
+export default RecordsDrawer;
@@ -0,0 +1,245 @@
+// frontend/src/components/SavedDashboards.js - Save the current dashboard or open a saved one
+import React, { useState, useEffect, useCallback } from 'react';
+import { Modal, Input, Button, Space, Typography, Tag, Tooltip, Popconfirm, Empty, Spin, Divider, message } from 'antd';
+import {
+  SaveOutlined,
+  FolderOpenOutlined,
+  CopyOutlined,
+  DeleteOutlined,
+  CheckCircleOutlined,
+  WarningOutlined
+} from '@ant-design/icons';
+import {
+  listSavedDashboards,
+  saveDashboard,
+  updateSavedDashboard,
+  duplicateSavedDashboard,
+  deleteSavedDashboard
+} from '../services/api';
+
+const { Text } = Typography;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '');
+
+/**
+ * Saved dashboards for the session: save the current one (new or over the one that's open),
+ * and open, rename, duplicate or delete saved ones. Dashboards built on a file whose columns
+ * this session's file lacks can't be opened here.
+ * @param {Function} getState - Current filter and display state to save with the dashboard
+ * @param {Function} onOpen - Called with the saved dashboard id; the parent opens it
+ */
+const SavedDashboards = ({
+  open,
+  onClose,
+  sessionId,
+  currentDashboard = null,
+  getState,
+  onSaved,
+  onOpen,
+  isDarkMode
+}) => {
+  const [dashboards, setDashboards] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [name, setName] = useState('');
+  const [busyId, setBusyId] = useState(null);
+
+  const loadDashboards = useCallback(async () => {
+    try {
+      setLoading(true);
+      const result = await listSavedDashboards(sessionId);
+      setDashboards(result.dashboards);
+    } catch (error) {
+      message.error(`Failed to load saved dashboards: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    if (open) {
+      loadDashboards();
+      setName('');
+    }
+  }, [open, loadDashboards]);
+
+  const handleSaveAs = async () => {
+    try {
+      setSaving(true);
+      const result = await saveDashboard(sessionId, { name, state: getState() });
+      message.success(`Saved "${result.dashboard.name}"`);
+      setName('');
+      onSaved(result.dashboard);
+      await loadDashboards();
+    } catch (error) {
+      message.error(`Failed to save dashboard: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdate = async () => {
+    try {
+      setSaving(true);
+      const result = await updateSavedDashboard(currentDashboard.id, { sessionId, state: getState() });
+      message.success(`Updated "${result.dashboard.name}"`);
+      onSaved(result.dashboard);
+      await loadDashboards();
+    } catch (error) {
+      message.error(`Failed to update dashboard: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Runs one action against a saved dashboard, then refreshes the list
+  const runAction = async (id, action, successMessage) => {
+    try {
+      setBusyId(id);
+      const result = await action();
+      message.success(successMessage);
+      await loadDashboards();
+      return result;
+    } catch (error) {
+      message.error(error.message);
+      return null;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRename = (dashboard, newName) => {
+    if (!newName.trim() || newName === dashboard.name) return;
+    runAction(dashboard.id, async () => {
+      const result = await updateSavedDashboard(dashboard.id, { name: newName });
+      if (dashboard.id === currentDashboard?.id) onSaved(result.dashboard);
+      return result;
+    }, 'Dashboard renamed');
+  };
+
+  const mutedColor = isDarkMode ? '#a0a0a0' : '#666';
+  const borderColor = isDarkMode ? '#434343' : '#f0f0f0';
+
+  return (
+    <Modal
+      title={
+        <span>
+          <FolderOpenOutlined style={{ marginRight: '8px' }} />
+          Saved Dashboards
+        </span>
+      }
+      open={open}
+      onCancel={onClose}
+      footer={null}
+      width={640}
+    >
+      <Space direction="vertical" style={{ width: '100%' }}>
+        <Text strong>Save this dashboard</Text>
+        <Text style={{ fontSize: '12px', color: mutedColor }}>
+          Keeps the charts (including custom ones), KPIs, calculated fields, filters, time period, data limit and hidden charts.
+        </Text>
+        <Space.Compact style={{ width: '100%' }}>
+          <Input
+            placeholder="Dashboard name"
+            value={name}
+            maxLength={100}
+            onChange={(e) => setName(e.target.value)}
+            onPressEnter={() => name.trim() && handleSaveAs()}
+          />
+          <Button
+            type="primary"
+            icon={<SaveOutlined />}
+            onClick={handleSaveAs}
+            loading={saving}
+            disabled={!name.trim()}
+          >
+            Save as new
+          </Button>
+        </Space.Compact>
+        {currentDashboard && (
+          <Button icon={<SaveOutlined />} onClick={handleUpdate} loading={saving} block>
+            Update "{currentDashboard.name}"
+          </Button>
+        )}
+      </Space>
+
+      <Divider style={{ margin: '16px 0' }} />
+
+      <Spin spinning={loading}>
+        {dashboards.length === 0 ? (
+          <Empty description="No saved dashboards yet" image={Empty.PRESENTED_IMAGE_SIMPLE} />
+        ) : (
+          <div style={{ maxHeight: '50vh', overflowY: 'auto' }}>
+            {dashboards.map(dashboard => (
+              <div
+                key={dashboard.id}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'space-between',
+                  gap: '12px',
+                  padding: '10px 0',
+                  borderBottom: `1px solid ${borderColor}`
+                }}
+              >
+                <div style={{ minWidth: 0, flex: 1 }}>
+                  <Space size={6}>
+                    <Text strong editable={{ onChange: (value) => handleRename(dashboard, value), maxLength: 100 }}>
+                      {dashboard.name}
+                    </Text>
+                    {dashboard.id === currentDashboard?.id && <Tag color="blue">Open</Tag>}
+                    {dashboard.compatible ? (
+                      <Tooltip title="This file has the columns the dashboard uses">
+                        <CheckCircleOutlined style={{ color: '#52c41a' }} />
+                      </Tooltip>
+                    ) : (
+                      <Tooltip title="Built on a file with different columns - upload a matching file to open it">
+                        <WarningOutlined style={{ color: '#faad14' }} />
+                      </Tooltip>
+                    )}
+                  </Space>
+                  <div style={{ fontSize: '12px', color: mutedColor }}>
+                    {dashboard.fileName} • {dashboard.chartCount} charts • {dashboard.kpiCount} KPIs • updated {formatDate(dashboard.updatedAt)}
+                  </div>
+                </div>
+
+                <Space size={4}>
+                  <Button
+                    size="small"
+                    type="primary"
+                    icon={<FolderOpenOutlined />}
+                    disabled={!dashboard.compatible || busyId !== null}
+                    onClick={() => onOpen(dashboard.id)}
+                  >
+                    Open
+                  </Button>
+                  <Tooltip title="Duplicate">
+                    <Button
+                      size="small"
+                      icon={<CopyOutlined />}
+                      loading={busyId === dashboard.id}
+                      onClick={() => runAction(dashboard.id, () => duplicateSavedDashboard(dashboard.id), 'Dashboard duplicated')}
+                    />
+                  </Tooltip>
+                  <Popconfirm
+                    title={`Delete "${dashboard.name}"?`}
+                    okText="Delete"
+                    okButtonProps={{ danger: true }}
+                    onConfirm={() => runAction(dashboard.id, async () => {
+                      await deleteSavedDashboard(dashboard.id);
+                      if (dashboard.id === currentDashboard?.id) onSaved(null);
+                    }, 'Dashboard deleted')}
+                  >
+                    <Button size="small" danger icon={<DeleteOutlined />} disabled={busyId !== null} />
+                  </Popconfirm>
+                </Space>
+              </div>
+            ))}
+          </div>
+        )}
+      </Spin>
+    </Modal>
+  );
+};
+
+export default SavedDashboards;
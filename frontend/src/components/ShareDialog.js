@@ -0,0 +1,218 @@
+// frontend/src/components/ShareDialog.js - Create and revoke read-only links to the dashboard
+import React, { useState, useEffect, useCallback } from 'react';
+import { Modal, Input, Button, Space, Typography, Tag, Select, Segmented, Popconfirm, Empty, Spin, Divider, message } from 'antd';
+import { ShareAltOutlined, LinkOutlined, StopOutlined } from '@ant-design/icons';
+import { createShareLink, listShareLinks, revokeShareLink } from '../services/api';
+
+const { Text } = Typography;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '');
+
+const expiryOptions = [
+  { value: 0, label: 'Never expires' },
+  { value: 1, label: 'Expires in 1 day' },
+  { value: 7, label: 'Expires in 7 days' },
+  { value: 30, label: 'Expires in 30 days' }
+];
+
+const statusColors = { active: 'green', expired: 'default', revoked: 'red' };
+
+export const getShareUrl = (token) => `${window.location.origin}/share/${token}`;
+
+/**
+ * Share links for the session: each captures the current filters, time period, data limit,
+ * hidden charts and layout, and opens as a read-only dashboard. With a saved dashboard open,
+ * the link can show the saved dashboard's charts instead of the session's current ones.
+ * @param {Function} getState - Current filter and display state to put in the link
+ */
+const ShareDialog = ({
+  open,
+  onClose,
+  sessionId,
+  currentDashboard = null,
+  defaultName = '',
+  getState,
+  isDarkMode
+}) => {
+  const [shares, setShares] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState('');
+  const [expiryDays, setExpiryDays] = useState(0);
+  const [source, setSource] = useState('session');
+  const [busyToken, setBusyToken] = useState(null);
+
+  const loadShares = useCallback(async () => {
+    try {
+      setLoading(true);
+      const result = await listShareLinks(sessionId);
+      setShares(result.shares);
+    } catch (error) {
+      message.error(`Failed to load share links: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    if (open) {
+      loadShares();
+      setName(currentDashboard?.name || defaultName);
+      setSource(currentDashboard ? 'dashboard' : 'session');
+    }
+  }, [open, loadShares, currentDashboard, defaultName]);
+
+  const copyLink = async (token) => {
+    try {
+      await navigator.clipboard.writeText(getShareUrl(token));
+      message.success('Link copied');
+    } catch (error) {
+      message.error('Could not copy the link - copy it from the list instead');
+    }
+  };
+
+  const handleCreate = async () => {
+    try {
+      setCreating(true);
+      const result = await createShareLink(sessionId, {
+        name,
+        dashboardId: source === 'dashboard' ? currentDashboard?.id : null,
+        state: getState(),
+        expiresAt: expiryDays ? new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000).toISOString() : null
+      });
+      await copyLink(result.share.token);
+      await loadShares();
+    } catch (error) {
+      message.error(`Failed to create share link: ${error.message}`);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (share) => {
+    try {
+      setBusyToken(share.token);
+      await revokeShareLink(share.token, sessionId);
+      message.success(`Revoked "${share.name}"`);
+      await loadShares();
+    } catch (error) {
+      message.error(`Failed to revoke link: ${error.message}`);
+    } finally {
+      setBusyToken(null);
+    }
+  };
+
+  const mutedColor = isDarkMode ? '#a0a0a0' : '#666';
+  const borderColor = isDarkMode ? '#434343' : '#f0f0f0';
+
+  return (
+    <Modal
+      title={
+        <span>
+          <ShareAltOutlined style={{ marginRight: '8px' }} />
+          Share Dashboard
+        </span>
+      }
+      open={open}
+      onCancel={onClose}
+      footer={null}
+      width={640}
+    >
+      <Space direction="vertical" style={{ width: '100%' }}>
+        <Text strong>Create a read-only link</Text>
+        <Text style={{ fontSize: '12px', color: mutedColor }}>
+          Keeps the filters, time period, data limit, hidden charts and layout. Anyone with the link can view the dashboard, but not change it or upload data. The uploaded data is kept on the server until the link expires or is revoked.
+        </Text>
+        {currentDashboard && (
+          <Segmented
+            block
+            value={source}
+            onChange={setSource}
+            options={[
+              { value: 'dashboard', label: `Saved dashboard "${currentDashboard.name}"` },
+              { value: 'session', label: 'Current charts' }
+            ]}
+          />
+        )}
+        <Space.Compact style={{ width: '100%' }}>
+          <Input
+            placeholder="Link name"
+            value={name}
+            maxLength={100}
+            onChange={(e) => setName(e.target.value)}
+            onPressEnter={() => name.trim() && handleCreate()}
+          />
+          <Select value={expiryDays} onChange={setExpiryDays} options={expiryOptions} style={{ width: 170 }} />
+          <Button
+            type="primary"
+            icon={<LinkOutlined />}
+            onClick={handleCreate}
+            loading={creating}
+            disabled={!name.trim()}
+          >
+            Create link
+          </Button>
+        </Space.Compact>
+      </Space>
+
+      <Divider style={{ margin: '16px 0' }} />
+
+      <Spin spinning={loading}>
+        {shares.length === 0 ? (
+          <Empty description="No links shared from this session" image={Empty.PRESENTED_IMAGE_SIMPLE} />
+        ) : (
+          <div style={{ maxHeight: '50vh', overflowY: 'auto' }}>
+            {shares.map(share => (
+              <div
+                key={share.token}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'space-between',
+                  gap: '12px',
+                  padding: '10px 0',
+                  borderBottom: `1px solid ${borderColor}`
+                }}
+              >
+                <div style={{ minWidth: 0, flex: 1 }}>
+                  <Space size={6}>
+                    <Text strong>{share.name}</Text>
+                    <Tag color={statusColors[share.status]}>{share.status}</Tag>
+                    {share.source === 'dashboard' && <Tag>Saved dashboard</Tag>}
+                  </Space>
+                  <div style={{ fontSize: '12px', color: mutedColor }}>
+                    created {formatDate(share.createdAt)}
+                    {share.revokedAt
+                      ? <> • revoked {formatDate(share.revokedAt)}</>
+                      : <> • {share.expiresAt ? `expires ${formatDate(share.expiresAt)}` : 'no expiry'}</>}
+                  </div>
+                  {share.status === 'active' && (
+                    <Text copyable={{ text: getShareUrl(share.token) }} style={{ fontSize: '12px', color: mutedColor }} ellipsis>
+                      {getShareUrl(share.token)}
+                    </Text>
+                  )}
+                </div>
+
+                {share.status === 'active' && (
+                  <Popconfirm
+                    title={`Revoke "${share.name}"?`}
+                    description="The link will stop working for everyone."
+                    okText="Revoke"
+                    okButtonProps={{ danger: true }}
+                    onConfirm={() => handleRevoke(share)}
+                  >
+                    <Button size="small" danger icon={<StopOutlined />} loading={busyToken === share.token}>
+                      Revoke
+                    </Button>
+                  </Popconfirm>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </Spin>
+    </Modal>
+  );
+};
+
+export default ShareDialog;
@@ -0,0 +1,220 @@
+// frontend/src/components/SharedDashboard.js - Read-only dashboard opened from a share link
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Layout, Typography, Button, Card, Space, Statistic, Switch, Spin, Tag, Result, Empty } from 'antd';
+import { BarChartOutlined, EyeOutlined, SunOutlined, MoonOutlined, FilterOutlined, CalendarOutlined } from '@ant-design/icons';
+import ChartContainer from './ChartContainer';
+import DashboardGrid from './DashboardGrid';
+import KPITrend from './KPITrend';
+import { getSharedDashboard } from '../services/api';
+import {
+  GRID_BREAKPOINTS,
+  kpiItemId,
+  chartItemId,
+  getItemKind,
+  resolveLayout,
+  normalizeLayout
+} from '../utils/gridLayout';
+
+const { Header, Content } = Layout;
+const { Title, Text } = Typography;
+
+// Card header and padding around a chart - the rest of its grid cell is the chart
+const CHART_CARD_CHROME = 90;
+const MIN_CHART_HEIGHT = 160;
+
+/**
+ * The dashboard a share token points at, as the person who shared it saw it: their filters,
+ * period, hidden charts and layout. Nothing here can change the dashboard or its data -
+ * there are no upload, filter, customize or layout controls, and charts aren't cross-filtered.
+ * @param {string} token - Share token from the /share/:token URL
+ * @param {Function} onExit - Leave the shared view for the app's start page
+ */
+const SharedDashboard = ({ token, onExit, onToggleTheme, isDarkMode }) => {
+  const [loading, setLoading] = useState(true);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [gridBreakpoint, setGridBreakpoint] = useState(GRID_BREAKPOINTS[0]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    getSharedDashboard(token)
+      .then(data => {
+        if (cancelled) return;
+        if (data.success) {
+          setResult(data);
+        } else {
+          setError({ status: data.status, message: data.message || 'This link does not work' });
+        }
+      })
+      .catch(err => {
+        if (!cancelled) setError({ status: null, message: err.message });
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  const handleBreakpointChange = useCallback((next) => setGridBreakpoint(next), []);
+
+  const kpis = useMemo(() => result?.dashboard.kpis || [], [result]);
+  const charts = useMemo(() => result?.dashboard.charts || [], [result]);
+
+  const gridItems = useMemo(() => {
+    const ids = [...kpis.map(kpiItemId), ...charts.map(chartItemId)];
+    return resolveLayout(normalizeLayout(result?.view.layout), ids, gridBreakpoint);
+  }, [kpis, charts, result, gridBreakpoint]);
+
+  const mutedColor = isDarkMode ? '#a0a0a0' : '#666';
+  const cardStyle = {
+    height: '100%',
+    background: isDarkMode ? '#1f1f1f' : '#fff',
+    borderColor: isDarkMode ? '#434343' : '#f0f0f0'
+  };
+
+  const renderKpiCard = (kpi) => (
+    <Card size="small" style={cardStyle}>
+      <Statistic
+        title={<span style={{ color: mutedColor }}>{kpi.name}</span>}
+        value={kpi.formattedValue}
+        valueStyle={{
+          color: isDarkMode ? '#fff' : '#000',
+          fontSize: '24px',
+          fontWeight: 'bold'
+        }}
+      />
+      <KPITrend
+        kpi={kpi}
+        higherIsBetter={result.view.kpiDirections?.[kpi.name]}
+        isDarkMode={isDarkMode}
+      />
+    </Card>
+  );
+
+  const renderChartCard = (chart, height) => (
+    <Card
+      title={<span style={{ color: isDarkMode ? '#fff' : '#000' }}>{chart.title}</span>}
+      size="small"
+      style={{ ...cardStyle, display: 'flex', flexDirection: 'column' }}
+      styles={{ body: { flex: 1, minHeight: 0 } }}
+    >
+      <ChartContainer
+        chart={chart}
+        sessionId={null}
+        activeFilters={result.view.filters}
+        dataLimit={result.view.dataLimit}
+        isDarkMode={isDarkMode}
+        height={Math.max(MIN_CHART_HEIGHT, height - CHART_CARD_CHROME)}
+      />
+    </Card>
+  );
+
+  const renderItem = (item, height) => {
+    if (getItemKind(item.id) === 'kpi') {
+      const kpi = kpis.find(candidate => kpiItemId(candidate) === item.id);
+      return kpi ? renderKpiCard(kpi) : null;
+    }
+    const chart = charts.find(candidate => chartItemId(candidate) === item.id);
+    return chart ? renderChartCard(chart, height) : null;
+  };
+
+  const background = isDarkMode ? '#141414' : '#f0f2f5';
+
+  if (loading) {
+    return (
+      <div style={{ height: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', background }}>
+        <Spin size="large" tip="Loading shared dashboard..." />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div style={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', background }}>
+        <Result
+          status={error.status ? 'warning' : '404'}
+          title={<span style={{ color: isDarkMode ? '#fff' : '#000' }}>{error.message}</span>}
+          subTitle={<span style={{ color: mutedColor }}>Ask whoever shared it for a new link.</span>}
+          extra={<Button type="primary" onClick={onExit}>Go to AI Dashboard</Button>}
+        />
+      </div>
+    );
+  }
+
+  const { share, view, dashboard } = result;
+
+  return (
+    <Layout style={{ minHeight: '100vh', background }}>
+      <Header style={{
+        background: isDarkMode ? '#001529' : '#fff',
+        borderBottom: `1px solid ${isDarkMode ? '#434343' : '#f0f0f0'}`,
+        padding: '0 24px',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        position: 'sticky',
+        top: 0,
+        zIndex: 1000
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          <BarChartOutlined style={{ fontSize: '24px', color: '#1890ff' }} />
+          <div>
+            <Title level={4} style={{ margin: 0, color: isDarkMode ? '#fff' : '#000' }}>
+              {share.name}
+            </Title>
+            <Text style={{ fontSize: '12px', color: mutedColor }}>
+              {view.fileName} • {dashboard.performance.filteredRecords.toLocaleString()} of {dashboard.performance.totalRecords.toLocaleString()} records
+              {view.dataLimit && <> • limited to {view.dataLimit.toLocaleString()}</>}
+            </Text>
+          </div>
+          <Tag icon={<EyeOutlined />} color="blue">Read-only</Tag>
+        </div>
+
+        <Space>
+          <SunOutlined style={{ color: isDarkMode ? '#fff' : '#000' }} />
+          <Switch checked={isDarkMode} onChange={onToggleTheme} />
+          <MoonOutlined style={{ color: isDarkMode ? '#fff' : '#000' }} />
+        </Space>
+      </Header>
+
+      <Content style={{ padding: '24px' }}>
+        {(view.filterDescriptions.length > 0 || view.period) && (
+          <div style={{ marginBottom: '16px', display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '6px' }}>
+            {view.period && <Tag icon={<CalendarOutlined />}>{view.period}</Tag>}
+            {view.filterDescriptions.map(line => (
+              <Tag key={line} icon={<FilterOutlined />}>{line}</Tag>
+            ))}
+          </div>
+        )}
+
+        {gridItems.length > 0 ? (
+          <DashboardGrid
+            layout={normalizeLayout(view.layout)}
+            items={gridItems}
+            breakpoint={gridBreakpoint}
+            renderItem={renderItem}
+            onLayoutChange={() => {}}
+            onBreakpointChange={handleBreakpointChange}
+            isDarkMode={isDarkMode}
+          />
+        ) : (
+          <Empty description="This dashboard has no KPIs or charts" />
+        )}
+
+        {share.expiresAt && (
+          <div style={{ marginTop: '16px', textAlign: 'center', fontSize: '12px', color: mutedColor }}>
+            This link expires {new Date(share.expiresAt).toLocaleString()}
+          </div>
+        )}
+      </Content>
+    </Layout>
+  );
+};
+
+export default SharedDashboard;
@@ -26,8 +26,10 @@ import {
   ThunderboltOutlined,
   AudioOutlined,
   AudioMutedOutlined,
-  SoundOutlined
+  SoundOutlined,
+  StopOutlined
 } from '@ant-design/icons';
+import { streamChatMessage } from '../../services/api';
 import './chatbot.css';
 
 const { Text, Paragraph } = Typography;
@@ -41,6 +43,8 @@ const ChatbotWidget = ({ sessionId }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [suggestedQuestions, setSuggestedQuestions] = useState([]);
   const [loadingQuestions, setLoadingQuestions] = useState(true);
+  // Partial reply while a response streams in (null when idle)
+  const [streamingText, setStreamingText] = useState(null);
   
   // Voice control state
   const [isListening, setIsListening] = useState(false);
@@ -52,6 +56,7 @@ const ChatbotWidget = ({ sessionId }) => {
   const inputRef = useRef(null);
   const recognitionRef = useRef(null);
   const synthRef = useRef(null);
+  const abortRef = useRef(null);
 
   // Check browser support on mount
   useEffect(() => {
@@ -68,7 +73,12 @@ const ChatbotWidget = ({ sessionId }) => {
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
     scrollToBottom();
-  }, [messages]);
+  }, [messages, streamingText]);
+
+  // Cancel an in-flight reply when the widget unmounts
+  useEffect(() => {
+    return () => abortRef.current?.abort();
+  }, []);
 
   // Focus input when chat opens
   useEffect(() => {
@@ -220,19 +230,28 @@ const ChatbotWidget = ({ sessionId }) => {
   };
 
   /**
-   * Load suggested questions from backend
+   * Load suggested questions and saved conversation from backend
    */
   const loadSuggestedQuestions = async () => {
     try {
       setLoadingQuestions(true);
-      const response = await fetch(`/api/chatbot/questions/${sessionId}`);
-      const data = await response.json();
+      const [questionsResponse, historyResponse] = await Promise.all([
+        fetch(`/api/chatbot/questions/${sessionId}`),
+        fetch(`/api/chatbot/history/${sessionId}`)
+      ]);
+      const data = await questionsResponse.json();
+      const historyData = await historyResponse.json();
       
       if (data.success) {
         setSuggestedQuestions(data.questions || []);
         
-        // Add welcome message if no chat history
-        if (messages.length === 0) {
+        const history = historyData.success ? historyData.history || [] : [];
+        
+        if (history.length > 0) {
+          // Resume the conversation stored on the server
+          setMessages(history);
+        } else {
+          // Add welcome message if no chat history
           const welcomeMsg = {
             role: 'assistant',
             type: 'text',
@@ -277,26 +296,19 @@ const ChatbotWidget = ({ sessionId }) => {
     setMessages(prev => [...prev, userMessage]);
     setInputMessage('');
     setIsLoading(true);
+    setStreamingText('');
 
-    try {
-      // Build conversation history
-      const conversationHistory = messages.map(msg => ({
-        role: msg.role,
-        content: msg.content
-      }));
-
-      // Call API
-      const response = await fetch('/api/chatbot/message', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          sessionId,
-          message: textToSend,
-          conversationHistory
-        })
-      });
+    const controller = new AbortController();
+    abortRef.current = controller;
 
-      const data = await response.json();
+    try {
+      // Conversation history is kept server-side per session
+      const data = await streamChatMessage(
+        sessionId,
+        textToSend,
+        (chunk) => setStreamingText(prev => (prev || '') + chunk),
+        controller.signal
+      );
 
       if (data.success && data.response) {
         // Add bot response to UI
@@ -320,6 +332,17 @@ const ChatbotWidget = ({ sessionId }) => {
       }
 
     } catch (error) {
+      if (controller.signal.aborted) {
+        // Stopped by the user - nothing was saved server-side
+        setMessages(prev => [...prev, {
+          role: 'assistant',
+          type: 'text',
+          content: 'Response stopped.',
+          timestamp: new Date().toISOString()
+        }]);
+        return;
+      }
+
       console.error('Chat error:', error);
       antMessage.error('Failed to send message');
       
@@ -332,10 +355,21 @@ const ChatbotWidget = ({ sessionId }) => {
       };
       setMessages(prev => [...prev, errorMsg]);
     } finally {
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+      }
+      setStreamingText(null);
       setIsLoading(false);
     }
   };
 
+  /**
+   * Stop the reply that is currently streaming
+   */
+  const stopResponse = () => {
+    abortRef.current?.abort();
+  };
+
   /**
    * Handle suggested question click
    */
@@ -422,13 +456,16 @@ const ChatbotWidget = ({ sessionId }) => {
             <div className="chat-text-response">
               <Paragraph style={{ margin: 0, whiteSpace: 'pre-wrap' }}>
                 {msg.content}
+                {msg.streaming && <span className="chat-streaming-cursor" />}
               </Paragraph>
             </div>
           )}
           
-          <Text type="secondary" style={{ fontSize: 11, marginTop: 4, display: 'block' }}>
-            {new Date(msg.timestamp).toLocaleTimeString()}
-          </Text>
+          {!msg.streaming && (
+            <Text type="secondary" style={{ fontSize: 11, marginTop: 4, display: 'block' }}>
+              {new Date(msg.timestamp).toLocaleTimeString()}
+            </Text>
+          )}
         </div>
       </div>
     );
@@ -502,6 +539,7 @@ const ChatbotWidget = ({ sessionId }) => {
                 icon={<CloseOutlined />}
                 onClick={() => {
                   stopSpeaking();
+                  stopResponse();
                   setIsOpen(false);
                 }}
               />
@@ -541,7 +579,14 @@ const ChatbotWidget = ({ sessionId }) => {
             <>
               {messages.map((msg, idx) => renderMessage(msg, idx))}
               
-              {isLoading && (
+              {isLoading && streamingText && renderMessage({
+                role: 'assistant',
+                type: 'text',
+                content: streamingText,
+                streaming: true
+              }, 'streaming')}
+
+              {isLoading && !streamingText && (
                 <div className="chat-message chat-message-bot">
                   <div className="chat-message-avatar">
                     <Avatar icon={<RobotOutlined />} style={{ backgroundColor: '#52c41a' }} />
@@ -585,16 +630,25 @@ const ChatbotWidget = ({ sessionId }) => {
             </Tooltip>
           )}
           
-          {/* Send Button */}
-          <Button
-            type="primary"
-            icon={<SendOutlined />}
-            onClick={() => sendMessage()}
-            loading={isLoading}
-            disabled={!inputMessage.trim() || isListening}
-          >
-            Send
-          </Button>
+          {/* Send / Stop Button */}
+          {isLoading ? (
+            <Button
+              danger
+              icon={<StopOutlined />}
+              onClick={stopResponse}
+            >
+              Stop
+            </Button>
+          ) : (
+            <Button
+              type="primary"
+              icon={<SendOutlined />}
+              onClick={() => sendMessage()}
+              disabled={!inputMessage.trim() || isListening}
+            >
+              Send
+            </Button>
+          )}
         </div>
 
         {/* Voice indicator */}
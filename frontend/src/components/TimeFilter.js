@@ -1,5 +1,6 @@
 // frontend/src/components/TimeFilter.js - Enhanced with Month/Year Selectors
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import dayjs from 'dayjs';
 import { 
   Select, 
   Card, 
@@ -30,6 +31,22 @@ const { Option } = Select;
 const { Text, Title } = Typography;
 const { RangePicker } = DatePicker;
 
+// Month names for display
+const monthNames = [
+  { value: 1, label: 'January', short: 'Jan' },
+  { value: 2, label: 'February', short: 'Feb' },
+  { value: 3, label: 'March', short: 'Mar' },
+  { value: 4, label: 'April', short: 'Apr' },
+  { value: 5, label: 'May', short: 'May' },
+  { value: 6, label: 'June', short: 'Jun' },
+  { value: 7, label: 'July', short: 'Jul' },
+  { value: 8, label: 'August', short: 'Aug' },
+  { value: 9, label: 'September', short: 'Sep' },
+  { value: 10, label: 'October', short: 'Oct' },
+  { value: 11, label: 'November', short: 'Nov' },
+  { value: 12, label: 'December', short: 'Dec' }
+];
+
 const TimeFilter = ({ 
   timeFilters, 
   activeTimeFilter, 
@@ -43,21 +60,6 @@ const TimeFilter = ({
   const [selectedYear, setSelectedYear] = useState(null);
   const [selectedMonth, setSelectedMonth] = useState(null);
 
-  // Month names for display
-  const monthNames = [
-    { value: 1, label: 'January', short: 'Jan' },
-    { value: 2, label: 'February', short: 'Feb' },
-    { value: 3, label: 'March', short: 'Mar' },
-    { value: 4, label: 'April', short: 'Apr' },
-    { value: 5, label: 'May', short: 'May' },
-    { value: 6, label: 'June', short: 'Jun' },
-    { value: 7, label: 'July', short: 'Jul' },
-    { value: 8, label: 'August', short: 'Aug' },
-    { value: 9, label: 'September', short: 'Sep' },
-    { value: 10, label: 'October', short: 'Oct' },
-    { value: 11, label: 'November', short: 'Nov' },
-    { value: 12, label: 'December', short: 'Dec' }
-  ];
 
   // Initialize filter type and values based on active filter
   useEffect(() => {
@@ -65,8 +67,8 @@ const TimeFilter = ({
       if (activeTimeFilter.type === 'custom') {
         setFilterType('custom');
         setCustomRange([
-          new Date(activeTimeFilter.startDate),
-          new Date(activeTimeFilter.endDate)
+          dayjs(activeTimeFilter.startDate),
+          dayjs(activeTimeFilter.endDate)
         ]);
       } else if (activeTimeFilter.type === 'month') {
         setFilterType('specific');
@@ -80,16 +82,10 @@ const TimeFilter = ({
         setFilterType('quick');
       }
     } else {
-      // Set default to current year and latest available month
-      if (timeFilters?.availableFilters?.years?.length > 0) {
-        const latestYear = Math.max(...timeFilters.availableFilters.years);
-        setSelectedYear(latestYear);
-        
-        if (timeFilters.availableFilters.months?.length > 0) {
-          const latestMonth = Math.max(...timeFilters.availableFilters.months);
-          setSelectedMonth(latestMonth);
-        }
-      }
+      // No filter means all data - preselecting a year here would immediately re-apply it
+      setSelectedYear(null);
+      setSelectedMonth(null);
+      setCustomRange(null);
     }
   }, [activeTimeFilter, timeFilters]);
 
@@ -161,7 +157,7 @@ const TimeFilter = ({
     }
     
     onTimeFilterChange(filter);
-  }, [selectedYear, selectedMonth, onTimeFilterChange, monthNames]);
+  }, [selectedYear, selectedMonth, onTimeFilterChange]);
 
   // Auto-apply when year/month changes
   useEffect(() => {
@@ -185,16 +181,14 @@ const TimeFilter = ({
   const handleCustomRangeChange = useCallback((dates) => {
     setCustomRange(dates);
     if (dates && dates.length === 2) {
-      const [startDate, endDate] = dates;
-      
-      const startDateObj = startDate.toDate ? startDate.toDate() : startDate;
-      const endDateObj = endDate.toDate ? endDate.toDate() : endDate;
+      const [startDate, endDate] = dates.map(date => dayjs(date));
       
+      // Send calendar dates, not local-time instants, so the range matches the data's dates
       const customFilter = {
         type: 'custom',
-        startDate: startDateObj,
-        endDate: endDateObj,
-        label: `${formatDate(startDateObj)} - ${formatDate(endDateObj)}`
+        startDate: startDate.format('YYYY-MM-DD'),
+        endDate: endDate.format('YYYY-MM-DD'),
+        label: `${formatDate(startDate.toDate())} - ${formatDate(endDate.toDate())}`
       };
       onTimeFilterChange(customFilter);
     }
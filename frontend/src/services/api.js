@@ -207,6 +207,7 @@ export const suggestCharts = async (sessionId, customFilters = {}) => {
 
 
 // Update your existing generateDashboard function in api.js:
+// periodOptions: { timeFilter, comparison: 'previous' | 'lastYear' | 'none' } for KPI period comparison
 export const generateDashboard = async (
   sessionId, 
   filters = {}, 
@@ -214,7 +215,8 @@ export const generateDashboard = async (
   selectedDimensions = null, 
   dataLimit = null, 
   includeCustomCharts = false,
-  userContext = null  // ✅ ADD THIS PARAMETER
+  userContext = null,  // ✅ ADD THIS PARAMETER
+  periodOptions = null
 ) => {
   try {
     if (!sessionId) {
@@ -225,7 +227,9 @@ export const generateDashboard = async (
       sessionId,
       filters,
       dataLimit,
-      userContext 
+      userContext,
+      timeFilter: periodOptions?.timeFilter || null,
+      comparison: periodOptions?.comparison || 'previous'
     };
 
     // Add custom selections if provided
@@ -373,19 +377,24 @@ export const addCustomChart = async (sessionId, chartCombination, activeFilters
  * @param {Object} chartConfig - Chart configuration
  * @param {Object} activeFilters - Current filters
  * @param {number} dataLimit - Data limit
+ * @param {Object} timeFilter - Active time filter
  * @returns {Promise} Chart insights
  */
- export const getChartInsights = async (sessionId, chartConfig, activeFilters = {}, dataLimit = null) => {
+ export const getChartInsights = async (sessionId, chartConfig, activeFilters = {}, dataLimit = null, timeFilter = null) => {
   try {
     if (!sessionId || !chartConfig) {
       throw new Error('Session ID and chart configuration are required');
     }
 
+    // Insights are computed from the rows behind the chart, not its plotted points
+    const { data, config, ...chartDefinition } = chartConfig;
+
     const response = await api.post('/api/chart-insights', {
       sessionId,
-      chartConfig,
+      chartConfig: chartDefinition,
       activeFilters,
-      dataLimit
+      dataLimit,
+      timeFilter
     });
 
     if (!response.data.success) {
@@ -400,14 +409,265 @@ export const addCustomChart = async (sessionId, chartCombination, activeFilters
   }
 };
 
+/**
+ * Re-generate one chart's data, e.g. at another date grain or with a transform
+ * @param {string} sessionId - Session identifier
+ * @param {Object} chartConfig - Chart configuration (grain, transform, window)
+ * @param {Object} activeFilters - Current filters
+ * @param {number} dataLimit - Data limit
+ * @param {Object} timeFilter - Active time filter
+ * @returns {Promise} Updated chart
+ */
+export const getChartData = async (sessionId, chartConfig, activeFilters = {}, dataLimit = null, timeFilter = null) => {
+  try {
+    if (!sessionId || !chartConfig) {
+      throw new Error('Session ID and chart configuration are required');
+    }
+
+    const { data, config, ...chartDefinition } = chartConfig;
+
+    const response = await api.post('/api/chart-data', {
+      sessionId,
+      chartConfig: chartDefinition,
+      activeFilters,
+      dataLimit,
+      timeFilter
+    });
+
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Failed to load chart data');
+    }
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Chart data error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Page of the raw rows behind a chart point, or the whole chart when `point` is null (drill-through)
+ * @param {string} sessionId - Session identifier
+ * @param {Object} chartConfig - Chart as drawn (dimensions, grain, drill)
+ * @param {Object} options - { point: { value, otherValues? }, activeFilters, timeFilter, dataLimit,
+ *   page (0-based), pageSize, sort: { column, order: 'ascend' | 'descend' } }
+ * @returns {Promise} { records, columns, page, pageSize, totalRows, hasMore }
+ */
+export const getChartRecords = async (sessionId, chartConfig, {
+  point = null,
+  activeFilters = {},
+  timeFilter = null,
+  dataLimit = null,
+  page = 0,
+  pageSize = 50,
+  sort = null
+} = {}) => {
+  try {
+    if (!sessionId || !chartConfig) {
+      throw new Error('Session ID and chart configuration are required');
+    }
+
+    const { data, config, ...chartDefinition } = chartConfig;
+
+    const response = await api.post('/api/chart-records', {
+      sessionId,
+      chartConfig: chartDefinition,
+      point,
+      activeFilters,
+      timeFilter,
+      dataLimit,
+      page,
+      pageSize,
+      sort
+    });
+
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Failed to load records');
+    }
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Chart records error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Download every row behind a chart point as a file
+ * @param {string} sessionId - Session identifier
+ * @param {Object} chartConfig - Chart as drawn (dimensions, grain, drill)
+ * @param {Object} options - Same as getChartRecords (without paging), plus { format: 'csv' | 'xlsx', columns }
+ * @returns {Promise<Blob>} File contents
+ */
+export const exportChartRecords = async (sessionId, chartConfig, {
+  point = null,
+  activeFilters = {},
+  timeFilter = null,
+  dataLimit = null,
+  sort = null,
+  format = 'csv',
+  columns = null
+} = {}) => {
+  try {
+    if (!sessionId || !chartConfig) {
+      throw new Error('Session ID and chart configuration are required');
+    }
+
+    const { data, config, ...chartDefinition } = chartConfig;
+
+    const response = await api.post('/api/chart-records/export', {
+      sessionId,
+      chartConfig: chartDefinition,
+      point,
+      activeFilters,
+      timeFilter,
+      dataLimit,
+      sort,
+      format,
+      columns
+    }, {
+      responseType: 'blob',
+      timeout: 120000 // Large slices take a while to write
+    });
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Export chart records error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Export the session's filtered dataset
+ * @param {string} sessionId - Session identifier
+ * @param {Object} options - { format: 'csv' | 'xlsx' | 'parquet', filters, timeFilter, dataLimit, columns }
+ * @returns {Promise<Blob>} File contents
+ */
+export const exportFilteredData = async (sessionId, {
+  format = 'csv',
+  filters = {},
+  timeFilter = null,
+  dataLimit = null,
+  columns = null
+} = {}) => {
+  try {
+    if (!sessionId) {
+      throw new Error('Session ID is required');
+    }
+
+    const response = await api.post('/api/export/data', {
+      sessionId,
+      format,
+      filters,
+      timeFilter,
+      dataLimit,
+      columns
+    }, {
+      responseType: 'blob',
+      timeout: 120000 // Whole datasets take a while to write
+    });
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Export filtered data error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Export charts' aggregated series - csv and parquet hold one chart, xlsx one sheet per chart
+ * @param {string} sessionId - Session identifier
+ * @param {Array} charts - Charts as drawn (grain, transform, drill are kept)
+ * @param {Object} options - { format: 'csv' | 'xlsx' | 'parquet', filters, timeFilter, dataLimit }
+ * @returns {Promise<Blob>} File contents
+ */
+export const exportChartData = async (sessionId, charts, {
+  format = 'xlsx',
+  filters = {},
+  timeFilter = null,
+  dataLimit = null
+} = {}) => {
+  try {
+    if (!sessionId || !Array.isArray(charts) || charts.length === 0) {
+      throw new Error('Session ID and at least one chart are required');
+    }
+
+    const response = await api.post('/api/export/charts', {
+      sessionId,
+      format,
+      charts: charts.map(({ data, config, ...chartDefinition }) => chartDefinition),
+      filters,
+      timeFilter,
+      dataLimit
+    }, {
+      responseType: 'blob',
+      timeout: 120000
+    });
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Export chart data error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Export the dashboard as a report: title page, KPI summary, filters, story and one page or slide per chart
+ * @param {string} sessionId - Session identifier
+ * @param {Object} options - { format: 'pdf' | 'pptx', filters, timeFilter, comparison, dataLimit, chartIds, title }
+ *   chartIds lists the open charts in layout order
+ * @returns {Promise<Blob>} File contents
+ */
+export const exportDashboardReport = async (sessionId, {
+  format = 'pdf',
+  filters = {},
+  timeFilter = null,
+  comparison = 'previous',
+  dataLimit = null,
+  chartIds = null,
+  title = null
+} = {}) => {
+  try {
+    if (!sessionId) {
+      throw new Error('Session ID is required');
+    }
+
+    const response = await api.post('/api/dashboard-report', {
+      sessionId,
+      format,
+      filters,
+      timeFilter,
+      comparison,
+      dataLimit,
+      chartIds,
+      title
+    }, {
+      responseType: 'blob',
+      timeout: 120000 // Rebuilds the dashboard and its story before rendering
+    });
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Export dashboard report error:', error);
+    throw error;
+  }
+};
+
 /**
  * Get complete dashboard story and analysis
  * @param {string} sessionId - Session identifier
  * @param {Object} activeFilters - Current filters
  * @param {number} dataLimit - Data limit
+ * @param {Object} timeFilter - Active time filter
  * @returns {Promise} Dashboard story
  */
-export const getDashboardStory = async (sessionId, activeFilters = {}, dataLimit = null) => {
+export const getDashboardStory = async (sessionId, activeFilters = {}, dataLimit = null, timeFilter = null) => {
   try {
     if (!sessionId) {
       throw new Error('Session ID is required');
@@ -416,7 +676,8 @@ export const getDashboardStory = async (sessionId, activeFilters = {}, dataLimit
     const response = await api.post('/api/dashboard-story', {
       sessionId,
       activeFilters,
-      dataLimit
+      dataLimit,
+      timeFilter
     });
 
     if (!response.data.success) {
@@ -431,6 +692,528 @@ export const getDashboardStory = async (sessionId, activeFilters = {}, dataLimit
   }
 };
 
+/**
+ * Validate a calculated field expression and preview its result
+ * @param {string} sessionId - Session identifier
+ * @param {string} expression - Expression, e.g. "sum(cost) / countDistinct(member_id)"
+ * @param {string} name - Name of the field being edited, if any
+ * @returns {Promise} { valid, error, isAggregate, type, preview }
+ */
+export const validateCalculatedField = async (sessionId, expression, name = null) => {
+  try {
+    if (!sessionId) {
+      throw new Error('Session ID is required');
+    }
+
+    const response = await api.post('/api/calculated-fields/validate', {
+      sessionId,
+      expression,
+      name
+    });
+
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Failed to validate expression');
+    }
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Validate calculated field error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save (add or replace) a calculated field on the session schema
+ * @param {string} sessionId - Session identifier
+ * @param {Object} field - { name, expression, format }
+ * @returns {Promise} { field, schema }
+ */
+export const saveCalculatedField = async (sessionId, field) => {
+  try {
+    if (!sessionId) {
+      throw new Error('Session ID is required');
+    }
+
+    const response = await api.post('/api/calculated-fields', {
+      sessionId,
+      ...field
+    });
+
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Failed to save calculated field');
+    }
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Save calculated field error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a calculated field from the session schema
+ * @param {string} sessionId - Session identifier
+ * @param {string} name - Field name
+ * @returns {Promise} { schema }
+ */
+export const deleteCalculatedField = async (sessionId, name) => {
+  try {
+    if (!sessionId || !name) {
+      throw new Error('Session ID and field name are required');
+    }
+
+    const response = await api.delete(`/api/calculated-fields/${sessionId}/${encodeURIComponent(name)}`);
+
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Failed to remove calculated field');
+    }
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Delete calculated field error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save (add or replace) a drill-down hierarchy on the session schema
+ * @param {string} sessionId - Session identifier
+ * @param {Object} hierarchy - { id?, name, levels: [{ column, grain? }] }, coarsest level first
+ * @returns {Promise} { hierarchy, schema }
+ */
+export const saveHierarchy = async (sessionId, hierarchy) => {
+  try {
+    if (!sessionId) {
+      throw new Error('Session ID is required');
+    }
+
+    const response = await api.post('/api/hierarchies', {
+      sessionId,
+      ...hierarchy
+    });
+
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Failed to save hierarchy');
+    }
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Save hierarchy error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a drill-down hierarchy from the session schema
+ * @param {string} sessionId - Session identifier
+ * @param {string} id - Hierarchy id
+ * @returns {Promise} { schema }
+ */
+export const deleteHierarchy = async (sessionId, id) => {
+  try {
+    if (!sessionId || !id) {
+      throw new Error('Session ID and hierarchy id are required');
+    }
+
+    const response = await api.delete(`/api/hierarchies/${sessionId}/${encodeURIComponent(id)}`);
+
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Failed to remove hierarchy');
+    }
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Delete hierarchy error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Store the dashboard grid layout with the session
+ * @param {string} sessionId - Session identifier
+ * @param {Object} layout - Serialisable layout from utils/gridLayout.js, or null for the default
+ */
+export const saveSessionLayout = async (sessionId, layout) => {
+  try {
+    if (!sessionId) {
+      throw new Error('Session ID is required');
+    }
+
+    const response = await api.post(`/api/session/${sessionId}/layout`, { layout });
+
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Failed to save layout');
+    }
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Save layout error:', error);
+    throw error;
+  }
+};
+
+/**
+ * List saved dashboards
+ * @param {string} sessionId - Optional session; each dashboard is then flagged `compatible` with its file
+ * @returns {Promise} { dashboards: [{ id, name, description, fileName, updatedAt, chartCount, kpiCount, compatible? }] }
+ */
+export const listSavedDashboards = async (sessionId = null) => {
+  try {
+    const response = await api.get('/api/dashboards', {
+      params: sessionId ? { sessionId } : {}
+    });
+
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Failed to load saved dashboards');
+    }
+
+    return response.data;
+
+  } catch (error) {
+    console.error('List saved dashboards error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save the session's dashboard as a new saved dashboard
+ * @param {string} sessionId - Session identifier
+ * @param {Object} options - { name, description, state: { filters, timeFilter, dataLimit, comparison, closedCharts, kpiDirections } }
+ * @returns {Promise} { dashboard }
+ */
+export const saveDashboard = async (sessionId, { name, description = '', state = {} }) => {
+  try {
+    if (!sessionId) {
+      throw new Error('Session ID is required');
+    }
+
+    const response = await api.post('/api/dashboards', {
+      sessionId,
+      name,
+      description,
+      state
+    });
+
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Failed to save dashboard');
+    }
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Save dashboard error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Rename a saved dashboard, or overwrite it with the session's dashboard when sessionId is given
+ * @param {string} id - Saved dashboard id
+ * @param {Object} changes - { sessionId?, name?, description?, state? }
+ * @returns {Promise} { dashboard }
+ */
+export const updateSavedDashboard = async (id, changes) => {
+  try {
+    if (!id) {
+      throw new Error('Dashboard id is required');
+    }
+
+    const response = await api.put(`/api/dashboards/${encodeURIComponent(id)}`, changes);
+
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Failed to update dashboard');
+    }
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Update dashboard error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Copy a saved dashboard
+ * @param {string} id - Saved dashboard id
+ * @param {string} name - Optional name for the copy (default "<name> (copy)")
+ * @returns {Promise} { dashboard }
+ */
+export const duplicateSavedDashboard = async (id, name = null) => {
+  try {
+    if (!id) {
+      throw new Error('Dashboard id is required');
+    }
+
+    const response = await api.post(`/api/dashboards/${encodeURIComponent(id)}/duplicate`, { name });
+
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Failed to duplicate dashboard');
+    }
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Duplicate dashboard error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Open a saved dashboard on a session - fails (409) when the session's file doesn't have its columns
+ * @param {string} id - Saved dashboard id
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise} { dashboard, schema }
+ */
+export const openSavedDashboard = async (id, sessionId) => {
+  try {
+    if (!id || !sessionId) {
+      throw new Error('Dashboard id and session ID are required');
+    }
+
+    const response = await api.post(`/api/dashboards/${encodeURIComponent(id)}/open`, { sessionId });
+
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Failed to open dashboard');
+    }
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Open dashboard error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a saved dashboard
+ * @param {string} id - Saved dashboard id
+ */
+export const deleteSavedDashboard = async (id) => {
+  try {
+    if (!id) {
+      throw new Error('Dashboard id is required');
+    }
+
+    const response = await api.delete(`/api/dashboards/${encodeURIComponent(id)}`);
+
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Failed to delete dashboard');
+    }
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Delete dashboard error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a read-only link to the current view
+ * @param {string} sessionId - Session identifier
+ * @param {Object} options - { name, dashboardId, state, expiresAt } - dashboardId shares a saved dashboard
+ *   instead of the session's own; expiresAt is an ISO date, null for a link that doesn't expire
+ * @returns {Promise} { share: { token, name, createdAt, expiresAt, revokedAt, status, source } }
+ */
+export const createShareLink = async (sessionId, { name, dashboardId = null, state = {}, expiresAt = null }) => {
+  try {
+    if (!sessionId) {
+      throw new Error('Session ID is required');
+    }
+
+    const response = await api.post('/api/shares', { sessionId, name, dashboardId, state, expiresAt });
+
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Failed to create share link');
+    }
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Create share link error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Links created from a session
+ * @returns {Promise} { shares }
+ */
+export const listShareLinks = async (sessionId) => {
+  try {
+    if (!sessionId) {
+      throw new Error('Session ID is required');
+    }
+
+    const response = await api.get('/api/shares', { params: { sessionId } });
+
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Failed to load share links');
+    }
+
+    return response.data;
+
+  } catch (error) {
+    console.error('List share links error:', error);
+    throw error;
+  }
+};
+
+export const revokeShareLink = async (token, sessionId) => {
+  try {
+    if (!token || !sessionId) {
+      throw new Error('Share token and session ID are required');
+    }
+
+    const response = await api.post(`/api/shares/${encodeURIComponent(token)}/revoke`, { sessionId });
+
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Failed to revoke share link');
+    }
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Resolve a share token to its read-only dashboard. Unknown, expired and revoked links
+ * resolve too, with success false and the server's explanation.
+ * @returns {Promise} { success, share, view, dashboard } or { success: false, status, message }
+ */
+export const getSharedDashboard = async (token) => {
+  try {
+    if (!token) {
+      throw new Error('Share token is required');
+    }
+
+    const response = await api.get(`/api/shares/${encodeURIComponent(token)}`, {
+      timeout: 120000, // Computes the whole dashboard
+      validateStatus: (status) => status < 500
+    });
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Get shared dashboard error:', error);
+    throw error;
+  }
+};
+
+/**
+ * POST to a Server-Sent Events endpoint and dispatch its events.
+ * axios can't consume a streamed body in the browser, so this uses fetch.
+ * @param {string} path - Endpoint path
+ * @param {Object} body - JSON request body
+ * @param {Object} handlers - { onToken(text) }
+ * @param {AbortSignal} signal - Aborting closes the connection and cancels the server-side work
+ * @returns {Promise<Object>} Payload of the final `done` event
+ */
+const streamRequest = async (path, body, { onToken } = {}, signal) => {
+  const response = await fetch(`${api.defaults.baseURL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream'
+    },
+    credentials: 'include',
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok || !response.body) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.message || `Error ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  const dispatch = (frame) => {
+    let event = 'message';
+    const dataLines = [];
+
+    frame.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+    });
+
+    if (dataLines.length === 0) return;
+    const data = JSON.parse(dataLines.join('\n'));
+
+    if (event === 'token' && onToken) onToken(data.text);
+    else if (event === 'done') result = data;
+    else if (event === 'error') throw new Error(data.message || 'Stream failed');
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary >= 0) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+
+  if (buffer.trim()) dispatch(buffer);
+
+  if (!result) {
+    throw new Error('Stream ended before a response was received');
+  }
+
+  return result;
+};
+
+/**
+ * Stream the dashboard story as it is written
+ * @param {string} sessionId - Session identifier
+ * @param {Object} activeFilters - Current filters
+ * @param {number} dataLimit - Data limit
+ * @param {Function} onToken - Called with each chunk of narrative text
+ * @param {AbortSignal} signal - Cancels generation
+ * @param {Object} timeFilter - Active time filter
+ * @returns {Promise} Dashboard story (same shape as getDashboardStory)
+ */
+export const streamDashboardStory = async (sessionId, activeFilters = {}, dataLimit = null, onToken, signal, timeFilter = null) => {
+  if (!sessionId) {
+    throw new Error('Session ID is required');
+  }
+
+  return streamRequest('/api/dashboard-story/stream', { sessionId, activeFilters, dataLimit, timeFilter }, { onToken }, signal);
+};
+
+/**
+ * Send a chatbot message and stream the reply
+ * @param {string} sessionId - Session identifier
+ * @param {string} message - User question
+ * @param {Function} onToken - Called with each chunk of narrative text
+ * @param {AbortSignal} signal - Cancels the reply
+ * @returns {Promise} { success, response, historyLength }
+ */
+export const streamChatMessage = async (sessionId, message, onToken, signal) => {
+  if (!sessionId) {
+    throw new Error('Session ID is required');
+  }
+
+  return streamRequest('/api/chatbot/message/stream', { sessionId, message }, { onToken }, signal);
+};
+
 /**
  * Get available filter options
  * @param {string} sessionId - Session identifier
@@ -456,6 +1239,36 @@ export const getFilterOptions = async (sessionId) => {
   }
 };
 
+/**
+ * Search distinct values of one column over the full dataset, with counts
+ * @param {string} sessionId - Session identifier
+ * @param {string} column - Column name
+ * @param {Object} options - { search, match: 'prefix'|'contains', offset, limit }
+ * @returns {Promise} { values: [{ value, label, count }], total, hasMore, ... }
+ */
+export const getFilterValues = async (sessionId, column, { search = '', match = 'contains', offset = 0, limit = 50 } = {}) => {
+  try {
+    if (!sessionId || !column) {
+      throw new Error('Session ID and column are required');
+    }
+
+    const response = await api.get(
+      `/api/filters/${sessionId}/values/${encodeURIComponent(column)}`,
+      { params: { search, match, offset, limit } }
+    );
+
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Failed to get filter values');
+    }
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Get filter values error:', error);
+    throw error;
+  }
+};
+
 /**
  * Health check for API
  * @returns {Promise} Health status
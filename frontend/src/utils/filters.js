@@ -0,0 +1,310 @@
+// frontend/src/utils/filters.js
+
+/**
+ * Helpers for the filter model sent as `activeFilters`:
+ *   { logic: 'and' | 'or', conditions: [condition | { logic, conditions }] }
+ * Conditions are { column, operator, values | value | min/max } - see backend/services/filterModel.js.
+ * The older { column: [values] } map is still understood everywhere.
+ *
+ * Cross-filter selections made in a chart are top-level conditions with `source` (the chart id)
+ * and optional `labels` (the first and last x-axis labels of a brushed range). They always narrow
+ * the rest of the filter: when that uses OR, it's wrapped as { logic: 'and', conditions: [rest, ...selections] }.
+ */
+
+export const filterOperators = {
+  in: { label: 'is any of', chip: 'is' },
+  notIn: { label: 'is none of', chip: 'is not' },
+  between: { label: 'between', chip: 'between' },
+  gt: { label: 'greater than', chip: '>' },
+  gte: { label: 'on or after', chip: '≥' },
+  lt: { label: 'less than', chip: '<' },
+  lte: { label: 'on or before', chip: '≤' },
+  contains: { label: 'contains', chip: 'contains' },
+  startsWith: { label: 'starts with', chip: 'starts with' },
+  isNull: { label: 'is empty', chip: 'is empty' },
+  notNull: { label: 'is not empty', chip: 'is not empty' }
+};
+
+// Operators offered per filter option type (filterOptions[column].type)
+const operatorsByType = {
+  dimension: ['in', 'notIn', 'contains', 'startsWith', 'isNull', 'notNull'],
+  number: ['between', 'gt', 'lt', 'isNull', 'notNull'],
+  date: ['between', 'gte', 'lte', 'in', 'notIn', 'isNull', 'notNull']
+};
+
+/**
+ * Operators for a column, with labels for a picker
+ * @param {string} type - 'dimension' | 'number' | 'date'
+ * @returns {Array} [{ value, label }]
+ */
+export const getOperatorsForType = (type = 'dimension') => {
+  return (operatorsByType[type] || operatorsByType.dimension).map(value => ({
+    value,
+    label: filterOperators[value].label
+  }));
+};
+
+export const isFilterGroup = (node) => Boolean(node) && Array.isArray(node.conditions);
+
+/**
+ * Whether a condition has what its operator needs (e.g. at least one value, or one range bound)
+ */
+export const isConditionComplete = (condition) => {
+  const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+  switch (condition?.operator) {
+    case 'in':
+    case 'notIn':
+      return Array.isArray(condition.values) && condition.values.length > 0;
+    case 'between':
+      return isSet(condition.min) || isSet(condition.max);
+    case 'isNull':
+    case 'notNull':
+      return true;
+    default:
+      return isSet(condition?.value);
+  }
+};
+
+/**
+ * Convert a legacy { column: [values] } map into a filter model
+ */
+export const toFilterModel = (filters) => {
+  if (!filters) return { logic: 'and', conditions: [] };
+  if (isFilterGroup(filters)) return filters;
+
+  return {
+    logic: 'and',
+    conditions: Object.entries(filters)
+      .filter(([, values]) => Array.isArray(values) && values.length > 0)
+      .map(([column, values]) => ({ column, operator: 'in', values }))
+  };
+};
+
+/**
+ * Every complete condition with its position, for chips and counts
+ * @returns {Array} [{ condition, path: [index] | [groupIndex, index] }]
+ */
+export const getFilterConditions = (filters) => {
+  const collect = (group, path) => group.conditions.flatMap((node, index) => {
+    if (isFilterGroup(node)) return collect(node, [...path, index]);
+    return isConditionComplete(node) ? [{ condition: node, path: [...path, index] }] : [];
+  });
+
+  return collect(toFilterModel(filters), []);
+};
+
+export const countFilterConditions = (filters) => getFilterConditions(filters).length;
+
+/**
+ * Remove the condition at `path` (from getFilterConditions), dropping groups left empty
+ * and unwrapping groups left with a single condition
+ */
+export const removeFilterCondition = (filters, path) => {
+  const removeAt = (group, [index, ...rest]) => {
+    const conditions = rest.length === 0
+      ? group.conditions.filter((_, i) => i !== index)
+      : group.conditions
+        .map((node, i) => (i === index ? removeAt(node, rest) : node))
+        .filter(node => !isFilterGroup(node) || node.conditions.length > 0)
+        .map(node => (isFilterGroup(node) && node.conditions.length === 1 ? node.conditions[0] : node));
+
+    return { ...group, conditions };
+  };
+
+  const model = removeAt(toFilterModel(filters), path);
+  if (model.conditions.length === 1 && isFilterGroup(model.conditions[0])) {
+    return model.conditions[0];
+  }
+  return model.conditions.length > 0 ? model : {};
+};
+
+const columnOf = (node) => (isFilterGroup(node) ? node.conditions[0]?.column : node.column);
+
+/**
+ * Combine the user's filter model with chart selections
+ */
+export const withSelections = (model, selections = []) => {
+  const conditions = model?.conditions || [];
+  if (selections.length === 0) return conditions.length > 0 ? model : {};
+  if (conditions.length === 0) return { logic: 'and', conditions: selections };
+  if (model.logic !== 'or' || conditions.length === 1) {
+    return { logic: 'and', conditions: [...conditions, ...selections] };
+  }
+  return { logic: 'and', conditions: [model, ...selections] };
+};
+
+/**
+ * Separate chart selections from the rest of the filter (undoes withSelections)
+ * @returns {Object} { model, selections }
+ */
+export const splitSelections = (filters) => {
+  const model = toFilterModel(filters);
+  const selections = model.conditions.filter(node => !isFilterGroup(node) && node.source);
+  const rest = model.conditions.filter(node => isFilterGroup(node) || !node.source);
+
+  // An OR filter across several columns that was wrapped to sit next to selections
+  if (rest.length === 1 && isFilterGroup(rest[0]) && new Set(rest[0].conditions.map(columnOf)).size > 1) {
+    return { model: rest[0], selections };
+  }
+
+  return { model: { logic: model.logic || 'and', conditions: rest }, selections };
+};
+
+/**
+ * Replace (or with `selection` null, clear) a chart's cross-filter selection
+ * @param {Object} filters - Current filters
+ * @param {string} chartId - Chart the selection was made in
+ * @param {Object|null} selection - Condition without `source`
+ */
+export const mergeSelection = (filters, chartId, selection) => {
+  const { model, selections } = splitSelections(filters);
+  const others = selections.filter(condition => condition.source !== chartId);
+  return withSelections(model, selection ? [...others, { ...selection, source: chartId }] : others);
+};
+
+export const getChartSelection = (filters, chartId) => {
+  return splitSelections(filters).selections.find(condition => condition.source === chartId) || null;
+};
+
+/**
+ * Build the model from the sidebar's per-column conditions.
+ * Conditions on the same column are OR'd; columns are combined with `logic`.
+ * @param {Object} columnFilters - { column: [condition] }
+ * @param {string} logic - 'and' | 'or'
+ * @param {Array} selections - Chart selections to keep alongside
+ * @returns {Object} Filter model, or {} when no condition is complete
+ */
+export const buildFilterModel = (columnFilters, logic = 'and', selections = []) => {
+  const conditions = Object.entries(columnFilters || {})
+    .map(([column, columnConditions]) => {
+      const complete = columnConditions
+        .filter(isConditionComplete)
+        .map(condition => ({ column, ...condition }));
+      return complete.length > 1 ? { logic: 'or', conditions: complete } : complete[0];
+    })
+    .filter(Boolean);
+
+  return withSelections({ logic, conditions }, selections);
+};
+
+/**
+ * Split a filter model back into the sidebar's per-column conditions.
+ * Groups that mix columns can't be edited per column and are left out.
+ * @returns {Object} { logic, columnFilters, selections }
+ */
+export const toColumnFilters = (filters) => {
+  const { model, selections } = splitSelections(filters);
+  const columnFilters = {};
+
+  model.conditions.forEach(node => {
+    const conditions = isFilterGroup(node) ? node.conditions : [node];
+    const columns = new Set(conditions.map(condition => condition.column));
+    if (columns.size !== 1 || conditions.some(isFilterGroup)) return;
+
+    const [column] = columns;
+    columnFilters[column] = [
+      ...(columnFilters[column] || []),
+      ...conditions.map(({ column: _column, ...condition }) => condition)
+    ];
+  });
+
+  return { logic: model.logic === 'or' ? 'or' : 'and', columnFilters, selections };
+};
+
+/**
+ * Short chip text, e.g. "Region is North, South" or "Sales between 10 and 50"
+ * @param {Object} condition - Filter condition
+ * @param {string} label - Column label (defaults to the column name)
+ */
+export const describeFilterCondition = (condition, label = condition.column) => {
+  const operator = filterOperators[condition.operator]?.chip || condition.operator;
+  const list = (values) => (values.length > 3
+    ? `${values.slice(0, 3).join(', ')} +${values.length - 3}`
+    : values.join(', '));
+
+  switch (condition.operator) {
+    case 'in':
+    case 'notIn':
+      return `${label} ${operator} ${list(condition.values)}`;
+    case 'between': {
+      if (condition.labels) {
+        const [from, to] = condition.labels;
+        return from === to ? `${label} is ${from}` : `${label} ${from} – ${to}`;
+      }
+      const hasMin = condition.min !== undefined && condition.min !== null && condition.min !== '';
+      const hasMax = condition.max !== undefined && condition.max !== null && condition.max !== '';
+      if (hasMin && hasMax) return `${label} between ${condition.min} and ${condition.max}`;
+      return hasMin ? `${label} ≥ ${condition.min}` : `${label} ≤ ${condition.max}`;
+    }
+    case 'isNull':
+    case 'notNull':
+      return `${label} ${operator}`;
+    case 'contains':
+    case 'startsWith':
+      return `${label} ${operator} "${condition.value}"`;
+    default:
+      return `${label} ${operator} ${condition.value}`;
+  }
+};
+
+/**
+ * Values of the top-level "is any of" condition on a column (what a quick multi-select edits)
+ */
+export const getColumnValues = (filters, column) => {
+  const condition = splitSelections(filters).model.conditions
+    .find(node => !isFilterGroup(node) && node.column === column && node.operator === 'in');
+  return condition ? condition.values : [];
+};
+
+/**
+ * Replace the top-level "is any of" condition on a column, leaving every other condition alone
+ */
+export const setColumnValues = (filters, column, values) => {
+  const { model, selections } = splitSelections(filters);
+  const index = model.conditions
+    .findIndex(node => !isFilterGroup(node) && node.column === column && node.operator === 'in');
+  const conditions = [...model.conditions];
+
+  if (!values || values.length === 0) {
+    if (index >= 0) conditions.splice(index, 1);
+  } else if (index >= 0) {
+    conditions[index] = { ...conditions[index], values };
+  } else {
+    conditions.push({ column, operator: 'in', values });
+  }
+
+  return withSelections({ ...model, conditions }, selections);
+};
+
+/**
+ * First and last day (YYYY-MM-DD) of a period label from a time-series chart:
+ * 2024-03-05, 2024-W10 (ISO week), 2024-03, 2024-Q1 or 2024
+ */
+export const periodToDateRange = (label, grain) => {
+  const text = String(label);
+  const day = (time) => new Date(time).toISOString().slice(0, 10);
+  const year = parseInt(text.slice(0, 4), 10);
+
+  switch (grain) {
+    case 'week': {
+      // Week 1 is the week containing January 4th; weeks start on Monday
+      const week = parseInt(text.slice(6), 10);
+      const jan4 = Date.UTC(year, 0, 4);
+      const monday = jan4 - ((new Date(jan4).getUTCDay() + 6) % 7) * 86400000 + (week - 1) * 7 * 86400000;
+      return { min: day(monday), max: day(monday + 6 * 86400000) };
+    }
+    case 'month': {
+      const month = parseInt(text.slice(5, 7), 10);
+      return { min: day(Date.UTC(year, month - 1, 1)), max: day(Date.UTC(year, month, 0)) };
+    }
+    case 'quarter': {
+      const quarter = parseInt(text.slice(6), 10);
+      return { min: day(Date.UTC(year, (quarter - 1) * 3, 1)), max: day(Date.UTC(year, quarter * 3, 0)) };
+    }
+    case 'year':
+      return { min: `${year}-01-01`, max: `${year}-12-31` };
+    default:
+      return { min: text.slice(0, 10), max: text.slice(0, 10) };
+  }
+};
@@ -0,0 +1,151 @@
+// frontend/src/utils/gridLayout.js
+
+/**
+ * Dashboard grid layout: KPI cards and charts in one grid, laid out per breakpoint.
+ *
+ * A layout is plain JSON so it can be stored with the session or a saved dashboard:
+ *   { version: 1, breakpoints: { lg: [{ id, w, h, pinned }], md: [...], sm: [...] } }
+ * Items are listed in display order; `w` is a width in grid columns and `h` a height in rows.
+ * Breakpoints the user hasn't arranged are left out and use the default arrangement.
+ * Pinned items always come first, in their own order.
+ */
+
+export const LAYOUT_VERSION = 1;
+
+// Widest first; the grid uses the first one its container is at least as wide as
+export const GRID_BREAKPOINTS = [
+  { key: 'lg', minWidth: 1100, columns: 4 },
+  { key: 'md', minWidth: 700, columns: 2 },
+  { key: 'sm', minWidth: 0, columns: 1 }
+];
+
+export const ROW_HEIGHT = 40;
+export const GRID_GAP = 16;
+
+const itemSizes = {
+  kpi: { w: 1, h: 4, minH: 3, maxH: 8 },
+  chart: { w: 2, h: 8, minH: 6, maxH: 18 }
+};
+
+export const MAX_ITEM_WIDTH = 4;
+
+export const kpiItemId = (kpi) => `kpi:${kpi.name}`;
+export const chartItemId = (chart) => `chart:${chart.id}`;
+
+export const getItemKind = (id) => (String(id).startsWith('kpi:') ? 'kpi' : 'chart');
+
+export const createLayout = () => ({ version: LAYOUT_VERSION, breakpoints: {} });
+
+export const getBreakpoint = (width) => {
+  return GRID_BREAKPOINTS.find(breakpoint => width >= breakpoint.minWidth) || GRID_BREAKPOINTS[GRID_BREAKPOINTS.length - 1];
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, Math.round(value)));
+
+/**
+ * Keep an item's size within its kind's limits and the breakpoint's columns
+ */
+export const clampItem = (item, columns) => {
+  const sizes = itemSizes[getItemKind(item.id)];
+  return {
+    id: item.id,
+    w: clamp(item.w ?? sizes.w, 1, Math.min(MAX_ITEM_WIDTH, columns)),
+    h: clamp(item.h ?? sizes.h, sizes.minH, sizes.maxH),
+    pinned: Boolean(item.pinned)
+  };
+};
+
+/**
+ * Items to draw at a breakpoint: the saved arrangement for the ids still on the dashboard,
+ * then any new ids at their default size, pinned items first
+ * @param {Object} layout - Serialisable layout (may be null)
+ * @param {Array} ids - Item ids on the dashboard, in default order
+ * @param {Object} breakpoint - Entry of GRID_BREAKPOINTS
+ * @returns {Array} [{ id, w, h, pinned }]
+ */
+export const resolveLayout = (layout, ids, breakpoint) => {
+  const present = new Set(ids);
+  const saved = (layout?.breakpoints?.[breakpoint.key] || []).filter(item => present.has(item.id));
+  const savedIds = new Set(saved.map(item => item.id));
+
+  const items = [
+    ...saved,
+    ...ids.filter(id => !savedIds.has(id)).map(id => ({ id }))
+  ].map(item => clampItem(item, breakpoint.columns));
+
+  return [...items.filter(item => item.pinned), ...items.filter(item => !item.pinned)];
+};
+
+/**
+ * Pixel height of an item `h` rows tall, including the gaps it spans
+ */
+export const getItemHeight = (h) => h * ROW_HEIGHT + (h - 1) * GRID_GAP;
+
+const withItems = (layout, breakpointKey, items) => ({
+  version: LAYOUT_VERSION,
+  breakpoints: { ...(layout?.breakpoints || {}), [breakpointKey]: items }
+});
+
+/**
+ * Move an item to just before another one. An unpinned item dropped among pinned ones
+ * lands after them; a pinned item stays among the pinned ones.
+ */
+export const moveItem = (layout, breakpoint, items, fromId, toId) => {
+  if (fromId === toId) return layout;
+
+  const moving = items.find(item => item.id === fromId);
+  if (!moving) return layout;
+
+  const rest = items.filter(item => item.id !== fromId);
+  const targetIndex = rest.findIndex(item => item.id === toId);
+  const next = [...rest];
+  next.splice(targetIndex === -1 ? rest.length : targetIndex, 0, moving);
+
+  const ordered = [...next.filter(item => item.pinned), ...next.filter(item => !item.pinned)];
+  return withItems(layout, breakpoint.key, ordered);
+};
+
+export const resizeItem = (layout, breakpoint, items, id, size) => {
+  return withItems(layout, breakpoint.key, items.map(item => (
+    item.id === id ? clampItem({ ...item, ...size }, breakpoint.columns) : item
+  )));
+};
+
+/**
+ * Pin an item (to the end of the pinned ones) or unpin it (to the start of the rest)
+ */
+export const togglePinned = (layout, breakpoint, items, id) => {
+  const target = items.find(item => item.id === id);
+  if (!target) return layout;
+
+  const toggled = { ...target, pinned: !target.pinned };
+  const rest = items.filter(item => item.id !== id);
+  const pinned = rest.filter(item => item.pinned);
+  const unpinned = rest.filter(item => !item.pinned);
+
+  return withItems(layout, breakpoint.key, [...pinned, toggled, ...unpinned]);
+};
+
+export const resetBreakpoint = (layout, breakpoint) => {
+  const { [breakpoint.key]: _removed, ...breakpoints } = layout?.breakpoints || {};
+  return { version: LAYOUT_VERSION, breakpoints };
+};
+
+/**
+ * Layout from storage, dropping anything malformed; null when there's nothing usable
+ */
+export const normalizeLayout = (raw) => {
+  if (!raw || typeof raw !== 'object' || raw.version !== LAYOUT_VERSION) return null;
+
+  const breakpoints = {};
+  GRID_BREAKPOINTS.forEach(breakpoint => {
+    const items = raw.breakpoints?.[breakpoint.key];
+    if (!Array.isArray(items)) return;
+
+    breakpoints[breakpoint.key] = items
+      .filter(item => item && typeof item.id === 'string')
+      .map(item => clampItem(item, breakpoint.columns));
+  });
+
+  return { version: LAYOUT_VERSION, breakpoints };
+};
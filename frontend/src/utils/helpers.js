@@ -327,12 +327,12 @@
   
   /**
    * Create download link for data
-   * @param {*} data - Data to download
+   * @param {*} data - Data to download, or a Blob as received from the server
    * @param {string} filename - Filename
-   * @param {string} type - MIME type
+   * @param {string} type - MIME type (ignored for a Blob)
    */
   export const downloadData = (data, filename, type = 'application/json') => {
-    const blob = new Blob([data], { type });
+    const blob = data instanceof Blob ? data : new Blob([data], { type });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
@@ -0,0 +1,86 @@
+// frontend/src/utils/hierarchies.js
+
+/**
+ * Helpers for drill-down hierarchies (schema.hierarchies):
+ *   { id, name, levels: [{ column, grain? }], source }, coarsest level first.
+ * A drilled chart is requested with `drill: { hierarchyId, level, path: [{ level, value }] }` -
+ * the level it shows and the value clicked at each level above it (see backend/services/hierarchies.js).
+ */
+
+const grainOrder = ['day', 'week', 'month', 'quarter', 'year'];
+
+export const grainLabels = {
+  day: 'Day',
+  week: 'Week',
+  month: 'Month',
+  quarter: 'Quarter',
+  year: 'Year'
+};
+
+/**
+ * Level of a hierarchy that a chart is drawn at, or -1 when the hierarchy doesn't cover its x axis.
+ * Date charts match the level with their grain, or else the nearest coarser one.
+ */
+export const getChartLevel = (hierarchy, chart) => {
+  const column = chart?.dimensions?.[0];
+  if (!column) return -1;
+
+  if (!chart.grain) {
+    return hierarchy.levels.findIndex(level => !level.grain && level.column === column);
+  }
+
+  const rank = grainOrder.indexOf(chart.grain);
+  return hierarchy.levels.reduce((match, level, index) => (
+    level.column === column && level.grain && grainOrder.indexOf(level.grain) >= rank ? index : match
+  ), -1);
+};
+
+export const getChartHierarchies = (hierarchies, chart) => {
+  return (hierarchies || []).filter(hierarchy => getChartLevel(hierarchy, chart) >= 0);
+};
+
+/**
+ * Drill state one level below `level`, into the clicked value
+ */
+export const drillDown = (hierarchy, drill, level, value) => ({
+  hierarchyId: hierarchy.id,
+  level: level + 1,
+  path: [...(drill?.path || []), { level, value: String(value) }]
+});
+
+/**
+ * Drill state one level up: out of the last value picked, or else to the next coarser level
+ */
+export const drillUp = (hierarchy, drill, level) => {
+  const path = drill?.path || [];
+  if (path.length > 0) {
+    return { hierarchyId: hierarchy.id, level: path[path.length - 1].level, path: path.slice(0, -1) };
+  }
+  return { hierarchyId: hierarchy.id, level: level - 1, path: [] };
+};
+
+/**
+ * Breadcrumb steps from the top of the drilled path to the current level
+ * @returns {Array} [{ key, label, level, drill }] - label is the value picked to get there (null for the starting level)
+ */
+export const getDrillBreadcrumbs = (hierarchy, drill, level) => {
+  const path = drill?.path || [];
+  const start = path.length > 0 ? path[0].level : level;
+
+  return [
+    { key: 'start', label: null, level: start, drill: { hierarchyId: hierarchy.id, level: start, path: [] } },
+    ...path.map((step, index) => ({
+      key: `${step.level}-${step.value}`,
+      label: step.value,
+      level: step.level + 1,
+      drill: { hierarchyId: hierarchy.id, level: step.level + 1, path: path.slice(0, index + 1) }
+    }))
+  ];
+};
+
+/**
+ * Readable level name, e.g. "illness" or "service_date · Quarter"
+ */
+export const describeLevel = (level, formatColumn = (column) => column) => {
+  return level.grain ? `${formatColumn(level.column)} · ${grainLabels[level.grain]}` : formatColumn(level.column);
+};